@@ -0,0 +1,144 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CatalogTransferService = require('../src/services/CatalogTransferService');
+
+/**
+ * Catalog Management Script
+ * Imports and exports the product catalog as CSV or JSON price lists
+ */
+
+class CatalogManager {
+  constructor() {
+    this.transferService = new CatalogTransferService();
+  }
+
+  /**
+   * Detect the file format from its extension
+   */
+  detectFormat(filePath, explicitFormat) {
+    if (explicitFormat) return explicitFormat;
+    return path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json';
+  }
+
+  /**
+   * Import a price list file into the catalog
+   */
+  async importFile(filePath, { dryRun = false, format, actor } = {}) {
+    const content = await fs.readFile(path.resolve(filePath), 'utf8');
+    return this.transferService.importCatalog(content, {
+      format: this.detectFormat(filePath, format),
+      dryRun,
+      actor: actor || process.env.USER || 'cli'
+    });
+  }
+
+  /**
+   * Export the catalog to a file
+   */
+  async exportFile(filePath, { format } = {}) {
+    const content = await this.transferService.exportCatalog(this.detectFormat(filePath, format));
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.writeFile(path.resolve(filePath), content);
+    return filePath;
+  }
+
+  /**
+   * Print an import report
+   */
+  printReport(result) {
+    const { summary, diff, errors } = result;
+
+    console.log(`\nRows: ${summary.totalRows} (valid: ${summary.validRows}, invalid: ${summary.invalidRows})`);
+    console.log(`Create: ${summary.create}, Update: ${summary.update}, Unchanged: ${summary.unchanged}\n`);
+
+    diff.filter(entry => entry.action !== 'unchanged').forEach(entry => {
+      if (entry.action === 'create') {
+        console.log(`+ ${entry.id}: ${entry.product.name} (${entry.product.price}, stock ${entry.product.stock})`);
+        return;
+      }
+      const changes = Object.entries(entry.changes)
+        .map(([field, change]) => `${field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`)
+        .join(', ');
+      console.log(`~ ${entry.id}: ${changes}`);
+    });
+
+    if (errors.length > 0) {
+      console.log('\nErrors:');
+      errors.forEach(error => {
+        console.log(`- Row ${error.row}${error.id ? ` (${error.id})` : ''}: ${error.errors.join('; ')}`);
+      });
+    }
+  }
+}
+
+// CLI Interface
+if (require.main === module) {
+  const manager = new CatalogManager();
+  const command = process.argv[2];
+  const filePath = process.argv[3];
+  const flags = process.argv.slice(4);
+  const formatFlag = flags.find(flag => flag.startsWith('--format='));
+  const format = formatFlag ? formatFlag.split('=')[1] : undefined;
+
+  async function runCommand() {
+    try {
+      switch (command) {
+        case 'import': {
+          if (!filePath) {
+            console.log('Usage: node catalog-manager.js import <file> [--dry-run] [--format=csv|json]');
+            return;
+          }
+          const dryRun = flags.includes('--dry-run');
+          console.log(`${dryRun ? 'Checking' : 'Importing'} ${filePath}...`);
+          const result = await manager.importFile(filePath, { dryRun, format });
+          manager.printReport(result);
+          if (result.applied) {
+            console.log('\nCatalog updated successfully');
+          } else if (result.errors.length > 0) {
+            console.log('\nCatalog NOT updated: fix the errors above and try again');
+            process.exit(1);
+          } else {
+            console.log(dryRun ? '\nDry run: catalog not changed' : '\nNothing to change');
+          }
+          break;
+        }
+
+        case 'export': {
+          if (!filePath) {
+            console.log('Usage: node catalog-manager.js export <file> [--format=csv|json]');
+            return;
+          }
+          await manager.exportFile(filePath, { format });
+          console.log(`Catalog exported to ${filePath}`);
+          break;
+        }
+
+        default:
+          console.log(`
+Catalog Management Script
+
+Usage: node catalog-manager.js <command> [args]
+
+Commands:
+  import <file> [--dry-run]   - Import a CSV or JSON price list into the catalog
+  export <file>               - Export the catalog as CSV or JSON
+
+Options:
+  --format=csv|json           - Override the format detected from the file extension
+
+Examples:
+  node catalog-manager.js import pricelist.csv --dry-run
+  node catalog-manager.js import pricelist.csv
+  node catalog-manager.js export data/catalog-export.csv
+`);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  }
+
+  runCommand();
+}
+
+module.exports = CatalogManager;
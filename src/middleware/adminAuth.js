@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Whether the request carries ADMIN_API_KEY as `x-api-key` or a Bearer token
+const isAdminRequest = request => {
+  const expectedKey = process.env.ADMIN_API_KEY;
+  if (!expectedKey) return false;
+
+  const authorization = request.headers.authorization || '';
+  const providedKey = request.headers['x-api-key'] ||
+    (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+
+  const expected = Buffer.from(expectedKey);
+  const provided = Buffer.from(String(providedKey));
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+/**
+ * Fastify preHandler that protects admin routes with ADMIN_API_KEY.
+ * The key is sent as `x-api-key` or `Authorization: Bearer <key>`.
+ * `x-admin-user` names the person making the change and is stored
+ * on the request as `request.adminUser`.
+ */
+const adminAuth = (request, reply, done) => {
+  const expectedKey = process.env.ADMIN_API_KEY;
+
+  if (!expectedKey) {
+    logger.warn('Admin request rejected: ADMIN_API_KEY is not configured');
+    reply.status(503).send({
+      success: false,
+      error: 'Admin API is not configured',
+      code: 'ADMIN_API_DISABLED'
+    });
+    return;
+  }
+
+  if (!isAdminRequest(request)) {
+    logger.warn(`Admin request rejected: invalid API key from ${request.ip}`);
+    reply.status(401).send({
+      success: false,
+      error: 'Invalid or missing admin API key',
+      code: 'UNAUTHORIZED'
+    });
+    return;
+  }
+
+  request.adminUser = request.headers['x-admin-user'] || 'admin';
+  done();
+};
+
+adminAuth.isAdminRequest = isAdminRequest;
+
+module.exports = adminAuth;
@@ -0,0 +1,53 @@
+const ConversationService = require('../services/ConversationService');
+const adminAuth = require('../middleware/adminAuth');
+const { sendServiceError } = require('../utils/serviceError');
+
+const conversationService = new ConversationService();
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  text: 'text/plain; charset=utf-8'
+};
+
+/**
+ * Fastify plugin for customer chat histories (registered under /api/conversations)
+ */
+async function conversationRoutes(fastify, opts) {
+  fastify.addHook('preHandler', adminAuth);
+
+  // GET /api/conversations/:number
+  fastify.get('/:number', async (request, reply) => {
+    try {
+      const conversation = await conversationService.getConversation(request.params.number);
+      reply.send({ success: true, ...conversation });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/conversations/:number/export?format=json|text
+  fastify.get('/:number/export', async (request, reply) => {
+    try {
+      const format = request.query.format || 'json';
+      const content = await conversationService.exportConversation(request.params.number, format);
+      reply
+        .header('Content-Type', CONTENT_TYPES[format])
+        .header('Content-Disposition', `attachment; filename="conversation-${request.params.number}.${format === 'text' ? 'txt' : 'json'}"`)
+        .send(content);
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // DELETE /api/conversations/:number
+  fastify.delete('/:number', async (request, reply) => {
+    try {
+      const result = await conversationService.deleteConversation(request.params.number, request.adminUser);
+      reply.send({ success: true, ...result });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+}
+
+module.exports = conversationRoutes;
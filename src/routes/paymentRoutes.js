@@ -0,0 +1,93 @@
+const PaymentService = require('../services/PaymentService');
+const adminAuth = require('../middleware/adminAuth');
+const { sendServiceError } = require('../utils/serviceError');
+const logger = require('../utils/logger');
+
+const paymentService = new PaymentService();
+
+const formatWebhookResult = result => ({
+  success: true,
+  reference: result.payment.reference,
+  status: result.payment.status,
+  orderStatus: result.order ? result.order.status : null,
+  duplicate: result.duplicate
+});
+
+/**
+ * Fastify plugin for QRIS payments (registered under /api/payments)
+ */
+async function paymentRoutes(fastify, opts) {
+  // Gateways sign the body exactly as sent, so keep the raw string next to the parsed JSON
+  fastify.addContentTypeParser('application/json', { parseAs: 'string' }, (request, body, done) => {
+    request.rawBody = body;
+    try {
+      done(null, body ? JSON.parse(body) : {});
+    } catch (error) {
+      error.statusCode = 400;
+      done(error);
+    }
+  });
+
+  // POST /api/payments/webhook/:gateway
+  fastify.post('/webhook/:gateway', async (request, reply) => {
+    try {
+      const result = await paymentService.handleWebhook(request.params.gateway, {
+        headers: request.headers,
+        body: request.body || {},
+        rawBody: request.rawBody || ''
+      });
+      reply.send(formatWebhookResult(result));
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // POST /api/payments/orders/:orderId
+  fastify.post('/orders/:orderId', { preHandler: adminAuth }, async (request, reply) => {
+    try {
+      const payment = await paymentService.createPayment(request.params.orderId);
+      reply.status(201).send({ success: true, payment });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/payments/:reference
+  fastify.get('/:reference', { preHandler: adminAuth }, async (request, reply) => {
+    try {
+      const payment = await paymentService.getPayment(request.params.reference);
+      if (!payment) {
+        return reply.status(404).send({ success: false, error: 'Payment not found', code: 'PAYMENT_NOT_FOUND' });
+      }
+      reply.send({ success: true, payment });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // POST /api/payments/simulator/:reference - development only, settles a payment with a signed simulator callback.
+  // Registered only with PAYMENT_SIMULATOR_ENABLED=true and the simulator gateway outside production.
+  if (process.env.PAYMENT_SIMULATOR_ENABLED === 'true') {
+    if (paymentService.gatewayName !== 'simulator' || process.env.NODE_ENV === 'production') {
+      logger.warn('PAYMENT_SIMULATOR_ENABLED ignored: needs PAYMENT_GATEWAY=simulator outside production');
+    } else {
+      fastify.post('/simulator/:reference', { preHandler: adminAuth }, async (request, reply) => {
+        try {
+          const payment = await paymentService.getPayment(request.params.reference);
+          if (!payment) {
+            return reply.status(404).send({ success: false, error: 'Payment not found', code: 'PAYMENT_NOT_FOUND' });
+          }
+
+          const { status, amount } = request.body || {};
+          const webhook = paymentService.gateway.buildWebhook(payment, { status, amount });
+          const result = await paymentService.handleWebhook('simulator', webhook);
+          reply.send(formatWebhookResult(result));
+        } catch (error) {
+          sendServiceError(reply, error);
+        }
+      });
+    }
+  }
+}
+
+module.exports = paymentRoutes;
@@ -0,0 +1,215 @@
+const CatalogService = require('../services/CatalogService');
+const CatalogTransferService = require('../services/CatalogTransferService');
+const adminAuth = require('../middleware/adminAuth');
+const { sendServiceError } = require('../utils/serviceError');
+
+const catalogService = new CatalogService();
+const catalogTransferService = new CatalogTransferService(catalogService);
+
+/**
+ * Fastify plugin for catalog administration (registered under /api/admin/products)
+ */
+async function productRoutes(fastify, opts) {
+  fastify.addHook('preHandler', adminAuth);
+
+  fastify.addContentTypeParser(['text/csv', 'application/csv'], { parseAs: 'string' }, (request, body, done) => {
+    done(null, body);
+  });
+
+  // GET /api/admin/products
+  fastify.get('/', async (request, reply) => {
+    try {
+      await catalogService.load();
+      const products = catalogService.listProducts({
+        includeInactive: request.query.includeInactive !== 'false'
+      });
+      reply.send({ success: true, count: products.length, products });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/admin/products/audit
+  fastify.get('/audit', async (request, reply) => {
+    try {
+      const entries = await catalogService.getAuditLog({
+        productId: request.query.productId,
+        limit: request.query.limit ? parseInt(request.query.limit) : undefined
+      });
+      reply.send({ success: true, count: entries.length, entries });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/admin/products/parents
+  fastify.get('/parents', async (request, reply) => {
+    try {
+      await catalogService.load();
+      const parents = catalogService.listParents({ includeInactive: true }).map(parent => ({
+        ...parent,
+        variants: catalogService.getVariants(parent.id, { includeInactive: true })
+      }));
+      reply.send({ success: true, count: parents.length, parents });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // PUT /api/admin/products/parents/:id
+  fastify.put('/parents/:id', async (request, reply) => {
+    try {
+      const parent = await catalogService.saveParent(request.params.id, request.body || {}, request.adminUser);
+      reply.send({ success: true, parent });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // DELETE /api/admin/products/parents/:id
+  fastify.delete('/parents/:id', async (request, reply) => {
+    try {
+      const parent = await catalogService.deleteParent(request.params.id, request.adminUser);
+      reply.send({ success: true, parent });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/admin/products/bundles
+  fastify.get('/bundles', async (request, reply) => {
+    try {
+      await catalogService.load();
+      const bundles = catalogService.listBundles({ includeInactive: true });
+      reply.send({ success: true, count: bundles.length, bundles });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // PUT /api/admin/products/bundles/:id
+  fastify.put('/bundles/:id', async (request, reply) => {
+    try {
+      const bundle = await catalogService.saveBundle(request.params.id, request.body || {}, request.adminUser);
+      reply.send({ success: true, bundle });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // DELETE /api/admin/products/bundles/:id
+  fastify.delete('/bundles/:id', async (request, reply) => {
+    try {
+      const bundle = await catalogService.deleteBundle(request.params.id, request.adminUser);
+      reply.send({ success: true, bundle });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/admin/products/export?format=csv|json
+  fastify.get('/export', async (request, reply) => {
+    try {
+      const format = request.query.format || 'json';
+      const content = await catalogTransferService.exportCatalog(format);
+      reply
+        .header('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="catalog.${format}"`)
+        .send(content);
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // POST /api/admin/products/import?format=csv|json&dryRun=true
+  fastify.post('/import', async (request, reply) => {
+    try {
+      const contentType = request.headers['content-type'] || '';
+      const format = request.query.format || (contentType.includes('csv') ? 'csv' : 'json');
+      const dryRun = request.query.dryRun === 'true' || request.query.dryRun === '1';
+
+      const result = await catalogTransferService.importCatalog(request.body, {
+        format,
+        dryRun,
+        actor: request.adminUser
+      });
+
+      if (!dryRun && result.errors.length > 0) {
+        return reply.status(422).send({
+          success: false,
+          error: 'Import rejected: some rows are invalid',
+          code: 'IMPORT_VALIDATION_FAILED',
+          ...result
+        });
+      }
+      reply.send({ success: true, ...result });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/admin/products/:id
+  fastify.get('/:id', async (request, reply) => {
+    try {
+      await catalogService.load();
+      const product = catalogService.getProduct(request.params.id);
+      if (!product) {
+        return reply.status(404).send({
+          success: false,
+          error: `Product ${request.params.id} not found`,
+          code: 'PRODUCT_NOT_FOUND'
+        });
+      }
+      reply.send({ success: true, product });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // POST /api/admin/products
+  fastify.post('/', async (request, reply) => {
+    try {
+      const product = await catalogService.createProduct(request.body || {}, request.adminUser);
+      reply.status(201).send({ success: true, product });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // PATCH /api/admin/products/:id
+  fastify.patch('/:id', async (request, reply) => {
+    try {
+      const product = await catalogService.updateProduct(request.params.id, request.body || {}, request.adminUser);
+      reply.send({ success: true, product });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // DELETE /api/admin/products/:id
+  fastify.delete('/:id', async (request, reply) => {
+    try {
+      const product = await catalogService.deleteProduct(request.params.id, request.adminUser);
+      reply.send({ success: true, product });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // POST /api/admin/products/:id/stock  { delta | stock, reason }
+  fastify.post('/:id/stock', async (request, reply) => {
+    try {
+      const { delta, stock, reason } = request.body || {};
+      const product = await catalogService.adjustStock(
+        request.params.id,
+        { delta, stock, reason },
+        request.adminUser
+      );
+      reply.send({ success: true, product });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+}
+
+module.exports = productRoutes;
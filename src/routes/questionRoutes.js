@@ -1,42 +1,106 @@
-const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
-const QuestionProcessor = require('../services/QuestionProcessor');
-const BrainService = require('../services/BrainService');
+const QuestionJobService = require('../services/QuestionJobService');
+const BatchService = require('../services/BatchService');
 const OllamaService = require('../services/OllamaService');
 const validateQuestion = require('../middleware/validateQuestion');
+const adminAuth = require('../middleware/adminAuth');
+const { createServiceError, sendServiceError } = require('../utils/serviceError');
 
-const questionProcessor = new QuestionProcessor();
-const processingStatus = new Map();
-const brainService = new BrainService();
 const ollamaService = new OllamaService();
 
+const SSE_HEARTBEAT_MS = 15000;
+const MAX_PRIORITY = 10;
+const MAX_WAIT_MS = Number(process.env.ASK_MAX_WAIT_MS) || 30000;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Optional `priority` of /api/ask: integer from -10 to 10, higher runs first.
+// Only admin requests may change it, anyone else would jump ahead of other customers.
+function parsePriority(priority, request) {
+  if (priority === undefined || priority === null) return 0;
+  if (!Number.isInteger(priority) || Math.abs(priority) > MAX_PRIORITY) {
+    throw createServiceError('ValidationError', `priority must be an integer from -${MAX_PRIORITY} to ${MAX_PRIORITY}`, 'INVALID_PRIORITY');
+  }
+  if (priority !== 0 && !adminAuth.isAdminRequest(request)) {
+    logger.debug(`Ignoring priority ${priority} of a request without the admin API key`);
+    return 0;
+  }
+  return priority;
+}
+
+// Optional synchronous mode of /api/ask: `?wait=<ms>`, or `wait` in the body
+// (milliseconds, or true for the longest allowed wait). Capped at ASK_MAX_WAIT_MS.
+function parseWait(queryWait, bodyWait) {
+  const wait = queryWait !== undefined ? queryWait : bodyWait;
+  if (wait === undefined || wait === null || wait === false) return 0;
+  if (wait === true) return MAX_WAIT_MS;
+
+  const ms = Number(wait);
+  if (wait === '' || !Number.isInteger(ms) || ms < 0) {
+    throw createServiceError('ValidationError', 'wait must be a whole number of milliseconds', 'INVALID_WAIT');
+  }
+  return Math.min(ms, MAX_WAIT_MS);
+}
+
+// Optional dedupe key of /api/ask: the `Idempotency-Key` header, else the
+// gateway's `message_id` (shared with the WhatsApp webhook)
+function parseIdempotencyKey(header, messageId) {
+  const [key, value] = header !== undefined ? ['key', header] : ['message', messageId];
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw createServiceError('ValidationError', 'Idempotency key must be a string', 'INVALID_IDEMPOTENCY_KEY');
+  }
+  const text = String(value).trim();
+  if (!text || text.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    throw createServiceError('ValidationError', `Idempotency key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters`, 'INVALID_IDEMPOTENCY_KEY');
+  }
+  return `${key}:${text}`;
+}
+
 /**
  * Fastify plugin for question routes
+ * @param {Object} opts
+ * @param {QuestionJobService} opts.jobService - Job service shared with other routes that accept questions
+ * @param {BatchService} opts.batchService - Runs /api/ask/batch on the same job service
  */
 async function questionRoutes(fastify, opts) {
+  const jobService = opts.jobService || new QuestionJobService();
+  const batchService = opts.batchService || new BatchService({ jobService });
+
   fastify.post('/ask', async (request, reply) => {
-    const questionId = uuidv4();
-    const { question, whatsapp_number } = request.body;
+    const { question, whatsapp_number, deliver, callback_url, callback_secret, priority, wait, message_id } = request.body;
     try {
       // Manual validation (since no Express middleware)
       const validationResult = validateQuestion(request, reply, () => {});
       if (validationResult === false) return; // validateQuestion handles reply
 
-      logger.info(`Processing question ${questionId}: ${question}`);
-      processingStatus.set(questionId, {
-        status: 'processing',
-        stage: 'initializing',
-        startTime: new Date(),
-        question
+      const callback = jobService.callbackService.normalizeTarget(callback_url, callback_secret);
+      const waitMs = parseWait(request.query.wait, wait);
+      const questionId = await jobService.submit(question, whatsapp_number, {
+        deliver: deliver !== false,
+        callback,
+        priority: parsePriority(priority, request),
+        idempotencyKey: parseIdempotencyKey(request.headers['idempotency-key'], message_id),
+        ...(message_id !== undefined && message_id !== null ? { messageId: String(message_id) } : {})
       });
-      processQuestionAsync(questionId, question, whatsapp_number);
+
+      if (waitMs > 0) {
+        const status = await jobService.waitForCompletion(questionId, waitMs);
+        if (status) {
+          return reply.send({ success: true, questionId, ...status });
+        }
+        // Still running: answer like the asynchronous mode, 202 tells the client to poll
+        reply.status(202);
+      }
       reply.send({
         success: true,
         questionId,
         message: 'Question received and being processed',
-        statusUrl: `/api/questions/status/${questionId}`
+        statusUrl: `/api/status/${questionId}`,
+        // Sent as `X-Cancel-Token` to DELETE /api/status/:questionId
+        cancelToken: await jobService.getCancelToken(questionId)
       });
     } catch (error) {
+      if (error.name === 'ValidationError') return sendServiceError(reply, error);
       logger.error(`Error initiating question processing: ${error.message}`);
       reply.status(500).send({
         success: false,
@@ -45,10 +109,52 @@ async function questionRoutes(fastify, opts) {
     }
   });
 
-  // GET /api/questions/status/:questionId
+  // POST /api/ask/batch
+  // Body: { items: [{ question, whatsapp_number }], concurrency?, deliver? }
+  fastify.post('/ask/batch', { preHandler: adminAuth }, async (request, reply) => {
+    try {
+      const { items, concurrency, deliver, dryRun } = request.body || {};
+      const batch = await batchService.createBatch(items, { concurrency, deliver, dryRun }, request.adminUser);
+      reply.status(202).send({
+        success: true,
+        batchId: batch.id,
+        ...batch,
+        statusUrl: `/api/ask/batch/${batch.id}`,
+        resultsUrl: `/api/ask/batch/${batch.id}/results`
+      });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/ask/batch/:batchId
+  fastify.get('/ask/batch/:batchId', { preHandler: adminAuth }, async (request, reply) => {
+    try {
+      const batch = await batchService.getBatch(request.params.batchId);
+      reply.send({ success: true, ...batch });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/ask/batch/:batchId/results?format=json|csv
+  fastify.get('/ask/batch/:batchId/results', { preHandler: adminAuth }, async (request, reply) => {
+    try {
+      const format = request.query.format || 'json';
+      const content = await batchService.exportResults(request.params.batchId, format);
+      reply
+        .header('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="batch-${request.params.batchId}.${format}"`)
+        .send(content);
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/status/:questionId
   fastify.get('/status/:questionId', async (request, reply) => {
     const { questionId } = request.params;
-    const status = processingStatus.get(questionId);
+    const status = await jobService.getStatus(questionId);
     if (!status) {
       return reply.status(404).send({
         success: false,
@@ -61,6 +167,67 @@ async function questionRoutes(fastify, opts) {
     });
   });
 
+  // DELETE /api/status/:questionId
+  // Cancel a queued or running question; 409 once it has finished.
+  // Needs the `X-Cancel-Token` returned by /api/ask, or the admin API key.
+  const cancelAuth = (request, reply, done) => {
+    if (request.headers['x-cancel-token'] !== undefined) return done();
+    adminAuth(request, reply, done);
+  };
+
+  fastify.delete('/status/:questionId', { preHandler: cancelAuth }, async (request, reply) => {
+    const { questionId } = request.params;
+    try {
+      if (!request.adminUser) {
+        await jobService.verifyCancelToken(questionId, request.headers['x-cancel-token']);
+      }
+      const status = await jobService.cancel(questionId, request.adminUser || 'client');
+      reply.send({ success: true, ...status });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/stream/:questionId
+  // Server-Sent Events: `stage` with the job status on every transition,
+  // `token` with partial answer text. The stream closes after the
+  // completed/error stage.
+  fastify.get('/stream/:questionId', async (request, reply) => {
+    const { questionId } = request.params;
+    const status = await jobService.getStatus(questionId);
+    if (!status) {
+      return reply.status(404).send({
+        success: false,
+        error: 'Question ID not found'
+      });
+    }
+
+    reply.hijack();
+    const res = reply.raw;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      if (!res.writableEnded) res.end();
+    };
+    const send = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      if (type === 'stage' && jobService.isFinished(data)) close();
+    };
+
+    unsubscribe = jobService.subscribe(questionId, send);
+    request.raw.on('close', close);
+    send('stage', status);
+  });
+
   // GET /api/questions/ollama-test
   fastify.get('/ollama-test', async (request, reply) => {
     try {
@@ -72,48 +239,4 @@ async function questionRoutes(fastify, opts) {
   });
 }
 
-// Async function to process question through the complete pipeline
-async function processQuestionAsync(questionId, question, whatsapp_number) {
-  try {
-    updateStatus(questionId, 'getting_context', 'Retrieving context from dataset');
-    const datasetContext = await brainService.processContext(question);
-    updateStatus(questionId, 'tagging', 'Analyzing and tagging question');
-    const tags = await brainService.tagQuestion(question, datasetContext);
-    updateStatus(questionId, 'processing_ai', 'Processing with AI model');
-    const response = await questionProcessor.processQuestion(question, whatsapp_number);
-    updateStatus(questionId, 'completed', 'Processing completed', {
-      response,
-      tags,
-      processingTime: Date.now() - processingStatus.get(questionId).startTime
-    });
-    logger.info(`Question ${questionId} processed successfully`);
-  } catch (error) {
-    logger.error(`Error processing question ${questionId}: ${error.message}`);
-    updateStatus(questionId, 'error', error.message);
-  }
-}
-
-function updateStatus(questionId, stage, message, additionalData = {}) {
-  const currentStatus = processingStatus.get(questionId);
-  if (currentStatus) {
-    processingStatus.set(questionId, {
-      ...currentStatus,
-      stage,
-      message,
-      lastUpdated: new Date(),
-      ...additionalData
-    });
-  }
-}
-
-// Cleanup old statuses (run every hour)
-setInterval(() => {
-  const oneHourAgo = Date.now() - (60 * 60 * 1000);
-  for (const [questionId, status] of processingStatus.entries()) {
-    if (status.startTime < oneHourAgo) {
-      processingStatus.delete(questionId);
-    }
-  }
-}, 60 * 60 * 1000);
-
 module.exports = questionRoutes;
\ No newline at end of file
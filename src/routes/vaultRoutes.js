@@ -0,0 +1,109 @@
+const CredentialVaultService = require('../services/CredentialVaultService');
+const adminAuth = require('../middleware/adminAuth');
+const { sendServiceError } = require('../utils/serviceError');
+
+const vaultService = new CredentialVaultService();
+
+/**
+ * Fastify plugin for the credential vault (registered under /api/admin/vault)
+ */
+async function vaultRoutes(fastify, opts) {
+  fastify.addHook('preHandler', adminAuth);
+
+  // GET /api/admin/vault
+  fastify.get('/', async (request, reply) => {
+    try {
+      const inventory = await vaultService.getInventory();
+      reply.send({ success: true, count: inventory.length, inventory });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/admin/vault/credentials?productId=&status=
+  fastify.get('/credentials', async (request, reply) => {
+    try {
+      const credentials = await vaultService.listCredentials({
+        productId: request.query.productId,
+        status: request.query.status
+      });
+      reply.send({ success: true, count: credentials.length, credentials });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // POST /api/admin/vault/credentials
+  fastify.post('/credentials', async (request, reply) => {
+    try {
+      const { productId, credentials } = request.body || {};
+      const result = await vaultService.addCredentials(productId, credentials, request.adminUser);
+      reply.status(201).send({ success: true, ...result });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // DELETE /api/admin/vault/credentials/:id
+  fastify.delete('/credentials/:id', async (request, reply) => {
+    try {
+      const credential = await vaultService.removeCredential(request.params.id, request.adminUser);
+      reply.send({ success: true, credential });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // POST /api/admin/vault/sync
+  fastify.post('/sync', async (request, reply) => {
+    try {
+      const changes = await vaultService.syncStock(request.adminUser);
+      reply.send({ success: true, changes });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/admin/vault/audit?orderId=&whatsappNumber=&limit=
+  fastify.get('/audit', async (request, reply) => {
+    try {
+      const entries = await vaultService.getAuditLog({
+        orderId: request.query.orderId,
+        whatsappNumber: request.query.whatsappNumber,
+        limit: request.query.limit ? parseInt(request.query.limit) : undefined
+      });
+      reply.send({ success: true, count: entries.length, entries });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/admin/vault/orders/:orderId
+  fastify.get('/orders/:orderId', async (request, reply) => {
+    try {
+      const items = await vaultService.getOrderCredentials(request.params.orderId, request.adminUser);
+      reply.send({ success: true, orderId: request.params.orderId, items });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // POST /api/admin/vault/orders/:orderId/deliver
+  fastify.post('/orders/:orderId/deliver', async (request, reply) => {
+    try {
+      const delivery = await vaultService.deliverOrder(request.params.orderId, { actor: request.adminUser });
+      if (!delivery) {
+        return reply.status(409).send({
+          success: false,
+          error: 'Order contains products that are not stored in the vault',
+          code: 'MANUAL_DELIVERY_REQUIRED'
+        });
+      }
+      reply.send({ success: true, order: delivery.order, items: delivery.items });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+}
+
+module.exports = vaultRoutes;
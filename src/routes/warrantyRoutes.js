@@ -0,0 +1,89 @@
+const WarrantyService = require('../services/WarrantyService');
+const CredentialVaultService = require('../services/CredentialVaultService');
+const adminAuth = require('../middleware/adminAuth');
+const { sendServiceError } = require('../utils/serviceError');
+
+const warrantyService = new WarrantyService();
+const vaultService = new CredentialVaultService();
+
+/**
+ * Fastify plugin for warranty administration (registered under /api/admin/warranty)
+ */
+async function warrantyRoutes(fastify, opts) {
+  fastify.addHook('preHandler', adminAuth);
+
+  // GET /api/admin/warranty?whatsappNumber=&orderId=
+  fastify.get('/', async (request, reply) => {
+    try {
+      const warranties = await warrantyService.getWarranties({
+        whatsappNumber: request.query.whatsappNumber,
+        orderId: request.query.orderId
+      });
+      reply.send({ success: true, count: warranties.length, warranties });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/admin/warranty/claims?status=&whatsappNumber=
+  fastify.get('/claims', async (request, reply) => {
+    try {
+      const claims = await warrantyService.listClaims({
+        status: request.query.status,
+        whatsappNumber: request.query.whatsappNumber
+      });
+      reply.send({ success: true, count: claims.length, claims });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // GET /api/admin/warranty/claims/:id
+  fastify.get('/claims/:id', async (request, reply) => {
+    try {
+      const claim = await warrantyService.getClaim(request.params.id);
+      reply.send({ success: true, claim });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // PATCH /api/admin/warranty/claims/:id
+  fastify.patch('/claims/:id', async (request, reply) => {
+    try {
+      const { status, note, resolution } = request.body || {};
+      const claim = await warrantyService.updateClaim(request.params.id, { status, note, resolution }, request.adminUser);
+      reply.send({ success: true, claim });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+
+  // POST /api/admin/warranty/claims/:id/replace
+  fastify.post('/claims/:id/replace', async (request, reply) => {
+    try {
+      // Claimed first, so a second request for the same claim gets 409 instead of another credential
+      const { claim, previousStatus } = await warrantyService.startReplacement(request.params.id, request.adminUser);
+      let replacement;
+      try {
+        replacement = await vaultService.issueReplacement(claim, { actor: request.adminUser });
+      } catch (error) {
+        await warrantyService.updateClaim(claim.id, {
+          status: previousStatus,
+          note: `Replacement failed: ${error.message}`
+        }, request.adminUser);
+        throw error;
+      }
+      const updated = await warrantyService.updateClaim(claim.id, {
+        status: 'replaced',
+        note: (request.body && request.body.note) || 'Replacement credential sent from vault',
+        resolution: { type: 'replacement', credentialId: replacement.credentialId }
+      }, request.adminUser);
+      reply.send({ success: true, claim: updated });
+    } catch (error) {
+      sendServiceError(reply, error);
+    }
+  });
+}
+
+module.exports = warrantyRoutes;
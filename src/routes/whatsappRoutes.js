@@ -0,0 +1,78 @@
+const logger = require('../utils/logger');
+const WhatsAppWebhookService = require('../services/WhatsAppWebhookService');
+const CustomerProfileService = require('../services/CustomerProfileService');
+const QuestionJobService = require('../services/QuestionJobService');
+const { sendServiceError } = require('../utils/serviceError');
+
+/**
+ * Fastify plugin for the WhatsApp Cloud API webhook (registered under /api/whatsapp)
+ * @param {Object} opts
+ * @param {QuestionJobService} opts.jobService - Job service shared with POST /api/ask
+ * @param {WhatsAppWebhookService} opts.webhookService - Defaults to one configured from env
+ * @param {CustomerProfileService} opts.profileService - Stores the WhatsApp profile name
+ */
+async function whatsappRoutes(fastify, opts) {
+  const webhookService = opts.webhookService || new WhatsAppWebhookService();
+  const profileService = opts.profileService || new CustomerProfileService();
+  const jobService = opts.jobService || new QuestionJobService();
+
+  // Meta signs the body exactly as sent, so keep the raw string next to the parsed JSON
+  fastify.addContentTypeParser('application/json', { parseAs: 'string' }, (request, body, done) => {
+    request.rawBody = body;
+    try {
+      done(null, body ? JSON.parse(body) : {});
+    } catch (error) {
+      error.statusCode = 400;
+      done(error);
+    }
+  });
+
+  // GET /api/whatsapp/webhook?hub.mode=subscribe&hub.verify_token=&hub.challenge=
+  fastify.get('/webhook', async (request, reply) => {
+    try {
+      const challenge = webhookService.verifyChallenge(request.query);
+      reply.type('text/plain').send(challenge);
+    } catch (error) {
+      if (error.code === 'INVALID_VERIFY_TOKEN') {
+        return reply.status(403).send({ success: false, error: error.message, code: error.code });
+      }
+      sendServiceError(reply, error);
+    }
+  });
+
+  // POST /api/whatsapp/webhook
+  fastify.post('/webhook', async (request, reply) => {
+    try {
+      webhookService.verifySignature(request.headers, request.rawBody || '');
+    } catch (error) {
+      return sendServiceError(reply, error);
+    }
+
+    const messages = webhookService.parseMessages(request.body || {});
+    const questionIds = [];
+    for (const message of messages) {
+      if (!message.text || !message.text.trim()) {
+        logger.info(`WhatsApp ${message.type} message ${message.messageId} from ${message.from} ignored`);
+        continue;
+      }
+      if (message.name) {
+        try {
+          await profileService.setName(message.from, message.name, { overwrite: false });
+        } catch (error) {
+          logger.error(`Failed to store WhatsApp profile name of ${message.from}: ${error.message}`);
+        }
+      }
+      questionIds.push(await jobService.submit(message.text.trim(), message.from, {
+        source: 'whatsapp',
+        messageId: message.messageId,
+        // Meta redelivers webhooks; a redelivered message returns the job it already has
+        idempotencyKey: `message:${message.messageId}`
+      }));
+    }
+
+    // Meta retries anything that is not a 200, so acknowledge even when nothing was queued
+    reply.send({ success: true, received: messages.length, questionIds });
+  });
+}
+
+module.exports = whatsappRoutes;
@@ -5,6 +5,14 @@
   const fastifyCors = require('@fastify/cors');
   const logger = require('./utils/logger');
   const questionRoutes = require('./routes/questionRoutes');
+  const productRoutes = require('./routes/productRoutes');
+  const paymentRoutes = require('./routes/paymentRoutes');
+  const vaultRoutes = require('./routes/vaultRoutes');
+  const warrantyRoutes = require('./routes/warrantyRoutes');
+  const conversationRoutes = require('./routes/conversationRoutes');
+  const whatsappRoutes = require('./routes/whatsappRoutes');
+  const QuestionJobService = require('./services/QuestionJobService');
+  const BatchService = require('./services/BatchService');
   const errorHandler = require('./middleware/errorHandler');
 
   const PORT = process.env.PORT || 3000;
@@ -22,7 +30,20 @@
     done();
   });
 
-  await fastify.register(questionRoutes, { prefix: '/api' });
+  // One job service so questions from every channel show up at /api/status
+  const jobService = new QuestionJobService();
+  await jobService.start();
+  fastify.addHook('onClose', () => jobService.stop());
+  const batchService = new BatchService({ jobService });
+  await batchService.resume();
+
+  await fastify.register(questionRoutes, { prefix: '/api', jobService, batchService });
+  await fastify.register(productRoutes, { prefix: '/api/admin/products' });
+  await fastify.register(paymentRoutes, { prefix: '/api/payments' });
+  await fastify.register(vaultRoutes, { prefix: '/api/admin/vault' });
+  await fastify.register(warrantyRoutes, { prefix: '/api/admin/warranty' });
+  await fastify.register(conversationRoutes, { prefix: '/api/conversations' });
+  await fastify.register(whatsappRoutes, { prefix: '/api/whatsapp', jobService });
 
   fastify.get('/health', async (request, reply) => {
     return {
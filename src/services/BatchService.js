@@ -0,0 +1,352 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { createServiceError } = require('../utils/serviceError');
+
+const SUPPORTED_FORMATS = ['json', 'csv'];
+const CSV_COLUMNS = ['index', 'question', 'whatsapp_number', 'questionId', 'status', 'answer', 'tags', 'processingTime', 'error'];
+const MAX_QUESTION_LENGTH = 1000;
+// Batch questions wait behind live customer questions in the job queue
+const BATCH_PRIORITY = -5;
+// How long one wait for a batch item lasts before its job is checked again
+const ITEM_WAIT_MS = 60000;
+// Leading characters that make spreadsheets read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Runs many questions through the job queue, e.g. to re-answer a backlog
+ * after an outage or to evaluate the bot offline.
+ *
+ * At most `concurrency` questions of a batch are in the queue at once. The
+ * batch and every item's result are kept in BATCHES_PATH so progress
+ * survives restarts (see resume()). Finished batches are deleted after
+ * `retentionMs` (see prune()).
+ *
+ * Batches are dry runs unless started with `dryRun: false`: answers use the
+ * customers' existing orders and history but change nothing (see
+ * QuestionJobService.submit()).
+ */
+class BatchService {
+  /**
+   * @param {Object} options
+   * @param {QuestionJobService} options.jobService - Job service the questions are submitted to
+   * @param {string} options.batchesPath - Path of the batch file
+   * @param {number} options.concurrency - Default questions of one batch in the queue at once
+   * @param {number} options.maxItems - Largest accepted batch
+   * @param {number} options.retentionMs - How long finished batches are kept
+   */
+  constructor(options = {}) {
+    this.jobService = options.jobService;
+    this.batchesPath = options.batchesPath || process.env.BATCHES_PATH || './data/batches.json';
+    this.concurrency = options.concurrency || Number(process.env.BATCH_CONCURRENCY) || 5;
+    this.maxItems = options.maxItems || Number(process.env.BATCH_MAX_ITEMS) || 1000;
+    this.retentionMs = options.retentionMs || Number(process.env.BATCH_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000;
+    this.store = new JsonFileStore(this.batchesPath, () => ({ batches: {} }));
+    this.running = new Map();
+  }
+
+  /**
+   * Validate and store a batch, then start running it in the background
+   * @param {Array<Object>} items - { question, whatsapp_number }
+   * @param {Object} options
+   * @param {number} options.concurrency - Questions in the queue at once, capped at the default
+   * @param {boolean} options.deliver - Send every answer to its whatsapp_number (default false), needs dryRun false
+   * @param {boolean} options.dryRun - Answer without side effects on orders, payments, the vault and chat history
+   *   (default true)
+   * @param {string} actor - Who started the batch
+   * @returns {Promise<Object>} - Batch progress, see getBatch()
+   */
+  async createBatch(items, { concurrency, deliver = false, dryRun = true } = {}, actor = null) {
+    const cleanItems = this.validateItems(items);
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+      throw createServiceError('ValidationError', 'concurrency must be a positive integer', 'INVALID_CONCURRENCY');
+    }
+    if (deliver === true && dryRun !== false) {
+      throw createServiceError('ValidationError', 'deliver needs dryRun: false, delivered answers act on real orders', 'INVALID_BATCH_OPTIONS');
+    }
+
+    const batch = {
+      id: uuidv4(),
+      status: 'running',
+      concurrency: Math.min(concurrency || this.concurrency, this.concurrency),
+      deliver: deliver === true,
+      dryRun: dryRun !== false,
+      createdBy: actor,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+      items: cleanItems.map((item, index) => ({
+        index,
+        question: item.question,
+        whatsapp_number: item.whatsapp_number,
+        questionId: null,
+        status: 'pending',
+        response: null,
+        tags: null,
+        processingTime: null,
+        error: null
+      }))
+    };
+    await this.store.update(data => {
+      this.removeExpired(data.batches);
+      data.batches[batch.id] = batch;
+    });
+    logger.info(`Batch ${batch.id} created by ${actor || 'unknown'} with ${batch.items.length} questions`);
+
+    this.start(batch.id);
+    return this.summarize(batch);
+  }
+
+  validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw createServiceError('ValidationError', 'items must be a non-empty array of { question, whatsapp_number }', 'INVALID_BATCH');
+    }
+    if (items.length > this.maxItems) {
+      throw createServiceError('ValidationError', `A batch can hold at most ${this.maxItems} questions`, 'BATCH_TOO_LARGE');
+    }
+
+    return items.map((item, index) => {
+      const question = item && typeof item.question === 'string' ? item.question.trim() : '';
+      if (!question || question.length > MAX_QUESTION_LENGTH) {
+        throw createServiceError('ValidationError', `Item ${index}: question must be 1-${MAX_QUESTION_LENGTH} characters`, 'INVALID_BATCH_ITEM');
+      }
+      const whatsappNumber = item.whatsapp_number === undefined || item.whatsapp_number === null
+        ? null
+        : String(item.whatsapp_number);
+      return { question, whatsapp_number: whatsappNumber };
+    });
+  }
+
+  /**
+   * Continue batches that were running when the server stopped
+   * @returns {Promise<number>} - Batches resumed
+   */
+  async resume() {
+    await this.prune();
+    const data = await this.store.read();
+    const running = Object.values(data.batches).filter(batch => batch.status === 'running');
+    running.forEach(batch => this.start(batch.id));
+    if (running.length > 0) {
+      logger.info(`Resumed ${running.length} batches`);
+    }
+    return running.length;
+  }
+
+  /**
+   * Delete batches that finished more than `retentionMs` ago
+   * @returns {Promise<number>} - Batches deleted
+   */
+  async prune() {
+    // Skip the write when nothing expired
+    if (this.expiredIds((await this.store.read()).batches).length === 0) return 0;
+    const removed = await this.store.update(data => this.removeExpired(data.batches));
+    if (removed > 0) {
+      logger.info(`Pruned ${removed} finished batches`);
+    }
+    return removed;
+  }
+
+  expiredIds(batches) {
+    const cutoff = Date.now() - this.retentionMs;
+    return Object.values(batches)
+      .filter(batch => batch.status !== 'running' && batch.finishedAt && Date.parse(batch.finishedAt) < cutoff)
+      .map(batch => batch.id);
+  }
+
+  removeExpired(batches) {
+    const ids = this.expiredIds(batches);
+    ids.forEach(id => { delete batches[id]; });
+    return ids.length;
+  }
+
+  start(batchId) {
+    if (!this.running.has(batchId)) {
+      const run = this.run(batchId)
+        .catch(error => logger.error(`Batch ${batchId} stopped: ${error.message}`))
+        .finally(() => this.running.delete(batchId));
+      this.running.set(batchId, run);
+    }
+    return this.running.get(batchId);
+  }
+
+  // Run the batch; a batch that cannot go on (e.g. its file cannot be written) is marked failed
+  async run(batchId) {
+    try {
+      await this.runItems(batchId);
+    } catch (error) {
+      await this.store.update(data => {
+        Object.assign(data.batches[batchId], { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+      }).catch(updateError => logger.error(`Batch ${batchId} could not be marked failed: ${updateError.message}`));
+      throw error;
+    }
+  }
+
+  // Keep up to `concurrency` items in the job queue until every item is done
+  async runItems(batchId) {
+    const data = await this.store.read();
+    const batch = data.batches[batchId];
+    const inFlight = new Set();
+
+    // Items submitted before a restart are waited for again
+    const waiting = batch.items.filter(item => item.status === 'queued');
+    const pending = batch.items.filter(item => item.status === 'pending').map(item => item.index);
+
+    const track = promise => {
+      inFlight.add(promise);
+      // A rejection is seen by Promise.race below
+      promise.catch(() => {}).then(() => inFlight.delete(promise));
+    };
+    waiting.forEach(item => track(this.waitForItem(batchId, item.index, item.questionId)));
+
+    while (pending.length > 0 || inFlight.size > 0) {
+      while (pending.length > 0 && inFlight.size < batch.concurrency) {
+        track(this.runItem(batchId, pending.shift(), batch));
+      }
+      await Promise.race(inFlight);
+    }
+
+    await this.store.update(current => {
+      current.batches[batchId].status = 'completed';
+      current.batches[batchId].finishedAt = new Date().toISOString();
+    });
+    logger.info(`Batch ${batchId} completed`);
+  }
+
+  async runItem(batchId, index, { deliver, dryRun }) {
+    const item = (await this.store.read()).batches[batchId].items[index];
+    let questionId;
+    try {
+      questionId = await this.jobService.submit(item.question, item.whatsapp_number, {
+        deliver,
+        // Batches stored before dry runs existed ran with side effects
+        dryRun: dryRun === true,
+        priority: BATCH_PRIORITY,
+        // Batch items are separate questions, even when they repeat one
+        mergeDuplicates: false,
+        debounce: false,
+        source: 'batch',
+        batchId
+      });
+    } catch (error) {
+      return this.updateItem(batchId, index, { status: 'error', error: error.message });
+    }
+
+    await this.updateItem(batchId, index, { status: 'queued', questionId });
+    return this.waitForItem(batchId, index, questionId);
+  }
+
+  async waitForItem(batchId, index, questionId) {
+    let status = null;
+    try {
+      do {
+        status = await this.jobService.waitForCompletion(questionId, ITEM_WAIT_MS);
+      } while (!status && await this.jobService.getStatus(questionId));
+    } catch (error) {
+      return this.updateItem(batchId, index, { status: 'error', error: error.message });
+    }
+
+    if (!status) {
+      return this.updateItem(batchId, index, { status: 'error', error: 'Question job no longer exists' });
+    }
+    if (status.stage !== 'completed') {
+      return this.updateItem(batchId, index, { status: 'error', error: status.message });
+    }
+    return this.updateItem(batchId, index, {
+      status: 'completed',
+      response: status.response ? status.response.response : null,
+      tags: status.tags || null,
+      processingTime: status.processingTime !== undefined ? status.processingTime : null
+    });
+  }
+
+  updateItem(batchId, index, changes) {
+    return this.store.update(data => {
+      Object.assign(data.batches[batchId].items[index], changes);
+    });
+  }
+
+  async findBatch(batchId) {
+    const data = await this.store.read();
+    const batch = data.batches[batchId];
+    if (!batch) {
+      throw createServiceError('NotFoundError', `Batch not found: ${batchId}`, 'BATCH_NOT_FOUND');
+    }
+    return batch;
+  }
+
+  /**
+   * Aggregate progress of a batch
+   * @param {string} batchId
+   * @returns {Promise<Object>} - { id, status, total, counts, progress, concurrency, deliver, dryRun, createdAt, finishedAt, error }
+   */
+  async getBatch(batchId) {
+    return this.summarize(await this.findBatch(batchId));
+  }
+
+  summarize(batch) {
+    const counts = { pending: 0, queued: 0, completed: 0, error: 0 };
+    batch.items.forEach(item => { counts[item.status] += 1; });
+    const total = batch.items.length;
+    return {
+      id: batch.id,
+      status: batch.status,
+      total,
+      counts,
+      progress: Math.round(((counts.completed + counts.error) / total) * 100),
+      concurrency: batch.concurrency,
+      deliver: batch.deliver,
+      dryRun: batch.dryRun === true,
+      createdBy: batch.createdBy,
+      createdAt: batch.createdAt,
+      finishedAt: batch.finishedAt,
+      error: batch.error || null
+    };
+  }
+
+  /**
+   * Per-question results of a batch
+   * @param {string} batchId
+   * @param {string} format - 'json' or 'csv'
+   * @returns {Promise<string>} - Serialized results
+   */
+  async exportResults(batchId, format = 'json') {
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw createServiceError('ValidationError', `Unsupported format: ${format} (use json or csv)`, 'UNSUPPORTED_FORMAT');
+    }
+
+    const batch = await this.findBatch(batchId);
+    const results = batch.items.map(item => ({
+      index: item.index,
+      question: item.question,
+      whatsapp_number: item.whatsapp_number,
+      questionId: item.questionId,
+      status: item.status,
+      answer: item.response,
+      tags: item.tags,
+      processingTime: item.processingTime,
+      error: item.error
+    }));
+
+    if (format === 'json') {
+      return JSON.stringify({ batch: this.summarize(batch), results }, null, 2);
+    }
+
+    const lines = [CSV_COLUMNS.join(',')];
+    results.forEach(result => {
+      lines.push(CSV_COLUMNS.map(column => this.escapeCsvValue(result[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  escapeCsvValue(value) {
+    if (value === undefined || value === null) return '';
+    let text = Array.isArray(value) ? value.join('|') : String(value);
+    // Customer text must not run as a spreadsheet formula
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = BatchService;
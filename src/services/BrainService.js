@@ -3805,6 +3805,12 @@ class BrainService {
       return "price_inquiry";
     if (lowerText.match(/\b(ada|tersedia|ready|stock|masih)\b/))
       return "availability";
+    if (
+      lowerText.match(
+        /\b(status|cek) (pesanan|order)\b|\b(pesanan|pesenan|orderan)\b.*\b(gimana|bagaimana|udah|sudah|belum|kapan)\b/
+      )
+    )
+      return "order_status";
     if (lowerText.match(/\b(bayar|pembayaran|transfer|dana|ovo|gopay)\b/))
       return "payment";
     if (lowerText.match(/\b(bantuan|bantu|help|tolong)\b/)) return "help";
@@ -4118,6 +4124,11 @@ class BrainService {
         "Tentu saja saya akan membantu. Mohon jelaskan lebih spesifik apa yang Anda butuhkan.",
         "Saya siap membantu menyelesaikan masalah Anda. Bisa dijelaskan lebih detail situasinya?",
       ],
+      order_status: [
+        "Status pesanan dicek otomatis dari nomor WhatsApp yang Anda pakai saat memesan, jadi tidak perlu mengirim nomor pesanan. Mohon tunggu sebentar ya.",
+        "Pesanan Anda kami cari berdasarkan nomor WhatsApp ini. Jika memesan dengan nomor lain, mohon kabari kami nomornya.",
+        "Kami akan mengecek pesanan yang terdaftar atas nomor WhatsApp ini. Jika sudah membayar, akun dikirim otomatis begitu pembayaran terkonfirmasi.",
+      ],
       goodbye: [
         "Terima kasih telah menggunakan layanan kami! Jangan ragu untuk kembali jika ada pertanyaan lain.",
         "Sampai jumpa! Semoga hari Anda menyenangkan. Kami selalu siap membantu kapan saja.",
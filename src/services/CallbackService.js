@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { createServiceError } = require('../utils/serviceError');
+
+const SIGNATURE_HEADER = 'x-signature-256';
+
+// Callbacks may not reach the server's own network: unspecified, private, CGNAT,
+// loopback, link-local (cloud metadata) and multicast addresses
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = address => {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// DNS lookup for callback connections that refuses names resolving to a blocked address,
+// checked on the address actually connected to so a changing DNS answer cannot bypass it
+const publicLookup = (hostname, options, callback) => dns.lookup(hostname, options, (error, address, family) => {
+  if (error) return callback(error);
+  const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+  const blocked = addresses.find(isBlockedAddress);
+  if (blocked) {
+    return callback(createServiceError('ValidationError', `Callback host ${hostname} resolves to blocked address ${blocked}`, 'CALLBACK_HOST_NOT_ALLOWED'));
+  }
+  callback(null, address, family);
+});
+
+/**
+ * Completion callbacks for POST /api/ask.
+ *
+ * The final job status is POSTed as JSON to the client's `callback_url`.
+ * When a secret is known (per request or CALLBACK_SECRET) the body is signed
+ * in `X-Signature-256: sha256=<hex HMAC of the raw body>`. Callbacks that
+ * still fail after every retry are kept as dead letters.
+ *
+ * Only public hosts are called back. With CALLBACK_ALLOWED_HOSTS set, only
+ * the listed hosts are accepted instead (they may be internal).
+ */
+class CallbackService {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - Default signing secret
+   * @param {number} options.maxAttempts - Attempts before a callback becomes a dead letter
+   * @param {number} options.retryDelayMs - Delay before the first retry, doubled after each failure
+   * @param {number} options.timeoutMs - Timeout of one POST
+   * @param {string} options.deadLetterPath - Path of the dead letter file
+   * @param {Array<string>} options.allowedHosts - Only accept callback URLs on these hosts
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.CALLBACK_SECRET || null;
+    this.maxAttempts = options.maxAttempts || Number(process.env.CALLBACK_MAX_ATTEMPTS) || 5;
+    this.retryDelayMs = options.retryDelayMs !== undefined
+      ? options.retryDelayMs
+      : Number(process.env.CALLBACK_RETRY_DELAY_MS || 1000);
+    this.timeoutMs = options.timeoutMs || Number(process.env.CALLBACK_TIMEOUT_MS) || 10000;
+    this.deadLetterPath = options.deadLetterPath || process.env.CALLBACK_DEAD_LETTER_PATH || './data/callback-dead-letters.json';
+    this.store = new JsonFileStore(this.deadLetterPath, () => ({ deadLetters: [] }));
+    this.allowedHosts = (options.allowedHosts || (process.env.CALLBACK_ALLOWED_HOSTS || '').split(','))
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+    // Without an allow-list every connection goes through publicLookup
+    this.agents = this.allowedHosts.length > 0
+      ? {}
+      : { httpAgent: new http.Agent({ lookup: publicLookup }), httpsAgent: new https.Agent({ lookup: publicLookup }) };
+  }
+
+  /**
+   * Validate the callback fields of an /api/ask body
+   * @param {string} url - callback_url
+   * @param {string} secret - callback_secret, optional
+   * @returns {Object|null} - { url, secret } or null when no callback was requested.
+   *   `secret` is only the per-request one; CALLBACK_SECRET is looked up at delivery.
+   */
+  normalizeTarget(url, secret) {
+    if (url === undefined || url === null || url === '') return null;
+
+    let parsed;
+    try {
+      parsed = new URL(String(url));
+    } catch (error) {
+      throw createServiceError('ValidationError', 'callback_url must be a valid URL', 'INVALID_CALLBACK_URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw createServiceError('ValidationError', 'callback_url must use http or https', 'INVALID_CALLBACK_URL');
+    }
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const allowed = this.allowedHosts.length > 0
+      ? this.allowedHosts.includes(host)
+      : host !== 'localhost' && !host.endsWith('.localhost') && !isBlockedAddress(host);
+    if (!allowed) {
+      throw createServiceError('ValidationError', `callback_url host ${host} is not allowed`, 'CALLBACK_HOST_NOT_ALLOWED');
+    }
+    if (secret !== undefined && secret !== null && typeof secret !== 'string') {
+      throw createServiceError('ValidationError', 'callback_secret must be a string', 'INVALID_CALLBACK_SECRET');
+    }
+
+    return { url: parsed.toString(), secret: secret || null };
+  }
+
+  sign(secret, rawBody) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  }
+
+  /**
+   * POST the payload to the callback URL, retrying with exponential backoff
+   * @param {Object} params
+   * @param {string} params.questionId - Job the callback reports
+   * @param {Object} params.target - Result of normalizeTarget
+   * @param {Object} params.payload - Final job status
+   * @param {Function} onUpdate - Receives the callback record after every attempt
+   * @returns {Promise<Object>} - { url, status: 'sent'|'failed', attempts, lastError, lastStatusCode, sentAt, deadLetterId }
+   */
+  async deliver({ questionId, target, payload }, onUpdate = () => {}) {
+    const rawBody = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', 'X-Question-Id': questionId };
+    const secret = target.secret || this.secret;
+    if (secret) {
+      headers['X-Signature-256'] = this.sign(secret, rawBody);
+    }
+
+    const record = {
+      url: target.url,
+      status: 'sending',
+      attempts: 0,
+      lastError: null,
+      lastStatusCode: null,
+      sentAt: null
+    };
+    onUpdate({ ...record });
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      record.attempts = attempt;
+      try {
+        const response = await axios.post(target.url, rawBody, {
+          headers,
+          timeout: this.timeoutMs,
+          maxRedirects: 0,
+          ...this.agents
+        });
+        record.status = 'sent';
+        record.lastStatusCode = response.status;
+        record.sentAt = new Date().toISOString();
+        logger.info(`Callback for ${questionId} delivered to ${target.url}`);
+        onUpdate({ ...record });
+        return { ...record };
+      } catch (error) {
+        record.lastError = error.message;
+        record.lastStatusCode = error.response ? error.response.status : null;
+        logger.warn(`Callback for ${questionId} to ${target.url} failed (attempt ${attempt}/${this.maxAttempts}): ${error.message}`);
+        if (attempt < this.maxAttempts) {
+          onUpdate({ ...record });
+          await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** (attempt - 1)));
+        }
+      }
+    }
+
+    record.status = 'failed';
+    record.deadLetterId = await this.recordDeadLetter({ questionId, target, payload, record });
+    logger.error(`Callback for ${questionId} to ${target.url} failed after ${this.maxAttempts} attempts`);
+    onUpdate({ ...record });
+    return { ...record };
+  }
+
+  /**
+   * Keep a callback that failed permanently. The secret is not stored.
+   * @returns {Promise<string>} - Dead letter id
+   */
+  async recordDeadLetter({ questionId, target, payload, record }) {
+    const id = uuidv4();
+    await this.store.update(data => {
+      data.deadLetters.push({
+        id,
+        questionId,
+        url: target.url,
+        signed: Boolean(target.secret || this.secret),
+        payload,
+        attempts: record.attempts,
+        lastError: record.lastError,
+        lastStatusCode: record.lastStatusCode,
+        failedAt: new Date().toISOString()
+      });
+    });
+    return id;
+  }
+
+  /**
+   * Callbacks that failed permanently, newest first
+   * @param {Object} filters
+   * @param {string} filters.questionId - Only dead letters of this job
+   * @returns {Promise<Array>}
+   */
+  async listDeadLetters({ questionId } = {}) {
+    const data = await this.store.read();
+    return data.deadLetters
+      .filter(deadLetter => !questionId || deadLetter.questionId === questionId)
+      .sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+  }
+}
+
+CallbackService.SIGNATURE_HEADER = SIGNATURE_HEADER;
+
+module.exports = CallbackService;
@@ -0,0 +1,903 @@
+const path = require('path');
+const fuzz = require('fuzzball');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { createServiceError } = require('../utils/serviceError');
+
+const EDITABLE_FIELDS = [
+  'name', 'price', 'stock', 'desc', 'active', 'aliases', 'slang', 'keywords', 'parentId', 'attributes',
+  'warrantyDays'
+];
+const PARENT_FIELDS = ['name', 'desc', 'active', 'aliases', 'slang', 'keywords'];
+const BUNDLE_FIELDS = ['name', 'price', 'desc', 'active', 'items', 'aliases', 'slang', 'keywords'];
+const TERM_FIELDS = ['aliases', 'slang', 'keywords'];
+const ATTRIBUTE_FIELDS = {
+  profiles: 'integer',
+  users: 'integer',
+  duration: 'string',
+  quality: 'string'
+};
+const MAX_AUDIT_ENTRIES = 1000;
+const MAX_WINDOW_WORDS = 5;
+const MAX_SEARCH_WORDS = 60;
+const KEYWORD_WEIGHT = 0.85;
+
+// Words that never identify a product on their own ("akun", "harga", ...)
+const GENERIC_WORDS = new Set([
+  'akun', 'ada', 'apa', 'atau', 'aku', 'bang', 'beli', 'berapa', 'bisa', 'cek', 'dan', 'dong',
+  'ga', 'gak', 'gan', 'harga', 'info', 'ini', 'itu', 'kak', 'ka', 'kah', 'masih', 'mau', 'min',
+  'nggak', 'nya', 'order', 'paket', 'pesan', 'premium', 'produk', 'ready', 'saya', 'sharing',
+  'sis', 'stok', 'stock', 'tanya', 'tersedia', 'tidak', 'untuk', 'ya', 'yang'
+]);
+
+class CatalogService {
+  constructor(options = {}) {
+    this.catalogPath = path.resolve(
+      options.catalogPath || process.env.CATALOG_PATH || './data/catalog.json'
+    );
+    this.store = new JsonFileStore(this.catalogPath, () => this.getDefaultCatalog());
+    this.products = [];
+    this.parents = [];
+    this.bundles = [];
+  }
+
+  /**
+   * Load the catalog from disk. Cheap to call before every request: the file
+   * is only re-read when it changed.
+   * @returns {Promise<Array>} - All valid products, including inactive ones
+   */
+  async load() {
+    try {
+      const data = await this.store.read();
+
+      this.products = this.filterValid(data.products, 'Catalog entry', product => this.validateProduct(product));
+      this.parents = this.filterValid(data.parents, 'Parent product', parent => this.validateParent(parent));
+      this.bundles = this.filterValid(data.bundles, 'Bundle', bundle => this.validateBundle(bundle));
+      return this.products;
+    } catch (error) {
+      logger.error(`Error loading catalog from ${this.catalogPath}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  filterValid(entries, label, validate) {
+    return (Array.isArray(entries) ? entries : []).filter((entry, index) => {
+      const errors = validate(entry);
+      if (errors.length > 0) {
+        logger.warn(`${label} ${index} skipped: ${errors.join(', ')}`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Catalog used when no catalog file exists yet
+   * @returns {Object} - Catalog data
+   */
+  getDefaultCatalog() {
+    return {
+      products: [
+        {
+          id: 'gmail-fresh',
+          name: 'Akun Gmail Fresh',
+          price: 5000,
+          stock: 2,
+          desc: 'Akun Gmail baru dengan garansi 7 hari. Cocok untuk keperluan registrasi atau akun utama.',
+          active: true,
+          warrantyDays: 7,
+          parentId: 'gmail',
+          attributes: { duration: 'permanen' },
+          aliases: ['gmail baru', 'gmail fresh'],
+          slang: ['gmail new', 'email baru'],
+          keywords: ['gmail', 'email', 'google']
+        },
+        {
+          id: 'gmail-aged',
+          name: 'Akun Gmail Aged',
+          price: 15000,
+          stock: 1,
+          desc: 'Akun Gmail berumur lebih dari 1 tahun dengan garansi 14 hari. Cocok untuk bisnis atau akun verifikasi.',
+          active: true,
+          warrantyDays: 14,
+          parentId: 'gmail',
+          attributes: { duration: 'permanen' },
+          aliases: ['gmail aged', 'gmail lama'],
+          slang: ['gmail tua', 'gmail old'],
+          keywords: ['gmail', 'email', 'google']
+        },
+        {
+          id: 'netflix-1p1u',
+          name: 'Netflix 1P1U',
+          price: 24000,
+          stock: 0,
+          desc: 'Akun Netflix sharing dengan 1 profile dan 1 user. Bebas gangguan, bisa digunakan kapan saja.',
+          active: true,
+          parentId: 'netflix',
+          attributes: { profiles: 1, users: 1, duration: '1 bulan', quality: 'HD' },
+          aliases: ['netflix 1 profile 1 user', 'netflix private'],
+          slang: ['nf 1p1u', 'netflix 1u'],
+          keywords: ['netflix', 'nf', 'netplix']
+        },
+        {
+          id: 'netflix-1p2u',
+          name: 'Netflix 1P2U',
+          price: 13000,
+          stock: 5,
+          desc: 'Akun Netflix sharing dengan 1 profile untuk 2 user. Ada kemungkinan kendala jika dipakai bersamaan.',
+          active: true,
+          parentId: 'netflix',
+          attributes: { profiles: 1, users: 2, duration: '1 bulan', quality: 'HD' },
+          aliases: ['netflix 1 profile 2 user', 'netflix sharing'],
+          slang: ['nf 1p2u', 'netflix 2u', 'nf sharing'],
+          keywords: ['netflix', 'nf', 'netplix']
+        },
+        {
+          id: 'netflix-4k-uhd',
+          name: 'Netflix Premium 4K UHD',
+          price: 50000,
+          stock: 3,
+          desc: 'Akun Netflix sharing dengan kualitas 4K UHD. Bisa digunakan di 4 perangkat bersamaan.',
+          active: true,
+          parentId: 'netflix',
+          attributes: { users: 4, duration: '1 bulan', quality: '4K UHD' },
+          aliases: ['netflix 4k', 'netflix uhd', 'netflix premium'],
+          slang: ['nf premium', 'nf 4k', 'netflix premium 4k'],
+          keywords: ['netflix', 'nf', 'netplix', '4k', 'uhd']
+        },
+        {
+          id: 'disney-hotstar',
+          name: 'Disney+ Hotstar',
+          price: 30000,
+          stock: 8,
+          desc: 'Akun Disney+ Hotstar premium untuk menonton film dan serial eksklusif Disney, Marvel, dan lainnya.',
+          active: true,
+          aliases: ['disney plus', 'disney hotstar', 'hotstar'],
+          slang: ['disney', 'dp', 'disney+'],
+          keywords: ['disney', 'marvel', 'hotstar']
+        }
+      ],
+      parents: [
+        {
+          id: 'netflix',
+          name: 'Netflix',
+          desc: 'Akun Netflix sharing, tersedia beberapa pilihan profile, user dan kualitas.',
+          active: true,
+          aliases: ['netflix sharing', 'akun netflix'],
+          slang: ['nf', 'netplix'],
+          keywords: ['netflix']
+        },
+        {
+          id: 'gmail',
+          name: 'Akun Gmail',
+          desc: 'Akun Gmail siap pakai, baru atau berumur.',
+          active: true,
+          aliases: ['gmail', 'akun google'],
+          slang: ['email'],
+          keywords: ['gmail']
+        }
+      ],
+      bundles: []
+    };
+  }
+
+  /**
+   * Validate a product entry
+   * @param {Object} product - Product to validate
+   * @returns {Array<string>} - Validation errors, empty when valid
+   */
+  validateProduct(product) {
+    const errors = [];
+
+    if (!product || typeof product !== 'object') {
+      return ['product must be an object'];
+    }
+    if (typeof product.id !== 'string' || product.id.trim().length === 0) {
+      errors.push('id is required');
+    }
+    if (typeof product.name !== 'string' || product.name.trim().length === 0) {
+      errors.push('name is required');
+    }
+    if (typeof product.price !== 'number' || !Number.isFinite(product.price) || product.price < 0) {
+      errors.push('price must be a non-negative number (IDR)');
+    }
+    if (!Number.isInteger(product.stock) || product.stock < 0) {
+      errors.push('stock must be a non-negative integer');
+    }
+    if (product.desc !== undefined && typeof product.desc !== 'string') {
+      errors.push('desc must be a string');
+    }
+    if (product.active !== undefined && typeof product.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    }
+    if (product.parentId !== undefined && product.parentId !== null && typeof product.parentId !== 'string') {
+      errors.push('parentId must be a string');
+    }
+    if (product.warrantyDays !== undefined && (!Number.isInteger(product.warrantyDays) || product.warrantyDays < 0)) {
+      errors.push('warrantyDays must be a non-negative integer');
+    }
+    if (product.attributes !== undefined) {
+      if (!product.attributes || typeof product.attributes !== 'object' || Array.isArray(product.attributes)) {
+        errors.push('attributes must be an object');
+      } else {
+        Object.entries(product.attributes).forEach(([name, value]) => {
+          const type = ATTRIBUTE_FIELDS[name];
+          if (!type) {
+            errors.push(`unknown attribute ${name} (use ${Object.keys(ATTRIBUTE_FIELDS).join(', ')})`);
+          } else if (type === 'integer' ? !Number.isInteger(value) || value < 1 : typeof value !== 'string') {
+            errors.push(`attribute ${name} must be ${type === 'integer' ? 'a positive integer' : 'a string'}`);
+          }
+        });
+      }
+    }
+    errors.push(...this.validateTerms(product));
+
+    return errors;
+  }
+
+  /**
+   * Validate a parent product (groups variants such as Netflix 1P1U / 1P2U / 4K)
+   * @param {Object} parent - Parent product to validate
+   * @returns {Array<string>} - Validation errors, empty when valid
+   */
+  validateParent(parent) {
+    if (!parent || typeof parent !== 'object') {
+      return ['parent must be an object'];
+    }
+
+    const errors = [];
+    if (typeof parent.id !== 'string' || parent.id.trim().length === 0) {
+      errors.push('id is required');
+    }
+    if (typeof parent.name !== 'string' || parent.name.trim().length === 0) {
+      errors.push('name is required');
+    }
+    if (parent.desc !== undefined && typeof parent.desc !== 'string') {
+      errors.push('desc must be a string');
+    }
+    if (parent.active !== undefined && typeof parent.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    }
+    errors.push(...this.validateTerms(parent));
+    return errors;
+  }
+
+  /**
+   * Validate a bundle (several products sold together for one price)
+   * @param {Object} bundle - Bundle to validate
+   * @returns {Array<string>} - Validation errors, empty when valid
+   */
+  validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object') {
+      return ['bundle must be an object'];
+    }
+
+    const errors = [];
+    if (typeof bundle.id !== 'string' || bundle.id.trim().length === 0) {
+      errors.push('id is required');
+    }
+    if (typeof bundle.name !== 'string' || bundle.name.trim().length === 0) {
+      errors.push('name is required');
+    }
+    if (typeof bundle.price !== 'number' || !Number.isFinite(bundle.price) || bundle.price < 0) {
+      errors.push('price must be a non-negative number (IDR)');
+    }
+    if (bundle.active !== undefined && typeof bundle.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    }
+    if (!Array.isArray(bundle.items) || bundle.items.length === 0) {
+      errors.push('items must be a non-empty array');
+    } else {
+      bundle.items.forEach((item, index) => {
+        if (!item || typeof item.productId !== 'string') {
+          errors.push(`items[${index}].productId is required`);
+        }
+        if (!item || !Number.isInteger(item.quantity) || item.quantity < 1) {
+          errors.push(`items[${index}].quantity must be a positive integer`);
+        }
+      });
+    }
+    errors.push(...this.validateTerms(bundle));
+    return errors;
+  }
+
+  validateTerms(entry) {
+    return TERM_FIELDS
+      .filter(field => {
+        const value = entry[field];
+        return value !== undefined && (!Array.isArray(value) || value.some(term => typeof term !== 'string'));
+      })
+      .map(field => `${field} must be an array of strings`);
+  }
+
+  /**
+   * Products from the last load()
+   * @param {Object} options
+   * @param {boolean} options.includeInactive - Also return inactive products
+   * @returns {Array} - Products
+   */
+  listProducts({ includeInactive = false } = {}) {
+    return includeInactive
+      ? this.products
+      : this.products.filter(product => product.active !== false);
+  }
+
+  /**
+   * Find a product by ID
+   * @param {string} id - Product ID
+   * @returns {Object|null} - Product or null
+   */
+  getProduct(id) {
+    return this.products.find(product => product.id === id) || null;
+  }
+
+  /**
+   * Parent products from the last load()
+   * @param {Object} options
+   * @param {boolean} options.includeInactive - Also return inactive parents
+   * @returns {Array} - Parent products
+   */
+  listParents({ includeInactive = false } = {}) {
+    return includeInactive
+      ? this.parents
+      : this.parents.filter(parent => parent.active !== false);
+  }
+
+  getParent(id) {
+    return this.parents.find(parent => parent.id === id) || null;
+  }
+
+  /**
+   * Variants of a parent product
+   * @param {string} parentId - Parent product ID
+   * @param {Object} options
+   * @param {boolean} options.includeInactive - Also return inactive variants
+   * @returns {Array} - Products whose parentId is parentId
+   */
+  getVariants(parentId, { includeInactive = false } = {}) {
+    return this.listProducts({ includeInactive }).filter(product => product.parentId === parentId);
+  }
+
+  /**
+   * Bundles from the last load(), with stock derived from their items
+   * @param {Object} options
+   * @param {boolean} options.includeInactive - Also return inactive bundles
+   * @returns {Array} - Bundles, each with a computed `stock`
+   */
+  listBundles({ includeInactive = false } = {}) {
+    return this.bundles
+      .filter(bundle => includeInactive || bundle.active !== false)
+      .map(bundle => ({ ...bundle, stock: this.getBundleStock(bundle) }));
+  }
+
+  getBundle(id) {
+    const bundle = this.bundles.find(b => b.id === id);
+    return bundle ? { ...bundle, stock: this.getBundleStock(bundle) } : null;
+  }
+
+  /**
+   * How many complete bundles can be sold with the current item stock
+   * @param {Object} bundle - Bundle
+   * @returns {number} - Available bundles
+   */
+  getBundleStock(bundle) {
+    return Math.min(...bundle.items.map(item => {
+      const product = this.getProduct(item.productId);
+      if (!product || product.active === false) return 0;
+      return Math.floor(product.stock / item.quantity);
+    }));
+  }
+
+  /**
+   * Short description of variant attributes, e.g. "1 profile, 2 user, 1 bulan, HD"
+   * @param {Object} product - Product with optional attributes
+   * @returns {string} - Description, empty when the product has no attributes
+   */
+  describeAttributes(product) {
+    const attributes = product.attributes || {};
+    const parts = [];
+    if (attributes.profiles) parts.push(`${attributes.profiles} profile`);
+    if (attributes.users) parts.push(`${attributes.users} user`);
+    if (attributes.duration) parts.push(attributes.duration);
+    if (attributes.quality) parts.push(attributes.quality);
+    return parts.join(', ');
+  }
+
+  /**
+   * Find the products mentioned in a text, best match first.
+   * Every window of up to 5 consecutive words is compared against the product
+   * name, aliases and slang (token-set and partial scoring) and against the
+   * keywords (slightly lower weight).
+   * @param {string} text - Product name or a whole customer message
+   * @param {Object} options
+   * @param {number} options.threshold - Minimum score (0-100)
+   * @param {number} options.limit - Maximum number of candidates
+   * @param {boolean} options.includeInactive - Also match inactive products
+   * @returns {Array<Object>} - [{ product, score, matchedTerm }]
+   */
+  searchProducts(text, options = {}) {
+    return this.rankEntries(this.listProducts(options), text, options)
+      .map(({ entry, score, matchedTerm }) => ({ product: entry, score, matchedTerm }));
+  }
+
+  /**
+   * Same as searchProducts, for parent products ("netflix" -> Netflix)
+   * @returns {Array<Object>} - [{ parent, score, matchedTerm }]
+   */
+  searchParents(text, options = {}) {
+    return this.rankEntries(this.listParents(options), text, options)
+      .map(({ entry, score, matchedTerm }) => ({ parent: entry, score, matchedTerm }));
+  }
+
+  /**
+   * Same as searchProducts, for bundles
+   * @returns {Array<Object>} - [{ bundle, score, matchedTerm }]
+   */
+  searchBundles(text, options = {}) {
+    return this.rankEntries(this.listBundles(options), text, options)
+      .map(({ entry, score, matchedTerm }) => ({ bundle: entry, score, matchedTerm }));
+  }
+
+  rankEntries(entries, text, { threshold = this.getMatchThreshold(), limit = 5 } = {}) {
+    const windows = this.getSearchWindows(text);
+    if (windows.length === 0) return [];
+
+    return entries
+      .map(entry => {
+        let best = { score: 0, matchedTerm: null };
+        const terms = [
+          ...[entry.name, ...(entry.aliases || []), ...(entry.slang || [])].map(term => ({ term, weight: 1 })),
+          ...(entry.keywords || []).map(term => ({ term, weight: KEYWORD_WEIGHT }))
+        ];
+
+        terms.forEach(({ term, weight }) => {
+          const normalizedTerm = term.toLowerCase().trim();
+          windows.forEach(window => {
+            const score = Math.round(this.scoreTerm(window, normalizedTerm) * weight);
+            if (score > best.score) {
+              best = { score, matchedTerm: term };
+            }
+          });
+        });
+
+        return { entry, ...best };
+      })
+      .filter(candidate => candidate.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Similarity between a search window and one product term (0-100).
+   * Token-set matches are discounted when the window covers only part of the
+   * term, so "netflix 1p2u" ranks the exact variant above other Netflix products.
+   */
+  scoreTerm(query, term) {
+    if (!query || !term) return 0;
+
+    const coverage = Math.min(query.length, term.length) / Math.max(query.length, term.length);
+    const tokenSet = fuzz.token_set_ratio(query, term) * (0.7 + 0.3 * coverage);
+    const partial = query.length >= 4 ? fuzz.partial_ratio(query, term) * (0.6 + 0.3 * coverage) : 0;
+
+    return Math.max(fuzz.ratio(query, term), tokenSet, partial);
+  }
+
+  getSearchWindows(text) {
+    const words = (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9+\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, MAX_SEARCH_WORDS);
+
+    const windows = new Set();
+    for (let i = 0; i < words.length; i++) {
+      for (let j = i + 1; j <= Math.min(i + MAX_WINDOW_WORDS, words.length); j++) {
+        const slice = words.slice(i, j);
+        if (slice.every(word => GENERIC_WORDS.has(word))) continue;
+        windows.add(slice.join(' '));
+      }
+    }
+    return [...windows];
+  }
+
+  getMatchThreshold() {
+    return process.env.CATALOG_MATCH_THRESHOLD ? parseInt(process.env.CATALOG_MATCH_THRESHOLD) : 70;
+  }
+
+  /**
+   * Create a new product
+   * @param {Object} input - Product fields; id is derived from the name when omitted
+   * @param {string} actor - Who made the change
+   * @returns {Promise<Object>} - Created product
+   */
+  async createProduct(input, actor = 'system') {
+    const product = {
+      id: input.id || this.slugify(input.name || ''),
+      ...this.pickEditableFields(input),
+      active: input.active !== undefined ? input.active : true,
+      desc: input.desc !== undefined ? input.desc : ''
+    };
+    this.assertValid(product);
+
+    await this.store.update(data => {
+      data.products = data.products || [];
+      if (data.products.some(p => p.id === product.id)) {
+        throw createServiceError('ConflictError', `Product ${product.id} already exists`, 'PRODUCT_EXISTS');
+      }
+      data.products.push(product);
+      this.recordAudit(data, { actor, action: 'create', productId: product.id, changes: product });
+    });
+    await this.load();
+
+    logger.info(`Product ${product.id} created by ${actor}`);
+    return product;
+  }
+
+  /**
+   * Update fields of an existing product
+   * @param {string} id - Product ID
+   * @param {Object} changes - Fields to change
+   * @param {string} actor - Who made the change
+   * @returns {Promise<Object>} - Updated product
+   */
+  async updateProduct(id, changes, actor = 'system') {
+    const fields = this.pickEditableFields(changes);
+
+    const updated = await this.store.update(data => {
+      const index = this.findIndexOrThrow(data, id);
+      const current = data.products[index];
+      const next = { ...current, ...fields };
+      this.assertValid(next);
+
+      const diff = {};
+      Object.keys(fields).forEach(field => {
+        if (JSON.stringify(current[field]) !== JSON.stringify(next[field])) {
+          diff[field] = { from: current[field], to: next[field] };
+        }
+      });
+
+      data.products[index] = next;
+      this.recordAudit(data, { actor, action: 'update', productId: id, changes: diff });
+      return next;
+    });
+    await this.load();
+
+    logger.info(`Product ${id} updated by ${actor}`);
+    return updated;
+  }
+
+  /**
+   * Delete a product
+   * @param {string} id - Product ID
+   * @param {string} actor - Who made the change
+   * @returns {Promise<Object>} - Deleted product
+   */
+  async deleteProduct(id, actor = 'system') {
+    const removed = await this.store.update(data => {
+      const index = this.findIndexOrThrow(data, id);
+      const [product] = data.products.splice(index, 1);
+      this.recordAudit(data, { actor, action: 'delete', productId: id });
+      return product;
+    });
+    await this.load();
+
+    logger.info(`Product ${id} deleted by ${actor}`);
+    return removed;
+  }
+
+  /**
+   * Change the stock of a product, either relative (delta) or absolute (stock)
+   * @param {string} id - Product ID
+   * @param {Object} adjustment
+   * @param {number} adjustment.delta - Amount to add (negative to remove)
+   * @param {number} adjustment.stock - New absolute stock
+   * @param {string} adjustment.reason - Why the stock changed
+   * @param {string} actor - Who made the change
+   * @returns {Promise<Object>} - Updated product
+   */
+  async adjustStock(id, { delta, stock, reason } = {}, actor = 'system') {
+    if (stock === undefined && !Number.isInteger(delta)) {
+      throw createServiceError('ValidationError', 'delta must be an integer', 'INVALID_STOCK_ADJUSTMENT');
+    }
+    if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+      throw createServiceError('ValidationError', 'stock must be a non-negative integer', 'INVALID_STOCK_ADJUSTMENT');
+    }
+
+    const updated = await this.store.update(data => {
+      const index = this.findIndexOrThrow(data, id);
+      const current = data.products[index];
+      const nextStock = stock !== undefined ? stock : current.stock + delta;
+      if (nextStock < 0) {
+        throw createServiceError('ValidationError', `Not enough stock for ${id} (current: ${current.stock})`, 'INSUFFICIENT_STOCK');
+      }
+
+      data.products[index] = { ...current, stock: nextStock };
+      this.recordAudit(data, {
+        actor,
+        action: 'stock_adjust',
+        productId: id,
+        changes: { stock: { from: current.stock, to: nextStock } },
+        reason: reason || null
+      });
+      return data.products[index];
+    });
+    await this.load();
+
+    logger.info(`Stock of ${id} set to ${updated.stock} by ${actor}${reason ? ` (${reason})` : ''}`);
+    return updated;
+  }
+
+  /**
+   * Take stock for an order. Either every item is reserved or none is.
+   * @param {Array<Object>} items - [{ type: 'product'|'bundle', id, quantity }]
+   * @param {Object} meta
+   * @param {string} meta.orderId - Order the stock is reserved for
+   * @param {string} meta.actor - Who made the change
+   * @returns {Promise<void>}
+   */
+  async reserveStock(items, { orderId, actor = 'system' } = {}) {
+    await this.changeStockForItems(items, -1, { orderId, actor, action: 'reserve' });
+    logger.info(`Stock reserved for order ${orderId}`);
+  }
+
+  /**
+   * Return reserved stock, e.g. when an order is cancelled
+   * @param {Array<Object>} items - [{ type: 'product'|'bundle', id, quantity }]
+   * @param {Object} meta - Same as reserveStock
+   * @returns {Promise<void>}
+   */
+  async releaseStock(items, { orderId, actor = 'system' } = {}) {
+    await this.changeStockForItems(items, 1, { orderId, actor, action: 'release' });
+    logger.info(`Stock released for order ${orderId}`);
+  }
+
+  /**
+   * Product quantities behind order items; bundles count as each of their items
+   * @param {Array<Object>} items - [{ type: 'product'|'bundle', id, quantity }]
+   * @param {Array<Object>} bundles - Bundles to expand with, defaults to the loaded catalog
+   * @returns {Map<string, number>} - productId -> quantity
+   */
+  expandItems(items, bundles = this.bundles) {
+    const quantities = new Map();
+    const add = (productId, quantity) => quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+
+    items.forEach(item => {
+      if (item.type !== 'bundle') {
+        add(item.id, item.quantity);
+        return;
+      }
+      const bundle = bundles.find(b => b.id === item.id);
+      if (!bundle) {
+        throw createServiceError('NotFoundError', `Bundle ${item.id} not found`, 'BUNDLE_NOT_FOUND');
+      }
+      bundle.items.forEach(bundleItem => add(bundleItem.productId, bundleItem.quantity * item.quantity));
+    });
+    return quantities;
+  }
+
+  async changeStockForItems(items, direction, { orderId, actor, action }) {
+    await this.store.update(data => {
+      data.products = data.products || [];
+
+      const quantities = this.expandItems(items, data.bundles || []);
+      const changes = [...quantities.entries()].map(([productId, quantity]) => {
+        const index = this.findIndexOrThrow(data, productId);
+        const current = data.products[index];
+        const nextStock = current.stock + direction * quantity;
+        if (nextStock < 0) {
+          throw createServiceError('ConflictError', `Not enough stock for ${current.name} (available: ${current.stock})`, 'INSUFFICIENT_STOCK');
+        }
+        return { index, current, nextStock };
+      });
+
+      changes.forEach(({ index, current, nextStock }) => {
+        data.products[index] = { ...current, stock: nextStock };
+        this.recordAudit(data, {
+          actor,
+          action,
+          productId: current.id,
+          changes: { stock: { from: current.stock, to: nextStock } },
+          reason: orderId ? `order ${orderId}` : null
+        });
+      });
+    });
+    await this.load();
+  }
+
+  /**
+   * Create or replace several products in one write (used by bulk import)
+   * @param {Array<Object>} products - Complete, validated products
+   * @param {string} actor - Who made the change
+   * @returns {Promise<number>} - Number of products written
+   */
+  async importProducts(products, actor = 'system') {
+    products.forEach(product => this.assertValid(product));
+
+    await this.store.update(data => {
+      data.products = data.products || [];
+      products.forEach(product => {
+        const index = data.products.findIndex(p => p.id === product.id);
+        const current = index === -1 ? null : data.products[index];
+        if (current) {
+          data.products[index] = product;
+        } else {
+          data.products.push(product);
+        }
+        this.recordAudit(data, {
+          actor,
+          action: 'import',
+          productId: product.id,
+          changes: current ? { from: current, to: product } : product
+        });
+      });
+    });
+    await this.load();
+
+    return products.length;
+  }
+
+  /**
+   * Create or replace a parent product
+   * @param {string} id - Parent product ID
+   * @param {Object} input - Parent fields
+   * @param {string} actor - Who made the change
+   * @returns {Promise<Object>} - Saved parent
+   */
+  async saveParent(id, input, actor = 'system') {
+    const parent = {
+      id,
+      ...Object.fromEntries(PARENT_FIELDS.filter(field => input[field] !== undefined).map(field => [field, input[field]])),
+      active: input.active !== undefined ? input.active : true
+    };
+    const errors = this.validateParent(parent);
+    if (errors.length > 0) {
+      throw createServiceError('ValidationError', errors.join(', '), 'INVALID_PARENT');
+    }
+
+    await this.upsertEntry('parents', parent, actor);
+    logger.info(`Parent product ${id} saved by ${actor}`);
+    return parent;
+  }
+
+  /**
+   * Create or replace a bundle
+   * @param {string} id - Bundle ID
+   * @param {Object} input - Bundle fields, items as [{ productId, quantity }]
+   * @param {string} actor - Who made the change
+   * @returns {Promise<Object>} - Saved bundle with computed stock
+   */
+  async saveBundle(id, input, actor = 'system') {
+    const bundle = {
+      id,
+      ...Object.fromEntries(BUNDLE_FIELDS.filter(field => input[field] !== undefined).map(field => [field, input[field]])),
+      active: input.active !== undefined ? input.active : true
+    };
+    const errors = this.validateBundle(bundle);
+    if (errors.length === 0) {
+      await this.load();
+      bundle.items
+        .filter(item => !this.getProduct(item.productId))
+        .forEach(item => errors.push(`unknown product ${item.productId}`));
+    }
+    if (errors.length > 0) {
+      throw createServiceError('ValidationError', errors.join(', '), 'INVALID_BUNDLE');
+    }
+
+    await this.upsertEntry('bundles', bundle, actor);
+    logger.info(`Bundle ${id} saved by ${actor}`);
+    return this.getBundle(id);
+  }
+
+  async deleteParent(id, actor = 'system') {
+    return this.deleteEntry('parents', id, actor, 'PARENT_NOT_FOUND');
+  }
+
+  async deleteBundle(id, actor = 'system') {
+    return this.deleteEntry('bundles', id, actor, 'BUNDLE_NOT_FOUND');
+  }
+
+  async upsertEntry(collection, entry, actor) {
+    await this.store.update(data => {
+      data[collection] = data[collection] || [];
+      const index = data[collection].findIndex(existing => existing.id === entry.id);
+      const current = index === -1 ? null : data[collection][index];
+      if (current) {
+        data[collection][index] = entry;
+      } else {
+        data[collection].push(entry);
+      }
+      this.recordAudit(data, {
+        actor,
+        action: current ? 'update' : 'create',
+        [collection === 'parents' ? 'parentId' : 'bundleId']: entry.id,
+        changes: current ? { from: current, to: entry } : entry
+      });
+    });
+    await this.load();
+  }
+
+  async deleteEntry(collection, id, actor, notFoundCode) {
+    const removed = await this.store.update(data => {
+      const index = (data[collection] || []).findIndex(entry => entry.id === id);
+      if (index === -1) {
+        throw createServiceError('NotFoundError', `${id} not found`, notFoundCode);
+      }
+      const [entry] = data[collection].splice(index, 1);
+      this.recordAudit(data, {
+        actor,
+        action: 'delete',
+        [collection === 'parents' ? 'parentId' : 'bundleId']: id
+      });
+      return entry;
+    });
+    await this.load();
+
+    logger.info(`${collection === 'parents' ? 'Parent product' : 'Bundle'} ${id} deleted by ${actor}`);
+    return removed;
+  }
+
+  /**
+   * Read the catalog change history, newest first
+   * @param {Object} options
+   * @param {string} options.productId - Only changes for this product
+   * @param {number} options.limit - Maximum number of entries
+   * @returns {Promise<Array>} - Audit entries
+   */
+  async getAuditLog({ productId, limit = 100 } = {}) {
+    const data = await this.store.read();
+    return (data.auditLog || [])
+      .filter(entry => !productId || entry.productId === productId)
+      .slice(-limit)
+      .reverse();
+  }
+
+  pickEditableFields(input = {}) {
+    return Object.fromEntries(
+      EDITABLE_FIELDS
+        .filter(field => input[field] !== undefined)
+        .map(field => [field, input[field]])
+    );
+  }
+
+  assertValid(product) {
+    const errors = this.validateProduct(product);
+    if (errors.length > 0) {
+      throw createServiceError('ValidationError', errors.join(', '), 'INVALID_PRODUCT');
+    }
+  }
+
+  findIndexOrThrow(data, id) {
+    const index = (data.products || []).findIndex(product => product.id === id);
+    if (index === -1) {
+      throw createServiceError('NotFoundError', `Product ${id} not found`, 'PRODUCT_NOT_FOUND');
+    }
+    return index;
+  }
+
+  recordAudit(data, entry) {
+    data.auditLog = data.auditLog || [];
+    data.auditLog.push({ timestamp: new Date().toISOString(), ...entry });
+    if (data.auditLog.length > MAX_AUDIT_ENTRIES) {
+      data.auditLog.splice(0, data.auditLog.length - MAX_AUDIT_ENTRIES);
+    }
+  }
+
+  slugify(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Format a price in IDR, e.g. 24000 -> "Rp 24.000"
+   * @param {number} price - Price in IDR
+   * @returns {string} - Formatted price
+   */
+  formatPrice(price) {
+    return `Rp ${new Intl.NumberFormat('id-ID').format(price)}`;
+  }
+}
+
+module.exports = CatalogService;
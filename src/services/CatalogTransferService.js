@@ -0,0 +1,341 @@
+const logger = require('../utils/logger');
+const CatalogService = require('./CatalogService');
+const { createServiceError } = require('../utils/serviceError');
+
+const CSV_COLUMNS = [
+  'id', 'name', 'price', 'stock', 'desc', 'active', 'aliases', 'slang', 'keywords',
+  'parentId', 'profiles', 'users', 'duration', 'quality', 'warrantyDays'
+];
+const LIST_COLUMNS = ['aliases', 'slang', 'keywords'];
+// Variant attributes are flat columns in CSV and an `attributes` object in the catalog
+const ATTRIBUTE_COLUMNS = ['profiles', 'users', 'duration', 'quality'];
+const LIST_SEPARATOR = '|';
+const SUPPORTED_FORMATS = ['csv', 'json'];
+
+/**
+ * Bulk import/export of the product catalog as CSV or JSON price lists
+ */
+class CatalogTransferService {
+  constructor(catalogService = new CatalogService()) {
+    this.catalogService = catalogService;
+  }
+
+  /**
+   * Import a price list into the catalog
+   * @param {string|Array|Object} content - CSV text, JSON text, an array of rows or { products: [...] }
+   * @param {Object} options
+   * @param {string} options.format - 'csv' or 'json'
+   * @param {boolean} options.dryRun - Only report the diff, do not change the catalog
+   * @param {string} options.actor - Who made the change
+   * @returns {Promise<Object>} - { applied, summary, diff, errors }
+   */
+  async importCatalog(content, { format = 'json', dryRun = false, actor = 'system' } = {}) {
+    this.assertFormat(format);
+
+    const rows = format === 'csv' ? this.parseCsv(String(content)) : this.parseJsonRows(content);
+
+    await this.catalogService.load();
+    const { products, errors } = this.validateRows(rows, format === 'csv' ? 2 : 1);
+    const diff = this.diffProducts(products);
+    const changed = diff.filter(entry => entry.action !== 'unchanged');
+
+    const summary = {
+      totalRows: rows.length,
+      validRows: products.length,
+      invalidRows: errors.length,
+      create: diff.filter(entry => entry.action === 'create').length,
+      update: diff.filter(entry => entry.action === 'update').length,
+      unchanged: diff.filter(entry => entry.action === 'unchanged').length
+    };
+
+    // A price list with broken rows is never applied partially
+    const applied = !dryRun && errors.length === 0 && changed.length > 0;
+    if (applied) {
+      await this.catalogService.importProducts(
+        changed.map(entry => entry.product),
+        actor
+      );
+      logger.info(`Catalog import by ${actor}: ${summary.create} created, ${summary.update} updated`);
+    }
+
+    return { applied, dryRun, summary, diff, errors };
+  }
+
+  /**
+   * Export the catalog in the same formats the importer accepts
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<string>} - Serialized catalog
+   */
+  async exportCatalog(format = 'json') {
+    this.assertFormat(format);
+
+    await this.catalogService.load();
+    const products = this.catalogService.listProducts({ includeInactive: true });
+
+    if (format === 'json') {
+      return JSON.stringify({ products }, null, 2);
+    }
+
+    const lines = [CSV_COLUMNS.join(',')];
+    products.forEach(product => {
+      lines.push(CSV_COLUMNS.map(column => {
+        let value = product[column];
+        if (LIST_COLUMNS.includes(column) && Array.isArray(value)) {
+          value = value.join(LIST_SEPARATOR);
+        } else if (ATTRIBUTE_COLUMNS.includes(column)) {
+          value = (product.attributes || {})[column];
+        }
+        return this.escapeCsvValue(value);
+      }).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  assertFormat(format) {
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw createServiceError('ValidationError', `Unsupported format: ${format} (use csv or json)`, 'UNSUPPORTED_FORMAT');
+    }
+  }
+
+  parseJsonRows(content) {
+    let data = content;
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw createServiceError('ValidationError', `Invalid JSON: ${error.message}`, 'INVALID_IMPORT_FILE');
+      }
+    }
+
+    const rows = Array.isArray(data) ? data : data && data.products;
+    if (!Array.isArray(rows)) {
+      throw createServiceError('ValidationError', 'JSON import must be an array or { "products": [...] }', 'INVALID_IMPORT_FILE');
+    }
+    return rows;
+  }
+
+  /**
+   * Parse CSV text (RFC 4180 quoting, comma or semicolon separated) into row objects
+   * keyed by the header line
+   * @param {string} text - CSV content
+   * @returns {Array<Object>} - Rows
+   */
+  parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+    const records = [];
+    let record = [];
+    let value = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        record.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        record.push(value);
+        records.push(record);
+        record = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+    if (value.length > 0 || record.length > 0) {
+      record.push(value);
+      records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(cell => cell.trim().length > 0));
+    if (nonEmpty.length === 0) {
+      throw createServiceError('ValidationError', 'CSV file is empty', 'INVALID_IMPORT_FILE');
+    }
+
+    const header = nonEmpty[0].map(cell => cell.trim().toLowerCase());
+    if (!header.includes('name') && !header.includes('id')) {
+      throw createServiceError('ValidationError', 'CSV header must contain at least an id or name column', 'INVALID_IMPORT_FILE');
+    }
+
+    return nonEmpty.slice(1).map(cells => Object.fromEntries(
+      header.map((column, index) => [column, cells[index] !== undefined ? cells[index].trim() : ''])
+    ));
+  }
+
+  /**
+   * Convert raw rows into catalog products and collect per-row errors
+   * @param {Array<Object>} rows - Parsed rows
+   * @param {number} firstRowNumber - Row number of rows[0] in the source file
+   * @returns {Object} - { products, errors }
+   */
+  validateRows(rows, firstRowNumber = 1) {
+    const products = [];
+    const errors = [];
+    const seenIds = new Map();
+
+    rows.forEach((row, index) => {
+      const rowNumber = firstRowNumber + index;
+      const rowErrors = [];
+
+      if (!row || typeof row !== 'object') {
+        errors.push({ row: rowNumber, id: null, errors: ['row must be an object'] });
+        return;
+      }
+
+      const name = typeof row.name === 'string' ? row.name.trim() : row.name;
+      const id = row.id ? String(row.id).trim() : this.catalogService.slugify(name || '');
+      const existing = id ? this.catalogService.getProduct(id) : null;
+
+      // Empty cells keep the current value of an existing product
+      const field = (column, parse) => {
+        if (!this.hasValue(row[column])) {
+          if (existing) return existing[column];
+          return undefined;
+        }
+        const parsed = parse(row[column]);
+        if (parsed === null) rowErrors.push(`invalid ${column}: ${row[column]}`);
+        return parsed;
+      };
+
+      const product = {
+        ...(existing || {}),
+        id,
+        name: name || (existing && existing.name),
+        price: field('price', value => this.parsePrice(value)),
+        stock: field('stock', value => this.parseInteger(value)),
+        desc: field('desc', value => String(value)),
+        active: field('active', value => this.parseBoolean(value))
+      };
+      LIST_COLUMNS.forEach(column => {
+        const list = field(column, value => this.parseList(value));
+        if (list !== undefined) product[column] = list;
+      });
+
+      const parentId = field('parentId', value => String(value).trim());
+      if (parentId !== undefined) product.parentId = parentId;
+      const warrantyDays = field('warrantyDays', value => this.parseInteger(value));
+      if (warrantyDays !== undefined) product.warrantyDays = warrantyDays;
+
+      const attributes = { ...((existing && existing.attributes) || {}) };
+      if (row.attributes && typeof row.attributes === 'object') {
+        Object.assign(attributes, row.attributes);
+      }
+      ATTRIBUTE_COLUMNS.forEach(column => {
+        if (!this.hasValue(row[column])) return;
+        const isCount = column === 'profiles' || column === 'users';
+        const value = isCount ? this.parseInteger(row[column]) : String(row[column]).trim();
+        if (value === null) rowErrors.push(`invalid ${column}: ${row[column]}`);
+        attributes[column] = value;
+      });
+      if (Object.keys(attributes).length > 0) product.attributes = attributes;
+      if (product.desc === undefined) product.desc = '';
+      if (product.active === undefined) product.active = true;
+
+      if (rowErrors.length === 0) {
+        rowErrors.push(...this.catalogService.validateProduct(product));
+      }
+      if (seenIds.has(id)) {
+        rowErrors.push(`duplicate id ${id} (also on row ${seenIds.get(id)})`);
+      }
+      seenIds.set(id, rowNumber);
+
+      if (rowErrors.length > 0) {
+        errors.push({ row: rowNumber, id: id || null, errors: rowErrors });
+      } else {
+        products.push(product);
+      }
+    });
+
+    return { products, errors };
+  }
+
+  /**
+   * Compare imported products with the current catalog
+   * @param {Array<Object>} products - Validated products
+   * @returns {Array<Object>} - { id, action: create|update|unchanged, changes, product }
+   */
+  diffProducts(products) {
+    return products.map(product => {
+      const current = this.catalogService.getProduct(product.id);
+      if (!current) {
+        return { id: product.id, action: 'create', changes: null, product };
+      }
+
+      const changes = {};
+      Object.keys(product).forEach(field => {
+        if (JSON.stringify(current[field]) !== JSON.stringify(product[field])) {
+          changes[field] = { from: current[field], to: product[field] };
+        }
+      });
+
+      return {
+        id: product.id,
+        action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+        changes,
+        product
+      };
+    });
+  }
+
+  /**
+   * Accepts 24000, "24000", "24.000", "Rp 24.000" or "Rp24,000"
+   */
+  parsePrice(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const digits = value.trim().replace(/^rp\.?\s*/i, '').replace(/[.,\s]/g, '');
+    return /^\d+$/.test(digits) ? parseInt(digits, 10) : null;
+  }
+
+  parseInteger(value) {
+    if (Number.isInteger(value)) return value >= 0 ? value : null;
+    if (typeof value === 'string' && /^\d+$/.test(value.trim())) return parseInt(value, 10);
+    return null;
+  }
+
+  parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes', 'ya', 'aktif', 'active'].includes(normalized)) return true;
+    if (['false', '0', 'no', 'tidak', 'nonaktif', 'inactive'].includes(normalized)) return false;
+    return null;
+  }
+
+  /**
+   * Accepts an array of strings or "a|b|c"
+   */
+  parseList(value) {
+    if (Array.isArray(value)) return value.every(item => typeof item === 'string') ? value : null;
+    if (typeof value !== 'string') return null;
+    return value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+  }
+
+  hasValue(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+
+  escapeCsvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = CatalogTransferService;
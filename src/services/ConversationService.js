@@ -0,0 +1,106 @@
+const logger = require('../utils/logger');
+const CustomerProfileService = require('./CustomerProfileService');
+const { createHistoryStore, connectHistoryStore } = require('./history');
+const { createServiceError } = require('../utils/serviceError');
+
+const SUPPORTED_FORMATS = ['json', 'text'];
+const WHATSAPP_NUMBER_PATTERN = /^\+?\d{6,20}$/;
+
+const ROLE_LABELS = {
+  user: 'Pelanggan',
+  assistant: 'CustoAI'
+};
+
+/**
+ * Read, export and delete a customer's chat history for the admin API
+ */
+class ConversationService {
+  constructor(options = {}) {
+    this.historyStore = options.historyStore || createHistoryStore();
+    this.profileService = options.profileService || new CustomerProfileService();
+    this.connecting = null;
+  }
+
+  /**
+   * The connected history store; connects on first use
+   * @returns {Promise<HistoryStore>}
+   */
+  async getStore() {
+    if (!this.connecting) {
+      this.connecting = connectHistoryStore(this.historyStore).then(store => {
+        this.historyStore = store;
+        return store;
+      });
+    }
+    return this.connecting;
+  }
+
+  assertNumber(whatsappNumber) {
+    if (!WHATSAPP_NUMBER_PATTERN.test(String(whatsappNumber || ''))) {
+      throw createServiceError('ValidationError', `Invalid WhatsApp number: ${whatsappNumber}`, 'INVALID_WHATSAPP_NUMBER');
+    }
+  }
+
+  /**
+   * A customer's stored chat history
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @returns {Promise<Object>} - { whatsappNumber, count, profile, summary, messages }, messages oldest first
+   */
+  async getConversation(whatsappNumber) {
+    this.assertNumber(whatsappNumber);
+    const store = await this.getStore();
+    const [messages, summary, profile] = await Promise.all([
+      store.getMessages(whatsappNumber),
+      store.getSummary(whatsappNumber),
+      this.profileService.getProfile(whatsappNumber)
+    ]);
+    return { whatsappNumber, count: messages.length, profile, summary, messages };
+  }
+
+  /**
+   * Export a customer's chat history
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {string} format - "json" or "text"
+   * @returns {Promise<string>} - File content
+   */
+  async exportConversation(whatsappNumber, format = 'json') {
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw createServiceError('ValidationError', `Unsupported format: ${format} (use json or text)`, 'UNSUPPORTED_FORMAT');
+    }
+
+    const conversation = await this.getConversation(whatsappNumber);
+    const exportedAt = new Date().toISOString();
+    if (format === 'json') {
+      return JSON.stringify({ ...conversation, exportedAt }, null, 2);
+    }
+
+    const lines = [`Percakapan ${whatsappNumber} (diekspor ${exportedAt})`, ''];
+    if (conversation.summary) {
+      lines.push('Ringkasan percakapan sebelumnya:', conversation.summary.text, '');
+    }
+    conversation.messages.forEach(message => {
+      const label = ROLE_LABELS[message.role] || message.role;
+      lines.push(`${message.at ? `[${message.at}] ` : ''}${label}: ${message.content}`);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Delete a customer's chat history and profile, e.g. when they ask to be forgotten.
+   * Deleting a history that does not exist is not an error.
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {string} actor - Who requested the deletion
+   * @returns {Promise<Object>} - { whatsappNumber, deleted, profileDeleted }
+   */
+  async deleteConversation(whatsappNumber, actor = 'system') {
+    this.assertNumber(whatsappNumber);
+    const store = await this.getStore();
+    const deleted = await store.clear(whatsappNumber);
+    const profileDeleted = await this.profileService.deleteProfile(whatsappNumber);
+
+    logger.info(`Chat history of ${whatsappNumber} ${deleted ? 'deleted' : 'was already empty'}${profileDeleted ? ', profile deleted' : ''} (requested by ${actor})`);
+    return { whatsappNumber, deleted, profileDeleted };
+  }
+}
+
+module.exports = ConversationService;
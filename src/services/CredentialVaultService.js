@@ -0,0 +1,482 @@
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const CatalogService = require('./CatalogService');
+const OrderService = require('./OrderService');
+const { createServiceError } = require('../utils/serviceError');
+
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Encrypted inventory of account credentials (Gmail, Netflix, ...).
+ *
+ * Credentials are stored AES-256-GCM encrypted with VAULT_KEY. A product becomes
+ * vault-managed once it has credentials; its catalog stock then follows the number
+ * of undelivered credentials (minus what open orders have reserved).
+ */
+class CredentialVaultService {
+  constructor(options = {}) {
+    this.vaultPath = path.resolve(
+      options.vaultPath || process.env.VAULT_PATH || './data/vault.json'
+    );
+    this.store = new JsonFileStore(this.vaultPath, () => ({ credentials: [], audit: [] }));
+    this.catalogService = options.catalogService || new CatalogService();
+    this.orderService = options.orderService || new OrderService({ catalogService: this.catalogService });
+    this.key = options.key;
+  }
+
+  /**
+   * Add credentials for a product and raise its stock by the same amount
+   * @param {string} productId - Catalog product ID
+   * @param {Array<Object|string>} secrets - e.g. [{ email, password, profile, pin }]
+   * @param {string} actor - Who added them
+   * @returns {Promise<Object>} - { productId, added, stock }
+   */
+  async addCredentials(productId, secrets, actor = 'system') {
+    await this.catalogService.load();
+    if (!this.catalogService.getProduct(productId)) {
+      throw createServiceError('NotFoundError', `Product ${productId} not found`, 'PRODUCT_NOT_FOUND');
+    }
+    if (!Array.isArray(secrets) || secrets.length === 0) {
+      throw createServiceError('ValidationError', 'credentials must be a non-empty array', 'INVALID_CREDENTIAL');
+    }
+    secrets.forEach((secret, index) => {
+      const empty = typeof secret === 'string' ? !secret.trim() : !secret || typeof secret !== 'object' || Object.keys(secret).length === 0;
+      if (empty) {
+        throw createServiceError('ValidationError', `Credential #${index + 1} is empty`, 'INVALID_CREDENTIAL');
+      }
+    });
+
+    const now = new Date().toISOString();
+    const credentials = secrets.map(secret => ({
+      id: `cred_${crypto.randomBytes(6).toString('hex')}`,
+      productId,
+      secret: this.encrypt(secret),
+      status: 'available',
+      addedBy: actor,
+      createdAt: now,
+      orderId: null,
+      whatsapp_number: null,
+      deliveredAt: null,
+      sentAt: null
+    }));
+
+    await this.store.update(data => {
+      data.credentials.push(...credentials);
+      credentials.forEach(credential => this.recordAudit(data, {
+        action: 'add', actor, credentialId: credential.id, productId
+      }));
+    });
+    const product = await this.catalogService.adjustStock(productId, {
+      delta: credentials.length,
+      reason: `vault: ${credentials.length} credentials added`
+    }, actor);
+
+    logger.info(`${credentials.length} credentials added to vault for ${productId} by ${actor}`);
+    return { productId, added: credentials.length, stock: product.stock };
+  }
+
+  /**
+   * Credentials without their secrets, for admin listings
+   * @param {Object} filters
+   * @param {string} filters.productId - Only this product
+   * @param {string} filters.status - available or delivered
+   * @returns {Promise<Array>} - Credentials
+   */
+  async listCredentials({ productId, status } = {}) {
+    const data = await this.store.read();
+    return data.credentials
+      .filter(credential => !productId || credential.productId === productId)
+      .filter(credential => !status || credential.status === status)
+      .map(({ secret, ...credential }) => credential);
+  }
+
+  /**
+   * Remove an undelivered credential (e.g. the account stopped working)
+   * @param {string} id - Credential ID
+   * @param {string} actor - Who removed it
+   * @returns {Promise<Object>} - Removed credential without its secret
+   */
+  async removeCredential(id, actor = 'system') {
+    const data = await this.store.read();
+    const credential = data.credentials.find(c => c.id === id);
+    if (!credential) {
+      throw createServiceError('NotFoundError', `Credential ${id} not found`, 'CREDENTIAL_NOT_FOUND');
+    }
+    if (credential.status !== 'available') {
+      throw createServiceError('ConflictError', `Credential ${id} was already delivered`, 'CREDENTIAL_DELIVERED');
+    }
+
+    await this.catalogService.load();
+    const product = this.catalogService.getProduct(credential.productId);
+    if (product && product.stock < 1) {
+      throw createServiceError(
+        'ConflictError',
+        `Credential ${id} is held for an order awaiting payment`,
+        'CREDENTIAL_RESERVED'
+      );
+    }
+
+    await this.store.update(current => {
+      current.credentials = current.credentials.filter(c => c.id !== id);
+      this.recordAudit(current, { action: 'remove', actor, credentialId: id, productId: credential.productId });
+    });
+    if (product) {
+      await this.catalogService.adjustStock(credential.productId, { delta: -1, reason: `vault: credential ${id} removed` }, actor);
+    }
+
+    logger.info(`Credential ${id} removed from vault by ${actor}`);
+    const { secret, ...removed } = credential;
+    return removed;
+  }
+
+  /**
+   * Available and delivered credentials per vault-managed product
+   * @returns {Promise<Array>} - [{ productId, name, available, delivered, stock }]
+   */
+  async getInventory() {
+    const data = await this.store.read();
+    await this.catalogService.load();
+
+    const inventory = new Map();
+    data.credentials.forEach(credential => {
+      const entry = inventory.get(credential.productId) || { available: 0, delivered: 0 };
+      entry[credential.status] += 1;
+      inventory.set(credential.productId, entry);
+    });
+
+    return [...inventory.entries()].map(([productId, counts]) => {
+      const product = this.catalogService.getProduct(productId);
+      return {
+        productId,
+        name: product ? product.name : null,
+        ...counts,
+        stock: product ? product.stock : null
+      };
+    });
+  }
+
+  /**
+   * Set the catalog stock of every vault-managed product to its available
+   * credentials minus the quantity held by open orders
+   * @param {string} actor - Who triggered the sync
+   * @returns {Promise<Array>} - [{ productId, from, to }] for products that changed
+   */
+  async syncStock(actor = 'system') {
+    const inventory = await this.getInventory();
+    const reserved = await this.orderService.getReservedQuantities();
+    const changes = [];
+
+    for (const entry of inventory) {
+      if (entry.stock === null) continue;
+      const stock = Math.max(0, entry.available - (reserved.get(entry.productId) || 0));
+      if (stock !== entry.stock) {
+        await this.catalogService.adjustStock(entry.productId, { stock, reason: 'vault: stock sync' }, actor);
+        changes.push({ productId: entry.productId, from: entry.stock, to: stock });
+      }
+    }
+
+    logger.info(`Vault stock sync by ${actor}: ${changes.length} products changed`);
+    return changes;
+  }
+
+  /**
+   * Assign credentials to a paid order and mark it delivered.
+   * Orders with products that are not vault-managed are left for manual delivery.
+   * @param {string} orderId - Order ID
+   * @param {Object} options
+   * @param {string} options.actor - Who triggered the delivery
+   * @returns {Promise<Object|null>} - { order, items } or null for manual delivery
+   */
+  async deliverOrder(orderId, { actor = 'system' } = {}) {
+    const order = await this.orderService.getOrder(orderId);
+    if (!order) {
+      throw createServiceError('NotFoundError', `Order ${orderId} not found`, 'ORDER_NOT_FOUND');
+    }
+    if (order.status !== 'paid') {
+      throw createServiceError('ConflictError', `Order ${orderId} is ${order.status}, not paid`, 'ORDER_NOT_PAID');
+    }
+
+    await this.catalogService.load();
+    const quantities = this.catalogService.expandItems(order.items);
+    const current = await this.store.read();
+    const managed = new Set(current.credentials.map(c => c.productId));
+    if (![...quantities.keys()].every(productId => managed.has(productId))) {
+      logger.info(`Order ${orderId} has products outside the vault, waiting for manual delivery`);
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const assigned = await this.store.update(data => {
+      // A retry after a failed status change reuses what was already assigned
+      const existing = data.credentials.filter(c => c.orderId === orderId);
+      if (existing.length > 0) return existing;
+
+      const picks = [...quantities.entries()].map(([productId, quantity]) => {
+        const available = data.credentials.filter(c => c.productId === productId && c.status === 'available');
+        if (available.length < quantity) {
+          throw createServiceError(
+            'ConflictError',
+            `Only ${available.length} credentials left for ${productId}, order ${orderId} needs ${quantity}`,
+            'CREDENTIALS_UNAVAILABLE'
+          );
+        }
+        return available.slice(0, quantity);
+      });
+
+      return picks.flat().map(credential => {
+        Object.assign(credential, {
+          status: 'delivered',
+          orderId,
+          whatsapp_number: order.whatsapp_number,
+          deliveredAt: now
+        });
+        this.recordAudit(data, {
+          action: 'deliver',
+          actor,
+          credentialId: credential.id,
+          productId: credential.productId,
+          orderId,
+          whatsapp_number: order.whatsapp_number
+        });
+        return { ...credential };
+      });
+    });
+
+    const delivered = await this.orderService.transition(orderId, 'delivered', {
+      note: 'Credentials delivered from vault',
+      data: { deliveredAt: now }
+    });
+
+    logger.info(`Order ${orderId} delivered with ${assigned.length} credentials to ${order.whatsapp_number}`);
+    return { order: delivered, items: this.groupByProduct(assigned) };
+  }
+
+  /**
+   * Hand out a replacement credential for a warranty claim. It reaches the
+   * customer with their next bot reply, like a normal delivery.
+   * @param {Object} claim - Warranty claim ({ id, orderId, productId, whatsapp_number })
+   * @param {Object} options
+   * @param {string} options.actor - Who approved the replacement
+   * @returns {Promise<Object>} - { credentialId, productId, orderId }
+   */
+  async issueReplacement(claim, { actor = 'system' } = {}) {
+    await this.catalogService.load();
+    const product = this.catalogService.getProduct(claim.productId);
+    const data = await this.store.read();
+    const hasAvailable = data.credentials.some(c => c.productId === claim.productId && c.status === 'available');
+    if (!product || product.stock < 1 || !hasAvailable) {
+      throw createServiceError(
+        'ConflictError',
+        `No replacement credential available for ${claim.productId}`,
+        'CREDENTIALS_UNAVAILABLE'
+      );
+    }
+
+    const now = new Date().toISOString();
+    const credential = await this.store.update(current => {
+      // Checked again in the write: another request may have taken the last credential meanwhile
+      if (current.credentials.some(c => c.claimId === claim.id)) {
+        throw createServiceError('ConflictError', `Claim ${claim.id} already got a replacement`, 'CLAIM_ALREADY_REPLACED');
+      }
+      const available = current.credentials.find(c => c.productId === claim.productId && c.status === 'available');
+      if (!available) {
+        throw createServiceError(
+          'ConflictError',
+          `No replacement credential available for ${claim.productId}`,
+          'CREDENTIALS_UNAVAILABLE'
+        );
+      }
+      Object.assign(available, {
+        status: 'delivered',
+        orderId: claim.orderId,
+        whatsapp_number: claim.whatsapp_number,
+        claimId: claim.id,
+        deliveredAt: now
+      });
+      this.recordAudit(current, {
+        action: 'replace',
+        actor,
+        credentialId: available.id,
+        productId: claim.productId,
+        orderId: claim.orderId,
+        whatsapp_number: claim.whatsapp_number,
+        claimId: claim.id
+      });
+      return { ...available };
+    });
+    await this.catalogService.adjustStock(claim.productId, {
+      delta: -1,
+      reason: `vault: replacement for claim ${claim.id}`
+    }, actor);
+
+    logger.info(`Replacement credential ${credential.id} issued for claim ${claim.id} by ${actor}`);
+    return { credentialId: credential.id, productId: claim.productId, orderId: claim.orderId };
+  }
+
+  /**
+   * Deliver the customer's paid orders and return every delivery not yet sent
+   * to the customer. Used to attach credentials to the bot reply; they stay
+   * unsent (and are attached again) until markSent() confirms the message went out.
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @returns {Promise<Array>} - [{ orderId, credentialIds, items: [{ productId, name, credentials }] }]
+   */
+  async collectDeliveries(whatsappNumber) {
+    const paidOrders = await this.orderService.getOrdersByCustomer(whatsappNumber, { statuses: ['paid'] });
+    for (const order of paidOrders) {
+      try {
+        await this.deliverOrder(order.id);
+      } catch (error) {
+        if (error.code !== 'CREDENTIALS_UNAVAILABLE') throw error;
+        logger.warn(`Order ${order.id} is paid but the vault is empty: ${error.message}`);
+      }
+    }
+
+    const data = await this.store.read();
+    const unsent = data.credentials.filter(c =>
+      c.status === 'delivered' && c.whatsapp_number === whatsappNumber && !c.sentAt
+    );
+    return this.groupByOrder(unsent);
+  }
+
+  /**
+   * Mark credentials as sent once the message carrying them was delivered
+   * @param {Array<string>} credentialIds - From collectDeliveries()
+   * @param {string} actor - Who sent them
+   * @returns {Promise<number>} - Credentials newly marked as sent
+   */
+  async markSent(credentialIds, actor = 'bot') {
+    if (!Array.isArray(credentialIds) || credentialIds.length === 0) return 0;
+
+    const now = new Date().toISOString();
+    const marked = await this.store.update(data => {
+      const unsent = data.credentials.filter(c => credentialIds.includes(c.id) && !c.sentAt);
+      unsent.forEach(credential => {
+        credential.sentAt = now;
+        this.recordAudit(data, {
+          action: 'send',
+          actor,
+          credentialId: credential.id,
+          productId: credential.productId,
+          orderId: credential.orderId,
+          whatsapp_number: credential.whatsapp_number
+        });
+      });
+      return unsent.length;
+    });
+    if (marked > 0) {
+      logger.info(`${marked} credentials marked as sent by ${actor}`);
+    }
+    return marked;
+  }
+
+  /**
+   * Decrypted credentials delivered for an order (recorded in the audit trail)
+   * @param {string} orderId - Order ID
+   * @param {string} actor - Who looked them up
+   * @returns {Promise<Array>} - [{ productId, name, credentials }]
+   */
+  async getOrderCredentials(orderId, actor = 'system') {
+    const credentials = await this.store.update(data => {
+      const delivered = data.credentials.filter(c => c.orderId === orderId);
+      delivered.forEach(credential => this.recordAudit(data, {
+        action: 'view',
+        actor,
+        credentialId: credential.id,
+        productId: credential.productId,
+        orderId,
+        whatsapp_number: credential.whatsapp_number
+      }));
+      return delivered.map(credential => ({ ...credential }));
+    });
+    return this.groupByProduct(credentials);
+  }
+
+  /**
+   * Audit trail, newest first
+   * @param {Object} filters
+   * @param {string} filters.orderId - Only this order
+   * @param {string} filters.whatsappNumber - Only this customer
+   * @param {number} filters.limit - Maximum entries
+   * @returns {Promise<Array>} - Audit entries
+   */
+  async getAuditLog({ orderId, whatsappNumber, limit = 100 } = {}) {
+    const data = await this.store.read();
+    return data.audit
+      .filter(entry => !orderId || entry.orderId === orderId)
+      .filter(entry => !whatsappNumber || entry.whatsapp_number === whatsappNumber)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  groupByOrder(credentials) {
+    const orderIds = [...new Set(credentials.map(c => c.orderId))];
+    return orderIds.map(orderId => {
+      const orderCredentials = credentials.filter(c => c.orderId === orderId);
+      return {
+        orderId,
+        credentialIds: orderCredentials.map(c => c.id),
+        items: this.groupByProduct(orderCredentials)
+      };
+    });
+  }
+
+  groupByProduct(credentials) {
+    const productIds = [...new Set(credentials.map(c => c.productId))];
+    return productIds.map(productId => {
+      const product = this.catalogService.getProduct(productId);
+      return {
+        productId,
+        name: product ? product.name : productId,
+        credentials: credentials
+          .filter(c => c.productId === productId)
+          .map(c => this.decrypt(c.secret))
+      };
+    });
+  }
+
+  recordAudit(data, entry) {
+    data.audit = data.audit || [];
+    data.audit.push({
+      at: new Date().toISOString(),
+      orderId: null,
+      whatsapp_number: null,
+      ...entry
+    });
+  }
+
+  /**
+   * 32-byte key from VAULT_KEY: 64 hex characters are used as-is,
+   * anything else is treated as a passphrase and hashed
+   */
+  getKey() {
+    const secret = this.key || process.env.VAULT_KEY;
+    if (!secret) {
+      throw createServiceError('ConfigurationError', 'VAULT_KEY is not configured', 'VAULT_NOT_CONFIGURED');
+    }
+    return /^[0-9a-f]{64}$/i.test(secret)
+      ? Buffer.from(secret, 'hex')
+      : crypto.createHash('sha256').update(secret).digest();
+  }
+
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.getKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(secret) {
+    const decipher = crypto.createDecipheriv(CIPHER, this.getKey(), Buffer.from(secret.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(secret.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(secret.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  }
+}
+
+module.exports = CredentialVaultService;
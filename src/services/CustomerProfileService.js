@@ -0,0 +1,198 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+const PURCHASED_STATUSES = ['paid', 'delivered'];
+const MAX_INTERESTS = 10;
+const MAX_NOTES = 20;
+
+// "nama saya Budi", "namaku Budi", "panggil aja aku Budi", "my name is Budi"
+const NAME_PATTERN = /\b(?:nama\s*(?:saya|aku|ku|gw|gue)|namaku|panggil\s+(?:saja\s+|aja\s+)?(?:saya|aku|gw|gue)|my name is|call me)\s+(?:adalah\s+|is\s+)?([a-z][a-z'-]{1,19})(?:\s+([a-z][a-z'-]{1,19}))?/i;
+const NAME_STOPWORDS = new Set(['kak', 'mau', 'ingin', 'pengen', 'beli', 'order', 'tanya', 'sudah', 'udah', 'belum', 'lagi', 'aja', 'saja', 'ya', 'dong', 'deh', 'nih', 'yang', 'dan', 'di', 'ke']);
+
+const LANGUAGE_WORDS = {
+  id: ['kak', 'ada', 'berapa', 'mau', 'saya', 'aku', 'yang', 'gak', 'ga', 'nggak', 'bisa', 'dong', 'ya', 'harga', 'beli', 'sudah', 'udah', 'belum', 'apa', 'gimana', 'tolong', 'akun', 'terima', 'kasih', 'min'],
+  en: ['the', 'is', 'are', 'how', 'what', 'price', 'please', 'can', 'you', 'do', 'does', 'have', 'want', 'buy', 'account', 'thanks', 'thank', 'my', 'much', 'available', 'hello', 'hi']
+};
+
+/**
+ * What the bot remembers about a customer between conversations:
+ * preferred name, language, purchases, products asked about and notes.
+ * Filled in automatically from chat messages and orders.
+ */
+class CustomerProfileService {
+  constructor(options = {}) {
+    this.profilesPath = path.resolve(
+      options.profilesPath || process.env.PROFILES_PATH || './data/profiles.json'
+    );
+    this.store = new JsonFileStore(this.profilesPath, () => ({ profiles: {} }));
+  }
+
+  createProfile(whatsappNumber) {
+    const now = new Date().toISOString();
+    return {
+      whatsapp_number: whatsappNumber,
+      name: null,
+      language: null,
+      purchases: [],
+      interests: [],
+      notes: [],
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  async getProfile(whatsappNumber) {
+    const data = await this.store.read();
+    return data.profiles[whatsappNumber] || null;
+  }
+
+  /**
+   * Change a profile, creating it on first use
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {Function} mutator - Receives the profile and changes it in place
+   * @returns {Promise<Object>} - Copy of the updated profile
+   */
+  async updateProfile(whatsappNumber, mutator) {
+    return this.store.update(data => {
+      const profile = data.profiles[whatsappNumber] || this.createProfile(whatsappNumber);
+      mutator(profile);
+      profile.updatedAt = new Date().toISOString();
+      data.profiles[whatsappNumber] = profile;
+      return JSON.parse(JSON.stringify(profile));
+    });
+  }
+
+  /**
+   * Name the customer introduces themselves with, if any
+   * @param {string} text - Customer message
+   * @returns {string|null} - Capitalized name
+   */
+  extractName(text) {
+    const match = String(text || '').match(NAME_PATTERN);
+    if (!match || NAME_STOPWORDS.has(match[1].toLowerCase())) return null;
+
+    const words = [match[1], match[2]].filter(word => word && !NAME_STOPWORDS.has(word.toLowerCase()));
+    return words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+  }
+
+  /**
+   * Language of a message, only when it is clear
+   * @param {string} text - Customer message
+   * @returns {string|null} - "id", "en" or null
+   */
+  detectLanguage(text) {
+    const words = String(text || '').toLowerCase().match(/[a-z]+/g) || [];
+    const score = language => words.filter(word => LANGUAGE_WORDS[language].includes(word)).length;
+    const id = score('id');
+    const en = score('en');
+    if (Math.abs(id - en) < 2) return null;
+    return id > en ? 'id' : 'en';
+  }
+
+  /**
+   * Learn from one customer message: introduced name, language and the product asked about
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {Object} params
+   * @param {string} params.question - Customer message
+   * @param {Object} params.product - Product or parent product the message is about ({ id, name })
+   * @returns {Promise<Object>} - Updated profile
+   */
+  async recordMessage(whatsappNumber, { question, product } = {}) {
+    const name = this.extractName(question);
+    const language = this.detectLanguage(question);
+
+    return this.updateProfile(whatsappNumber, profile => {
+      if (name) profile.name = name;
+      if (language) profile.language = language;
+      profile.lastSeenAt = new Date().toISOString();
+
+      if (product && product.id) {
+        const interest = profile.interests.find(i => i.productId === product.id);
+        if (interest) {
+          interest.count += 1;
+          interest.lastAskedAt = profile.lastSeenAt;
+        } else {
+          profile.interests.push({ productId: product.id, name: product.name, count: 1, lastAskedAt: profile.lastSeenAt });
+        }
+        profile.interests = profile.interests
+          .sort((a, b) => b.lastAskedAt.localeCompare(a.lastAskedAt))
+          .slice(0, MAX_INTERESTS);
+      }
+    });
+  }
+
+  /**
+   * Add paid or delivered orders to the purchase history. Orders already recorded are skipped.
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {Array<Object>} orders - Orders of the customer
+   * @returns {Promise<Object|null>} - Updated profile, or the stored one when nothing was new
+   */
+  async recordPurchases(whatsappNumber, orders = []) {
+    const current = await this.getProfile(whatsappNumber);
+    const known = new Set(current ? current.purchases.map(purchase => purchase.orderId) : []);
+    const purchased = orders.filter(order => PURCHASED_STATUSES.includes(order.status) && !known.has(order.id));
+    if (purchased.length === 0) return current;
+
+    const profile = await this.updateProfile(whatsappNumber, profile => {
+      purchased.forEach(order => {
+        if (profile.purchases.some(purchase => purchase.orderId === order.id)) return;
+        order.items.forEach(item => {
+          profile.purchases.push({
+            orderId: order.id,
+            productId: item.id,
+            name: item.name,
+            quantity: item.quantity,
+            at: order.updatedAt
+          });
+        });
+      });
+      profile.purchases.sort((a, b) => b.at.localeCompare(a.at));
+    });
+    logger.info(`Profile of ${whatsappNumber}: recorded purchases from ${purchased.map(order => order.id).join(', ')}`);
+    return profile;
+  }
+
+  /**
+   * Set the customer's preferred name
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {string} name - Name
+   * @param {Object} options
+   * @param {boolean} options.overwrite - Replace a name that is already known
+   * @returns {Promise<Object>} - Updated profile
+   */
+  async setName(whatsappNumber, name, { overwrite = true } = {}) {
+    return this.updateProfile(whatsappNumber, profile => {
+      if (name && (overwrite || !profile.name)) profile.name = String(name).trim();
+    });
+  }
+
+  /**
+   * Remember something about the customer, e.g. a warranty claim
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {string} text - Note
+   * @param {string} source - Where the note came from
+   * @returns {Promise<Object>} - Updated profile
+   */
+  async addNote(whatsappNumber, text, source = 'system') {
+    return this.updateProfile(whatsappNumber, profile => {
+      profile.notes.push({ text, source, at: new Date().toISOString() });
+      profile.notes = profile.notes.slice(-MAX_NOTES);
+    });
+  }
+
+  /**
+   * Forget a customer
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @returns {Promise<boolean>} - Whether a profile existed
+   */
+  async deleteProfile(whatsappNumber) {
+    return this.store.update(data => {
+      const existed = Boolean(data.profiles[whatsappNumber]);
+      delete data.profiles[whatsappNumber];
+      return existed;
+    });
+  }
+}
+
+module.exports = CustomerProfileService;
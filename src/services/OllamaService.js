@@ -1,12 +1,17 @@
 const { ChatOllama } = require("@langchain/ollama");
 const logger = require("../utils/logger.js");
 const { ChatPromptTemplate, MessagesPlaceholder } = require("@langchain/core/prompts");
-const redis = require('redis');
 const BrainService = require('./BrainService');
-const fuzz = require('fuzzball'); // Tambahkan library untuk fuzzy matching
+const CatalogService = require('./CatalogService');
+const OrderService = require('./OrderService');
+const PaymentService = require('./PaymentService');
+const CredentialVaultService = require('./CredentialVaultService');
+const WarrantyService = require('./WarrantyService');
+const SummaryService = require('./SummaryService');
+const CustomerProfileService = require('./CustomerProfileService');
+const { createHistoryStore, connectHistoryStore } = require('./history');
 
-const redisClient = redis.createClient();
-let redisConnected = false;
+// Aksi pesanan yang mengubah data; mengulang pertanyaannya akan mengulang perubahan itu
 
 class OllamaService {
   constructor() {
@@ -14,6 +19,25 @@ class OllamaService {
     this.chatModel = null;
     this.tagTemplates = {};
     this.brainService = new BrainService();
+    this.catalogService = new CatalogService();
+    this.warrantyService = new WarrantyService({ catalogService: this.catalogService });
+    this.orderService = new OrderService({
+      catalogService: this.catalogService,
+      warrantyService: this.warrantyService
+    });
+    this.vaultService = new CredentialVaultService({
+      catalogService: this.catalogService,
+      orderService: this.orderService
+    });
+    this.paymentService = new PaymentService({
+      orderService: this.orderService,
+      vaultService: this.vaultService
+    });
+    this.profileService = new CustomerProfileService();
+    this.historyStore = createHistoryStore();
+    this.historyTurns = Number(process.env.HISTORY_CONTEXT_TURNS) || 3;
+    this.summaryService = new SummaryService({ keepMessages: this.historyTurns * 2 });
+    this.streaming = process.env.OLLAMA_STREAMING !== 'false';
   }
 
   /**
@@ -22,10 +46,7 @@ class OllamaService {
    */
   async init() {
     try {
-      if (!redisConnected) {
-        await redisClient.connect();
-        redisConnected = true;
-      }
+      await this.connectHistoryStore();
       this.chatModel = new ChatOllama({
         model: process.env.OLLAMA_MODEL || 'llama3.2',
         temperature: process.env.OLLAMA_TEMPERATURE ? parseFloat(process.env.OLLAMA_TEMPERATURE) : 0.12, // lebih rendah, biar lebih confident
@@ -50,6 +71,63 @@ class OllamaService {
     }
   }
 
+  /**
+   * Sambungkan penyimpanan riwayat chat. Jika gagal (misalnya Redis tidak jalan),
+   * pakai riwayat in-memory supaya bot tetap bisa menjawab.
+   */
+  async connectHistoryStore() {
+    this.historyStore = await connectHistoryStore(this.historyStore);
+  }
+
+  /**
+   * Ambil ringkasan percakapan dan beberapa giliran chat terakhir pelanggan, dipotong sesuai budget token
+   * @param {string} nomorWhatsapp - Nomor WhatsApp pelanggan
+   * @returns {Promise<Object>} - { summary, messages }, kosong jika riwayat tidak bisa dibaca
+   */
+  async loadHistory(nomorWhatsapp) {
+    try {
+      const [messages, summary] = await Promise.all([
+        this.historyStore.getRecent(nomorWhatsapp, this.historyTurns),
+        this.historyStore.getSummary(nomorWhatsapp)
+      ]);
+      return this.summaryService.fitToBudget(summary, messages);
+    } catch (error) {
+      logger.error(`Gagal membaca riwayat chat ${nomorWhatsapp}: ${error.message}`);
+      return { summary: null, messages: [] };
+    }
+  }
+
+  /**
+   * Rangkum pesan lama yang sudah keluar dari jendela riwayat. Dijalankan di belakang
+   * supaya tidak menambah waktu jawaban; kegagalan hanya dicatat.
+   * @param {string} nomorWhatsapp - Nomor WhatsApp pelanggan
+   * @returns {Promise<Object|null>} - Ringkasan terbaru
+   */
+  refreshSummary(nomorWhatsapp) {
+    return this.summaryService.refresh(this.historyStore, nomorWhatsapp, this.chatModel)
+      .catch(error => {
+        logger.error(`Gagal merangkum riwayat chat ${nomorWhatsapp}: ${error.message}`);
+        return null;
+      });
+  }
+
+  /**
+   * Simpan pertanyaan dan jawaban ke riwayat chat pelanggan
+   * @param {string} nomorWhatsapp - Nomor WhatsApp pelanggan
+   * @param {string} question - Pertanyaan pelanggan
+   * @param {string} answer - Jawaban AI
+   */
+  async saveHistory(nomorWhatsapp, question, answer) {
+    try {
+      await this.historyStore.append(nomorWhatsapp, [
+        { role: 'user', content: question },
+        { role: 'assistant', content: answer }
+      ]);
+    } catch (error) {
+      logger.error(`Gagal menyimpan riwayat chat ${nomorWhatsapp}: ${error.message}`);
+    }
+  }
+
   /**
    * Inisialisasi template prompt
    */
@@ -76,6 +154,7 @@ class OllamaService {
     this.tagTemplates.price_inquiry = `
       Kamu adalah CustoAI, customer service profesional dan informatif. Jawablah seperti manusia, bukan robot.
       - Jika pelanggan meminta pricelist/daftar produk berikan semua produk yang tersedia beserta harga dan stock nya.
+      - Jika pelanggan menanyakan pilihan suatu produk (misal: "netflix ada apa aja?"), sebutkan semua varian di bawah produk tersebut beserta perbedaannya (profile, user, durasi, kualitas), harga dan stoknya.
       - Jika pelanggan menanyakan harga, cek ketersediaan produk di daftar produk.
       - Jika produk tidak ada di daftar, jawab: "Maaf kak, produk tersebut tidak tersedia di toko kami 🙏"
       - Jika produk ditemukan:
@@ -105,6 +184,7 @@ class OllamaService {
         * Jika produk tidak ada di daftar, jawab: "Maaf kak, produk tersebut tidak tersedia di toko kami 🙏"
         * Jika produk ada tapi stok 0: "Maaf kak, untuk saat ini [nama produk] sedang kosong. Mau dicek produk lainnya? 😊"
         * Jika produk tersedia: Beritahu stok dan harga dengan benar, lalu tawarkan proses pembelian.
+        * Jika pelanggan menanyakan produk secara umum (misal: "netflix ready?"), sebutkan varian yang tersedia di bawah produk tersebut.
       - Jangan pernah memberikan informasi produk yang tidak ada di daftar produk.
       - Jangan pernah mengarang harga, stok, atau nama produk.
       - Pilih kata yang sopan, jelas, dan mudah dipahami.
@@ -175,12 +255,36 @@ class OllamaService {
     // Template untuk tag refund_policy
     this.tagTemplates.refund_policy = `
       Kamu adalah CustoAI, customer service profesional dan informatif. Jawablah seperti manusia, bukan robot.
-      - Jika pelanggan menanyakan kebijakan refund/garansi, jawab hanya sesuai kebijakan yang berlaku di toko dan data yang tersedia.
-      - Jika tidak ada kebijakan refund untuk produk tersebut, jawab: "Maaf kak, untuk produk ini belum ada kebijakan refund khusus 🙏"
+      - Jika pelanggan menanyakan kebijakan refund/garansi, jawab hanya sesuai bagian "Data Garansi" di bawah.
+      - Sebutkan lama garansi produk persis seperti data. Jika pelanggan sudah punya pesanan, sebutkan sisa masa garansinya.
+      - Jika produk tidak bergaransi, jawab: "Maaf kak, untuk produk ini belum ada kebijakan refund khusus 🙏"
       - Jangan pernah mengarang atau menjanjikan refund/garansi di luar kebijakan yang ada.
       - Pilih kata yang sopan, jelas, dan mudah dipahami.
       - Tambahkan emoji yang sesuai agar percakapan lebih hidup.
 
+      Data Garansi:
+      {warranty}
+
+      context:
+      {context}
+
+      Data Produk:
+      {products}
+    `;
+
+    // Template untuk tag warranty_refund
+    this.tagTemplates.warranty_refund = `
+      Kamu adalah CustoAI, customer service profesional dan empatik yang membantu pelanggan dengan akun bermasalah. Jawablah seperti manusia, bukan robot.
+      - Ikuti instruksi pada bagian "Data Garansi" di bawah, jangan membuat nomor klaim atau status klaim sendiri.
+      - Jika klaim sudah dicatat, sebutkan nomor klaim dan sampaikan bahwa admin akan memproses penggantian akun.
+      - Jika klaim tidak bisa diproses, jelaskan alasannya dengan sopan sesuai data.
+      - Jangan pernah menjanjikan refund/garansi di luar kebijakan yang ada.
+      - Pilih kata yang sopan, jelas, dan mudah dipahami.
+      - Tambahkan emoji yang sesuai agar percakapan lebih hidup.
+
+      Data Garansi:
+      {warranty}
+
       context:
       {context}
 
@@ -204,6 +308,44 @@ class OllamaService {
       {products}
     `;
 
+    // Template untuk tag order
+    this.tagTemplates.order = `
+      Kamu adalah CustoAI, customer service profesional dan ramah yang membantu pelanggan memesan produk. Jawablah seperti manusia, bukan robot.
+      - Ikuti instruksi pada bagian "Status Pesanan" di bawah, jangan membuat pesanan, nomor pesanan, atau total harga sendiri.
+      - Sebutkan nomor pesanan, item, jumlah dan total harga persis seperti data pesanan.
+      - Jika pesanan menunggu konfirmasi, minta pelanggan membalas "ya" untuk konfirmasi atau "batal" untuk membatalkan.
+      - Pembayaran hanya melalui QRIS.
+      - Jangan pernah memberikan informasi produk yang tidak ada di daftar produk.
+      - Pilih kata yang sopan, jelas, dan mudah dipahami.
+      - Tambahkan emoji yang sesuai agar percakapan lebih hidup.
+
+      Status Pesanan:
+      {order}
+
+      context:
+      {context}
+
+      Data Produk:
+      {products}
+    `;
+
+    // Template untuk tag order_status
+    this.tagTemplates.order_status = `
+      Kamu adalah CustoAI, customer service profesional dan ramah yang membantu pelanggan mengecek pesanan. Jawablah seperti manusia, bukan robot.
+      - Jawab hanya berdasarkan bagian "Daftar Pesanan" di bawah. Daftar ini sudah dicari dari nomor WhatsApp pelanggan.
+      - Jangan meminta nomor pesanan, kecuali pesanan yang ditanyakan tidak ada di daftar.
+      - Sebutkan nomor pesanan, item dan status persis seperti data pesanan.
+      - Jangan pernah mengarang status, estimasi waktu, atau isi akun.
+      - Pilih kata yang sopan, jelas, dan mudah dipahami.
+      - Tambahkan emoji yang sesuai agar percakapan lebih hidup.
+
+      Daftar Pesanan:
+      {orders}
+
+      context:
+      {context}
+    `;
+
     // Template untuk tag referral_loyalty
     this.tagTemplates.referral_loyalty = `
       Kamu adalah CustoAI, customer service profesional dan informatif. Jawablah seperti manusia, bukan robot.
@@ -239,14 +381,66 @@ class OllamaService {
     return intersection.size / union.size;
   }
 
+  /**
+   * Minta jawaban dari model. Jika ada onToken (dan OLLAMA_STREAMING tidak dimatikan),
+   * jawaban di-stream dan setiap potongan diteruskan ke onToken; teks lengkapnya
+   * tetap dikembalikan untuk disimpan ke riwayat.
+   * @param {Array} messages - Pesan prompt yang sudah diformat
+   * @param {Function} onToken - (text) => void, opsional
+   * @param {AbortSignal} signal - Membatalkan panggilan ke model, opsional
+   * @returns {Promise<string>} - Jawaban lengkap
+   */
+  async generateAnswer(messages, onToken, signal) {
+    if (!onToken || !this.streaming) {
+      const response = await this.chatModel.invoke(messages, { signal });
+      return response.content;
+    }
+
+    let answer = '';
+    const stream = await this.chatModel.stream(messages, { signal });
+    for await (const chunk of stream) {
+      const text = typeof chunk.content === 'string' ? chunk.content : '';
+      if (!text) continue;
+      answer += text;
+      try {
+        onToken(text);
+      } catch (error) {
+        logger.warn(`Gagal meneruskan potongan jawaban: ${error.message}`);
+      }
+    }
+    return answer;
+  }
+
   /**
    * Memproses pertanyaan pelanggan menggunakan AI.
    * @param {string} question - Pertanyaan pelanggan.
    * @param {Object} context - Konteks dari BrainService.
    * @param {string} nomorWhatsapp - Nomor WhatsApp pelanggan untuk mendapatkan riwayat chat.
+   * @param {Object} options
+   * @param {Function} options.onToken - Menerima potongan jawaban selama model streaming.
+   * @param {AbortSignal} options.signal - Membatalkan pemrosesan (job dibatalkan atau melewati batas waktu).
+   *   Dicek sebelum pesanan/garansi diubah dan sebelum riwayat disimpan.
+   * @param {Function} options.onStateChange - Dipanggil tepat sebelum pesanan, klaim garansi atau riwayat
+   *   diubah, mis. agar antrean tidak mengulang job setelahnya.
+   * @param {boolean} options.dryRun - Jawab dengan data yang ada tanpa mengubah pesanan, pembayaran, garansi,
+   *   vault, profil maupun riwayat chat pelanggan (mis. batch evaluasi).
    * @returns {Promise<Object>} - Hasil pemrosesan AI, termasuk respons dan informasi produk.
+   * @throws {Error} - Dengan `retryable: false` jika pesanan atau klaim garansi sudah berubah sebelum gagal,
+   *   supaya job tidak diulang dan membuat draft, QRIS atau klaim ganda.
    */
-  async processWithAI(question, context, nomorWhatsapp) {
+  async processWithAI(question, context, nomorWhatsapp, options = {}) {
+    const { signal, dryRun = false } = options;
+    const checkAborted = () => {
+      if (signal && signal.aborted) throw signal.reason;
+    };
+    let stateChanged = false;
+    // Dipanggil sinkron tepat sebelum setiap perubahan: job yang sudah dibatalkan tidak mengubah apa pun,
+    // dan perubahan yang sudah dimulai membuat job tidak diulang
+    const beforeChange = () => {
+      checkAborted();
+      stateChanged = true;
+      if (options.onStateChange) options.onStateChange();
+    };
     try {
       if (!this.initialized) {
         await this.init();
@@ -254,9 +448,7 @@ class OllamaService {
 
       logger.info(`Sedang memproses pertanyaan: '${question}'`);
 
-      const historyKey = `lel:${nomorWhatsapp}`;
-      let history = await redisClient.lRange(historyKey, -6, -1);
-      history = history.map(JSON.parse);
+      const { summary: conversationSummary, messages: history } = await this.loadHistory(nomorWhatsapp);
 
       const formattedHistory = history.map(msg => {
         return msg.role === 'user' ? 
@@ -264,34 +456,70 @@ class OllamaService {
           {type: 'ai', content: msg.content};
       });
 
-      const tags = await this.getQuestionTag(question);
+      let tags = await this.getQuestionTag(question, signal);
+      checkAborted();
+      // Pertanyaan status pesanan sering terklasifikasi sebagai order atau unknown
+      if (tags !== 'warranty_refund' && this.orderService.isStatusInquiry(question)) {
+        tags = 'order_status';
+      }
       let systemTemplate = this.tagTemplates[tags] || this.tagTemplates.unknown;
 
       const relevantInfo = this.formatRelevantInfo(context.relevantEntries);
 
-      const products = this.getProductData();
+      await this.catalogService.load();
 
-      const words = question.toLowerCase().split(/\s+/);
-      let productInfo = null;
+      const availability = this.checkProductAvailability(question);
+      const productInfo = availability.exists ? availability : null;
 
-      for (let i = 0; i < words.length; i++) {
-        for (let j = i + 1; j <= Math.min(i + 5, words.length); j++) {
-          const potentialProduct = words.slice(i, j).join(' ');
-          const availability = this.checkProductAvailability(potentialProduct);
-          if (availability.exists) {
-            productInfo = availability;
-            break;
-          }
-        }
-        if (productInfo) break;
+      checkAborted();
+      const warrantyState = dryRun ? null : await this.warrantyService.handleMessage({
+        whatsappNumber: nomorWhatsapp,
+        question,
+        tag: tags,
+        productInfo: availability,
+        beforeChange
+      });
+      checkAborted();
+
+      const orderState = dryRun ? null : await this.orderService.handleMessage({
+        whatsappNumber: nomorWhatsapp,
+        question,
+        tag: tags,
+        productInfo: availability,
+        findProduct: text => this.checkProductAvailability(text),
+        history,
+        beforeChange
+      });
+      if (orderState && orderState.action === 'confirmed') {
+        orderState.payment = await this.createOrderPayment(orderState.order);
+      }
+      const deliveries = dryRun ? [] : await this.collectDeliveries(nomorWhatsapp);
+      const orderLookup = tags === 'order_status' && nomorWhatsapp
+        ? await this.lookupOrderStatus(nomorWhatsapp, question)
+        : null;
+      if (tags !== 'order_status' && ((orderState && orderState.action !== 'awaiting_confirmation') || deliveries.length > 0)) {
+        systemTemplate = this.tagTemplates.order;
       }
 
-      const productString = Object.entries(products)
-        .map(([name, p]) => {
-          const stockStatus = parseInt(p.stock) > 0 ? 'Tersedia' : 'Kosong';
-          return `${name}: Harga ${p.price}, Status: ${stockStatus}, Stock: ${p.stock}`;
-        })
-        .join('\n');
+      const profile = dryRun
+        ? await this.getCustomerProfile(nomorWhatsapp)
+        : await this.updateCustomerProfile(nomorWhatsapp, question, availability, warrantyState);
+      const profileContext = this.formatProfileContext(profile);
+      if (profileContext) {
+        systemTemplate += `
+      Profil pelanggan:
+      {profile}
+    `;
+      }
+
+      if (conversationSummary) {
+        systemTemplate += `
+      Ringkasan percakapan sebelumnya dengan pelanggan ini:
+      {summary}
+    `;
+      }
+
+      const productString = this.buildProductString();
 
       const chatPrompt = ChatPromptTemplate.fromMessages([
         ["system", systemTemplate],
@@ -302,43 +530,56 @@ class OllamaService {
       const formattedMessages = await chatPrompt.formatMessages({
         context: relevantInfo,
         products: productString,
+        order: this.formatOrderContext(orderState, deliveries),
+        orders: this.formatOrderStatusContext(orderLookup, deliveries),
+        warranty: this.formatWarrantyContext(warrantyState),
+        summary: conversationSummary,
+        profile: profileContext,
         chat_history: formattedHistory,
         query: question
       });
 
       const startTime = Date.now();
-      const response = await this.chatModel.invoke(formattedMessages);
+      const answer = await this.generateAnswer(formattedMessages, options.onToken, signal);
       const processingTime = Date.now() - startTime;
+      checkAborted();
 
-      const chatEntry = JSON.stringify({
-        role: "user",
-        content: question
-      });
-      await redisClient.rPush(historyKey, chatEntry);
-      await redisClient.expire(historyKey, 2 * 24 * 60 * 60);
-
-      const aiEntry = JSON.stringify({
-        role: "assistant",
-        content: response.content
-      });
-      await redisClient.rPush(historyKey, aiEntry);
-      await redisClient.expire(historyKey, 2 * 24 * 60 * 60); 
-
-      const historyLength = await redisClient.lLen(historyKey);
-      if (historyLength > 20) {
-        await redisClient.lTrim(historyKey, historyLength - 20, -1);
+      if (!dryRun) {
+        beforeChange();
+        await this.saveHistory(nomorWhatsapp, question, answer);
+        this.refreshSummary(nomorWhatsapp);
       }
-      logger.info(`Pertanyaan '${question}' diproses dalam ${processingTime}ms dengan jawaban '${response.content}'`);
+      logger.info(`Pertanyaan '${question}' diproses dalam ${processingTime}ms dengan jawaban '${answer}'`);
 
       return {
-        response: response.content,
+        response: answer,
         processingTime,
         tags,
-        productInfo
+        productInfo,
+        order: orderState
+          ? {
+            action: orderState.action,
+            ...this.orderService.summarizeOrder(orderState.order),
+            payment: this.paymentService.summarizePayment(orderState.payment)
+          }
+          : null,
+        orders: orderLookup
+          ? orderLookup.orders.map(order => ({
+            ...this.orderService.summarizeOrder(order),
+            payment: this.paymentService.summarizePayment(order.payment)
+          }))
+          : null,
+        delivery: deliveries,
+        warranty: warrantyState
+          ? { action: warrantyState.action, reason: warrantyState.reason || null, claim: warrantyState.claim || null }
+          : null
       };
 
     } catch (error) {
       logger.error(`Error processing with AI: ${error.message}`);
+      if (stateChanged && error && typeof error === 'object') {
+        error.retryable = false;
+      }
       throw error;
     }
   }
@@ -361,50 +602,384 @@ class OllamaService {
   }
 
   /**
-   * Dapatkan data produk
-   * @returns {Object} - Data produk
+   * Dapatkan data produk aktif dari katalog (hasil CatalogService.load() terakhir)
+   * @returns {Object} - Data produk, dikelompokkan berdasarkan nama produk
    */
   getProductData() {
-    return {
-      "Akun Gmail Fresh": {
-        price: "Rp 5.000",
-        stock: "2",
-        desc: "Akun Gmail baru dengan garansi 7 hari. Cocok untuk keperluan registrasi atau akun utama."
-      },
-      "Akun Gmail Aged": {
-        price: "Rp 15.000/akun",
-        stock: "1",
-        desc: "Akun Gmail berumur lebih dari 1 tahun dengan garansi 14 hari. Cocok untuk bisnis atau akun verifikasi."
-      },
-      "Netflix 1P1U": {
-        price: "Rp 24.000",
-        stock: "0",
-        desc: "Akun Netflix sharing dengan 1 profile dan 1 user. Bebas gangguan, bisa digunakan kapan saja."
-      },
-      "Netflix 1P2U": {
-        price: "Rp 13.000",
-        stock: "5",
-        desc: "Akun Netflix sharing dengan 1 profile untuk 2 user. Ada kemungkinan kendala jika dipakai bersamaan."
-      },
-      "Netflix Premium 4K UHD": {
-        price: "Rp 50.000",
-        stock: "3",
-        desc: "Akun Netflix sharing dengan kualitas 4K UHD. Bisa digunakan di 4 perangkat bersamaan."
-      },
-      "Disney+ Hotstar": {
-        price: "Rp 30.000",
-        stock: "8",
-        desc: "Akun Disney+ Hotstar premium untuk menonton film dan serial eksklusif Disney, Marvel, dan lainnya."
+    return Object.fromEntries(
+      this.catalogService.listProducts().map(({ name, ...product }) => [name, product])
+    );
+  }
+
+  /**
+   * Buat pembayaran QRIS untuk pesanan yang baru dikonfirmasi.
+   * Kegagalan gateway tidak menggagalkan jawaban; pembayaran bisa dibuat ulang lewat API.
+   * @param {Object} order - Pesanan berstatus awaiting_payment
+   * @returns {Promise<Object|null>} - Pembayaran atau null jika gagal
+   */
+  async createOrderPayment(order) {
+    try {
+      return await this.paymentService.createPayment(order.id);
+    } catch (error) {
+      logger.error(`Gagal membuat pembayaran QRIS untuk ${order.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Ambil akun dari vault untuk pesanan pelanggan yang sudah lunas dan belum dikirim.
+   * Kegagalan vault tidak menggagalkan jawaban; akun tetap bisa dikirim admin.
+   * @param {string} nomorWhatsapp - Nomor WhatsApp pelanggan
+   * @returns {Promise<Array>} - [{ orderId, items: [{ productId, name, credentials }] }]
+   */
+  async collectDeliveries(nomorWhatsapp) {
+    if (!nomorWhatsapp) return [];
+    try {
+      return await this.vaultService.collectDeliveries(nomorWhatsapp);
+    } catch (error) {
+      logger.error(`Gagal mengambil akun dari vault untuk ${nomorWhatsapp}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Format status pesanan untuk template order
+   * @param {Object} orderState - Hasil OrderService.handleMessage
+   * @param {Array} deliveries - Hasil collectDeliveries; isi akun tidak pernah masuk ke prompt
+   * @returns {string} - Status pesanan beserta instruksi untuk model
+   */
+  formatOrderContext(orderState, deliveries = []) {
+    const deliveryLines = this.formatDeliveryLines(deliveries);
+
+    if (!orderState) {
+      return deliveryLines.length > 0 ? deliveryLines.join('\n') : 'Tidak ada pesanan aktif.';
+    }
+
+    const formatPrice = price => this.catalogService.formatPrice(price);
+    const lines = [];
+    const { action, order } = orderState;
+
+    if (order) {
+      lines.push(`Nomor pesanan: ${order.id}`);
+      lines.push(`Status: ${order.status}`);
+      order.items.forEach(item => {
+        lines.push(`Item: ${item.quantity}x ${item.name} @ ${formatPrice(item.price)} = ${formatPrice(item.subtotal)}`);
+      });
+      lines.push(`Total: ${formatPrice(order.total)}`);
+    }
+    if (orderState.payment) {
+      const expiresAt = new Date(orderState.payment.expiresAt)
+        .toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Jakarta' });
+      lines.push(`Pembayaran: QRIS ${orderState.payment.reference}, bayar tepat ${formatPrice(orderState.payment.amount)} sebelum pukul ${expiresAt} WIB`);
+    }
+
+    const instructions = {
+      draft_created: 'Pesanan baru dibuat. Ringkas pesanan lalu minta pelanggan membalas "ya" untuk konfirmasi atau "batal" untuk membatalkan.',
+      awaiting_confirmation: 'Pesanan masih menunggu konfirmasi pelanggan ("ya" atau "batal").',
+      confirmed: orderState.payment
+        ? 'Pesanan sudah dikonfirmasi dan stok sudah disiapkan. Kode QRIS dikirim bersama pesan ini; minta pelanggan scan dan membayar tepat sebesar total sebelum batas waktu.'
+        : 'Pesanan sudah dikonfirmasi dan stok sudah disiapkan. Kode QRIS akan dikirim admin; minta pelanggan menunggu sebentar.',
+      cancelled: 'Pesanan sudah dibatalkan sesuai permintaan pelanggan. Tawarkan bantuan lain.',
+      product_not_found: 'Produk yang ingin dipesan belum jelas atau tidak ada di daftar produk. Tanyakan produk mana yang ingin dipesan.',
+      out_of_stock: `Stok ${orderState.product ? orderState.product.name : 'produk'} sedang kosong. Tawarkan produk lain yang tersedia.`,
+      insufficient_stock: orderState.product
+        ? `Stok ${orderState.product.name} hanya ${orderState.product.stock}, tidak cukup untuk ${orderState.quantity}. Tawarkan jumlah yang tersedia.`
+        : `Stok tidak cukup untuk pesanan ini (${orderState.message}). Tawarkan untuk mengubah jumlah atau produk.`
+    };
+
+    if (action === 'choose_variant' && orderState.group) {
+      lines.push(`Pelanggan ingin memesan ${orderState.group.name} tapi belum memilih varian. Pilihan:`);
+      orderState.group.variants.forEach(variant => {
+        const stockStatus = variant.inStock ? `stok ${variant.stock}` : 'kosong';
+        lines.push(`- ${variant.name}: ${formatPrice(variant.price)} (${stockStatus})`);
+      });
+      lines.push('Instruksi: Tanyakan varian mana yang ingin dipesan.');
+    } else if (instructions[action]) {
+      lines.push(`Instruksi: ${instructions[action]}`);
+    }
+
+    return [...lines, ...deliveryLines].join('\n');
+  }
+
+  /**
+   * Baris pengiriman akun untuk prompt; isi akun tidak pernah masuk ke prompt
+   * @param {Array} deliveries - Hasil collectDeliveries
+   * @returns {Array<string>} - Baris pengiriman beserta instruksi, kosong jika tidak ada pengiriman
+   */
+  formatDeliveryLines(deliveries = []) {
+    const lines = deliveries.map(delivery => {
+      const items = delivery.items.map(item => `${item.credentials.length}x ${item.name}`).join(', ');
+      return `Pesanan ${delivery.orderId} sudah lunas dan dikirim: ${items}.`;
+    });
+    if (lines.length > 0) {
+      lines.push('Instruksi: Beri tahu pelanggan bahwa detail akun dilampirkan otomatis bersama pesan ini. Jangan menulis email, password, atau PIN sendiri. Ucapkan terima kasih.');
+    }
+    return lines;
+  }
+
+  /**
+   * Perbarui profil pelanggan dari pesan ini: nama, bahasa, produk yang ditanyakan,
+   * pesanan yang sudah dibayar dan klaim garansi baru. Kegagalan hanya dicatat.
+   * @param {string} nomorWhatsapp - Nomor WhatsApp pelanggan
+   * @param {string} question - Pertanyaan pelanggan
+   * @param {Object} availability - Hasil checkProductAvailability
+   * @param {Object} warrantyState - Hasil WarrantyService.handleMessage
+   * @returns {Promise<Object|null>} - Profil terbaru
+   */
+  async updateCustomerProfile(nomorWhatsapp, question, availability, warrantyState) {
+    if (!nomorWhatsapp) return null;
+    try {
+      let profile = await this.profileService.recordMessage(nomorWhatsapp, {
+        question,
+        product: availability.product || availability.group
+      });
+      const orders = await this.orderService.getOrdersByCustomer(nomorWhatsapp);
+      profile = (await this.profileService.recordPurchases(nomorWhatsapp, orders)) || profile;
+      if (warrantyState && warrantyState.action === 'claim_filed') {
+        const { claim } = warrantyState;
+        profile = await this.profileService.addNote(
+          nomorWhatsapp,
+          `Klaim garansi ${claim.id} untuk ${claim.productName} (pesanan ${claim.orderId})`,
+          'warranty'
+        );
       }
+      return profile;
+    } catch (error) {
+      logger.error(`Gagal memperbarui profil pelanggan ${nomorWhatsapp}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Profil pelanggan tanpa mengubahnya, untuk dry run
+   * @param {string} nomorWhatsapp - Nomor WhatsApp pelanggan
+   * @returns {Promise<Object|null>} - Profil, null jika belum ada atau gagal dibaca
+   */
+  async getCustomerProfile(nomorWhatsapp) {
+    if (!nomorWhatsapp) return null;
+    try {
+      return await this.profileService.getProfile(nomorWhatsapp);
+    } catch (error) {
+      logger.error(`Gagal membaca profil pelanggan ${nomorWhatsapp}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Format profil pelanggan untuk system prompt
+   * @param {Object} profile - Profil dari CustomerProfileService
+   * @returns {string|null} - Blok profil singkat, null jika belum ada yang diketahui
+   */
+  formatProfileContext(profile) {
+    if (!profile) return null;
+
+    const formatDate = date => new Date(date)
+      .toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Jakarta' });
+    const lines = [];
+    if (profile.name) {
+      lines.push(`Nama panggilan: ${profile.name}`);
+    }
+    if (profile.language) {
+      lines.push(`Bahasa: ${profile.language === 'en' ? 'Inggris' : 'Indonesia'}`);
+    }
+
+    // purchases sudah urut dari yang terbaru
+    const purchased = new Map();
+    profile.purchases.forEach(purchase => {
+      const entry = purchased.get(purchase.productId) || { name: purchase.name, quantity: 0, lastAt: purchase.at };
+      entry.quantity += purchase.quantity;
+      purchased.set(purchase.productId, entry);
+    });
+    if (purchased.size > 0) {
+      const items = [...purchased.values()].slice(0, 5)
+        .map(entry => `${entry.name} (${entry.quantity}x, terakhir ${formatDate(entry.lastAt)})`);
+      lines.push(`Pernah membeli: ${items.join(', ')}`);
+    }
+
+    const interests = profile.interests.filter(interest => !purchased.has(interest.productId)).slice(0, 5);
+    if (interests.length > 0) {
+      lines.push(`Pernah menanyakan: ${interests.map(interest => interest.name).join(', ')}`);
+    }
+    profile.notes.slice(-3).forEach(note => lines.push(`Catatan: ${note.text}`));
+
+    if (lines.length === 0) return null;
+
+    const instructions = [];
+    if (profile.name) instructions.push(`Sapa pelanggan dengan namanya, misalnya "kak ${profile.name}".`);
+    if (purchased.size > 0) instructions.push('Jika relevan, tawarkan perpanjangan produk yang pernah dibeli.');
+    if (profile.language === 'en') instructions.push('Jawab dalam bahasa Inggris.');
+    if (instructions.length > 0) lines.push(`Instruksi: ${instructions.join(' ')}`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Cari pesanan pelanggan untuk pertanyaan status, beserta QRIS terakhir untuk pesanan yang belum dibayar
+   * @param {string} nomorWhatsapp - Nomor WhatsApp pelanggan
+   * @param {string} question - Pertanyaan pelanggan, bisa berisi nomor pesanan
+   * @returns {Promise<Object>} - Hasil OrderService.lookupOrders dengan `payment` di setiap pesanan
+   */
+  async lookupOrderStatus(nomorWhatsapp, question) {
+    const lookup = await this.orderService.lookupOrders(nomorWhatsapp, question);
+    const orders = await Promise.all(lookup.orders.map(async order => {
+      if (order.status !== 'awaiting_payment') return { ...order, payment: null };
+      const [payment] = await this.paymentService.getPaymentsByOrder(order.id);
+      return { ...order, payment: payment || null };
+    }));
+    return { ...lookup, orders };
+  }
+
+  /**
+   * Format daftar pesanan pelanggan untuk template order_status
+   * @param {Object} orderLookup - Hasil lookupOrderStatus
+   * @param {Array} deliveries - Hasil collectDeliveries
+   * @returns {string} - Daftar pesanan beserta instruksi untuk model
+   */
+  formatOrderStatusContext(orderLookup, deliveries = []) {
+    if (!orderLookup) {
+      return 'Tidak ada data pesanan.';
+    }
+
+    const { orderId, orders } = orderLookup;
+    if (orders.length === 0) {
+      return orderId
+        ? `Pesanan ${orderId} tidak ditemukan untuk nomor WhatsApp ini.\nInstruksi: Minta pelanggan mengecek kembali nomor pesanan atau nomor WhatsApp yang dipakai saat memesan.`
+        : 'Belum ada pesanan atas nomor WhatsApp ini.\nInstruksi: Sampaikan bahwa belum ada pesanan tercatat atas nomor ini dan tawarkan bantuan untuk memesan.';
+    }
+
+    const formatPrice = price => this.catalogService.formatPrice(price);
+    const formatTime = date => new Date(date)
+      .toLocaleString('id-ID', { day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Jakarta' });
+    const statusLabels = {
+      draft: 'menunggu konfirmasi pelanggan ("ya" atau "batal")',
+      awaiting_payment: 'menunggu pembayaran QRIS',
+      paid: 'sudah dibayar, akun sedang disiapkan admin',
+      delivered: 'sudah dikirim',
+      cancelled: 'dibatalkan'
+    };
+
+    const lines = ['Pesanan atas nomor WhatsApp pelanggan, terbaru di atas:'];
+    orders.forEach(order => {
+      const items = order.items.map(item => `${item.quantity}x ${item.name}`).join(', ');
+      lines.push(`- ${order.id} (dibuat ${formatTime(order.createdAt)}): ${items}, total ${formatPrice(order.total)}. Status: ${statusLabels[order.status] || order.status} (sejak ${formatTime(order.updatedAt)}).`);
+      if (order.status !== 'awaiting_payment') return;
+      if (order.payment && order.payment.status === 'pending' && new Date(order.payment.expiresAt) > new Date()) {
+        lines.push(`  Pembayaran: QRIS ${order.payment.reference}, bayar tepat ${formatPrice(order.payment.amount)} sebelum ${formatTime(order.payment.expiresAt)} WIB.`);
+      } else {
+        lines.push('  Pembayaran: QRIS belum tersedia atau sudah kedaluwarsa; admin akan mengirim QRIS baru.');
+      }
+    });
+    lines.push('Instruksi: Jelaskan status pesanan di atas. Jika pelanggan menyebut satu pesanan, fokus pada pesanan itu.');
+
+    return [...lines, ...this.formatDeliveryLines(deliveries)].join('\n');
+  }
+
+  /**
+   * Format kebijakan garansi dan garansi milik pelanggan untuk template refund_policy/warranty_refund
+   * @param {Object} warrantyState - Hasil WarrantyService.handleMessage
+   * @returns {string} - Data garansi beserta instruksi untuk model
+   */
+  formatWarrantyContext(warrantyState) {
+    if (!warrantyState) {
+      return 'Tidak ada data garansi.';
+    }
+
+    const formatDate = date => new Date(date)
+      .toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Jakarta' });
+    const lines = ['Kebijakan garansi per produk (dihitung sejak akun dikirim):'];
+    this.catalogService.listProducts().forEach(product => {
+      lines.push(product.warrantyDays
+        ? `- ${product.name}: garansi ${product.warrantyDays} hari`
+        : `- ${product.name}: tanpa garansi`);
+    });
+    lines.push('Klaim garansi diproses admin dengan penggantian akun atau refund.');
+
+    if (warrantyState.warranties.length > 0) {
+      lines.push('Garansi milik pelanggan:');
+      warrantyState.warranties.forEach(warranty => {
+        let status = 'tanpa garansi';
+        if (warranty.warrantyDays > 0) {
+          status = warranty.active
+            ? `aktif sampai ${formatDate(warranty.expiresAt)} (sisa ${warranty.daysLeft} hari)`
+            : `berakhir ${formatDate(warranty.expiresAt)}`;
+        }
+        lines.push(`- ${warranty.productName} (pesanan ${warranty.orderId}, dikirim ${formatDate(warranty.deliveredAt)}): ${status}`);
+      });
+    } else {
+      lines.push('Pelanggan belum punya pesanan yang sudah dikirim.');
+    }
+
+    const { action, reason, claim, warranty } = warrantyState;
+    const rejections = {
+      NO_DELIVERY: 'Tidak ditemukan pesanan terkirim yang cocok. Minta pelanggan menyebutkan nomor pesanan atau produk yang bermasalah.',
+      NO_WARRANTY: `${warranty ? warranty.productName : 'Produk ini'} tidak bergaransi, jadi klaim tidak bisa diproses.`,
+      WARRANTY_EXPIRED: `Masa garansi ${warranty ? warranty.productName : ''} sudah berakhir${warranty ? ` pada ${formatDate(warranty.expiresAt)}` : ''}, jadi klaim tidak bisa diproses.`,
+      CLAIM_ALREADY_OPEN: `Klaim ${claim ? claim.id : ''} untuk produk ini masih diproses admin. Minta pelanggan menunggu.`
     };
+
+    if (action === 'claim_filed') {
+      lines.push(`Instruksi: Klaim ${claim.id} untuk ${claim.productName} (pesanan ${claim.orderId}) sudah dicatat. Sampaikan nomor klaim dan bahwa admin akan segera memproses penggantian.`);
+    } else if (action === 'claim_rejected' && rejections[reason]) {
+      lines.push(`Instruksi: ${rejections[reason]}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Susun daftar produk untuk prompt: varian dikelompokkan di bawah produk induknya,
+   * lalu produk tanpa induk dan paket bundling.
+   * @returns {string} - Daftar produk
+   */
+  buildProductString() {
+    const catalog = this.catalogService;
+    const formatLine = (name, price, stock, details) => {
+      const stockStatus = stock > 0 ? 'Tersedia' : 'Kosong';
+      const detailText = details ? ` (${details})` : '';
+      return `${name}${detailText}: Harga ${catalog.formatPrice(price)}, Status: ${stockStatus}, Stock: ${stock}`;
+    };
+
+    const lines = [];
+    const groupedIds = new Set();
+
+    catalog.listParents().forEach(parent => {
+      const variants = catalog.getVariants(parent.id);
+      if (variants.length === 0) return;
+
+      lines.push(`${parent.name} (${variants.length} pilihan):`);
+      variants.forEach(variant => {
+        groupedIds.add(variant.id);
+        lines.push(`  - ${formatLine(variant.name, variant.price, variant.stock, catalog.describeAttributes(variant))}`);
+      });
+    });
+
+    catalog.listProducts()
+      .filter(product => !groupedIds.has(product.id))
+      .forEach(product => {
+        lines.push(formatLine(product.name, product.price, product.stock, catalog.describeAttributes(product)));
+      });
+
+    catalog.listBundles().forEach(bundle => {
+      const contents = bundle.items
+        .map(item => {
+          const product = catalog.getProduct(item.productId);
+          const name = product ? product.name : item.productId;
+          return item.quantity > 1 ? `${item.quantity}x ${name}` : name;
+        })
+        .join(' + ');
+      lines.push(formatLine(`Paket ${bundle.name}`, bundle.price, bundle.stock, `isi: ${contents}`));
+    });
+
+    return lines.join('\n');
   }
 
   /**
    * Get the tag classification for a given question
    * @param {string} question - The question to classify
+   * @param {AbortSignal} signal - Cancels the model call, optional
    * @returns {Promise<string>} - Returns the classified tag
    */
-  async getQuestionTag(question) {
+  async getQuestionTag(question, signal) {
     try {
       if (!this.initialized) {
         await this.init();
@@ -413,11 +988,12 @@ class OllamaService {
       const messages = [
         {
           role: "user",
-          content: `Classify the following question into one of the tags: price_inquiry, availability, greeting, technical_details, payment_method, refund_policy, emerging_services, warranty_refund, referral_loyalty, order, unknown. Return only the tag for this question: "${question}"`
+          content: `Classify the following question into one of the tags: price_inquiry, availability, greeting, technical_details, payment_method, refund_policy, emerging_services, warranty_refund, referral_loyalty, order, order_status, unknown. Return only the tag for this question: "${question}"`
         }
       ];
 
       const response = await this.chatModel.invoke(messages, {
+        signal,
         format: {
           type: "object",
           properties: {
@@ -425,7 +1001,7 @@ class OllamaService {
               type: "string",
               enum: ["price_inquiry", "availability", "greeting", "technical_details", 
                 "payment_method", "refund_policy", "emerging_services", 
-                "warranty_refund", "referral_loyalty", "order", "unknown"
+                "warranty_refund", "referral_loyalty", "order", "order_status", "unknown"
               ]         
             }
           },
@@ -456,6 +1032,7 @@ class OllamaService {
         "warranty_refund",
         "referral_loyalty",
         "order",
+        "order_status",
         "unknown",
       ];
       if (!validTags.includes(tag)) {
@@ -465,6 +1042,7 @@ class OllamaService {
       logger.info(`Question "${question}" classified as tag: ${tag}`);
       return tag;
     } catch (error) {
+      if (signal && signal.aborted) throw signal.reason;
       logger.error(`Error getting question tag: ${error.message}`);
       return "unknown";
     }
@@ -515,37 +1093,77 @@ class OllamaService {
   }
 
   /**
-   * Checks if a product exists and is in stock
-   * @param {string} productName - Name of the product to check
-   * @returns {Object} - Product availability info {exists: boolean, inStock: boolean, product: Object}
+   * Checks if a product exists and is in stock.
+   * Matches the product name, aliases, slang and keywords from the catalog
+   * (see CatalogService.searchProducts) and ranks every candidate, bundles included.
+   * When the text names a parent product rather than one variant, `group`
+   * lists all variants of that parent.
+   * @param {string} productName - Product name or customer message to check
+   * @returns {Object} - Product availability info
+   *   {exists: boolean, inStock: boolean, product: Object, group: Object, score: number, candidates: Array}
    */
   checkProductAvailability(productName) {
-    const products = this.getProductData();
-    const normalizedSearch = productName.toLowerCase().trim();
-
-    // Enhanced product matching using Fuzzy Matching
-    let bestMatch = null;
-    let highestScore = 0;
-
-    Object.entries(products).forEach(([name, product]) => {
-      const score = fuzz.ratio(normalizedSearch, name.toLowerCase());
-      if (score > highestScore) {
-        highestScore = score;
-        bestMatch = { name, product };
-      }
+    const catalog = this.catalogService;
+    const text = productName || '';
+    const toCandidate = (type, entry, score, matchedTerm) => ({
+      type,
+      id: entry.id,
+      name: entry.name,
+      price: entry.price,
+      stock: entry.stock,
+      inStock: entry.stock > 0,
+      score,
+      matchedTerm
     });
 
-    if (!bestMatch || highestScore < 70) { // Threshold for fuzzy matching
-      return { exists: false, inStock: false, product: null };
+    const candidates = [
+      ...catalog.searchProducts(text).map(({ product, score, matchedTerm }) => toCandidate('product', product, score, matchedTerm)),
+      ...catalog.searchBundles(text).map(({ bundle, score, matchedTerm }) => toCandidate('bundle', bundle, score, matchedTerm))
+    ].sort((a, b) => b.score - a.score);
+
+    // "netflix ada apa aja?" matches the parent better than any single variant
+    const [parentMatch] = catalog.searchParents(text);
+    if (parentMatch && (candidates.length === 0 || parentMatch.score > candidates[0].score)) {
+      const variants = catalog.getVariants(parentMatch.parent.id).map(variant => ({
+        id: variant.id,
+        name: variant.name,
+        price: variant.price,
+        stock: variant.stock,
+        inStock: variant.stock > 0,
+        attributes: variant.attributes || {}
+      }));
+
+      if (variants.length > 0) {
+        return {
+          exists: true,
+          inStock: variants.some(variant => variant.inStock),
+          product: null,
+          group: {
+            id: parentMatch.parent.id,
+            name: parentMatch.parent.name,
+            desc: parentMatch.parent.desc,
+            variants
+          },
+          score: parentMatch.score,
+          candidates
+        };
+      }
+    }
+
+    if (candidates.length === 0) {
+      return { exists: false, inStock: false, product: null, group: null, score: 0, candidates };
     }
 
-    const { name, product } = bestMatch;
-    const inStock = parseInt(product.stock) > 0;
+    const best = candidates[0];
+    const product = best.type === 'bundle' ? catalog.getBundle(best.id) : catalog.getProduct(best.id);
 
     return {
       exists: true,
-      inStock,
-      product: { ...product, name }
+      inStock: best.inStock,
+      product: { ...product, type: best.type },
+      group: null,
+      score: best.score,
+      candidates
     };
   }
 }
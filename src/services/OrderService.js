@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const CatalogService = require('./CatalogService');
+const WarrantyService = require('./WarrantyService');
+const { createServiceError } = require('../utils/serviceError');
+
+const ORDER_STATUSES = ['draft', 'awaiting_payment', 'paid', 'delivered', 'cancelled'];
+
+// Allowed status changes: draft -> awaiting_payment -> paid -> delivered, cancel until delivered
+const TRANSITIONS = {
+  draft: ['awaiting_payment', 'cancelled'],
+  awaiting_payment: ['paid', 'cancelled'],
+  paid: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Statuses that hold reserved stock
+const RESERVED_STATUSES = ['awaiting_payment', 'paid'];
+
+// A pending draft is only confirmed or cancelled by a short reply that is nothing but that answer
+// ("iya kak", "oke lanjut", "gak jadi deh"); "jadi gimana caranya?", "ya tapi mahal" or
+// "kalau batal bisa refund?" are questions and leave the draft alone
+const CONFIRM_PATTERN = /^(ya+|iya+|yes|y|ok(e|ey)?|oke+|sip|gas+|lanjut(kan)?|jadi|setuju|benar|betul|konfirmasi|confirm)(\s+(ya+|iya+|ok(e|ey)?|oke+|sip|gas+|lanjut(kan)?|jadi|konfirmasi|kak|ka|kk|min|gan|sis|deh|dong|aja|saja|pesanan(nya)?|order(an)?(nya)?))*[\s.!]*$/i;
+const CANCEL_PATTERN = /^(batal(kan)?|cancel|(gak|ga|gk|nggak|enggak|tidak) jadi)(\s+(batal(kan)?|aja|saja|deh|dulu|ya+|kak|ka|kk|min|gan|sis|pesanan(nya)?|order(an)?(nya)?))*[\s.!]*$/i;
+
+// "pesanan saya gimana?", "status order", "udah bayar kok akunnya belum masuk"
+const STATUS_INQUIRY_PATTERN = /\b(status|cek|lacak|track)\s*(pesanan|pesenan|orderan|order|transaksi)\b|\b(pesanan|pesenan|orderan|order|transaksi|pembelian)\s*(saya|aku|ku|gw|gue|gua|kemarin|tadi|yang tadi)?\s*(gimana|bagaimana|gmn|udah|sudah|belum|blm|kapan|mana|sampai mana|diproses)\b|\b(udah|sudah)\s*(bayar|transfer|tf)\b|\bakun\s*(nya|ku)?\s*(belum|blm|kapan|mana)\b/i;
+const ORDER_ID_PATTERN = /\bORD-\d{8}-[0-9A-F]{6}\b/i;
+
+const NUMBER_WORDS = {
+  satu: 1, dua: 2, tiga: 3, empat: 4, lima: 5,
+  enam: 6, tujuh: 7, delapan: 8, sembilan: 9, sepuluh: 10
+};
+
+class OrderService {
+  constructor(options = {}) {
+    this.ordersPath = path.resolve(
+      options.ordersPath || process.env.ORDERS_PATH || './data/orders.json'
+    );
+    this.store = new JsonFileStore(this.ordersPath, () => ({ orders: [] }));
+    this.catalogService = options.catalogService || new CatalogService();
+    this.warrantyService = options.warrantyService || new WarrantyService({ catalogService: this.catalogService });
+  }
+
+  /**
+   * Find an order by ID
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} - Order or null
+   */
+  async getOrder(orderId) {
+    const data = await this.store.read();
+    return (data.orders || []).find(order => order.id === orderId) || null;
+  }
+
+  /**
+   * Orders of a customer, newest first
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {Object} options
+   * @param {Array<string>} options.statuses - Only orders in these statuses
+   * @returns {Promise<Array>} - Orders
+   */
+  async getOrdersByCustomer(whatsappNumber, { statuses } = {}) {
+    const data = await this.store.read();
+    return (data.orders || [])
+      .filter(order => order.whatsapp_number === whatsappNumber)
+      .filter(order => !statuses || statuses.includes(order.status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * The customer's order that still waits for confirmation, if any
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @returns {Promise<Object|null>} - Draft order or null
+   */
+  async getDraft(whatsappNumber) {
+    const [draft] = await this.getOrdersByCustomer(whatsappNumber, { statuses: ['draft'] });
+    return draft || null;
+  }
+
+  /**
+   * Whether a message asks about the state of an existing order
+   * @param {string} text - Customer message
+   * @returns {boolean}
+   */
+  isStatusInquiry(text) {
+    return STATUS_INQUIRY_PATTERN.test(text) || ORDER_ID_PATTERN.test(text);
+  }
+
+  /**
+   * Recent orders of a customer for a status question. An order ID in the
+   * message narrows the result to that order, but only among the customer's own orders.
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {string} question - Customer message
+   * @param {Object} options
+   * @param {number} options.limit - Maximum orders returned
+   * @returns {Promise<Object>} - { orderId, orders }; orderId is the ID mentioned in the message, if any
+   */
+  async lookupOrders(whatsappNumber, question = '', { limit = 5 } = {}) {
+    const mentioned = question.match(ORDER_ID_PATTERN);
+    const orderId = mentioned ? mentioned[0].toUpperCase() : null;
+    const orders = await this.getOrdersByCustomer(whatsappNumber);
+
+    return {
+      orderId,
+      orders: (orderId ? orders.filter(order => order.id === orderId) : orders).slice(0, limit)
+    };
+  }
+
+  /**
+   * Product quantities held by orders that reserved stock and are not delivered yet
+   * @returns {Promise<Map<string, number>>} - productId -> quantity
+   */
+  async getReservedQuantities() {
+    const data = await this.store.read();
+    await this.catalogService.load();
+    const items = (data.orders || [])
+      .filter(order => RESERVED_STATUSES.includes(order.status))
+      .flatMap(order => order.items);
+    return this.catalogService.expandItems(items);
+  }
+
+  /**
+   * Create a draft order. An older draft of the same customer is cancelled.
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {Array<Object>} items - [{ type: 'product'|'bundle', id, name, price, quantity }]
+   * @returns {Promise<Object>} - Draft order
+   */
+  async createDraft(whatsappNumber, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw createServiceError('ValidationError', 'An order needs at least one item', 'EMPTY_ORDER');
+    }
+
+    const now = new Date().toISOString();
+    const orderItems = items.map(item => ({
+      type: item.type || 'product',
+      id: item.id,
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity,
+      subtotal: item.price * item.quantity
+    }));
+    const order = {
+      id: this.generateOrderId(),
+      whatsapp_number: whatsappNumber,
+      items: orderItems,
+      total: orderItems.reduce((sum, item) => sum + item.subtotal, 0),
+      status: 'draft',
+      history: [{ status: 'draft', at: now, note: 'Order created from chat' }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.update(data => {
+      data.orders = data.orders || [];
+      data.orders
+        .filter(existing => existing.whatsapp_number === whatsappNumber && existing.status === 'draft')
+        .forEach(existing => this.applyTransition(existing, 'cancelled', 'Replaced by a newer order'));
+      data.orders.push(order);
+    });
+
+    logger.info(`Draft order ${order.id} created for ${whatsappNumber}`);
+    return order;
+  }
+
+  /**
+   * Move an order to another status. Reserves stock when a draft is confirmed,
+   * releases it when a reserved order is cancelled and starts the warranty on delivery.
+   * @param {string} orderId - Order ID
+   * @param {string} status - Target status
+   * @param {Object} options
+   * @param {string} options.note - Reason shown in the order history
+   * @param {Object} options.data - Extra fields stored on the order
+   * @returns {Promise<Object>} - Updated order
+   */
+  async transition(orderId, status, { note, data: extra = {} } = {}) {
+    if (!ORDER_STATUSES.includes(status)) {
+      throw createServiceError('ValidationError', `Unknown order status: ${status}`, 'INVALID_ORDER_STATUS');
+    }
+
+    const order = await this.getOrder(orderId);
+    if (!order) {
+      throw createServiceError('NotFoundError', `Order ${orderId} not found`, 'ORDER_NOT_FOUND');
+    }
+    this.assertTransition(order, status);
+    const previousStatus = order.status;
+
+    if (status === 'awaiting_payment') {
+      await this.catalogService.reserveStock(order.items, { orderId, actor: order.whatsapp_number });
+    }
+
+    let updated;
+    try {
+      updated = await this.store.update(data => {
+        const current = data.orders.find(o => o.id === orderId);
+        this.assertTransition(current, status);
+        Object.assign(current, extra);
+        this.applyTransition(current, status, note);
+        return current;
+      });
+    } catch (error) {
+      if (status === 'awaiting_payment') {
+        await this.catalogService.releaseStock(order.items, { orderId, actor: 'system' });
+      }
+      throw error;
+    }
+
+    if (status === 'cancelled' && RESERVED_STATUSES.includes(previousStatus)) {
+      await this.catalogService.releaseStock(order.items, { orderId, actor: 'system' });
+    }
+    if (status === 'delivered') {
+      try {
+        await this.warrantyService.registerDelivery(updated);
+      } catch (error) {
+        logger.error(`Failed to record warranty for order ${orderId}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Order ${orderId}: ${previousStatus} -> ${status}`);
+    return updated;
+  }
+
+  assertTransition(order, status) {
+    if (!TRANSITIONS[order.status].includes(status)) {
+      throw createServiceError(
+        'ConflictError',
+        `Order ${order.id} cannot go from ${order.status} to ${status}`,
+        'INVALID_ORDER_TRANSITION'
+      );
+    }
+  }
+
+  applyTransition(order, status, note) {
+    const now = new Date().toISOString();
+    order.status = status;
+    order.updatedAt = now;
+    order.history.push({ status, at: now, note: note || null });
+  }
+
+  /**
+   * Handle one chat message for the order flow:
+   * - a pending draft is confirmed ("ya") or cancelled ("batal")
+   * - a message tagged "order" creates a draft from the product and quantity it mentions
+   * @param {Object} params
+   * @param {string} params.whatsappNumber - Customer WhatsApp number
+   * @param {string} params.question - Customer message
+   * @param {string} params.tag - Tag from getQuestionTag
+   * @param {Object} params.productInfo - Result of OllamaService.checkProductAvailability for the message
+   * @param {Function} params.findProduct - Same lookup for earlier messages (product named before "order 2 ya")
+   * @param {Array<Object>} params.history - Recent chat messages [{ role, content }]
+   * @param {Function} params.beforeChange - Called right before the order is changed; throwing leaves it unchanged
+   * @returns {Promise<Object|null>} - { action, order, ... } or null when the message is not about an order
+   */
+  async handleMessage({ whatsappNumber, question, tag, productInfo, findProduct, history = [], beforeChange = () => {} }) {
+    if (!whatsappNumber) return null;
+
+    const draft = await this.getDraft(whatsappNumber);
+    const text = question.trim();
+
+    if (draft && CANCEL_PATTERN.test(text)) {
+      beforeChange();
+      const order = await this.transition(draft.id, 'cancelled', { note: 'Cancelled by customer' });
+      return { action: 'cancelled', order };
+    }
+
+    if (draft && CONFIRM_PATTERN.test(text) && !(productInfo && productInfo.exists)) {
+      beforeChange();
+      try {
+        const order = await this.transition(draft.id, 'awaiting_payment', { note: 'Confirmed by customer' });
+        return { action: 'confirmed', order };
+      } catch (error) {
+        if (error.code !== 'INSUFFICIENT_STOCK') throw error;
+        return { action: 'insufficient_stock', order: draft, message: error.message };
+      }
+    }
+
+    if (tag !== 'order') {
+      return draft ? { action: 'awaiting_confirmation', order: draft } : null;
+    }
+
+    let match = productInfo && productInfo.exists ? productInfo : null;
+    if (!match && findProduct) {
+      const earlierMessages = history.filter(message => message.role === 'user').reverse();
+      for (const message of earlierMessages) {
+        const earlier = findProduct(message.content);
+        if (earlier.exists) {
+          match = earlier;
+          break;
+        }
+      }
+    }
+
+    if (!match) {
+      return { action: 'product_not_found', order: null };
+    }
+    if (match.group) {
+      return { action: 'choose_variant', order: null, group: match.group };
+    }
+
+    const product = match.product;
+    const quantity = this.extractQuantity(text);
+    if (product.stock <= 0) {
+      return { action: 'out_of_stock', order: null, product };
+    }
+    if (quantity > product.stock) {
+      return { action: 'insufficient_stock', order: null, product, quantity };
+    }
+
+    beforeChange();
+    const order = await this.createDraft(whatsappNumber, [{
+      type: product.type || 'product',
+      id: product.id,
+      name: product.name,
+      price: product.price,
+      quantity
+    }]);
+    return { action: 'draft_created', order };
+  }
+
+  /**
+   * Quantity mentioned in a message: "2 akun", "3x", "beli dua", default 1.
+   * Digits inside product names such as "1P2U" or "4K" are ignored.
+   * @param {string} text - Customer message
+   * @returns {number} - Quantity
+   */
+  extractQuantity(text) {
+    const normalized = text.toLowerCase();
+
+    const withUnit = normalized.match(/\b(\d{1,3})\s*(x|pcs|akun|buah|biji|bh|slot|unit)\b/);
+    if (withUnit) return Math.max(1, parseInt(withUnit[1], 10));
+
+    const afterVerb = normalized.match(/\b(?:beli|order|pesan|ambil|mau)\s+(\d{1,3})\b/);
+    if (afterVerb) return Math.max(1, parseInt(afterVerb[1], 10));
+
+    const word = normalized.match(/\b(satu|dua|tiga|empat|lima|enam|tujuh|delapan|sembilan|sepuluh)\b/);
+    if (word) return NUMBER_WORDS[word[1]];
+
+    return 1;
+  }
+
+  /**
+   * Short order summary for prompts and API results
+   * @param {Object} order - Order
+   * @returns {Object} - { id, status, items, total }
+   */
+  summarizeOrder(order) {
+    if (!order) return null;
+    return {
+      id: order.id,
+      status: order.status,
+      items: order.items.map(({ id, name, quantity, price, subtotal }) => ({ id, name, quantity, price, subtotal })),
+      total: order.total,
+      createdAt: order.createdAt,
+      updatedAt: order.updatedAt
+    };
+  }
+
+  generateOrderId() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `ORD-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+}
+
+OrderService.ORDER_STATUSES = ORDER_STATUSES;
+
+module.exports = OrderService;
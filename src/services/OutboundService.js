@@ -0,0 +1,130 @@
+const logger = require('../utils/logger');
+const { createSender } = require('./outbound');
+
+const formatPrice = price => `Rp ${new Intl.NumberFormat('id-ID').format(price)}`;
+
+const CREDENTIAL_LABELS = { email: 'Email', username: 'Username', password: 'Password', profile: 'Profil', pin: 'PIN' };
+
+// Vault credentials are strings or objects like { email, password, profile, pin }: one field per line
+const formatCredential = (credential, number) => {
+  if (!credential || typeof credential !== 'object') {
+    return `${number}. ${credential}`;
+  }
+  const fields = Object.entries(credential)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([field, value]) => `${CREDENTIAL_LABELS[field] || field}: ${value}`);
+  return `${number}. ${fields.join('\n   ')}`;
+};
+
+/**
+ * Delivers finished answers back to the customer through the configured
+ * outbound sender, with retries and exponential backoff.
+ */
+class OutboundService {
+  /**
+   * @param {Object} options
+   * @param {OutboundSender} options.sender - Defaults to the one selected by OUTBOUND_SENDER
+   * @param {number} options.maxAttempts - Attempts per message
+   * @param {number} options.retryDelayMs - Delay before the first retry, doubled after each failure
+   */
+  constructor(options = {}) {
+    this.sender = options.sender || createSender();
+    this.maxAttempts = options.maxAttempts || Number(process.env.OUTBOUND_MAX_ATTEMPTS) || 3;
+    this.retryDelayMs = options.retryDelayMs !== undefined
+      ? options.retryDelayMs
+      : Number(process.env.OUTBOUND_RETRY_DELAY_MS || 1000);
+  }
+
+  /**
+   * Messages for one processed question: the answer, then account details of
+   * delivered orders, then the QRIS of a just confirmed order
+   * @param {Object} result - Result of QuestionProcessor.processQuestion
+   * @returns {Array<Object>} - { text, imageUrl, sensitive }
+   */
+  buildMessages(result = {}) {
+    const messages = [];
+    if (result.response) {
+      messages.push({ text: String(result.response) });
+    }
+
+    (result.delivery || []).forEach(delivery => {
+      const items = delivery.items.map(item =>
+        `*${item.name}*\n${item.credentials.map((credential, i) => formatCredential(credential, i + 1)).join('\n')}`
+      );
+      messages.push({ text: `Detail akun pesanan ${delivery.orderId}:\n\n${items.join('\n\n')}`, sensitive: true });
+    });
+
+    const order = result.order;
+    if (order && order.action === 'confirmed' && order.payment && order.payment.status === 'pending') {
+      const { payment } = order;
+      const expiresAt = new Date(payment.expiresAt)
+        .toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Jakarta' });
+      const text = `Scan QRIS berikut untuk membayar pesanan ${order.id} sebesar ${formatPrice(payment.amount)} sebelum pukul ${expiresAt} WIB.`;
+      messages.push(payment.qrImageUrl
+        ? { text, imageUrl: payment.qrImageUrl }
+        : { text: `${text}\n\nKode QRIS:\n${payment.qrString}` });
+    }
+    return messages;
+  }
+
+  /**
+   * Send the messages of a processed question, retrying each one.
+   * Stops at the first message that still fails so the customer never gets them out of order.
+   * @param {Object} params
+   * @param {string} params.questionId - Job being answered
+   * @param {string} params.to - Customer WhatsApp number
+   * @param {Object} params.result - Result of QuestionProcessor.processQuestion
+   * @param {Function} onUpdate - Receives the delivery record after every attempt
+   * @returns {Promise<Object>} - { status: 'sent'|'failed'|'skipped', sender, attempts, messageIds, lastError, sentAt }
+   */
+  async deliver({ questionId, to, result }, onUpdate = () => {}) {
+    const messages = this.buildMessages(result);
+    const delivery = {
+      status: 'sending',
+      sender: this.sender.name,
+      attempts: 0,
+      messageIds: [],
+      lastError: null,
+      sentAt: null
+    };
+
+    if (!to || messages.length === 0) {
+      return { ...delivery, status: 'skipped' };
+    }
+    onUpdate({ ...delivery });
+
+    for (const message of messages) {
+      let sent = false;
+      for (let attempt = 1; attempt <= this.maxAttempts && !sent; attempt++) {
+        delivery.attempts += 1;
+        try {
+          const { messageId } = await this.sender.send({ ...message, to, questionId });
+          delivery.messageIds.push(messageId);
+          sent = true;
+        } catch (error) {
+          delivery.lastError = error.message;
+          logger.warn(`Outbound message for ${questionId} to ${to} failed (attempt ${attempt}/${this.maxAttempts}): ${error.message}`);
+          if (attempt < this.maxAttempts) {
+            onUpdate({ ...delivery });
+            await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** (attempt - 1)));
+          }
+        }
+      }
+
+      if (!sent) {
+        delivery.status = 'failed';
+        logger.error(`Outbound delivery for ${questionId} to ${to} failed after ${this.maxAttempts} attempts`);
+        onUpdate({ ...delivery });
+        return { ...delivery };
+      }
+    }
+
+    delivery.status = 'sent';
+    delivery.sentAt = new Date().toISOString();
+    logger.info(`Answer to ${questionId} sent to ${to} via ${this.sender.name} (${delivery.messageIds.length} messages)`);
+    onUpdate({ ...delivery });
+    return { ...delivery };
+  }
+}
+
+module.exports = OutboundService;
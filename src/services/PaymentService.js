@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const OrderService = require('./OrderService');
+const CredentialVaultService = require('./CredentialVaultService');
+const { createGateway } = require('./payment');
+const { createServiceError } = require('../utils/serviceError');
+
+const PAYMENT_STATUSES = ['pending', 'paid', 'expired', 'failed'];
+
+class PaymentService {
+  constructor(options = {}) {
+    this.paymentsPath = path.resolve(
+      options.paymentsPath || process.env.PAYMENTS_PATH || './data/payments.json'
+    );
+    this.store = new JsonFileStore(this.paymentsPath, () => ({ payments: [] }));
+    this.orderService = options.orderService || new OrderService();
+    this.vaultService = options.vaultService || new CredentialVaultService({
+      orderService: this.orderService,
+      catalogService: this.orderService.catalogService
+    });
+    this.gatewayName = options.gateway ? options.gateway.name : (process.env.PAYMENT_GATEWAY || 'simulator');
+    this.activeGateway = options.gateway || null;
+    this.expiryMinutes = options.expiryMinutes ||
+      parseInt(process.env.QRIS_EXPIRY_MINUTES || '15', 10);
+  }
+
+  /**
+   * The payment gateway, created on first use so chat keeps working while
+   * payments are not configured. Throws ConfigurationError (PAYMENT_NOT_CONFIGURED)
+   * until the gateway's settings are set.
+   * @returns {PaymentGateway}
+   */
+  get gateway() {
+    if (!this.activeGateway) {
+      this.activeGateway = createGateway(this.gatewayName);
+    }
+    return this.activeGateway;
+  }
+
+  /**
+   * Find a payment by reference
+   * @param {string} reference - Payment reference
+   * @returns {Promise<Object|null>} - Payment or null
+   */
+  async getPayment(reference) {
+    const data = await this.store.read();
+    return (data.payments || []).find(payment => payment.reference === reference) || null;
+  }
+
+  /**
+   * Payments of an order, newest first
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} - Payments
+   */
+  async getPaymentsByOrder(orderId) {
+    const data = await this.store.read();
+    return (data.payments || [])
+      .filter(payment => payment.orderId === orderId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Create a QRIS payment for an order that awaits payment.
+   * A pending payment that has not expired yet is reused.
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} - Payment with qrString / qrImageUrl
+   */
+  async createPayment(orderId) {
+    const order = await this.orderService.getOrder(orderId);
+    if (!order) {
+      throw createServiceError('NotFoundError', `Order ${orderId} not found`, 'ORDER_NOT_FOUND');
+    }
+    if (order.status !== 'awaiting_payment') {
+      throw createServiceError(
+        'ConflictError',
+        `Order ${orderId} is ${order.status} and cannot be paid`,
+        'ORDER_NOT_PAYABLE'
+      );
+    }
+
+    const now = new Date();
+    const [latest] = await this.getPaymentsByOrder(orderId);
+    if (latest && latest.status === 'pending' && new Date(latest.expiresAt) > now) {
+      return latest;
+    }
+
+    const reference = `${orderId}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+    const expiresAt = new Date(now.getTime() + this.expiryMinutes * 60000).toISOString();
+    const charge = await this.gateway.createCharge({
+      reference,
+      orderId,
+      amount: order.total,
+      expiresAt
+    });
+
+    const payment = {
+      reference,
+      orderId,
+      whatsapp_number: order.whatsapp_number,
+      gateway: this.gateway.name,
+      gatewayReference: charge.gatewayReference || null,
+      amount: order.total,
+      status: 'pending',
+      qrString: charge.qrString || null,
+      qrImageUrl: charge.qrImageUrl || null,
+      expiresAt: charge.expiresAt || expiresAt,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+
+    await this.store.update(data => {
+      data.payments = data.payments || [];
+      data.payments.push(payment);
+    });
+
+    logger.info(`QRIS payment ${reference} created for order ${orderId} via ${this.gateway.name}`);
+    return payment;
+  }
+
+  /**
+   * Handle a gateway callback. Paid payments move the order to "paid" and
+   * deliver vault credentials right away; an expired payment cancels the order
+   * so its stock is released. Repeated callbacks for a settled payment are ignored.
+   * @param {string} gatewayName - Gateway from the webhook URL
+   * @param {Object} request - { headers, body, rawBody }
+   * @returns {Promise<Object>} - { payment, order, delivery, duplicate }
+   */
+  async handleWebhook(gatewayName, request) {
+    if (gatewayName !== this.gatewayName) {
+      throw createServiceError('NotFoundError', `Payment gateway ${gatewayName} is not active`, 'UNKNOWN_GATEWAY');
+    }
+
+    const event = this.gateway.parseWebhook(request);
+    if (!PAYMENT_STATUSES.includes(event.status)) {
+      throw createServiceError('ValidationError', `Unknown payment status: ${event.status}`, 'INVALID_PAYMENT_STATUS');
+    }
+
+    const payment = await this.getPayment(event.reference);
+    if (!payment) {
+      throw createServiceError('NotFoundError', `Payment ${event.reference} not found`, 'PAYMENT_NOT_FOUND');
+    }
+    if (payment.status !== 'pending' || event.status === 'pending') {
+      return { payment, order: await this.orderService.getOrder(payment.orderId), delivery: null, duplicate: true };
+    }
+    if (event.status === 'paid' && event.amount !== payment.amount) {
+      logger.error(`Payment ${payment.reference}: paid ${event.amount}, expected ${payment.amount}`);
+      throw createServiceError(
+        'ConflictError',
+        `Paid amount ${event.amount} does not match ${payment.amount}`,
+        'AMOUNT_MISMATCH'
+      );
+    }
+
+    const updated = await this.settlePayment(payment.reference, {
+      status: event.status,
+      paidAt: event.status === 'paid' ? new Date().toISOString() : null
+    });
+    if (!updated) {
+      // A concurrent redelivery of the same callback settled it first
+      const settled = await this.getPayment(payment.reference);
+      return { payment: settled, order: await this.orderService.getOrder(payment.orderId), delivery: null, duplicate: true };
+    }
+
+    let order = await this.orderService.getOrder(payment.orderId);
+    let delivery = null;
+    try {
+      if (event.status === 'paid') {
+        order = await this.orderService.transition(payment.orderId, 'paid', {
+          note: `Paid via QRIS (${payment.gateway})`,
+          data: { paymentReference: payment.reference, paidAt: updated.paidAt }
+        });
+        delivery = await this.deliverPaidOrder(order);
+        if (delivery) order = delivery.order;
+      } else if (event.status === 'expired' && order && order.status === 'awaiting_payment') {
+        order = await this.orderService.transition(payment.orderId, 'cancelled', {
+          note: 'QRIS payment expired'
+        });
+      }
+    } catch (error) {
+      if (error.code !== 'INVALID_ORDER_TRANSITION') throw error;
+      // E.g. paid after the order was cancelled: keep the payment, flag it for a manual refund
+      logger.error(`Payment ${payment.reference} settled but order ${payment.orderId} is ${order.status}`);
+      await this.updatePayment(payment.reference, { needsReview: true, reviewReason: error.message });
+    }
+
+    logger.info(`Payment ${payment.reference} is ${event.status}`);
+    return { payment: await this.getPayment(payment.reference), order, delivery, duplicate: false };
+  }
+
+  /**
+   * Hand out vault credentials for a paid order. A failed delivery keeps the
+   * order paid; the customer gets it on their next message or an admin delivers it.
+   */
+  async deliverPaidOrder(order) {
+    try {
+      return await this.vaultService.deliverOrder(order.id, { actor: 'payment' });
+    } catch (error) {
+      logger.error(`Automatic delivery of order ${order.id} failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Apply a callback's outcome only while the payment is still pending, checked
+  // and written in one store update. Returns null when it was already settled.
+  async settlePayment(reference, changes) {
+    return this.store.update(data => {
+      const payment = data.payments.find(p => p.reference === reference);
+      if (payment.status !== 'pending') return null;
+      Object.assign(payment, changes, { updatedAt: new Date().toISOString() });
+      return { ...payment };
+    });
+  }
+
+  async updatePayment(reference, changes) {
+    return this.store.update(data => {
+      const payment = data.payments.find(p => p.reference === reference);
+      Object.assign(payment, changes, { updatedAt: new Date().toISOString() });
+      return { ...payment };
+    });
+  }
+
+  /**
+   * Short payment summary for prompts and API results
+   * @param {Object} payment - Payment
+   * @returns {Object|null} - { reference, status, amount, qrString, qrImageUrl, expiresAt }
+   */
+  summarizePayment(payment) {
+    if (!payment) return null;
+    return {
+      reference: payment.reference,
+      status: payment.status,
+      amount: payment.amount,
+      qrString: payment.qrString,
+      qrImageUrl: payment.qrImageUrl,
+      expiresAt: payment.expiresAt
+    };
+  }
+}
+
+PaymentService.PAYMENT_STATUSES = PAYMENT_STATUSES;
+
+module.exports = PaymentService;
@@ -0,0 +1,581 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const QuestionProcessor = require('./QuestionProcessor');
+const BrainService = require('./BrainService');
+const OutboundService = require('./OutboundService');
+const CredentialVaultService = require('./CredentialVaultService');
+const CallbackService = require('./CallbackService');
+const JobQueue = require('./queue/JobQueue');
+const { createServiceError } = require('../utils/serviceError');
+
+const FINAL_STAGES = ['completed', 'error', 'timeout', 'cancelled'];
+
+// Time budget of each pipeline stage: env var, default and the error code of a job that exceeds it
+const STAGE_BUDGETS = {
+  getting_context: { env: 'STAGE_CONTEXT_TIMEOUT_MS', defaultMs: 15000, code: 'CONTEXT_TIMEOUT' },
+  tagging: { env: 'STAGE_TAGGING_TIMEOUT_MS', defaultMs: 15000, code: 'TAGGING_TIMEOUT' },
+  processing_ai: { env: 'STAGE_AI_TIMEOUT_MS', defaultMs: 90000, code: 'AI_TIMEOUT' }
+};
+const TIMEOUT_CODES = ['JOB_TIMEOUT', ...Object.values(STAGE_BUDGETS).map(budget => budget.code)];
+// Default job timeout on top of the stage budgets, for status writes between stages
+const JOB_TIMEOUT_MARGIN_MS = 10000;
+
+// Same words and numbers, ignoring case, punctuation and spacing
+const fingerprint = text => crypto.createHash('sha256')
+  .update(text.toLowerCase().normalize('NFKC').replace(/[^\p{L}\p{N}]+/gu, ' ').trim())
+  .digest('hex');
+
+// Account details only travel in memory from the pipeline to the outbound sender.
+// The stored (and published) status keeps which orders were delivered, never the credentials.
+const withoutCredentials = response => (response && response.delivery
+  ? {
+    ...response,
+    delivery: response.delivery.map(delivery => ({
+      orderId: delivery.orderId,
+      items: delivery.items.map(item => ({ productId: item.productId, name: item.name, quantity: item.credentials.length }))
+    }))
+  }
+  : response);
+
+/**
+ * Runs submitted questions through the pipeline on the job queue and keeps
+ * their status for polling. Shared by every route that accepts questions
+ * (POST /api/ask, WhatsApp webhook) so all jobs are visible at /status.
+ *
+ * The client-facing status lives in `job.status` of the queue record, so it
+ * survives restarts together with the job.
+ */
+class QuestionJobService {
+  /**
+   * @param {Object} options
+   * @param {JobQueue} options.queue - Defaults to a queue on the store selected by JOB_STORE
+   * @param {JobStore} options.jobStore - Store for the default queue
+   * @param {Object} options.queueOptions - Other options for the default queue (concurrency, timeoutMs, ...)
+   * @param {number} options.idempotencyWindowMs - How long a repeated idempotency key returns the existing job
+   * @param {number} options.duplicateWindowMs - How long a near-identical question from the same number
+   *   is merged into the existing job, 0 disables merging
+   * @param {number} options.debounceMs - How long a question waits for more messages from the same
+   *   number to join it as one prompt turn, 0 (default) starts right away
+   * @param {Object} options.stageTimeouts - Time budget per stage in ms, e.g. { processing_ai: 60000 }
+   * @param {CredentialVaultService} options.vaultService - Marks account details as sent once delivered
+   */
+  constructor(options = {}) {
+    this.brainService = options.brainService || new BrainService();
+    this.questionProcessor = options.questionProcessor || new QuestionProcessor();
+    this.outboundService = options.outboundService || new OutboundService();
+    this.vaultService = options.vaultService || new CredentialVaultService();
+    this.callbackService = options.callbackService || new CallbackService();
+    this.stageTimeouts = Object.fromEntries(Object.entries(STAGE_BUDGETS).map(([stage, budget]) => [
+      stage,
+      (options.stageTimeouts && options.stageTimeouts[stage]) || Number(process.env[budget.env]) || budget.defaultMs
+    ]));
+    this.queue = options.queue || this.createQueue(options);
+    this.idempotencyWindowMs = options.idempotencyWindowMs || Number(process.env.IDEMPOTENCY_WINDOW_MS) || 24 * 60 * 60 * 1000;
+    this.duplicateWindowMs = options.duplicateWindowMs !== undefined
+      ? options.duplicateWindowMs
+      : Number(process.env.DUPLICATE_MESSAGE_WINDOW_MS || 5000);
+    this.debounceMs = options.debounceMs !== undefined
+      ? options.debounceMs
+      : Number(process.env.MESSAGE_DEBOUNCE_MS || 0);
+    this.queue.handler = (job, signal) => this.processJob(job, signal);
+    const onQueue = (event, listener) => this.queue.on(event, (...args) => Promise.resolve(listener(...args))
+      .catch(error => logger.error(`Error handling ${event} question job: ${error.message}`)));
+    onQueue('completed', (job, result) => this.afterJob(job, result));
+    onQueue('retrying', (job, error) => this.updateStatus(job.id, 'queued', `Retrying after error: ${error.message}`, {
+      attempts: job.attempts
+    }));
+    onQueue('failed', (job, error) => this.failJob(job, error));
+    // Status writes per job, chained so they never overwrite each other
+    this.writes = new Map();
+    // Job events keyed by questionId, see subscribe()
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  // The job timeout outlasts the stage budgets, so a slow stage ends with its own code.
+  // A job that still times out (e.g. JOB_TIMEOUT_MS set lower) ends with stage `timeout`, like a stage would.
+  createQueue(options) {
+    const budgetsMs = Object.values(this.stageTimeouts).reduce((sum, ms) => sum + ms, 0);
+    const queueOptions = options.queueOptions || {};
+    const timeoutMs = queueOptions.timeoutMs || Number(process.env.JOB_TIMEOUT_MS) || budgetsMs + JOB_TIMEOUT_MARGIN_MS;
+    if (timeoutMs <= budgetsMs) {
+      logger.warn(`JOB_TIMEOUT_MS (${timeoutMs}ms) is not longer than the stage budgets (${budgetsMs}ms); slow questions end with JOB_TIMEOUT`);
+    }
+    return new JobQueue({
+      ...queueOptions,
+      timeoutMs,
+      retryTimeouts: false,
+      ...(options.jobStore ? { store: options.jobStore } : {})
+    });
+  }
+
+  /**
+   * Start the queue workers; also done on the first submit
+   */
+  start() {
+    return this.queue.start();
+  }
+
+  stop() {
+    return this.queue.stop();
+  }
+
+  /**
+   * Queue a question for processing
+   * @param {string} question - Customer question
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {Object} meta - Extra fields stored on the job, e.g. { source: 'whatsapp', messageId }
+   * @param {boolean} meta.deliver - Send the answer to whatsappNumber when done (default true), not stored
+   * @param {Object} meta.callback - { url, secret } to POST the final status to, see CallbackService.normalizeTarget.
+   *   Only the URL is shown in the status. The secret is kept on the job until the callback
+   *   has been sent or given up on
+   * @param {number} meta.priority - Higher runs first (default 0), not stored
+   * @param {string} meta.idempotencyKey - Repeats of the key within IDEMPOTENCY_WINDOW_MS return the
+   *   existing questionId instead of queueing again, e.g. `message:<WhatsApp message id>`
+   * @param {boolean} meta.mergeDuplicates - Merge a near-identical question from the same number
+   *   within DUPLICATE_MESSAGE_WINDOW_MS into the existing job (default true), not stored
+   * @param {boolean} meta.debounce - Wait MESSAGE_DEBOUNCE_MS for more messages from the same number
+   *   and answer them together (default true), not stored
+   * @param {boolean} meta.dryRun - Answer without changing orders, payments, warranty claims, the vault,
+   *   the customer profile or chat history (default false); nothing is delivered
+   * @returns {Promise<string>} - questionId, of the existing job for a duplicate or a merged message.
+   *   Its cancel token is read with getCancelToken()
+   */
+  async submit(question, whatsappNumber, {
+    deliver = true,
+    callback = null,
+    priority = 0,
+    mergeDuplicates = true,
+    debounce = true,
+    dryRun = false,
+    ...meta
+  } = {}) {
+    // A dry run never stands in for, or absorbs, a real message of the customer
+    if (dryRun) deliver = false;
+    const questionId = uuidv4();
+    const keys = this.dedupeKeys(question, whatsappNumber, meta.idempotencyKey, mergeDuplicates && !dryRun);
+    if (keys.length > 0) {
+      const existingId = await this.queue.reserveKeys(keys, questionId);
+      if (existingId !== questionId) {
+        logger.info(`Duplicate question from ${whatsappNumber || 'unknown'} merged into ${existingId}: ${question}`);
+        await this.writeStatus(existingId, status => ({ ...status, duplicates: (status.duplicates || 0) + 1 }));
+        return existingId;
+      }
+    }
+
+    const debounced = debounce && !dryRun && Boolean(whatsappNumber) && this.debounceMs > 0;
+    const burstId = debounced && !callback ? await this.mergeIntoBurst(question, whatsappNumber, deliver) : null;
+    if (burstId) {
+      // Repeats of this message belong to the job it joined
+      if (keys.length > 0) {
+        await this.queue.releaseKeys(keys, questionId);
+        await this.queue.reserveKeys(keys, burstId);
+      }
+      return burstId;
+    }
+
+    logger.info(`Queueing question ${questionId}: ${question}`);
+    try {
+      // Questions of one number run one at a time so they never race on its chat history
+      const cancelToken = crypto.randomBytes(24).toString('hex');
+      await this.queue.add(questionId, { question, whatsappNumber, deliver, callback, debounce: debounced, dryRun, cancelToken }, {
+        priority,
+        // A dry run changes nothing of the customer, so it need not wait for their other questions
+        group: (!dryRun && whatsappNumber) || null,
+        delayMs: debounced ? this.debounceMs : 0,
+        status: {
+          status: 'processing',
+          stage: 'queued',
+          message: 'Waiting for a worker',
+          startTime: new Date().toISOString(),
+          question,
+          ...meta,
+          ...(dryRun ? { dryRun: true } : {}),
+          ...(callback ? { callback: { url: callback.url, status: 'pending' } } : {})
+        }
+      });
+    } catch (error) {
+      // Let a retry of the same request queue it instead of pointing at a job that does not exist
+      if (keys.length > 0) await this.queue.releaseKeys(keys, questionId).catch(() => {});
+      throw error;
+    }
+    return questionId;
+  }
+
+  /**
+   * Append a message to the newest question of the number while that one is
+   * still waiting out its debounce window, and restart the window
+   * @returns {Promise<string|null>} - questionId it joined, null when there is none to join
+   */
+  async mergeIntoBurst(question, whatsappNumber, deliver) {
+    const latest = await this.queue.lastInGroup(whatsappNumber);
+    if (!latest) return null;
+
+    let merged = false;
+    await this.writeJob(latest.id, job => {
+      const now = Date.now();
+      const waiting = job.state === 'queued' && job.attempts === 0 && job.runAt > now;
+      merged = waiting && job.payload.debounce && !job.payload.callback && job.payload.deliver === deliver;
+      if (!merged) return;
+
+      job.payload.question = `${job.payload.question}\n${question}`;
+      job.runAt = now + this.debounceMs;
+      job.status = {
+        ...job.status,
+        question: job.payload.question,
+        mergedMessages: (job.status.mergedMessages || 1) + 1,
+        lastUpdated: new Date(now).toISOString()
+      };
+    });
+    if (merged) {
+      logger.info(`Message from ${whatsappNumber} joined question ${latest.id}: ${question}`);
+    }
+    return merged ? latest.id : null;
+  }
+
+  // Keys under which a repeat of this question finds the existing job
+  dedupeKeys(question, whatsappNumber, idempotencyKey, mergeDuplicates) {
+    const keys = [];
+    if (idempotencyKey) {
+      keys.push({ key: `idempotency:${idempotencyKey}`, ttlMs: this.idempotencyWindowMs });
+    }
+    if (mergeDuplicates && whatsappNumber && this.duplicateWindowMs > 0) {
+      keys.push({ key: `message:${whatsappNumber}:${fingerprint(question)}`, ttlMs: this.duplicateWindowMs });
+    }
+    return keys;
+  }
+
+  /**
+   * Secret that lets the client who asked a question cancel it without the
+   * admin key. Kept in the job payload, never in the status.
+   * @param {string} questionId
+   * @returns {Promise<string|null>} - null for an unknown question or one queued before tokens existed
+   */
+  async getCancelToken(questionId) {
+    const job = await this.queue.get(questionId);
+    return (job && job.payload.cancelToken) || null;
+  }
+
+  /**
+   * Check the cancel token a client sent for a question
+   * @param {string} questionId
+   * @param {string} token - From the /api/ask response
+   * @returns {Promise<void>} - Throws UnauthorizedError when it does not match
+   */
+  async verifyCancelToken(questionId, token) {
+    const expectedToken = await this.getCancelToken(questionId);
+    if (!expectedToken) {
+      const status = await this.getStatus(questionId);
+      if (!status) {
+        throw createServiceError('NotFoundError', 'Question ID not found', 'QUESTION_NOT_FOUND');
+      }
+    }
+
+    const expected = Buffer.from(expectedToken || '');
+    const provided = Buffer.from(String(token || ''));
+    if (!expectedToken || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      throw createServiceError('UnauthorizedError', 'Invalid or missing cancel token', 'INVALID_CANCEL_TOKEN');
+    }
+  }
+
+  /**
+   * Cancel a question that has not finished. A running question is aborted,
+   * including its model call; nothing is delivered for it.
+   * @param {string} questionId
+   * @param {string} actor - Who cancelled it, for the log
+   * @returns {Promise<Object>} - The cancelled status
+   */
+  async cancel(questionId, actor = 'client') {
+    const status = await this.getStatus(questionId);
+    if (!status) {
+      throw createServiceError('NotFoundError', 'Question ID not found', 'QUESTION_NOT_FOUND');
+    }
+
+    const job = await this.queue.cancel(questionId, `Cancelled by ${actor}`);
+    if (!job) {
+      const current = await this.getStatus(questionId);
+      throw createServiceError('ConflictError', `Question already ${current.stage}`, 'QUESTION_FINISHED');
+    }
+
+    const cancelled = await this.updateStatus(questionId, 'cancelled', `Cancelled by ${actor}`, {
+      errorCode: 'JOB_CANCELLED'
+    });
+    if (job.payload.callback) {
+      this.sendCallback(questionId, job.payload.callback)
+        .catch(error => logger.error(`Error handling cancelled question job: ${error.message}`));
+    }
+    return cancelled;
+  }
+
+  /**
+   * Client-facing status of a question
+   * @param {string} questionId
+   * @returns {Promise<Object|null>}
+   */
+  async getStatus(questionId) {
+    const job = await this.queue.get(questionId);
+    return job ? job.status : null;
+  }
+
+  isFinished(job) {
+    return Boolean(job) && FINAL_STAGES.includes(job.stage);
+  }
+
+  /**
+   * Wait until a question is completed or failed
+   * @param {string} questionId
+   * @param {number} timeoutMs - How long to wait
+   * @returns {Promise<Object|null>} - The final status, null when it is not done in time
+   */
+  waitForCompletion(questionId, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        unsubscribe();
+        callback(value);
+      };
+      const timer = setTimeout(() => settle(resolve, null), timeoutMs);
+      const unsubscribe = this.subscribe(questionId, (type, data) => {
+        if (type === 'stage' && this.isFinished(data)) settle(resolve, data);
+      });
+
+      // The job may have finished before we subscribed
+      this.getStatus(questionId).then(status => {
+        if (this.isFinished(status)) settle(resolve, status);
+      }, error => settle(reject, error));
+    });
+  }
+
+  /**
+   * Listen to the events of one job
+   * - `stage`: the job status after every stage transition
+   * - `token`: { text } partial answer text while the model is streaming
+   * @param {string} questionId
+   * @param {Function} listener - (type, data) => void
+   * @returns {Function} - Call to stop listening
+   */
+  subscribe(questionId, listener) {
+    const handler = ({ type, data }) => listener(type, data);
+    this.events.on(questionId, handler);
+    return () => this.events.off(questionId, handler);
+  }
+
+  emit(questionId, type, data) {
+    this.events.emit(questionId, { type, data });
+  }
+
+  /**
+   * Queue handler: process the question through the complete pipeline.
+   * Throws on failure so the queue can retry; nothing is written once the
+   * attempt was aborted (timed out or cancelled).
+   * @returns {Promise<Object>} - { delivery }: account details for afterJob(), kept out of the status
+   */
+  async processJob(job, signal) {
+    const { id: questionId } = job;
+    const { question, whatsappNumber } = job.payload;
+    const step = async (stage, message, additionalData) => {
+      if (signal.aborted) throw signal.reason;
+      await this.updateStatus(questionId, stage, message, additionalData);
+    };
+    const runStage = async (stage, message, work, additionalData) => {
+      await step(stage, message, additionalData);
+      return this.withBudget(stage, signal, work);
+    };
+
+    const datasetContext = await runStage('getting_context', 'Retrieving context from dataset',
+      () => this.brainService.processContext(question), { attempts: job.attempts });
+    const tags = await runStage('tagging', 'Analyzing and tagging question',
+      () => this.brainService.tagQuestion(question, datasetContext));
+    const response = await runStage('processing_ai', 'Processing with AI model',
+      stageSignal => this.questionProcessor.processQuestion(question, whatsappNumber, {
+        signal: stageSignal,
+        dryRun: job.payload.dryRun === true,
+        onStateChange: () => this.queue.markSideEffects(questionId),
+        onToken: text => {
+          if (!stageSignal.aborted) this.emit(questionId, 'token', { text });
+        }
+      }));
+    try {
+      await step('completed', 'Processing completed', {
+        response: withoutCredentials(response),
+        tags,
+        processingTime: Date.now() - new Date(job.status.startTime).getTime()
+      });
+    } catch (error) {
+      // The pipeline already acted on orders and payments; a retry would do it again
+      error.retryable = false;
+      throw error;
+    }
+    logger.info(`Question ${questionId} processed successfully`);
+    return { delivery: (response && response.delivery) || [] };
+  }
+
+  /**
+   * Run one stage within its time budget. The stage gets a signal that aborts
+   * when the budget runs out or the whole job is aborted; running out fails
+   * the job with the stage's error code, without retrying.
+   */
+  async withBudget(stage, signal, work) {
+    if (signal.aborted) throw signal.reason;
+    const { code } = STAGE_BUDGETS[stage];
+    const budgetMs = this.stageTimeouts[stage];
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', abort, { once: true });
+    const timer = setTimeout(() => {
+      const error = new Error(`Stage ${stage} took longer than ${budgetMs}ms`);
+      error.code = code;
+      error.retryable = false;
+      controller.abort(error);
+    }, budgetMs);
+
+    try {
+      return await Promise.race([work(controller.signal), JobQueue.abortedBy(controller.signal)]);
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', abort);
+    }
+  }
+
+  // Deliver the answer and report it once the queue marked the job completed.
+  // `result` is what processJob returned: the account details to send along, never stored
+  async afterJob(job, result) {
+    const { whatsappNumber, deliver, callback } = job.payload;
+    if (deliver && whatsappNumber) {
+      await this.deliverResponse(job.id, whatsappNumber, {
+        ...job.status.response,
+        delivery: result ? result.delivery : []
+      });
+    }
+    if (callback) {
+      await this.sendCallback(job.id, callback);
+    }
+  }
+
+  async failJob(job, error) {
+    logger.error(`Error processing question ${job.id}: ${error.message}`);
+    await this.updateStatus(job.id, TIMEOUT_CODES.includes(error.code) ? 'timeout' : 'error', error.message, {
+      attempts: job.attempts,
+      ...(error.code ? { errorCode: error.code } : {})
+    });
+    if (job.payload.callback) {
+      await this.sendCallback(job.id, job.payload.callback);
+    }
+  }
+
+  /**
+   * Send the answer to the customer and keep the delivery record on the job.
+   * A failed delivery does not fail the job; the answer stays available at /status.
+   * Account details count as sent only once every message went out, otherwise
+   * the vault attaches them to the next reply again.
+   */
+  async deliverResponse(questionId, whatsapp_number, result) {
+    const recordDelivery = delivery => this.setJobField(questionId, 'delivery', delivery);
+
+    let delivery;
+    try {
+      delivery = await this.outboundService.deliver({ questionId, to: whatsapp_number, result }, recordDelivery);
+      await recordDelivery(delivery);
+    } catch (error) {
+      logger.error(`Error delivering answer to ${questionId}: ${error.message}`);
+      await recordDelivery({ status: 'failed', lastError: error.message });
+      return;
+    }
+
+    const credentialIds = (result.delivery || []).flatMap(order => order.credentialIds || []);
+    if (delivery.status === 'sent' && credentialIds.length > 0) {
+      await this.vaultService.markSent(credentialIds, 'bot')
+        .catch(error => logger.error(`Error marking credentials of ${questionId} as sent: ${error.message}`));
+    }
+  }
+
+  /**
+   * POST the final status of the job to the client's callback URL: the answer
+   * text and job metadata only, never order or account details. Afterwards the
+   * per-request secret is removed from the job payload.
+   */
+  async sendCallback(questionId, target) {
+    const recordCallback = callback => this.setJobField(questionId, 'callback', callback);
+    const job = await this.getStatus(questionId);
+    if (!job) return;
+
+    const payload = {
+      questionId,
+      stage: job.stage,
+      message: job.message,
+      question: job.question,
+      response: job.response ? job.response.response : null,
+      tags: job.tags || null,
+      processingTime: job.processingTime || null,
+      errorCode: job.errorCode || null,
+      deliveryStatus: job.delivery ? job.delivery.status : null
+    };
+
+    try {
+      await recordCallback(await this.callbackService.deliver({ questionId, target, payload }, recordCallback));
+    } catch (error) {
+      logger.error(`Error sending callback for ${questionId}: ${error.message}`);
+      await recordCallback({ url: target.url, status: 'failed', lastError: error.message });
+    }
+    if (target.secret) {
+      await this.writeJob(questionId, current => {
+        if (current.payload.callback) delete current.payload.callback.secret;
+      });
+    }
+  }
+
+  /**
+   * Change the queue record of a job. Writes to the same job run one after another.
+   * @param {string} questionId
+   * @param {Function} mutator - Receives the job and modifies it in place
+   * @returns {Promise<Object|null>} - The updated job
+   */
+  writeJob(questionId, mutator) {
+    const previous = this.writes.get(questionId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.queue.update(questionId, mutator));
+    this.writes.set(questionId, next);
+    next.catch(() => {}).then(() => {
+      if (this.writes.get(questionId) === next) this.writes.delete(questionId);
+    });
+    return next;
+  }
+
+  /**
+   * Change the status of a job, see writeJob()
+   * @param {string} questionId
+   * @param {Function} mutator - Receives the status and returns the new one
+   * @returns {Promise<Object|null>} - The new status
+   */
+  async writeStatus(questionId, mutator) {
+    const job = await this.writeJob(questionId, current => {
+      current.status = mutator(current.status);
+    });
+    return job ? job.status : null;
+  }
+
+  // Set a field of the job without touching its stage
+  setJobField(questionId, field, value) {
+    return this.writeStatus(questionId, status => ({ ...status, [field]: value, lastUpdated: new Date().toISOString() }));
+  }
+
+  async updateStatus(questionId, stage, message, additionalData = {}) {
+    const status = await this.writeStatus(questionId, current => ({
+      ...current,
+      stage,
+      message,
+      lastUpdated: new Date().toISOString(),
+      ...additionalData
+    }));
+    if (status) {
+      this.emit(questionId, 'stage', status);
+    }
+    return status;
+  }
+}
+
+module.exports = QuestionJobService;
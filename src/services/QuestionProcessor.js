@@ -31,8 +31,9 @@ class QuestionProcessor {
 
   /**
    * Memproses pertanyaan melalui pipeline lengkap
+   * @param {Object} options - Diteruskan ke OllamaService.processWithAI, mis. { onToken, signal, dryRun }
    */
-  async processQuestion(question, number_whatsapp) {
+  async processQuestion(question, number_whatsapp, options = {}) {
     try {
       if (!this.isInitialized) {
         await this.init();
@@ -48,7 +49,8 @@ class QuestionProcessor {
       const aiResult = await this.ollamaService.processWithAI(
         question, 
         brainResult,
-        number_whatsapp
+        number_whatsapp,
+        options
       );
 
       const processingTime = Date.now() - startTime;
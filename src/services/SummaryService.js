@@ -0,0 +1,138 @@
+const logger = require('../utils/logger');
+
+// Rough token estimate for Indonesian chat text, good enough for budgeting
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Rolling summary of long conversations.
+ *
+ * Only the last few turns are sent to the model verbatim. Older messages are
+ * folded into a running per-customer summary by the LLM before they drop out
+ * of the stored history, and the summary is injected into the system prompt.
+ */
+class SummaryService {
+  /**
+   * @param {Object} options
+   * @param {number} options.keepMessages - Newest messages sent verbatim instead of summarized
+   * @param {number} options.batchMessages - Unsummarized older messages needed before summarizing
+   * @param {number} options.summaryTokens - Token budget of the summary
+   * @param {number} options.historyTokens - Token budget of summary plus verbatim messages
+   */
+  constructor(options = {}) {
+    this.keepMessages = options.keepMessages || (Number(process.env.HISTORY_CONTEXT_TURNS) || 3) * 2;
+    this.batchMessages = options.batchMessages || Number(process.env.SUMMARY_BATCH_MESSAGES) || 4;
+    this.summaryTokens = options.summaryTokens || Number(process.env.SUMMARY_MAX_TOKENS) || 300;
+    this.historyTokens = options.historyTokens || Number(process.env.HISTORY_TOKEN_BUDGET) || 1200;
+    this.inFlight = new Set();
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Cut text to a token budget, ending at a sentence or word boundary where possible
+   * @param {string} text - Text to cut
+   * @param {number} maxTokens - Token budget
+   * @returns {string}
+   */
+  truncate(text, maxTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    if (text.length <= maxChars) return text;
+
+    const cut = text.slice(0, maxChars);
+    const boundary = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('\n'));
+    if (boundary > maxChars / 2) return cut.slice(0, boundary + 1).trim();
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxChars).trim()}…`;
+  }
+
+  /**
+   * Older messages that are not part of the summary yet
+   * @param {Array<Object>} messages - Stored messages, oldest first
+   * @param {Object|null} summary - Current summary
+   * @returns {Array<Object>}
+   */
+  pendingMessages(messages, summary) {
+    const older = messages.slice(0, Math.max(0, messages.length - this.keepMessages));
+    if (!summary || !summary.coveredUntil) return older;
+    return older.filter(message => message.at && message.at > summary.coveredUntil);
+  }
+
+  /**
+   * Build the summarization prompt
+   * @param {string} previous - Current summary text, if any
+   * @param {Array<Object>} messages - Messages to fold into it
+   * @returns {Array<Object>} - Chat messages for chatModel.invoke
+   */
+  buildPrompt(previous, messages) {
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'Pelanggan' : 'CS'}: ${message.content}`)
+      .join('\n');
+    const words = Math.floor(this.summaryTokens * 0.75);
+
+    return [
+      {
+        role: 'system',
+        content: `Kamu merangkum percakapan customer service toko akun digital. Tulis ringkasan dalam bahasa Indonesia, maksimal ${words} kata, berupa poin-poin singkat. Pertahankan fakta penting: produk dan varian yang dipilih, jumlah, harga yang disebut, nomor pesanan atau klaim, keluhan, preferensi, dan janji yang belum dipenuhi. Jangan menulis email, password, atau PIN. Jangan menambah informasi yang tidak ada di percakapan.`
+      },
+      {
+        role: 'user',
+        content: `${previous ? `Ringkasan sebelumnya:\n${previous}\n\n` : ''}Percakapan baru:\n${transcript}\n\nTulis ringkasan terbaru yang menggabungkan keduanya.`
+      }
+    ];
+  }
+
+  /**
+   * Fold older messages into the running summary once enough have piled up
+   * @param {HistoryStore} store - History store of the conversation
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {Object} chatModel - LangChain chat model
+   * @returns {Promise<Object|null>} - The summary, updated or not
+   */
+  async refresh(store, whatsappNumber, chatModel) {
+    const summary = await store.getSummary(whatsappNumber);
+    const pending = this.pendingMessages(await store.getMessages(whatsappNumber), summary);
+    if (pending.length < this.batchMessages || this.inFlight.has(whatsappNumber)) {
+      return summary;
+    }
+
+    this.inFlight.add(whatsappNumber);
+    try {
+      const response = await chatModel.invoke(this.buildPrompt(summary && summary.text, pending));
+      const updated = {
+        text: this.truncate(String(response.content).trim(), this.summaryTokens),
+        coveredUntil: pending[pending.length - 1].at || new Date().toISOString(),
+        messageCount: ((summary && summary.messageCount) || 0) + pending.length,
+        updatedAt: new Date().toISOString()
+      };
+      await store.setSummary(whatsappNumber, updated);
+      logger.info(`Chat summary of ${whatsappNumber} updated with ${pending.length} messages (${this.estimateTokens(updated.text)} tokens)`);
+      return updated;
+    } finally {
+      this.inFlight.delete(whatsappNumber);
+    }
+  }
+
+  /**
+   * Fit the summary and the recent messages into the history token budget.
+   * The summary is capped first; the oldest recent messages are dropped until the rest fits.
+   * @param {Object|null} summary - Running summary
+   * @param {Array<Object>} messages - Recent messages, oldest first
+   * @returns {Object} - { summary: string|null, messages }
+   */
+  fitToBudget(summary, messages) {
+    const summaryText = summary && summary.text ? this.truncate(summary.text, this.summaryTokens) : null;
+    let remaining = this.historyTokens - this.estimateTokens(summaryText);
+
+    const kept = [];
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const tokens = this.estimateTokens(messages[i].content);
+      if (tokens > remaining) break;
+      remaining -= tokens;
+      kept.unshift(messages[i]);
+    }
+    return { summary: summaryText, messages: kept };
+  }
+}
+
+module.exports = SummaryService;
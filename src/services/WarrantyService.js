@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+const CatalogService = require('./CatalogService');
+const { createServiceError } = require('../utils/serviceError');
+
+const CLAIM_STATUSES = ['open', 'in_review', 'replacing', 'replaced', 'refunded', 'rejected'];
+
+// `replacing` holds a claim while its replacement credential is issued, see startReplacement()
+const CLAIM_TRANSITIONS = {
+  open: ['in_review', 'replacing', 'replaced', 'refunded', 'rejected'],
+  in_review: ['replacing', 'replaced', 'refunded', 'rejected'],
+  replacing: ['open', 'in_review', 'replaced'],
+  replaced: [],
+  refunded: [],
+  rejected: []
+};
+
+const OPEN_CLAIM_STATUSES = ['open', 'in_review', 'replacing'];
+// Claims a replacement credential can still be issued for
+const REPLACEABLE_CLAIM_STATUSES = ['open', 'in_review'];
+
+// Messages that report a broken account rather than ask about the policy
+const CLAIM_PATTERN = /\b(klaim|claim|rusak|error|eror|mati|logout|keluar sendiri|ke-?reset|diganti|ganti akun|minta ganti|(gak|ga|nggak|tidak|tdk|gabisa|ngga) ?bisa|password salah|sandi salah|kena limit|suspend|banned|ke-?banned)\b/i;
+const ORDER_ID_PATTERN = /\bORD-\d{8}-[0-9A-F]{6}\b/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Warranty windows of delivered orders and the claims filed against them
+ */
+class WarrantyService {
+  constructor(options = {}) {
+    this.warrantyPath = path.resolve(
+      options.warrantyPath || process.env.WARRANTY_PATH || './data/warranties.json'
+    );
+    this.store = new JsonFileStore(this.warrantyPath, () => ({ warranties: [], claims: [] }));
+    this.catalogService = options.catalogService || new CatalogService();
+  }
+
+  /**
+   * Record the warranty window of every product in a delivered order.
+   * The window uses the product's warrantyDays at delivery time.
+   * @param {Object} order - Order that has just been delivered
+   * @returns {Promise<Array>} - Warranties created (none when already recorded)
+   */
+  async registerDelivery(order) {
+    await this.catalogService.load();
+    const deliveredAt = order.deliveredAt || order.updatedAt || new Date().toISOString();
+    const quantities = this.catalogService.expandItems(order.items);
+
+    const warranties = [...quantities.entries()].map(([productId, quantity]) => {
+      const product = this.catalogService.getProduct(productId);
+      const warrantyDays = (product && product.warrantyDays) || 0;
+      return {
+        id: `WAR-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        orderId: order.id,
+        whatsapp_number: order.whatsapp_number,
+        productId,
+        productName: product ? product.name : productId,
+        quantity,
+        warrantyDays,
+        deliveredAt,
+        expiresAt: new Date(new Date(deliveredAt).getTime() + warrantyDays * DAY_MS).toISOString()
+      };
+    });
+
+    const created = await this.store.update(data => {
+      if (data.warranties.some(warranty => warranty.orderId === order.id)) return [];
+      data.warranties.push(...warranties);
+      return warranties;
+    });
+
+    if (created.length > 0) {
+      logger.info(`Warranty recorded for order ${order.id}: ${created.map(w => `${w.productId} ${w.warrantyDays}d`).join(', ')}`);
+    }
+    return created;
+  }
+
+  /**
+   * Warranties of a customer, newest delivery first
+   * @param {Object} filters
+   * @param {string} filters.whatsappNumber - Customer WhatsApp number
+   * @param {string} filters.orderId - Only this order
+   * @returns {Promise<Array>} - Warranties with `active` and `daysLeft`
+   */
+  async getWarranties({ whatsappNumber, orderId } = {}) {
+    const data = await this.store.read();
+    return data.warranties
+      .filter(warranty => !whatsappNumber || warranty.whatsapp_number === whatsappNumber)
+      .filter(warranty => !orderId || warranty.orderId === orderId)
+      .sort((a, b) => b.deliveredAt.localeCompare(a.deliveredAt))
+      .map(warranty => this.describeWarranty(warranty));
+  }
+
+  describeWarranty(warranty, now = new Date()) {
+    const msLeft = new Date(warranty.expiresAt).getTime() - now.getTime();
+    return {
+      ...warranty,
+      active: warranty.warrantyDays > 0 && msLeft >= 0,
+      daysLeft: Math.max(0, Math.ceil(msLeft / DAY_MS))
+    };
+  }
+
+  /**
+   * Check whether a warranty can be claimed right now
+   * @param {Object} warranty - Warranty record
+   * @param {Array<Object>} claims - Existing claims
+   * @returns {Object} - { eligible, reason }
+   */
+  checkEligibility(warranty, claims = []) {
+    if (!warranty) {
+      return { eligible: false, reason: 'NO_DELIVERY' };
+    }
+    if (!warranty.warrantyDays) {
+      return { eligible: false, reason: 'NO_WARRANTY' };
+    }
+    if (new Date(warranty.expiresAt) < new Date()) {
+      return { eligible: false, reason: 'WARRANTY_EXPIRED' };
+    }
+    const openClaim = claims.find(claim =>
+      claim.warrantyId === warranty.id && OPEN_CLAIM_STATUSES.includes(claim.status)
+    );
+    if (openClaim) {
+      return { eligible: false, reason: 'CLAIM_ALREADY_OPEN', claim: openClaim };
+    }
+    return { eligible: true, reason: null };
+  }
+
+  /**
+   * File a warranty claim for one of the customer's deliveries
+   * @param {Object} params
+   * @param {string} params.whatsappNumber - Customer WhatsApp number
+   * @param {string} params.orderId - Order to claim, optional
+   * @param {string} params.productId - Product to claim, optional
+   * @param {string} params.description - What is wrong, in the customer's words
+   * @returns {Promise<Object>} - { eligible, reason, warranty, claim }
+   */
+  async fileClaim({ whatsappNumber, orderId, productId, description }) {
+    const warranties = await this.getWarranties({ whatsappNumber });
+    const candidates = warranties
+      .filter(warranty => !orderId || warranty.orderId === orderId)
+      .filter(warranty => !productId || warranty.productId === productId);
+    // Prefer a warranty that can still be claimed
+    const warranty = candidates.find(w => w.active) || candidates[0] || null;
+
+    const data = await this.store.read();
+    const eligibility = this.checkEligibility(warranty, data.claims);
+    if (!eligibility.eligible) {
+      return { ...eligibility, warranty, claim: eligibility.claim || null };
+    }
+
+    const now = new Date().toISOString();
+    const claim = {
+      id: `CLM-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+      warrantyId: warranty.id,
+      orderId: warranty.orderId,
+      productId: warranty.productId,
+      productName: warranty.productName,
+      whatsapp_number: whatsappNumber,
+      description: description || '',
+      status: 'open',
+      resolution: null,
+      history: [{ status: 'open', at: now, actor: whatsappNumber, note: 'Filed via chat' }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.update(current => {
+      current.claims.push(claim);
+    });
+
+    logger.info(`Warranty claim ${claim.id} filed by ${whatsappNumber} for ${warranty.productId} (order ${warranty.orderId})`);
+    return { eligible: true, reason: null, warranty, claim };
+  }
+
+  /**
+   * Claims, newest first
+   * @param {Object} filters
+   * @param {string} filters.status - Only this status
+   * @param {string} filters.whatsappNumber - Only this customer
+   * @returns {Promise<Array>} - Claims
+   */
+  async listClaims({ status, whatsappNumber } = {}) {
+    const data = await this.store.read();
+    return data.claims
+      .filter(claim => !status || claim.status === status)
+      .filter(claim => !whatsappNumber || claim.whatsapp_number === whatsappNumber)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async getClaim(id) {
+    const data = await this.store.read();
+    const claim = data.claims.find(c => c.id === id);
+    if (!claim) {
+      throw createServiceError('NotFoundError', `Claim ${id} not found`, 'CLAIM_NOT_FOUND');
+    }
+    return claim;
+  }
+
+  /**
+   * Reserve a claim for a vault replacement by moving it to `replacing` in one
+   * update, so two admins cannot both issue a credential for it. Finish with
+   * updateClaim() to `replaced`, or back to `previousStatus` when nothing was issued.
+   * @param {string} id - Claim ID
+   * @param {string} actor - Who approved the replacement
+   * @returns {Promise<Object>} - { claim, previousStatus }
+   */
+  async startReplacement(id, actor = 'system') {
+    let previousStatus = null;
+    const claim = await this.store.update(data => {
+      const current = data.claims.find(c => c.id === id);
+      if (!current) {
+        throw createServiceError('NotFoundError', `Claim ${id} not found`, 'CLAIM_NOT_FOUND');
+      }
+      if (!REPLACEABLE_CLAIM_STATUSES.includes(current.status)) {
+        throw createServiceError('ConflictError', `Claim ${id} is already ${current.status}`, 'INVALID_CLAIM_TRANSITION');
+      }
+
+      const now = new Date().toISOString();
+      previousStatus = current.status;
+      current.status = 'replacing';
+      current.updatedAt = now;
+      current.history.push({ status: 'replacing', at: now, actor, note: 'Issuing a replacement credential from the vault' });
+      return { ...current };
+    });
+
+    return { claim, previousStatus };
+  }
+
+  /**
+   * Move a claim to another status
+   * @param {string} id - Claim ID
+   * @param {Object} changes
+   * @param {string} changes.status - Target status
+   * @param {string} changes.note - Note shown in the claim history
+   * @param {Object} changes.resolution - Details of a replacement or refund
+   * @param {string} actor - Who made the change
+   * @returns {Promise<Object>} - Updated claim
+   */
+  async updateClaim(id, { status, note, resolution } = {}, actor = 'system') {
+    if (!CLAIM_STATUSES.includes(status)) {
+      throw createServiceError(
+        'ValidationError',
+        `status must be one of ${CLAIM_STATUSES.join(', ')}`,
+        'INVALID_CLAIM_STATUS'
+      );
+    }
+
+    const updated = await this.store.update(data => {
+      const claim = data.claims.find(c => c.id === id);
+      if (!claim) {
+        throw createServiceError('NotFoundError', `Claim ${id} not found`, 'CLAIM_NOT_FOUND');
+      }
+      if (!CLAIM_TRANSITIONS[claim.status].includes(status)) {
+        throw createServiceError(
+          'ConflictError',
+          `Claim ${id} cannot go from ${claim.status} to ${status}`,
+          'INVALID_CLAIM_TRANSITION'
+        );
+      }
+
+      const now = new Date().toISOString();
+      claim.status = status;
+      claim.updatedAt = now;
+      if (resolution) claim.resolution = resolution;
+      claim.history.push({ status, at: now, actor, note: note || null });
+      return { ...claim };
+    });
+
+    logger.info(`Warranty claim ${id} set to ${status} by ${actor}`);
+    return updated;
+  }
+
+  /**
+   * Handle a chat message about refunds or warranty. Messages tagged
+   * warranty_refund that report a problem file a claim; anything else gets
+   * the warranty terms and the customer's own warranties.
+   * @param {Object} params
+   * @param {string} params.whatsappNumber - Customer WhatsApp number
+   * @param {string} params.question - Customer message
+   * @param {string} params.tag - Tag from getQuestionTag
+   * @param {Object} params.productInfo - Result of OllamaService.checkProductAvailability
+   * @param {Function} params.beforeChange - Called right before a claim is filed; throwing files none
+   * @returns {Promise<Object|null>} - { action, warranties, ... } or null for unrelated tags
+   */
+  async handleMessage({ whatsappNumber, question, tag, productInfo, beforeChange = () => {} }) {
+    if (tag !== 'refund_policy' && tag !== 'warranty_refund') return null;
+
+    const warranties = whatsappNumber ? await this.getWarranties({ whatsappNumber }) : [];
+    if (tag !== 'warranty_refund' || !whatsappNumber || !CLAIM_PATTERN.test(question)) {
+      return { action: 'policy', warranties };
+    }
+
+    const orderMatch = question.match(ORDER_ID_PATTERN);
+    const mentioned = productInfo && productInfo.exists && productInfo.product ? productInfo.product.id : null;
+    beforeChange();
+    const result = await this.fileClaim({
+      whatsappNumber,
+      orderId: orderMatch ? orderMatch[0].toUpperCase() : undefined,
+      productId: warranties.some(w => w.productId === mentioned) ? mentioned : undefined,
+      description: question
+    });
+
+    return {
+      action: result.eligible ? 'claim_filed' : 'claim_rejected',
+      reason: result.reason,
+      warranty: result.warranty,
+      claim: result.claim,
+      warranties
+    };
+  }
+}
+
+WarrantyService.CLAIM_STATUSES = CLAIM_STATUSES;
+
+module.exports = WarrantyService;
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { createServiceError } = require('../utils/serviceError');
+
+const SIGNATURE_HEADER = 'x-hub-signature-256';
+
+/**
+ * Verification and parsing of WhatsApp Cloud API webhooks.
+ *
+ * Meta verifies the webhook URL once with a GET hub challenge
+ * (WHATSAPP_VERIFY_TOKEN) and signs every POST body with the app secret
+ * (WHATSAPP_APP_SECRET) in `X-Hub-Signature-256: sha256=<hex>`.
+ */
+class WhatsAppWebhookService {
+  constructor(options = {}) {
+    this.verifyToken = options.verifyToken || process.env.WHATSAPP_VERIFY_TOKEN;
+    this.appSecret = options.appSecret || process.env.WHATSAPP_APP_SECRET;
+  }
+
+  /**
+   * Answer the hub challenge sent when the webhook is registered
+   * @param {Object} query - Query string with hub.mode, hub.verify_token and hub.challenge
+   * @returns {string} - The challenge to echo back
+   */
+  verifyChallenge(query = {}) {
+    if (!this.verifyToken) {
+      throw createServiceError('ConfigurationError', 'WHATSAPP_VERIFY_TOKEN is not configured', 'WHATSAPP_NOT_CONFIGURED');
+    }
+    if (query['hub.mode'] !== 'subscribe' || query['hub.verify_token'] !== this.verifyToken) {
+      throw createServiceError('UnauthorizedError', 'Invalid verify token', 'INVALID_VERIFY_TOKEN');
+    }
+    return String(query['hub.challenge'] || '');
+  }
+
+  sign(rawBody) {
+    return `sha256=${crypto.createHmac('sha256', this.appSecret).update(rawBody || '').digest('hex')}`;
+  }
+
+  /**
+   * Check the signature Meta puts on every webhook POST
+   * @param {Object} headers - Request headers
+   * @param {string} rawBody - Body exactly as received
+   */
+  verifySignature(headers, rawBody) {
+    if (!this.appSecret) {
+      throw createServiceError('ConfigurationError', 'WHATSAPP_APP_SECRET is not configured', 'WHATSAPP_NOT_CONFIGURED');
+    }
+    const signature = String(headers[SIGNATURE_HEADER] || '');
+    const expected = this.sign(rawBody);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw createServiceError('UnauthorizedError', 'Invalid webhook signature', 'INVALID_SIGNATURE');
+    }
+  }
+
+  /**
+   * Incoming messages of a webhook payload. Text messages carry `text`;
+   * other types (image, sticker, ...) are returned with `text: null`.
+   * Delivery status callbacks are not messages and are skipped.
+   * @param {Object} body - Parsed webhook body
+   * @returns {Array<Object>} - { messageId, from, name, type, text, timestamp, phoneNumberId }
+   */
+  parseMessages(body = {}) {
+    if (body.object !== 'whatsapp_business_account') return [];
+
+    const messages = [];
+    (body.entry || []).forEach(entry => {
+      (entry.changes || []).forEach(change => {
+        const value = change.value || {};
+        if (change.field !== 'messages' || !Array.isArray(value.messages)) return;
+
+        const names = new Map((value.contacts || []).map(contact => [
+          contact.wa_id,
+          contact.profile ? contact.profile.name : null
+        ]));
+        value.messages.forEach(message => {
+          messages.push({
+            messageId: message.id,
+            from: message.from,
+            name: names.get(message.from) || null,
+            type: message.type,
+            text: message.type === 'text' && message.text ? message.text.body : null,
+            timestamp: message.timestamp ? new Date(Number(message.timestamp) * 1000).toISOString() : null,
+            phoneNumberId: value.metadata ? value.metadata.phone_number_id : null
+          });
+        });
+      });
+    });
+    return messages;
+  }
+}
+
+WhatsAppWebhookService.SIGNATURE_HEADER = SIGNATURE_HEADER;
+
+module.exports = WhatsAppWebhookService;
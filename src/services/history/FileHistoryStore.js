@@ -0,0 +1,72 @@
+const path = require('path');
+const HistoryStore = require('./HistoryStore');
+const JsonFileStore = require('../../utils/jsonFileStore');
+
+/**
+ * History kept in a JSON file (HISTORY_PATH). Survives restarts without
+ * Redis; suited to a single server process.
+ */
+class FileHistoryStore extends HistoryStore {
+  constructor(options = {}) {
+    super('file', options);
+    this.historyPath = path.resolve(options.historyPath || process.env.HISTORY_PATH || './data/history.json');
+    this.store = new JsonFileStore(this.historyPath, () => ({ conversations: {} }));
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return !entry || new Date(entry.expiresAt).getTime() <= now;
+  }
+
+  async append(whatsappNumber, messages) {
+    const key = this.key(whatsappNumber);
+    const now = Date.now();
+    await this.store.update(data => {
+      // Drop expired conversations while the file is being written anyway
+      Object.keys(data.conversations)
+        .filter(existing => this.isExpired(data.conversations[existing], now))
+        .forEach(existing => delete data.conversations[existing]);
+
+      const entry = data.conversations[key] || { messages: [], summary: null };
+      data.conversations[key] = {
+        ...entry,
+        messages: [...entry.messages, ...this.stamp(messages)].slice(-this.maxMessages),
+        expiresAt: new Date(now + this.ttlSeconds * 1000).toISOString()
+      };
+    });
+  }
+
+  async getMessages(whatsappNumber) {
+    const data = await this.store.read();
+    const entry = data.conversations[this.key(whatsappNumber)];
+    return this.isExpired(entry) ? [] : [...entry.messages];
+  }
+
+  async getSummary(whatsappNumber) {
+    const data = await this.store.read();
+    const entry = data.conversations[this.key(whatsappNumber)];
+    return this.isExpired(entry) ? null : entry.summary || null;
+  }
+
+  async setSummary(whatsappNumber, summary) {
+    const key = this.key(whatsappNumber);
+    await this.store.update(data => {
+      const entry = this.isExpired(data.conversations[key]) ? { messages: [] } : data.conversations[key];
+      data.conversations[key] = {
+        ...entry,
+        summary,
+        expiresAt: new Date(Date.now() + this.ttlSeconds * 1000).toISOString()
+      };
+    });
+  }
+
+  async clear(whatsappNumber) {
+    const key = this.key(whatsappNumber);
+    return this.store.update(data => {
+      const existed = !this.isExpired(data.conversations[key]);
+      delete data.conversations[key];
+      return existed;
+    });
+  }
+}
+
+module.exports = FileHistoryStore;
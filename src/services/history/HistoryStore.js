@@ -0,0 +1,105 @@
+const DEFAULT_TTL_SECONDS = 2 * 24 * 60 * 60;
+const DEFAULT_MAX_MESSAGES = 20;
+
+/**
+ * Base class for conversation history stores.
+ *
+ * Every store keeps the messages of one customer under `lel:<whatsapp_number>`,
+ * refreshes the TTL on each write and keeps only the newest `maxMessages`.
+ * Register new stores in ./index.js and select one with HISTORY_STORE.
+ */
+class HistoryStore {
+  /**
+   * @param {string} name - Store name used in HISTORY_STORE
+   * @param {Object} options
+   * @param {string} options.keyPrefix - Key prefix, defaults to "lel:"
+   * @param {number} options.ttlSeconds - Seconds a conversation lives after its last message
+   * @param {number} options.maxMessages - Messages kept per conversation
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.keyPrefix = options.keyPrefix || 'lel:';
+    this.ttlSeconds = Number(options.ttlSeconds || process.env.HISTORY_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+    this.maxMessages = Number(options.maxMessages || process.env.HISTORY_MAX_MESSAGES) || DEFAULT_MAX_MESSAGES;
+  }
+
+  key(whatsappNumber) {
+    return `${this.keyPrefix}${whatsappNumber}`;
+  }
+
+  async connect() {}
+
+  async close() {}
+
+  /**
+   * Append messages to a conversation, refresh its TTL and trim it to maxMessages
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {Array<Object>} messages - { role: 'user'|'assistant', content }
+   * @returns {Promise<void>}
+   */
+  async append(whatsappNumber, messages) {
+    throw new Error(`${this.name} history store does not implement append`);
+  }
+
+  /**
+   * All stored messages of a conversation, oldest first
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @returns {Promise<Array<Object>>} - { role, content, at }
+   */
+  async getMessages(whatsappNumber) {
+    throw new Error(`${this.name} history store does not implement getMessages`);
+  }
+
+  /**
+   * The last turns of a conversation, oldest first. A turn is a customer
+   * message and its answer, so this returns up to `turns * 2` messages.
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {number} turns - Number of turns
+   * @returns {Promise<Array<Object>>} - { role, content, at }
+   */
+  async getRecent(whatsappNumber, turns) {
+    if (turns <= 0) return [];
+    const messages = await this.getMessages(whatsappNumber);
+    return messages.slice(-turns * 2);
+  }
+
+  /**
+   * Running summary of the older part of a conversation, stored next to it
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @returns {Promise<Object|null>} - { text, coveredUntil, messageCount, updatedAt }
+   */
+  async getSummary(whatsappNumber) {
+    throw new Error(`${this.name} history store does not implement getSummary`);
+  }
+
+  /**
+   * Replace the running summary; it expires together with the conversation
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {Object} summary - { text, coveredUntil, messageCount, updatedAt }
+   * @returns {Promise<void>}
+   */
+  async setSummary(whatsappNumber, summary) {
+    throw new Error(`${this.name} history store does not implement setSummary`);
+  }
+
+  /**
+   * Delete a conversation and its summary
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @returns {Promise<boolean>} - Whether a conversation was stored
+   */
+  async clear(whatsappNumber) {
+    throw new Error(`${this.name} history store does not implement clear`);
+  }
+
+  /**
+   * Stamp messages with the time they were stored
+   * @param {Array<Object>} messages - { role, content }
+   * @returns {Array<Object>} - { role, content, at }
+   */
+  stamp(messages) {
+    const now = new Date().toISOString();
+    return messages.map(({ role, content, at }) => ({ role, content, at: at || now }));
+  }
+}
+
+module.exports = HistoryStore;
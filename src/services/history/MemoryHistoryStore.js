@@ -0,0 +1,59 @@
+const HistoryStore = require('./HistoryStore');
+
+// Shared by every instance so all services in the process see the same conversations
+const conversations = new Map();
+
+/**
+ * History kept in process memory. Lost on restart; meant for development,
+ * tests and as the fallback when Redis is unreachable.
+ */
+class MemoryHistoryStore extends HistoryStore {
+  constructor(options = {}) {
+    super('memory', options);
+    this.conversations = options.conversations || conversations;
+  }
+
+  read(key) {
+    const entry = this.conversations.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.conversations.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async append(whatsappNumber, messages) {
+    const key = this.key(whatsappNumber);
+    const entry = this.read(key) || { messages: [], summary: null };
+    this.conversations.set(key, {
+      ...entry,
+      messages: [...entry.messages, ...this.stamp(messages)].slice(-this.maxMessages),
+      expiresAt: Date.now() + this.ttlSeconds * 1000
+    });
+  }
+
+  async getMessages(whatsappNumber) {
+    const entry = this.read(this.key(whatsappNumber));
+    return entry ? [...entry.messages] : [];
+  }
+
+  async getSummary(whatsappNumber) {
+    const entry = this.read(this.key(whatsappNumber));
+    return entry ? entry.summary || null : null;
+  }
+
+  async setSummary(whatsappNumber, summary) {
+    const key = this.key(whatsappNumber);
+    const entry = this.read(key) || { messages: [] };
+    this.conversations.set(key, { ...entry, summary, expiresAt: Date.now() + this.ttlSeconds * 1000 });
+  }
+
+  async clear(whatsappNumber) {
+    const key = this.key(whatsappNumber);
+    const existed = Boolean(this.read(key));
+    this.conversations.delete(key);
+    return existed;
+  }
+}
+
+module.exports = MemoryHistoryStore;
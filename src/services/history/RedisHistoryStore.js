@@ -0,0 +1,79 @@
+const redis = require('redis');
+const HistoryStore = require('./HistoryStore');
+const logger = require('../../utils/logger');
+
+/**
+ * History kept in Redis lists (REDIS_URL). Each message is one JSON entry;
+ * RPUSH + EXPIRE + LTRIM keep the list fresh and bounded. The summary lives
+ * in `lel:<number>:summary` with the same TTL.
+ */
+class RedisHistoryStore extends HistoryStore {
+  constructor(options = {}) {
+    super('redis', options);
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    const url = options.url || process.env.REDIS_URL;
+
+    this.client = options.client || redis.createClient({
+      ...(url ? { url } : {}),
+      socket: {
+        // Give up instead of retrying forever so callers can fall back to another store
+        reconnectStrategy: retries => (retries >= maxRetries
+          ? new Error(`Redis unreachable after ${retries} retries`)
+          : Math.min(retries * 200, 2000))
+      }
+    });
+    if (typeof this.client.on === 'function') {
+      this.client.on('error', error => logger.warn(`Redis history store: ${error.message}`));
+    }
+  }
+
+  async connect() {
+    if (!this.client.isOpen) {
+      await this.client.connect();
+    }
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+
+  async append(whatsappNumber, messages) {
+    const key = this.key(whatsappNumber);
+    await this.client.rPush(key, this.stamp(messages).map(message => JSON.stringify(message)));
+    await this.client.expire(key, this.ttlSeconds);
+    await this.client.expire(this.summaryKey(whatsappNumber), this.ttlSeconds);
+    await this.client.lTrim(key, -this.maxMessages, -1);
+  }
+
+  async getMessages(whatsappNumber) {
+    const entries = await this.client.lRange(this.key(whatsappNumber), 0, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  async getRecent(whatsappNumber, turns) {
+    if (turns <= 0) return [];
+    const entries = await this.client.lRange(this.key(whatsappNumber), -turns * 2, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  summaryKey(whatsappNumber) {
+    return `${this.key(whatsappNumber)}:summary`;
+  }
+
+  async getSummary(whatsappNumber) {
+    const value = await this.client.get(this.summaryKey(whatsappNumber));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async setSummary(whatsappNumber, summary) {
+    await this.client.set(this.summaryKey(whatsappNumber), JSON.stringify(summary), { EX: this.ttlSeconds });
+  }
+
+  async clear(whatsappNumber) {
+    return (await this.client.del([this.key(whatsappNumber), this.summaryKey(whatsappNumber)])) > 0;
+  }
+}
+
+module.exports = RedisHistoryStore;
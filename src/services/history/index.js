@@ -0,0 +1,51 @@
+const RedisHistoryStore = require('./RedisHistoryStore');
+const MemoryHistoryStore = require('./MemoryHistoryStore');
+const FileHistoryStore = require('./FileHistoryStore');
+const logger = require('../../utils/logger');
+
+const stores = {
+  redis: options => new RedisHistoryStore(options),
+  memory: options => new MemoryHistoryStore(options),
+  file: options => new FileHistoryStore(options)
+};
+
+/**
+ * Register a conversation history store
+ * @param {string} name - Name used in HISTORY_STORE
+ * @param {Function} factory - (options) => HistoryStore
+ */
+function registerHistoryStore(name, factory) {
+  stores[name] = factory;
+}
+
+/**
+ * Create the configured conversation history store
+ * @param {string} name - Store name, defaults to HISTORY_STORE or "redis"
+ * @param {Object} options - Passed to the store
+ * @returns {HistoryStore}
+ */
+function createHistoryStore(name = process.env.HISTORY_STORE || 'redis', options = {}) {
+  const factory = stores[name];
+  if (!factory) {
+    throw new Error(`Unknown history store: ${name}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Connect a history store, falling back to the in-memory store when it is
+ * unreachable (e.g. Redis not running) so the bot keeps answering.
+ * @param {HistoryStore} store - Store to connect
+ * @returns {Promise<HistoryStore>} - The connected store or the in-memory fallback
+ */
+async function connectHistoryStore(store) {
+  try {
+    await store.connect();
+    return store;
+  } catch (error) {
+    logger.warn(`History store ${store.name} unavailable (${error.message}), using in-memory history`);
+    return new MemoryHistoryStore();
+  }
+}
+
+module.exports = { createHistoryStore, registerHistoryStore, connectHistoryStore };
@@ -0,0 +1,23 @@
+const logger = require('../../utils/logger');
+const OutboundSender = require('./OutboundSender');
+
+/**
+ * Logs messages instead of sending them, for development and tests.
+ * Nothing is kept after logging; sensitive messages are not logged.
+ */
+class ConsoleSender extends OutboundSender {
+  constructor() {
+    super('console');
+    this.count = 0;
+  }
+
+  async send(message) {
+    this.count += 1;
+    const messageId = `console-${this.count}`;
+    const text = message.sensitive ? '[account details hidden]' : message.text;
+    logger.info(`[outbound] to ${message.to}: ${text}${message.imageUrl ? ` (image ${message.imageUrl})` : ''}`);
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleSender;
@@ -0,0 +1,35 @@
+const axios = require('axios');
+const OutboundSender = require('./OutboundSender');
+
+/**
+ * Posts messages as JSON to our own WhatsApp gateway (OUTBOUND_HTTP_URL):
+ * { whatsapp_number, text, imageUrl, questionId }. OUTBOUND_HTTP_TOKEN,
+ * when set, is sent as a Bearer token.
+ */
+class HttpSender extends OutboundSender {
+  constructor(options = {}) {
+    super('http');
+    this.url = options.url || process.env.OUTBOUND_HTTP_URL;
+    this.token = options.token || process.env.OUTBOUND_HTTP_TOKEN;
+
+    if (!this.url) {
+      throw new Error('OUTBOUND_HTTP_URL is required for the http sender');
+    }
+  }
+
+  async send({ to, text, imageUrl, questionId }) {
+    const response = await axios.post(this.url, {
+      whatsapp_number: to,
+      text,
+      imageUrl: imageUrl || null,
+      questionId
+    }, {
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      timeout: 15000
+    });
+
+    return { messageId: (response.data && response.data.messageId) || null };
+  }
+}
+
+module.exports = HttpSender;
@@ -0,0 +1,27 @@
+/**
+ * Base class for outbound message senders.
+ *
+ * A sender delivers one message to a customer's WhatsApp number. Register
+ * new senders in ./index.js and select one with OUTBOUND_SENDER.
+ */
+class OutboundSender {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send one message
+   * @param {Object} message
+   * @param {string} message.to - Customer WhatsApp number
+   * @param {string} message.text - Message text (caption when imageUrl is set)
+   * @param {string} message.imageUrl - Image to send, optional
+   * @param {string} message.questionId - Job the message answers
+   * @param {boolean} message.sensitive - Text holds account details and must not be logged
+   * @returns {Promise<Object>} - { messageId }
+   */
+  async send(message) {
+    throw new Error(`${this.name} sender does not implement send`);
+  }
+}
+
+module.exports = OutboundSender;
@@ -0,0 +1,40 @@
+const axios = require('axios');
+const OutboundSender = require('./OutboundSender');
+
+/**
+ * Sends messages through the WhatsApp Cloud API
+ * (WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_ACCESS_TOKEN)
+ */
+class WhatsAppCloudSender extends OutboundSender {
+  constructor(options = {}) {
+    super('whatsapp');
+    this.phoneNumberId = options.phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID;
+    this.accessToken = options.accessToken || process.env.WHATSAPP_ACCESS_TOKEN;
+    this.baseUrl = options.baseUrl || `https://graph.facebook.com/${process.env.WHATSAPP_API_VERSION || 'v19.0'}`;
+
+    if (!this.phoneNumberId || !this.accessToken) {
+      throw new Error('WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_ACCESS_TOKEN are required for the whatsapp sender');
+    }
+  }
+
+  async send({ to, text, imageUrl }) {
+    const content = imageUrl
+      ? { type: 'image', image: { link: imageUrl, caption: text } }
+      : { type: 'text', text: { preview_url: false, body: text } };
+
+    const response = await axios.post(`${this.baseUrl}/${this.phoneNumberId}/messages`, {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to,
+      ...content
+    }, {
+      headers: { Authorization: `Bearer ${this.accessToken}` },
+      timeout: 15000
+    });
+
+    const [message] = response.data.messages || [];
+    return { messageId: message ? message.id : null };
+  }
+}
+
+module.exports = WhatsAppCloudSender;
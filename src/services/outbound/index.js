@@ -0,0 +1,34 @@
+const WhatsAppCloudSender = require('./WhatsAppCloudSender');
+const HttpSender = require('./HttpSender');
+const ConsoleSender = require('./ConsoleSender');
+
+const senders = {
+  whatsapp: options => new WhatsAppCloudSender(options),
+  http: options => new HttpSender(options),
+  console: () => new ConsoleSender()
+};
+
+/**
+ * Register an outbound message sender
+ * @param {string} name - Name used in OUTBOUND_SENDER
+ * @param {Function} factory - (options) => OutboundSender
+ */
+function registerSender(name, factory) {
+  senders[name] = factory;
+}
+
+/**
+ * Create the configured outbound sender
+ * @param {string} name - Sender name, defaults to OUTBOUND_SENDER or "console"
+ * @param {Object} options - Passed to the sender
+ * @returns {OutboundSender}
+ */
+function createSender(name = process.env.OUTBOUND_SENDER || 'console', options = {}) {
+  const factory = senders[name];
+  if (!factory) {
+    throw new Error(`Unknown outbound sender: ${name}`);
+  }
+  return factory(options);
+}
+
+module.exports = { createSender, registerSender };
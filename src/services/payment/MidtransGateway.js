@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentGateway = require('./PaymentGateway');
+const { createServiceError } = require('../../utils/serviceError');
+
+const STATUS_MAP = {
+  settlement: 'paid',
+  capture: 'paid',
+  pending: 'pending',
+  expire: 'expired',
+  cancel: 'failed',
+  deny: 'failed',
+  failure: 'failed'
+};
+
+/**
+ * Midtrans Core API adapter (payment_type "qris")
+ */
+class MidtransGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super('midtrans');
+    this.serverKey = options.serverKey || process.env.MIDTRANS_SERVER_KEY;
+    this.baseUrl = options.baseUrl || (process.env.MIDTRANS_PRODUCTION === 'true'
+      ? 'https://api.midtrans.com'
+      : 'https://api.sandbox.midtrans.com');
+
+    if (!this.serverKey) {
+      throw createServiceError('ConfigurationError', 'MIDTRANS_SERVER_KEY is required for the midtrans payment gateway', 'PAYMENT_NOT_CONFIGURED');
+    }
+  }
+
+  async createCharge({ reference, amount, expiresAt }) {
+    const expiryMinutes = Math.max(1, Math.round((new Date(expiresAt) - Date.now()) / 60000));
+    const response = await axios.post(`${this.baseUrl}/v2/charge`, {
+      payment_type: 'qris',
+      transaction_details: { order_id: reference, gross_amount: amount },
+      custom_expiry: { expiry_duration: expiryMinutes, unit: 'minute' }
+    }, {
+      auth: { username: this.serverKey, password: '' },
+      timeout: 15000
+    });
+
+    const data = response.data;
+    const qrAction = (data.actions || []).find(action => action.name === 'generate-qr-code');
+    return {
+      qrString: data.qr_string || null,
+      qrImageUrl: qrAction ? qrAction.url : null,
+      expiresAt,
+      gatewayReference: data.transaction_id
+    };
+  }
+
+  parseWebhook({ body }) {
+    const expected = crypto.createHash('sha512')
+      .update(`${body.order_id}${body.status_code}${body.gross_amount}${this.serverKey}`)
+      .digest('hex');
+    const signature = String(body.signature_key || '');
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw createServiceError('UnauthorizedError', 'Invalid webhook signature', 'INVALID_SIGNATURE');
+    }
+
+    return {
+      reference: body.order_id,
+      status: STATUS_MAP[body.transaction_status] || 'pending',
+      amount: Number(body.gross_amount)
+    };
+  }
+}
+
+module.exports = MidtransGateway;
@@ -0,0 +1,39 @@
+/**
+ * Base class for QRIS payment gateway adapters.
+ *
+ * An adapter creates a charge for an order and turns the gateway's webhook
+ * callback into a payment event. Register new adapters in ./index.js and
+ * select one with PAYMENT_GATEWAY.
+ */
+class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Create a QRIS charge
+   * @param {Object} params
+   * @param {string} params.reference - Unique payment reference
+   * @param {string} params.orderId - Order ID
+   * @param {number} params.amount - Amount in IDR
+   * @param {string} params.expiresAt - ISO time after which the QR may no longer be paid
+   * @returns {Promise<Object>} - { qrString, qrImageUrl, expiresAt, gatewayReference }
+   */
+  async createCharge(params) {
+    throw new Error(`${this.name} gateway does not implement createCharge`);
+  }
+
+  /**
+   * Verify and read a webhook callback
+   * @param {Object} request
+   * @param {Object} request.headers - Request headers
+   * @param {Object} request.body - Parsed JSON body
+   * @param {string} request.rawBody - Body exactly as received
+   * @returns {Object} - { reference, status: 'pending'|'paid'|'expired'|'failed', amount }
+   */
+  parseWebhook(request) {
+    throw new Error(`${this.name} gateway does not implement parseWebhook`);
+  }
+}
+
+module.exports = PaymentGateway;
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const PaymentGateway = require('./PaymentGateway');
+const { buildQrisString } = require('./qris');
+const { createServiceError } = require('../../utils/serviceError');
+
+const SIGNATURE_HEADER = 'x-simulator-signature';
+
+/**
+ * Offline gateway for development and tests. Generates a real QRIS payload
+ * (not payable) and accepts callbacks signed with PAYMENT_WEBHOOK_SECRET.
+ * Use buildWebhook() or POST /api/payments/simulator/:reference (admin,
+ * PAYMENT_SIMULATOR_ENABLED=true) to "pay".
+ */
+class SimulatorGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super('simulator');
+    this.secret = options.secret || process.env.PAYMENT_WEBHOOK_SECRET;
+    this.merchant = {
+      merchantName: options.merchantName || process.env.QRIS_MERCHANT_NAME || 'TOKO DIGITAL',
+      merchantCity: options.merchantCity || process.env.QRIS_MERCHANT_CITY || 'JAKARTA',
+      merchantId: options.merchantId || process.env.QRIS_MERCHANT_ID || 'ID1020000000001',
+      merchantCategory: options.merchantCategory || '5999',
+      acquirerDomain: 'ID.CO.SIMULATOR.WWW'
+    };
+
+    if (!this.secret) {
+      throw createServiceError('ConfigurationError', 'PAYMENT_WEBHOOK_SECRET is required for the simulator payment gateway', 'PAYMENT_NOT_CONFIGURED');
+    }
+  }
+
+  async createCharge({ reference, amount, expiresAt }) {
+    return {
+      qrString: buildQrisString({ ...this.merchant, amount, reference }),
+      qrImageUrl: null,
+      expiresAt,
+      gatewayReference: reference
+    };
+  }
+
+  parseWebhook({ headers, body, rawBody }) {
+    const signature = String(headers[SIGNATURE_HEADER] || '');
+    const expected = this.sign(rawBody);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw createServiceError('UnauthorizedError', 'Invalid webhook signature', 'INVALID_SIGNATURE');
+    }
+
+    return {
+      reference: body.reference,
+      status: body.status,
+      amount: Number(body.amount)
+    };
+  }
+
+  /**
+   * Build a signed callback as the gateway would send it
+   * @param {Object} payment - Stored payment
+   * @param {Object} options
+   * @param {string} options.status - paid, expired or failed
+   * @param {number} options.amount - Paid amount, defaults to the payment amount
+   * @returns {Object} - { headers, body, rawBody }
+   */
+  buildWebhook(payment, { status = 'paid', amount = payment.amount } = {}) {
+    const body = {
+      reference: payment.reference,
+      status,
+      amount,
+      paidAt: status === 'paid' ? new Date().toISOString() : null
+    };
+    const rawBody = JSON.stringify(body);
+    return { headers: { [SIGNATURE_HEADER]: this.sign(rawBody) }, body, rawBody };
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.secret).update(rawBody || '').digest('hex');
+  }
+}
+
+module.exports = SimulatorGateway;
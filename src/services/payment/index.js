@@ -0,0 +1,32 @@
+const SimulatorGateway = require('./SimulatorGateway');
+const MidtransGateway = require('./MidtransGateway');
+
+const gateways = {
+  simulator: options => new SimulatorGateway(options),
+  midtrans: options => new MidtransGateway(options)
+};
+
+/**
+ * Register a payment gateway adapter
+ * @param {string} name - Name used in PAYMENT_GATEWAY and the webhook URL
+ * @param {Function} factory - (options) => PaymentGateway
+ */
+function registerGateway(name, factory) {
+  gateways[name] = factory;
+}
+
+/**
+ * Create the configured payment gateway
+ * @param {string} name - Gateway name, defaults to PAYMENT_GATEWAY or "simulator"
+ * @param {Object} options - Passed to the adapter
+ * @returns {PaymentGateway}
+ */
+function createGateway(name = process.env.PAYMENT_GATEWAY || 'simulator', options = {}) {
+  const factory = gateways[name];
+  if (!factory) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return factory(options);
+}
+
+module.exports = { createGateway, registerGateway };
@@ -0,0 +1,83 @@
+/**
+ * QRIS payload builder (EMVCo merchant-presented QR, Bank Indonesia profile).
+ * Each field is encoded as TLV: 2-digit tag, 2-digit length, value.
+ */
+
+const encodeField = (tag, value) => {
+  const text = String(value);
+  return `${tag}${String(text.length).padStart(2, '0')}${text}`;
+};
+
+/**
+ * CRC-16/CCITT-FALSE checksum used for tag 63
+ * @param {string} payload - Payload including "6304"
+ * @returns {string} - 4-digit uppercase hex
+ */
+function crc16(payload) {
+  let crc = 0xffff;
+  for (let i = 0; i < payload.length; i++) {
+    crc ^= payload.charCodeAt(i) << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Build a dynamic QRIS string for one payment
+ * @param {Object} params
+ * @param {string} params.merchantName - Max 25 characters
+ * @param {string} params.merchantCity - Max 15 characters
+ * @param {string} params.merchantId - National Merchant ID (NMID)
+ * @param {string} params.merchantCategory - MCC, e.g. 5999
+ * @param {string} params.acquirerDomain - Reverse domain of the acquirer, e.g. ID.CO.EXAMPLE.WWW
+ * @param {number} params.amount - Amount in IDR
+ * @param {string} params.reference - Reference label shown to the payer's app
+ * @returns {string} - QRIS payload
+ */
+function buildQrisString({ merchantName, merchantCity, merchantId, merchantCategory, acquirerDomain, amount, reference }) {
+  const merchantAccount = encodeField('00', acquirerDomain) +
+    encodeField('01', merchantId) +
+    encodeField('03', 'UMI');
+  const qrisDomain = encodeField('00', 'ID.CO.QRIS.WWW') +
+    encodeField('02', merchantId) +
+    encodeField('03', 'UMI');
+  const additionalData = encodeField('05', reference.slice(0, 25));
+
+  const payload = [
+    encodeField('00', '01'),
+    encodeField('01', '12'),
+    encodeField('26', merchantAccount),
+    encodeField('51', qrisDomain),
+    encodeField('52', merchantCategory),
+    encodeField('53', '360'),
+    encodeField('54', String(Math.round(amount))),
+    encodeField('58', 'ID'),
+    encodeField('59', merchantName.slice(0, 25)),
+    encodeField('60', merchantCity.slice(0, 15)),
+    encodeField('62', additionalData)
+  ].join('') + '6304';
+
+  return payload + crc16(payload);
+}
+
+/**
+ * Read the top-level fields of a QRIS string
+ * @param {string} qrString - QRIS payload
+ * @returns {Object} - { tag: value }
+ */
+function parseQrisString(qrString) {
+  const fields = {};
+  let position = 0;
+  while (position < qrString.length) {
+    const tag = qrString.slice(position, position + 2);
+    const length = parseInt(qrString.slice(position + 2, position + 4), 10);
+    fields[tag] = qrString.slice(position + 4, position + 4 + length);
+    position += 4 + length;
+  }
+  return fields;
+}
+
+module.exports = { buildQrisString, parseQrisString, crc16 };
@@ -0,0 +1,86 @@
+const path = require('path');
+const JobStore = require('./JobStore');
+const JsonFileStore = require('../../utils/jsonFileStore');
+
+/**
+ * Jobs kept in a JSON file (JOBS_PATH). Survives restarts without Redis;
+ * suited to a single server process.
+ */
+class FileJobStore extends JobStore {
+  constructor(options = {}) {
+    super('file');
+    this.jobsPath = path.resolve(options.jobsPath || process.env.JOBS_PATH || './data/jobs.json');
+    this.store = new JsonFileStore(this.jobsPath, () => ({ jobs: {}, keys: {} }));
+  }
+
+  async add(job) {
+    await this.store.update(data => {
+      data.jobs[job.id] = job;
+    });
+  }
+
+  async get(id) {
+    const data = await this.store.read();
+    return data.jobs[id] ? structuredClone(data.jobs[id]) : null;
+  }
+
+  async update(id, mutator) {
+    return this.store.update(data => {
+      const job = data.jobs[id];
+      if (!job) return null;
+      mutator(job);
+      return structuredClone(job);
+    });
+  }
+
+  async claim(now, leaseMs) {
+    const data = await this.store.read();
+    // Skip the write when nothing is ready, the queue polls this often
+    if (!this.nextReady(Object.values(data.jobs), now)) return null;
+
+    return this.store.update(current => {
+      const job = this.claimFrom(Object.values(current.jobs), now, leaseMs);
+      return job ? structuredClone(job) : null;
+    });
+  }
+
+  async lastInGroup(group) {
+    const data = await this.store.read();
+    const job = this.lastInGroupFrom(Object.values(data.jobs), group);
+    return job ? structuredClone(job) : null;
+  }
+
+  async listExpired(now) {
+    const data = await this.store.read();
+    return Object.values(data.jobs)
+      .filter(job => job.state === 'running' && job.lockedUntil < now)
+      .map(job => structuredClone(job));
+  }
+
+  async reserveKeys(keys, id, now) {
+    return this.store.update(data => {
+      data.keys = data.keys || {};
+      return this.reserveFrom(data.keys, keys, id, now);
+    });
+  }
+
+  async releaseKeys(keys, id) {
+    await this.store.update(data => {
+      this.releaseFrom(data.keys || {}, keys, id);
+    });
+  }
+
+  async prune(before) {
+    const data = await this.store.read();
+    if (!Object.values(data.jobs).some(job => this.isFinished(job) && job.finishedAt < before)) return 0;
+
+    return this.store.update(current => {
+      const expired = Object.keys(current.jobs)
+        .filter(id => this.isFinished(current.jobs[id]) && current.jobs[id].finishedAt < before);
+      expired.forEach(id => delete current.jobs[id]);
+      return expired.length;
+    });
+  }
+}
+
+module.exports = FileJobStore;
@@ -0,0 +1,332 @@
+const { EventEmitter } = require('events');
+const logger = require('../../utils/logger');
+const { createJobStore, connectJobStore } = require('./index');
+
+// Extra time a worker keeps its lease after the job timeout, before the reaper steps in
+const LEASE_GRACE_MS = 5000;
+
+const abortedBy = signal => new Promise((resolve, reject) => {
+  if (signal.aborted) return reject(signal.reason);
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+/**
+ * Persistent job queue with a bounded number of workers.
+ *
+ * Jobs are claimed from the store by priority, run by `handler(job, signal)`
+ * and retried with exponential backoff until maxAttempts. A job that runs
+ * longer than timeoutMs is aborted through the signal and counts as a failed
+ * attempt; errors with `retryable: false` fail the job right away, as does any
+ * failure (timeout and stall included) of a job whose handler called
+ * markSideEffects(). The reaper
+ * requeues running jobs whose lease expired (the process died mid-job) and
+ * prunes finished jobs after the retention period.
+ *
+ * Events: `completed` (job, result), `retrying` (job, error), `failed` (job, error)
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {JobStore} options.store - Defaults to the one selected by JOB_STORE
+   * @param {Function} options.handler - async (job, signal) => result
+   * @param {number} options.concurrency - Jobs running at the same time in this process
+   * @param {number} options.maxAttempts - Attempts per job
+   * @param {number} options.backoffMs - Delay before the first retry, doubled after each failure
+   * @param {number} options.timeoutMs - Time limit of one attempt
+   * @param {boolean} options.retryTimeouts - Retry an attempt that ran out of timeoutMs (default true),
+   *   false fails the job
+   * @param {number} options.pollIntervalMs - How often the store is checked for delayed jobs
+   * @param {number} options.reaperIntervalMs - How often stalled jobs are looked for
+   * @param {number} options.retentionMs - How long finished jobs are kept
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || createJobStore();
+    this.handler = options.handler;
+    this.concurrency = options.concurrency || Number(process.env.JOB_CONCURRENCY) || 2;
+    this.maxAttempts = options.maxAttempts || Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+    this.backoffMs = options.backoffMs !== undefined ? options.backoffMs : Number(process.env.JOB_BACKOFF_MS || 2000);
+    this.timeoutMs = options.timeoutMs || Number(process.env.JOB_TIMEOUT_MS) || 120000;
+    this.retryTimeouts = options.retryTimeouts !== false;
+    this.pollIntervalMs = options.pollIntervalMs || Number(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+    this.reaperIntervalMs = options.reaperIntervalMs || Number(process.env.JOB_REAPER_INTERVAL_MS) || 30000;
+    this.retentionMs = options.retentionMs || Number(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000;
+    this.active = new Map();
+    this.started = null;
+    this.stopped = false;
+    this.polling = false;
+    this.pollAgain = false;
+  }
+
+  /**
+   * Connect the store, requeue jobs left running by a previous process and
+   * start the workers. Safe to call more than once.
+   */
+  start() {
+    if (!this.started) {
+      this.started = (async () => {
+        this.store = await connectJobStore(this.store);
+        await this.reap();
+        this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+        this.reaperTimer = setInterval(() => this.reap(), this.reaperIntervalMs);
+        [this.pollTimer, this.reaperTimer].forEach(timer => timer.unref && timer.unref());
+        this.poll();
+      })();
+    }
+    return this.started;
+  }
+
+  /**
+   * Stop claiming jobs, wait for running ones and close the store
+   */
+  async stop() {
+    this.stopped = true;
+    clearInterval(this.pollTimer);
+    clearInterval(this.reaperTimer);
+    await Promise.allSettled([...this.active.values()].map(entry => entry.done));
+    if (this.started) {
+      await this.store.close();
+    }
+  }
+
+  /**
+   * Queue a job
+   * @param {string} id - Job id
+   * @param {Object} payload - Input of the handler
+   * @param {Object} options
+   * @param {number} options.priority - Higher runs first (default 0)
+   * @param {number} options.maxAttempts - Overrides the queue setting
+   * @param {string} options.group - Jobs of one group run one at a time in the order they were added
+   * @param {number} options.delayMs - Earliest start, from now
+   * @param {Object} options.status - Initial client-facing status of the job
+   * @returns {Promise<Object>} - The job record
+   */
+  async add(id, payload, { priority = 0, maxAttempts, group = null, delayMs = 0, status = {} } = {}) {
+    await this.start();
+    const now = Date.now();
+    const job = {
+      id,
+      state: 'queued',
+      priority,
+      group,
+      attempts: 0,
+      maxAttempts: maxAttempts || this.maxAttempts,
+      runAt: now + delayMs,
+      lockedUntil: null,
+      createdAt: now,
+      finishedAt: null,
+      lastError: null,
+      payload,
+      status
+    };
+    await this.store.add(job);
+    this.poll();
+    return job;
+  }
+
+  async get(id) {
+    await this.start();
+    return this.store.get(id);
+  }
+
+  async update(id, mutator) {
+    await this.start();
+    return this.store.update(id, mutator);
+  }
+
+  // Newest unfinished job of a group, see add()
+  async lastInGroup(group) {
+    await this.start();
+    return this.store.lastInGroup(group);
+  }
+
+  /**
+   * Reserve dedupe keys for a job about to be added, see JobStore.reserveKeys
+   * @param {Array<Object>} keys - { key, ttlMs }
+   * @param {string} id - Id of the new job
+   * @returns {Promise<string>} - `id`, or the id of the job already holding a key
+   */
+  async reserveKeys(keys, id) {
+    await this.start();
+    return this.store.reserveKeys(keys, id, Date.now());
+  }
+
+  async releaseKeys(keys, id) {
+    await this.start();
+    return this.store.releaseKeys(keys, id);
+  }
+
+  // Claim jobs until every worker is busy or nothing is ready
+  async poll() {
+    if (this.stopped || !this.started) return;
+    if (this.polling) {
+      this.pollAgain = true;
+      return;
+    }
+
+    this.polling = true;
+    try {
+      while (!this.stopped && this.active.size < this.concurrency) {
+        const job = await this.store.claim(Date.now(), this.timeoutMs + LEASE_GRACE_MS);
+        if (!job) break;
+        this.run(job);
+      }
+    } catch (error) {
+      logger.error(`Job queue poll failed: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+
+    if (this.pollAgain) {
+      this.pollAgain = false;
+      this.poll();
+    }
+  }
+
+  run(job) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      const error = new Error(`Job timed out after ${this.timeoutMs}ms`);
+      error.code = 'JOB_TIMEOUT';
+      if (!this.retryTimeouts) error.retryable = false;
+      controller.abort(error);
+    }, this.timeoutMs);
+
+    const entry = { controller };
+    this.active.set(job.id, entry);
+    entry.done = (async () => {
+      try {
+        const result = await Promise.race([this.handler(job, controller.signal), abortedBy(controller.signal)]);
+        const completed = await this.finish(job, current => {
+          current.state = 'completed';
+          current.finishedAt = Date.now();
+        });
+        if (completed) this.emit('completed', completed, result);
+      } catch (error) {
+        // The handler may still be running after an abort; what it already changed must not run twice
+        if (entry.sideEffects) error.retryable = false;
+        await this.fail(job, error);
+      } finally {
+        clearTimeout(timer);
+        this.active.delete(job.id);
+        this.poll();
+      }
+    })();
+    return entry.done;
+  }
+
+  /**
+   * Record that the running attempt of a job started changing things a retry
+   * would change again (e.g. orders). Any failure after this, including the
+   * job timeout and a stall, fails the job instead of retrying it. Call it
+   * synchronously right before the change.
+   * @param {string} id - Job id
+   */
+  markSideEffects(id) {
+    const entry = this.active.get(id);
+    if (!entry || entry.sideEffects) return;
+    entry.sideEffects = true;
+    // Kept on the record for the reaper, in case this process dies mid-job
+    this.store.update(id, current => {
+      current.sideEffects = true;
+    }).catch(error => logger.error(`Could not mark job ${id} as having side effects: ${error.message}`));
+  }
+
+  /**
+   * Stop a job that has not finished. A queued job never starts; a job running
+   * in this process is aborted through its signal (error code JOB_CANCELLED).
+   * A job running in another process is only marked cancelled here, that
+   * worker's outcome is then dropped.
+   * @param {string} id - Job id
+   * @param {string} reason - Error message of the cancellation
+   * @returns {Promise<Object|null>} - The cancelled job, null when it does not exist or already finished
+   */
+  async cancel(id, reason = 'Job cancelled') {
+    await this.start();
+    const error = new Error(reason);
+    error.code = 'JOB_CANCELLED';
+
+    let cancelled = false;
+    const job = await this.store.update(id, current => {
+      cancelled = !this.store.isFinished(current);
+      if (!cancelled) return;
+      current.state = 'cancelled';
+      current.lockedUntil = null;
+      current.finishedAt = Date.now();
+      current.lastError = reason;
+    });
+    if (!cancelled) return null;
+
+    const entry = this.active.get(id);
+    if (entry) entry.controller.abort(error);
+    logger.info(`Job ${id} cancelled: ${reason}`);
+    return job;
+  }
+
+  /**
+   * Apply the outcome of an attempt, unless the job moved on meanwhile
+   * (reaped, or already finished by another worker)
+   * @returns {Promise<Object|null>} - The updated job, null when the outcome was dropped
+   */
+  async finish(job, mutator) {
+    let applied = false;
+    const updated = await this.store.update(job.id, current => {
+      applied = current.state === 'running' && current.attempts === job.attempts;
+      if (!applied) return;
+      current.lockedUntil = null;
+      mutator(current);
+    });
+    return applied ? updated : null;
+  }
+
+  /**
+   * Record a failed attempt: retry with backoff while attempts remain, otherwise fail the job
+   * @param {Object} job - The job as it was claimed
+   * @param {Error} error - Why the attempt failed
+   */
+  async fail(job, error) {
+    let willRetry = false;
+    const updated = await this.finish(job, current => {
+      willRetry = error.retryable !== false && !current.sideEffects && current.attempts < current.maxAttempts;
+      current.lastError = error.message;
+      if (willRetry) {
+        current.state = 'queued';
+        current.runAt = Date.now() + this.backoffMs * 2 ** (current.attempts - 1);
+      } else {
+        current.state = 'failed';
+        current.finishedAt = Date.now();
+      }
+    });
+    if (!updated) return null;
+
+    if (willRetry) {
+      logger.warn(`Job ${job.id} failed (attempt ${updated.attempts}/${updated.maxAttempts}), retrying: ${error.message}`);
+      this.emit('retrying', updated, error);
+    } else {
+      logger.error(`Job ${job.id} failed after ${updated.attempts} attempts: ${error.message}`);
+      this.emit('failed', updated, error);
+    }
+    return updated;
+  }
+
+  // Requeue running jobs whose worker is gone and drop old finished jobs
+  async reap() {
+    try {
+      const now = Date.now();
+      const expired = await this.store.listExpired(now);
+      for (const job of expired) {
+        if (this.active.has(job.id)) continue;
+        const error = new Error('Job stalled: its worker stopped before finishing');
+        error.code = 'JOB_STALLED';
+        await this.fail(job, error);
+      }
+      await this.store.prune(now - this.retentionMs);
+    } catch (error) {
+      logger.error(`Job reaper failed: ${error.message}`);
+    }
+  }
+}
+
+JobQueue.abortedBy = abortedBy;
+
+module.exports = JobQueue;
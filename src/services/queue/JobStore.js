@@ -0,0 +1,191 @@
+const JOB_STATES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Base class for job queue stores.
+ *
+ * A job is a plain JSON record:
+ * { id, state, priority, group, attempts, maxAttempts, timeoutMs, runAt, lockedUntil,
+ *   createdAt, finishedAt, lastError, payload, status, sideEffects }
+ * Times are epoch milliseconds. `sideEffects` is set once an attempt changed
+ * something a retry would repeat (see JobQueue.markSideEffects). Higher priority runs first, then older jobs.
+ * Jobs of the same group (e.g. one customer) run one at a time, oldest first:
+ * only the oldest unfinished job of a group can be claimed.
+ * Register new stores in ./index.js and select one with JOB_STORE.
+ */
+class JobStore {
+  /**
+   * @param {string} name - Store name used in JOB_STORE
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  async connect() {}
+
+  async close() {}
+
+  /**
+   * Save a new job
+   * @param {Object} job - Job record
+   * @returns {Promise<void>}
+   */
+  async add(job) {
+    throw new Error(`${this.name} job store does not implement add`);
+  }
+
+  /**
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} - Job record
+   */
+  async get(id) {
+    throw new Error(`${this.name} job store does not implement get`);
+  }
+
+  /**
+   * Change a job and save it, atomically: a concurrent change of the same job
+   * is never overwritten. Stores that detect such a change rerun the mutator on
+   * the fresh record, so it must not rely on state from an earlier call.
+   * @param {string} id - Job id
+   * @param {Function} mutator - Receives the job and modifies it in place
+   * @returns {Promise<Object|null>} - The updated job, null when it does not exist
+   */
+  async update(id, mutator) {
+    throw new Error(`${this.name} job store does not implement update`);
+  }
+
+  /**
+   * Take the next ready job and mark it running: state "running", one more
+   * attempt, locked until `now + leaseMs`. Must be atomic so two workers
+   * never get the same job.
+   * @param {number} now - Current time
+   * @param {number} leaseMs - How long the worker owns the job
+   * @returns {Promise<Object|null>} - The claimed job
+   */
+  async claim(now, leaseMs) {
+    throw new Error(`${this.name} job store does not implement claim`);
+  }
+
+  /**
+   * Newest unfinished job of a group
+   * @param {string} group - Group name
+   * @returns {Promise<Object|null>}
+   */
+  async lastInGroup(group) {
+    throw new Error(`${this.name} job store does not implement lastInGroup`);
+  }
+
+  /**
+   * Running jobs whose lease ran out, e.g. because the process died
+   * @param {number} now - Current time
+   * @returns {Promise<Array<Object>>}
+   */
+  async listExpired(now) {
+    throw new Error(`${this.name} job store does not implement listExpired`);
+  }
+
+  /**
+   * Delete jobs that finished before a point in time
+   * @param {number} before - Epoch milliseconds
+   * @returns {Promise<number>} - Jobs deleted
+   */
+  async prune(before) {
+    throw new Error(`${this.name} job store does not implement prune`);
+  }
+
+  /**
+   * Reserve dedupe keys (idempotency keys, message fingerprints) for a new
+   * job. When a key is still held by another job, every free key goes to that
+   * job instead, so the caller can hand out the existing job. Must be atomic.
+   * @param {Array<Object>} keys - { key, ttlMs }
+   * @param {string} id - Id of the new job
+   * @param {number} now - Current time
+   * @returns {Promise<string>} - Id now holding the keys: `id` or the existing job
+   */
+  async reserveKeys(keys, id, now) {
+    throw new Error(`${this.name} job store does not implement reserveKeys`);
+  }
+
+  /**
+   * Free keys reserved for a job that was never added
+   * @param {Array<Object>} keys - { key }
+   * @param {string} id - Job id the keys were reserved for
+   * @returns {Promise<void>}
+   */
+  async releaseKeys(keys, id) {
+    throw new Error(`${this.name} job store does not implement releaseKeys`);
+  }
+
+  isReady(job, now) {
+    return job.state === 'queued' && job.runAt <= now;
+  }
+
+  isFinished(job) {
+    return FINISHED_STATES.includes(job.state);
+  }
+
+  // Sort order of ready jobs: higher priority first, then first in
+  compare(a, b) {
+    return (b.priority - a.priority) || (a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Next job to claim from a list of records, without changing it
+   */
+  nextReady(jobs, now) {
+    const heads = new Map();
+    jobs.filter(job => job.group && !this.isFinished(job)).forEach(job => {
+      const head = heads.get(job.group);
+      if (!head || job.createdAt < head.createdAt) heads.set(job.group, job);
+    });
+    const [job] = jobs
+      .filter(candidate => this.isReady(candidate, now) && (!candidate.group || heads.get(candidate.group) === candidate))
+      .sort((a, b) => this.compare(a, b));
+    return job || null;
+  }
+
+  /**
+   * Pick and mark the next job from a list of records, for stores that hold
+   * all jobs in one document
+   */
+  claimFrom(jobs, now, leaseMs) {
+    const job = this.nextReady(jobs, now);
+    if (!job) return null;
+    job.state = 'running';
+    job.attempts += 1;
+    job.lockedUntil = now + leaseMs;
+    return job;
+  }
+
+  // lastInGroup() on a list of records
+  lastInGroupFrom(jobs, group) {
+    const members = jobs.filter(job => job.group === group && !this.isFinished(job));
+    return members.reduce((last, job) => (!last || job.createdAt >= last.createdAt ? job : last), null);
+  }
+
+  /**
+   * reserveKeys() on a map of key => { id, expiresAt }, for stores that hold
+   * all keys in one document. Expired entries are dropped on the way.
+   */
+  reserveFrom(entries, keys, id, now) {
+    Object.keys(entries)
+      .filter(key => entries[key].expiresAt <= now)
+      .forEach(key => delete entries[key]);
+    const held = keys.find(({ key }) => entries[key]);
+    const holder = held ? entries[held.key].id : id;
+    keys
+      .filter(({ key }) => !entries[key])
+      .forEach(({ key, ttlMs }) => { entries[key] = { id: holder, expiresAt: now + ttlMs }; });
+    return holder;
+  }
+
+  releaseFrom(entries, keys, id) {
+    keys
+      .filter(({ key }) => entries[key] && entries[key].id === id)
+      .forEach(({ key }) => delete entries[key]);
+  }
+}
+
+JobStore.JOB_STATES = JOB_STATES;
+
+module.exports = JobStore;
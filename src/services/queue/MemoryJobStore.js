@@ -0,0 +1,65 @@
+const JobStore = require('./JobStore');
+
+const clone = job => (job ? JSON.parse(JSON.stringify(job)) : null);
+
+/**
+ * Jobs kept in process memory. Lost on restart; meant for development,
+ * tests and as the fallback when the configured store is unreachable.
+ */
+class MemoryJobStore extends JobStore {
+  constructor(options = {}) {
+    super('memory');
+    this.jobs = options.jobs || new Map();
+    this.reservedKeys = {};
+  }
+
+  async add(job) {
+    this.jobs.set(job.id, clone(job));
+  }
+
+  async get(id) {
+    return clone(this.jobs.get(id));
+  }
+
+  async update(id, mutator) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    mutator(job);
+    return clone(job);
+  }
+
+  async claim(now, leaseMs) {
+    return clone(this.claimFrom([...this.jobs.values()], now, leaseMs));
+  }
+
+  async lastInGroup(group) {
+    return clone(this.lastInGroupFrom([...this.jobs.values()], group));
+  }
+
+  async listExpired(now) {
+    return [...this.jobs.values()]
+      .filter(job => job.state === 'running' && job.lockedUntil < now)
+      .map(clone);
+  }
+
+  async reserveKeys(keys, id, now) {
+    return this.reserveFrom(this.reservedKeys, keys, id, now);
+  }
+
+  async releaseKeys(keys, id) {
+    this.releaseFrom(this.reservedKeys, keys, id);
+  }
+
+  async prune(before) {
+    let deleted = 0;
+    for (const [id, job] of this.jobs.entries()) {
+      if (this.isFinished(job) && job.finishedAt < before) {
+        this.jobs.delete(id);
+        deleted += 1;
+      }
+    }
+    return deleted;
+  }
+}
+
+module.exports = MemoryJobStore;
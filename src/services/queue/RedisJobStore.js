@@ -0,0 +1,305 @@
+const redis = require('redis');
+const JobStore = require('./JobStore');
+const logger = require('../../utils/logger');
+
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+
+// Move due delayed jobs to the ready set, then pop the best ready job into
+// the running set. A job of a group is only taken when it is the oldest
+// unfinished job of that group. Runs atomically so two workers never claim
+// the same job.
+const CLAIM_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+for _, id in ipairs(due) do
+  redis.call('ZREM', KEYS[1], id)
+  local score = redis.call('HGET', KEYS[4], id)
+  if score then redis.call('ZADD', KEYS[2], score, id) end
+end
+local candidates = redis.call('ZRANGE', KEYS[2], 0, tonumber(ARGV[5]) - 1)
+for _, id in ipairs(candidates) do
+  local group = redis.call('HGET', KEYS[5], id)
+  local free = not group
+  if group then
+    local groupKey = ARGV[3] .. group
+    local head = redis.call('ZRANGE', groupKey, 0, 0)[1]
+    -- Drop members whose record expired so a lost job never blocks its group
+    while head and head ~= id and redis.call('EXISTS', ARGV[4] .. head) == 0 do
+      redis.call('ZREM', groupKey, head)
+      head = redis.call('ZRANGE', groupKey, 0, 0)[1]
+    end
+    free = head == id
+  end
+  if free then
+    redis.call('ZREM', KEYS[2], id)
+    redis.call('ZADD', KEYS[3], ARGV[2], id)
+    return id
+  end
+end
+return false
+`;
+
+// Ready jobs looked at per claim; jobs further down wait for the next poll
+const CLAIM_SCAN_LIMIT = 100;
+
+// Write a job and put it in the sets matching its state. With ARGV[1] set,
+// only when the stored record still equals it (compare-and-set), so a write
+// based on a stale read never overwrites another worker's change.
+// KEYS: job, delayed, ready, running, scores, groups, group set
+// ARGV: expected JSON or '', job JSON, id, 'queued'|'running'|'finished',
+//   ready score, runAt, lockedUntil, retention ms, group or '', createdAt
+const SAVE_SCRIPT = `
+if ARGV[1] ~= '' and redis.call('GET', KEYS[1]) ~= ARGV[1] then return 0 end
+local id = ARGV[3]
+redis.call('SET', KEYS[1], ARGV[2])
+redis.call('ZREM', KEYS[2], id)
+redis.call('ZREM', KEYS[3], id)
+redis.call('ZREM', KEYS[4], id)
+if ARGV[4] == 'queued' then
+  redis.call('HSET', KEYS[5], id, ARGV[5])
+  redis.call('ZADD', KEYS[2], ARGV[6], id)
+elseif ARGV[4] == 'running' then
+  redis.call('ZADD', KEYS[4], ARGV[7], id)
+else
+  redis.call('HDEL', KEYS[5], id)
+  redis.call('PEXPIRE', KEYS[1], ARGV[8])
+end
+if ARGV[9] ~= '' and ARGV[4] == 'finished' then
+  redis.call('ZREM', KEYS[7], id)
+  redis.call('HDEL', KEYS[6], id)
+elseif ARGV[9] ~= '' then
+  redis.call('ZADD', KEYS[7], ARGV[10], id)
+  redis.call('HSET', KEYS[6], id, ARGV[9])
+end
+return 1
+`;
+
+// Times update() re-reads a job that kept changing under it before giving up
+const UPDATE_MAX_ATTEMPTS = 10;
+
+// Find the job holding one of the dedupe keys, then give every free key to
+// that job (or to the new job ARGV[1] when none is held). ARGV[i + 1] is the
+// TTL of KEYS[i].
+const RESERVE_SCRIPT = `
+local holder = ARGV[1]
+for _, key in ipairs(KEYS) do
+  local current = redis.call('GET', key)
+  if current then
+    holder = current
+    break
+  end
+end
+for i, key in ipairs(KEYS) do
+  redis.call('SET', key, holder, 'PX', ARGV[i + 1], 'NX')
+end
+return holder
+`;
+
+// Delete the dedupe keys still held by job ARGV[1]
+const RELEASE_SCRIPT = `
+for _, key in ipairs(KEYS) do
+  if redis.call('GET', key) == ARGV[1] then redis.call('DEL', key) end
+end
+return 0
+`;
+
+/**
+ * Jobs kept in Redis (REDIS_URL), shared by every server process.
+ *
+ * Each job is a JSON string under `lel:job:<id>`. Queued jobs wait in the
+ * `lel:jobs:delayed` sorted set until their runAt, then move to
+ * `lel:jobs:ready` ordered by priority; claimed jobs sit in `lel:jobs:running`
+ * scored by their lease. Finished jobs expire after the retention period.
+ * Unfinished jobs of a group are kept in `lel:jobs:group:<group>` ordered by
+ * creation, `lel:jobs:groups` maps job ids to their group.
+ * Dedupe keys are `lel:jobkey:<key>` strings that expire on their own.
+ */
+class RedisJobStore extends JobStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Redis URL, defaults to REDIS_URL
+   * @param {string} options.keyPrefix - Key prefix, defaults to "lel:"
+   * @param {number} options.retentionMs - How long finished jobs are kept
+   */
+  constructor(options = {}) {
+    super('redis');
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    const url = options.url || process.env.REDIS_URL;
+
+    this.keyPrefix = options.keyPrefix || 'lel:';
+    this.retentionMs = Number(options.retentionMs || process.env.JOB_RETENTION_MS) || DEFAULT_RETENTION_MS;
+    this.keys = {
+      delayed: `${this.keyPrefix}jobs:delayed`,
+      ready: `${this.keyPrefix}jobs:ready`,
+      running: `${this.keyPrefix}jobs:running`,
+      scores: `${this.keyPrefix}jobs:scores`,
+      groups: `${this.keyPrefix}jobs:groups`
+    };
+    this.client = options.client || redis.createClient({
+      ...(url ? { url } : {}),
+      socket: {
+        // Give up instead of retrying forever so callers can fall back to another store
+        reconnectStrategy: retries => (retries >= maxRetries
+          ? new Error(`Redis unreachable after ${retries} retries`)
+          : Math.min(retries * 200, 2000))
+      }
+    });
+    if (typeof this.client.on === 'function') {
+      this.client.on('error', error => logger.warn(`Redis job store: ${error.message}`));
+    }
+  }
+
+  key(id) {
+    return `${this.keyPrefix}job:${id}`;
+  }
+
+  groupKey(group) {
+    return `${this.keyPrefix}jobs:group:${group}`;
+  }
+
+  async connect() {
+    if (!this.client.isOpen) {
+      await this.client.connect();
+    }
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+
+  // Position in the ready set: higher priority first, then older jobs
+  readyScore(job) {
+    return -job.priority * 1e13 + job.createdAt;
+  }
+
+  /**
+   * Save a job and put it in the set matching its state, atomically
+   * @param {Object} job - Job record
+   * @param {string} expected - Stored JSON the write is based on; the write is
+   *   skipped when the record changed since. Omit to write unconditionally.
+   * @returns {Promise<boolean>} - Whether the job was written
+   */
+  async save(job, expected = '') {
+    const index = this.isFinished(job) ? 'finished' : job.state;
+    const written = await this.client.eval(SAVE_SCRIPT, {
+      keys: [
+        this.key(job.id),
+        this.keys.delayed,
+        this.keys.ready,
+        this.keys.running,
+        this.keys.scores,
+        this.keys.groups,
+        this.groupKey(job.group || '')
+      ],
+      arguments: [
+        expected,
+        JSON.stringify(job),
+        job.id,
+        index,
+        String(this.readyScore(job)),
+        String(job.runAt),
+        String(job.lockedUntil || 0),
+        String(this.retentionMs),
+        job.group || '',
+        String(job.createdAt)
+      ]
+    });
+    return written === 1;
+  }
+
+  async add(job) {
+    await this.save(job);
+  }
+
+  async get(id) {
+    const raw = await this.client.get(this.key(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // Read, change and compare-and-set the job; when another process changed it
+  // in between, the mutator runs again on the fresh record
+  async update(id, mutator) {
+    for (let attempt = 1; attempt <= UPDATE_MAX_ATTEMPTS; attempt++) {
+      const raw = await this.client.get(this.key(id));
+      if (!raw) return null;
+      const job = JSON.parse(raw);
+      mutator(job);
+      if (await this.save(job, raw)) return job;
+    }
+    throw new Error(`Job ${id} kept changing, update given up after ${UPDATE_MAX_ATTEMPTS} attempts`);
+  }
+
+  async claim(now, leaseMs) {
+    const id = await this.client.eval(CLAIM_SCRIPT, {
+      keys: [this.keys.delayed, this.keys.ready, this.keys.running, this.keys.scores, this.keys.groups],
+      arguments: [
+        String(now),
+        String(now + leaseMs),
+        this.groupKey(''),
+        this.key(''),
+        String(CLAIM_SCAN_LIMIT)
+      ]
+    });
+    if (!id) return null;
+
+    // The pick and the write are two steps: a job cancelled in between stays
+    // cancelled (the write puts it back in the right set) and is not claimed.
+    // A job left picked but still queued (the process died in between) is
+    // requeued by listExpired() once its lease runs out.
+    let claimed = false;
+    const job = await this.update(id, current => {
+      claimed = current.state === 'queued';
+      if (!claimed) return;
+      current.state = 'running';
+      current.attempts += 1;
+      current.lockedUntil = now + leaseMs;
+    });
+    return claimed ? job : null;
+  }
+
+  async lastInGroup(group) {
+    const [id] = await this.client.zRange(this.groupKey(group), -1, -1);
+    return id ? this.get(id) : null;
+  }
+
+  async reserveKeys(keys, id) {
+    return this.client.eval(RESERVE_SCRIPT, {
+      keys: keys.map(({ key }) => `${this.keyPrefix}jobkey:${key}`),
+      arguments: [id, ...keys.map(({ ttlMs }) => String(ttlMs))]
+    });
+  }
+
+  async releaseKeys(keys, id) {
+    await this.client.eval(RELEASE_SCRIPT, {
+      keys: keys.map(({ key }) => `${this.keyPrefix}jobkey:${key}`),
+      arguments: [id]
+    });
+  }
+
+  // Running jobs whose lease ran out. A job still `queued` in the running set
+  // was picked by a claim that never marked it running; it goes back to its
+  // queue here instead of being reported, as it never started.
+  async listExpired(now) {
+    const ids = await this.client.zRangeByScore(this.keys.running, '-inf', now - 1);
+    if (ids.length === 0) return [];
+    const raws = await this.client.mGet(ids.map(id => this.key(id)));
+    const expired = [];
+    for (const raw of raws.filter(Boolean)) {
+      const job = JSON.parse(raw);
+      if (job.state !== 'queued') {
+        expired.push(job);
+      } else if (await this.save(job, raw)) {
+        logger.warn(`Job ${job.id} was picked but never started, requeued`);
+      }
+    }
+    return expired;
+  }
+
+  // Finished jobs expire on their own
+  async prune() {
+    return 0;
+  }
+}
+
+module.exports = RedisJobStore;
@@ -0,0 +1,51 @@
+const RedisJobStore = require('./RedisJobStore');
+const MemoryJobStore = require('./MemoryJobStore');
+const FileJobStore = require('./FileJobStore');
+const logger = require('../../utils/logger');
+
+const stores = {
+  redis: options => new RedisJobStore(options),
+  memory: options => new MemoryJobStore(options),
+  file: options => new FileJobStore(options)
+};
+
+/**
+ * Register a job queue store
+ * @param {string} name - Name used in JOB_STORE
+ * @param {Function} factory - (options) => JobStore
+ */
+function registerJobStore(name, factory) {
+  stores[name] = factory;
+}
+
+/**
+ * Create the configured job queue store
+ * @param {string} name - Store name, defaults to JOB_STORE or "file"
+ * @param {Object} options - Passed to the store
+ * @returns {JobStore}
+ */
+function createJobStore(name = process.env.JOB_STORE || 'file', options = {}) {
+  const factory = stores[name];
+  if (!factory) {
+    throw new Error(`Unknown job store: ${name}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Connect a job store, falling back to the file store when it is unreachable
+ * (e.g. Redis not running) so jobs still survive a restart.
+ * @param {JobStore} store - Store to connect
+ * @returns {Promise<JobStore>} - The connected store or the file fallback
+ */
+async function connectJobStore(store) {
+  try {
+    await store.connect();
+    return store;
+  } catch (error) {
+    logger.warn(`Job store ${store.name} unavailable (${error.message}), using the file job store`);
+    return new FileJobStore();
+  }
+}
+
+module.exports = { createJobStore, registerJobStore, connectJobStore };
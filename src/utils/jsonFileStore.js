@@ -0,0 +1,80 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Shared per file path so every instance in the process sees the same data
+// and writes to the same file are applied one after another.
+const cache = new Map();
+const writeQueues = new Map();
+
+/**
+ * Small JSON document store backed by a single file.
+ * Data is reloaded when the file changes on disk and written atomically
+ * (temp file + rename).
+ */
+class JsonFileStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {Function} getDefaults - Returns the initial data when the file does not exist yet
+   */
+  constructor(filePath, getDefaults = () => ({})) {
+    this.filePath = path.resolve(filePath);
+    this.getDefaults = getDefaults;
+  }
+
+  /**
+   * Read the current data, reloading it if the file changed since the last read
+   * @returns {Promise<Object>} - Stored data (treat as read-only, use update() to change it)
+   */
+  async read() {
+    const cached = cache.get(this.filePath);
+    let stat;
+    try {
+      stat = await fs.stat(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      if (cached) return cached.data;
+      const data = this.getDefaults();
+      cache.set(this.filePath, { mtimeMs: null, data });
+      return data;
+    }
+
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+      return cached.data;
+    }
+
+    const raw = await fs.readFile(this.filePath, 'utf8');
+    const data = JSON.parse(raw);
+    cache.set(this.filePath, { mtimeMs: stat.mtimeMs, data });
+    return data;
+  }
+
+  /**
+   * Apply a change to the data and persist it. The mutator works on a copy;
+   * readers only see the change once it is written, and a mutator or write
+   * that throws leaves the data as it was.
+   * @param {Function} mutator - Receives the data, may modify it in place, may be async
+   * @returns {Promise<*>} - Whatever the mutator returned
+   */
+  update(mutator) {
+    const previous = writeQueues.get(this.filePath) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const data = structuredClone(await this.read());
+      const result = await mutator(data);
+      await this.write(data);
+      return result;
+    });
+    writeQueues.set(this.filePath, next);
+    return next;
+  }
+
+  async write(data) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, this.filePath);
+    const stat = await fs.stat(this.filePath);
+    cache.set(this.filePath, { mtimeMs: stat.mtimeMs, data });
+  }
+}
+
+module.exports = JsonFileStore;
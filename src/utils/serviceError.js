@@ -0,0 +1,47 @@
+const logger = require('./logger');
+
+const STATUS_BY_NAME = {
+  ValidationError: 400,
+  UnauthorizedError: 401,
+  NotFoundError: 404,
+  ConflictError: 409,
+  ConfigurationError: 503
+};
+
+/**
+ * Create an error a route can turn into a client response
+ * @param {string} name - ValidationError, UnauthorizedError, NotFoundError, ConflictError or ConfigurationError
+ * @param {string} message - Human readable message
+ * @param {string} code - Machine readable code, e.g. PRODUCT_NOT_FOUND
+ * @returns {Error}
+ */
+function createServiceError(name, message, code) {
+  const error = new Error(message);
+  error.name = name;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Reply with the status matching a service error, or 500 for anything else
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - Error thrown by a service
+ */
+function sendServiceError(reply, error) {
+  const statusCode = STATUS_BY_NAME[error.name];
+  if (statusCode) {
+    return reply.status(statusCode).send({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`Unexpected error: ${error.message}`);
+  return reply.status(500).send({
+    success: false,
+    error: 'Internal server error'
+  });
+}
+
+module.exports = { createServiceError, sendServiceError };
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/services/BrainService', () => jest.fn());
+jest.mock('../src/services/QuestionProcessor', () => jest.fn());
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const BatchService = require('../src/services/BatchService');
+const QuestionJobService = require('../src/services/QuestionJobService');
+const MemoryJobStore = require('../src/services/queue/MemoryJobStore');
+
+describe('BatchService', () => {
+  let tempDir;
+  let jobService;
+  let batchService;
+  let processQuestion;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-service-'));
+    processQuestion = jest.fn().mockImplementation(async question => ({ response: `Jawaban: ${question}` }));
+    jobService = new QuestionJobService({
+      brainService: {
+        processContext: jest.fn().mockResolvedValue({ relevantEntries: [] }),
+        tagQuestion: jest.fn().mockResolvedValue('availability')
+      },
+      questionProcessor: { processQuestion },
+      jobStore: new MemoryJobStore(),
+      queueOptions: { concurrency: 5, maxAttempts: 1, backoffMs: 0, pollIntervalMs: 10 }
+    });
+    batchService = new BatchService({
+      jobService,
+      batchesPath: path.join(tempDir, 'batches.json'),
+      concurrency: 2,
+      maxItems: 5
+    });
+  });
+
+  afterEach(async () => {
+    await Promise.allSettled([...batchService.running.values()]);
+    await jobService.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const items = [
+    { question: 'netflix masih ada?', whatsapp_number: '6281234567890' },
+    { question: 'spotify berapa?', whatsapp_number: '6281234567891' },
+    { question: 'canva, ada garansi?', whatsapp_number: null }
+  ];
+
+  test('menjalankan semua pertanyaan dan melaporkan progres', async () => {
+    const created = await batchService.createBatch(items, {}, 'ops-rina');
+    expect(created).toMatchObject({ status: 'running', total: 3, concurrency: 2, deliver: false, dryRun: true, createdBy: 'ops-rina' });
+
+    await batchService.running.get(created.id);
+    const batch = await batchService.getBatch(created.id);
+
+    expect(batch).toMatchObject({
+      status: 'completed',
+      total: 3,
+      counts: { pending: 0, queued: 0, completed: 3, error: 0 },
+      progress: 100,
+      finishedAt: expect.any(String)
+    });
+    expect(processQuestion).toHaveBeenCalledTimes(3);
+    const status = await jobService.getStatus(JSON.parse(await batchService.exportResults(created.id)).results[0].questionId);
+    expect(status).toMatchObject({ source: 'batch', batchId: created.id, dryRun: true });
+    expect(processQuestion).toHaveBeenCalledWith('netflix masih ada?', '6281234567890', expect.objectContaining({ dryRun: true }));
+  });
+
+  test('efek samping dan pengiriman hanya dengan dryRun false', async () => {
+    await expect(batchService.createBatch(items, { deliver: true }))
+      .rejects.toMatchObject({ name: 'ValidationError', code: 'INVALID_BATCH_OPTIONS' });
+
+    const created = await batchService.createBatch(items.slice(0, 1), { dryRun: false });
+    await batchService.running.get(created.id);
+
+    expect(created).toMatchObject({ dryRun: false, deliver: false });
+    expect(processQuestion).toHaveBeenCalledWith('netflix masih ada?', '6281234567890', expect.objectContaining({ dryRun: false }));
+  });
+
+  test('menandai batch gagal jika progres tidak bisa disimpan', async () => {
+    jest.spyOn(batchService, 'updateItem').mockRejectedValueOnce(new Error('disk penuh'));
+
+    const created = await batchService.createBatch(items.slice(0, 1));
+    await batchService.running.get(created.id);
+
+    expect(await batchService.getBatch(created.id)).toMatchObject({
+      status: 'failed',
+      error: 'disk penuh',
+      finishedAt: expect.any(String)
+    });
+    expect(await batchService.resume()).toBe(0);
+  });
+
+  test('tidak pernah mengantrekan lebih dari batas concurrency sekaligus', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    processQuestion.mockImplementation(async question => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running -= 1;
+      return { response: `Jawaban: ${question}` };
+    });
+
+    const created = await batchService.createBatch([...items, ...items.slice(0, 2)]);
+    await batchService.running.get(created.id);
+
+    expect(processQuestion).toHaveBeenCalledTimes(5);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('mencatat pertanyaan yang gagal tanpa menghentikan batch', async () => {
+    processQuestion.mockImplementation(async question => {
+      if (question.startsWith('spotify')) throw new Error('Ollama down');
+      return { response: `Jawaban: ${question}` };
+    });
+
+    const created = await batchService.createBatch(items);
+    await batchService.running.get(created.id);
+
+    expect(await batchService.getBatch(created.id)).toMatchObject({
+      status: 'completed',
+      counts: { completed: 2, error: 1 },
+      progress: 100
+    });
+    const { results } = JSON.parse(await batchService.exportResults(created.id, 'json'));
+    expect(results[1]).toMatchObject({ index: 1, status: 'error', error: 'Ollama down', answer: null });
+    expect(results[0]).toMatchObject({ status: 'completed', answer: 'Jawaban: netflix masih ada?', tags: 'availability' });
+  });
+
+  test('mengekspor hasil sebagai CSV', async () => {
+    const created = await batchService.createBatch(items);
+    await batchService.running.get(created.id);
+
+    const lines = (await batchService.exportResults(created.id, 'csv')).trim().split('\n');
+    expect(lines[0]).toBe('index,question,whatsapp_number,questionId,status,answer,tags,processingTime,error');
+    expect(lines).toHaveLength(4);
+    expect(lines[3]).toMatch(/^2,"canva, ada garansi\?",,[0-9a-f-]+,completed,"Jawaban: canva, ada garansi\?",availability,\d+,$/);
+  });
+
+  test('nilai CSV yang diawali karakter formula tidak dijalankan spreadsheet', async () => {
+    processQuestion.mockResolvedValue({ response: '-50% untuk pembelian kedua' });
+
+    const created = await batchService.createBatch([{ question: '=HYPERLINK("http://evil.example","klik")', whatsapp_number: null }]);
+    await batchService.running.get(created.id);
+
+    const [, line] = (await batchService.exportResults(created.id, 'csv')).trim().split('\n');
+    expect(line).toContain('"\'=HYPERLINK(""http://evil.example"",""klik"")"');
+    expect(line).toContain(',\'-50% untuk pembelian kedua,');
+    expect(batchService.escapeCsvValue(-5)).toBe('-5');
+  });
+
+  test('melanjutkan batch yang terhenti saat server mati', async () => {
+    const batchesPath = path.join(tempDir, 'batches.json');
+    const questionId = await jobService.submit('netflix masih ada?', null, { deliver: false });
+    fs.writeFileSync(batchesPath, JSON.stringify({
+      batches: {
+        'batch-1': {
+          id: 'batch-1',
+          status: 'running',
+          concurrency: 2,
+          deliver: false,
+          createdAt: new Date().toISOString(),
+          finishedAt: null,
+          items: [
+            { index: 0, question: 'netflix masih ada?', whatsapp_number: null, questionId, status: 'queued' },
+            { index: 1, question: 'spotify berapa?', whatsapp_number: null, questionId: null, status: 'pending' }
+          ]
+        }
+      }
+    }));
+
+    expect(await batchService.resume()).toBe(1);
+    await batchService.running.get('batch-1');
+
+    expect(await batchService.getBatch('batch-1')).toMatchObject({ status: 'completed', counts: { completed: 2 } });
+    expect(processQuestion).toHaveBeenCalledTimes(2);
+  });
+
+  test('menghapus batch yang sudah lama selesai', async () => {
+    const batchesPath = path.join(tempDir, 'batches.json');
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const stored = (id, status, finishedAt) => ({ id, status, concurrency: 2, deliver: false, createdAt: daysAgo(30), finishedAt, items: [] });
+    fs.writeFileSync(batchesPath, JSON.stringify({
+      batches: {
+        lama: stored('lama', 'completed', daysAgo(8)),
+        gagal: stored('gagal', 'failed', daysAgo(8)),
+        baru: stored('baru', 'completed', daysAgo(1))
+      }
+    }));
+
+    expect(await batchService.resume()).toBe(0);
+
+    await expect(batchService.getBatch('lama')).rejects.toMatchObject({ code: 'BATCH_NOT_FOUND' });
+    await expect(batchService.getBatch('gagal')).rejects.toMatchObject({ code: 'BATCH_NOT_FOUND' });
+    expect(await batchService.getBatch('baru')).toMatchObject({ status: 'completed' });
+
+    batchService.retentionMs = 60 * 60 * 1000;
+    const created = await batchService.createBatch(items.slice(0, 1));
+    await batchService.running.get(created.id);
+    expect(Object.keys(JSON.parse(fs.readFileSync(batchesPath, 'utf8')).batches)).toEqual([created.id]);
+  });
+
+  test('menolak batch yang tidak valid', async () => {
+    await expect(batchService.createBatch([])).rejects.toMatchObject({ name: 'ValidationError', code: 'INVALID_BATCH' });
+    await expect(batchService.createBatch([...items, ...items])).rejects.toMatchObject({ code: 'BATCH_TOO_LARGE' });
+    await expect(batchService.createBatch([items[0], { whatsapp_number: '628' }]))
+      .rejects.toMatchObject({ code: 'INVALID_BATCH_ITEM', message: expect.stringContaining('Item 1') });
+    await expect(batchService.createBatch(items, { concurrency: 0 })).rejects.toMatchObject({ code: 'INVALID_CONCURRENCY' });
+    expect(processQuestion).not.toHaveBeenCalled();
+  });
+
+  test('format ekspor lain dan batch tidak dikenal ditolak', async () => {
+    const created = await batchService.createBatch(items.slice(0, 1));
+    await batchService.running.get(created.id);
+
+    await expect(batchService.exportResults(created.id, 'xlsx')).rejects.toMatchObject({ code: 'UNSUPPORTED_FORMAT' });
+    await expect(batchService.getBatch('tidak-ada')).rejects.toMatchObject({ name: 'NotFoundError', code: 'BATCH_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const dns = require('dns');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const CallbackService = require('../src/services/CallbackService');
+
+describe('CallbackService', () => {
+  let tempDir;
+  let server;
+  let baseUrl;
+  let received;
+  let failuresLeft;
+  let callbackService;
+
+  const payload = { questionId: 'q-1', stage: 'completed', response: { response: 'Masih ada kak' }, tags: 'availability', processingTime: 1200 };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        if (failuresLeft > 0) {
+          failuresLeft -= 1;
+          res.writeHead(500);
+          return res.end('error');
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"ok":true}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'callback-service-'));
+    received = [];
+    failuresLeft = 0;
+    callbackService = new CallbackService({
+      maxAttempts: 3,
+      retryDelayMs: 0,
+      deadLetterPath: path.join(tempDir, 'dead-letters.json'),
+      allowedHosts: ['127.0.0.1']
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('mengirim status akhir dengan signature HMAC', async () => {
+    const target = callbackService.normalizeTarget(`${baseUrl}/hook`, 'rahasia');
+
+    const record = await callbackService.deliver({ questionId: 'q-1', target, payload });
+
+    expect(record).toMatchObject({ status: 'sent', attempts: 1, lastStatusCode: 200 });
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    expect(JSON.parse(body)).toEqual(payload);
+    expect(headers['x-question-id']).toBe('q-1');
+    expect(headers[CallbackService.SIGNATURE_HEADER])
+      .toBe(`sha256=${crypto.createHmac('sha256', 'rahasia').update(body).digest('hex')}`);
+  });
+
+  test('tanpa secret callback dikirim tanpa signature', async () => {
+    const target = callbackService.normalizeTarget(`${baseUrl}/hook`);
+
+    await callbackService.deliver({ questionId: 'q-1', target, payload });
+
+    expect(received[0].headers[CallbackService.SIGNATURE_HEADER]).toBeUndefined();
+  });
+
+  test('CALLBACK_SECRET tidak ikut disimpan di target dan dipakai saat dikirim', async () => {
+    callbackService.secret = 'rahasia-default';
+    const target = callbackService.normalizeTarget(`${baseUrl}/hook`);
+    expect(target.secret).toBeNull();
+
+    await callbackService.deliver({ questionId: 'q-1', target, payload });
+
+    expect(received[0].headers[CallbackService.SIGNATURE_HEADER])
+      .toBe(`sha256=${crypto.createHmac('sha256', 'rahasia-default').update(received[0].body).digest('hex')}`);
+  });
+
+  test('mengulang callback yang gagal', async () => {
+    failuresLeft = 2;
+    const updates = [];
+
+    const record = await callbackService.deliver({
+      questionId: 'q-1',
+      target: callbackService.normalizeTarget(`${baseUrl}/hook`, 'rahasia'),
+      payload
+    }, update => updates.push(update));
+
+    expect(record).toMatchObject({ status: 'sent', attempts: 3, lastStatusCode: 200 });
+    expect(received).toHaveLength(3);
+    expect(updates.map(update => update.status)).toEqual(['sending', 'sending', 'sending', 'sent']);
+  });
+
+  test('mencatat dead letter setelah semua percobaan gagal', async () => {
+    failuresLeft = 10;
+
+    const record = await callbackService.deliver({
+      questionId: 'q-1',
+      target: callbackService.normalizeTarget(`${baseUrl}/hook`, 'rahasia'),
+      payload
+    });
+
+    expect(record).toMatchObject({ status: 'failed', attempts: 3, lastStatusCode: 500 });
+    const deadLetters = await callbackService.listDeadLetters({ questionId: 'q-1' });
+    expect(deadLetters).toEqual([expect.objectContaining({
+      id: record.deadLetterId,
+      url: `${baseUrl}/hook`,
+      signed: true,
+      payload,
+      attempts: 3,
+      lastStatusCode: 500
+    })]);
+    expect(JSON.stringify(deadLetters)).not.toContain('rahasia');
+  });
+
+  test('memvalidasi callback_url', () => {
+    expect(callbackService.normalizeTarget(undefined)).toBeNull();
+    expect(() => callbackService.normalizeTarget('bukan url')).toThrow(expect.objectContaining({ code: 'INVALID_CALLBACK_URL' }));
+    expect(() => callbackService.normalizeTarget('ftp://example.com/hook')).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    expect(() => callbackService.normalizeTarget('https://127.0.0.1/hook', 123)).toThrow(expect.objectContaining({ code: 'INVALID_CALLBACK_SECRET' }));
+  });
+
+  describe('tanpa CALLBACK_ALLOWED_HOSTS', () => {
+    let publicService;
+
+    beforeEach(() => {
+      publicService = new CallbackService({
+        maxAttempts: 2,
+        retryDelayMs: 0,
+        deadLetterPath: path.join(tempDir, 'dead-letters.json'),
+        allowedHosts: []
+      });
+    });
+
+    test('menolak host loopback, private dan link-local', () => {
+      [
+        'http://localhost:3000/hook',
+        'http://127.0.0.1/hook',
+        'http://2130706433/hook',
+        'http://10.1.2.3/hook',
+        'http://192.168.1.10/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://[fd00::1]/hook'
+      ].forEach(url => {
+        expect(() => publicService.normalizeTarget(url)).toThrow(expect.objectContaining({ code: 'CALLBACK_HOST_NOT_ALLOWED' }));
+      });
+      expect(publicService.normalizeTarget('https://client.example/hook')).toEqual({ url: 'https://client.example/hook', secret: null });
+    });
+
+    test('tidak menghubungi nama host yang mengarah ke alamat private', async () => {
+      const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '10.0.0.5', 4));
+
+      const record = await publicService.deliver({
+        questionId: 'q-1',
+        target: publicService.normalizeTarget('http://client.example/hook'),
+        payload
+      });
+
+      expect(lookup).toHaveBeenCalledWith('client.example', expect.anything(), expect.any(Function));
+      expect(record).toMatchObject({ status: 'failed', attempts: 2, lastError: expect.stringContaining('blocked address 10.0.0.5') });
+    });
+  });
+
+  test('dengan CALLBACK_ALLOWED_HOSTS hanya host terdaftar yang diterima', () => {
+    expect(callbackService.normalizeTarget(`${baseUrl}/hook`)).toMatchObject({ url: `${baseUrl}/hook` });
+    expect(() => callbackService.normalizeTarget('https://client.example/hook')).toThrow(expect.objectContaining({ code: 'CALLBACK_HOST_NOT_ALLOWED' }));
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CatalogService = require('../src/services/CatalogService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('CatalogService', () => {
+  let tempDir;
+  let catalogPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+    catalogPath = path.join(tempDir, 'catalog.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('load', () => {
+    test('memakai katalog default jika file belum ada', async () => {
+      const catalogService = new CatalogService({ catalogPath });
+      const products = await catalogService.load();
+
+      expect(products).toHaveLength(6);
+      expect(catalogService.getProduct('netflix-1p2u')).toMatchObject({
+        name: 'Netflix 1P2U',
+        price: 13000,
+        stock: 5
+      });
+    });
+
+    test('membaca produk dari file dan melewati entri yang tidak valid', async () => {
+      fs.writeFileSync(catalogPath, JSON.stringify({
+        products: [
+          { id: 'a', name: 'Produk A', price: 1000, stock: 1, desc: 'A', active: true },
+          { id: 'b', name: 'Produk B', price: 'Rp 2.000', stock: 1 },
+          { id: 'c', name: 'Produk C', price: 3000, stock: 1.5 }
+        ]
+      }));
+
+      const catalogService = new CatalogService({ catalogPath });
+      const products = await catalogService.load();
+
+      expect(products.map(p => p.id)).toEqual(['a']);
+    });
+
+    test('membaca ulang file setelah berubah', async () => {
+      const write = (stock) => fs.writeFileSync(catalogPath, JSON.stringify({
+        products: [{ id: 'a', name: 'Produk A', price: 1000, stock }]
+      }));
+      write(1);
+
+      const catalogService = new CatalogService({ catalogPath });
+      await catalogService.load();
+      expect(catalogService.getProduct('a').stock).toBe(1);
+
+      write(7);
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(catalogPath, later, later);
+      await catalogService.load();
+      expect(catalogService.getProduct('a').stock).toBe(7);
+    });
+  });
+
+  describe('listProducts', () => {
+    test('menyembunyikan produk tidak aktif secara default', async () => {
+      fs.writeFileSync(catalogPath, JSON.stringify({
+        products: [
+          { id: 'a', name: 'Produk A', price: 1000, stock: 1, active: true },
+          { id: 'b', name: 'Produk B', price: 2000, stock: 1, active: false }
+        ]
+      }));
+
+      const catalogService = new CatalogService({ catalogPath });
+      await catalogService.load();
+
+      expect(catalogService.listProducts().map(p => p.id)).toEqual(['a']);
+      expect(catalogService.listProducts({ includeInactive: true })).toHaveLength(2);
+    });
+  });
+
+  describe('searchProducts', () => {
+    let catalogService;
+
+    beforeEach(async () => {
+      catalogService = new CatalogService({ catalogPath });
+      await catalogService.load();
+    });
+
+    test.each([
+      ['netflix 4k', 'netflix-4k-uhd'],
+      ['nf premium', 'netflix-4k-uhd'],
+      ['gmail tua', 'gmail-aged'],
+      ['kak mau beli netflix 1p2u dong', 'netflix-1p2u'],
+      ['Disney+ Hotstar', 'disney-hotstar']
+    ])('mencocokkan "%s" dengan %s', (query, expectedId) => {
+      const [best] = catalogService.searchProducts(query);
+      expect(best.product.id).toBe(expectedId);
+    });
+
+    test('mengembalikan daftar kandidat berperingkat beserta skor', () => {
+      const candidates = catalogService.searchProducts('netflix');
+
+      expect(candidates.map(c => c.product.id)).toEqual(
+        expect.arrayContaining(['netflix-1p1u', 'netflix-1p2u', 'netflix-4k-uhd'])
+      );
+      candidates.slice(1).forEach((candidate, index) => {
+        expect(candidate.score).toBeLessThanOrEqual(candidates[index].score);
+      });
+    });
+
+    test('tidak mencocokkan kata umum atau produk yang tidak ada', () => {
+      expect(catalogService.searchProducts('akun')).toEqual([]);
+      expect(catalogService.searchProducts('ada spotify kak?')).toEqual([]);
+    });
+  });
+
+  describe('formatPrice', () => {
+    test('memformat harga dalam Rupiah', () => {
+      const catalogService = new CatalogService({ catalogPath });
+      expect(catalogService.formatPrice(24000)).toBe('Rp 24.000');
+    });
+  });
+});
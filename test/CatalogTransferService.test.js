@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CatalogService = require('../src/services/CatalogService');
+const CatalogTransferService = require('../src/services/CatalogTransferService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('CatalogTransferService', () => {
+  let tempDir;
+  let catalogService;
+  let transferService;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-transfer-'));
+    catalogService = new CatalogService({ catalogPath: path.join(tempDir, 'catalog.json') });
+    transferService = new CatalogTransferService(catalogService);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('importCatalog', () => {
+    const csv = [
+      'id;name;price;stock;desc;active',
+      'netflix-1p2u;Netflix 1P2U;Rp 14.000;7;;ya',
+      ';Spotify Premium;20000;3;"Spotify 1 bulan; tanpa iklan";',
+      'canva-pro;Canva Pro;gratis;1;;'
+    ].join('\n');
+
+    test('dry run melaporkan diff dan error per baris tanpa mengubah katalog', async () => {
+      const result = await transferService.importCatalog(csv, { format: 'csv', dryRun: true });
+
+      expect(result.applied).toBe(false);
+      expect(result.summary).toMatchObject({ totalRows: 3, validRows: 2, invalidRows: 1, create: 1, update: 1 });
+      expect(result.diff.find(d => d.id === 'netflix-1p2u').changes).toEqual({
+        price: { from: 13000, to: 14000 },
+        stock: { from: 5, to: 7 }
+      });
+      expect(result.diff.find(d => d.id === 'spotify-premium').product.desc).toBe('Spotify 1 bulan; tanpa iklan');
+      expect(result.errors).toEqual([{ row: 4, id: 'canva-pro', errors: ['invalid price: gratis'] }]);
+
+      await catalogService.load();
+      expect(catalogService.getProduct('netflix-1p2u').price).toBe(13000);
+    });
+
+    test('tidak menerapkan import jika ada baris yang tidak valid', async () => {
+      const result = await transferService.importCatalog(csv, { format: 'csv' });
+
+      expect(result.applied).toBe(false);
+      expect(catalogService.getProduct('spotify-premium')).toBeNull();
+    });
+
+    test('menerapkan import JSON yang valid', async () => {
+      const result = await transferService.importCatalog(JSON.stringify({
+        products: [
+          { id: 'netflix-1p2u', stock: 9 },
+          { name: 'Spotify Premium', price: 20000, stock: 3 }
+        ]
+      }), { format: 'json', actor: 'ops' });
+
+      expect(result.applied).toBe(true);
+      expect(catalogService.getProduct('netflix-1p2u')).toMatchObject({ price: 13000, stock: 9 });
+      expect(catalogService.getProduct('spotify-premium')).toMatchObject({ price: 20000, active: true });
+
+      const audit = await catalogService.getAuditLog();
+      expect(audit[0]).toMatchObject({ actor: 'ops', action: 'import' });
+    });
+  });
+
+  describe('exportCatalog', () => {
+    test('hasil export CSV bisa diimport kembali tanpa perubahan', async () => {
+      const exported = await transferService.exportCatalog('csv');
+      expect(exported.split('\n')[0]).toBe('id,name,price,stock,desc,active,aliases,slang,keywords,parentId,profiles,users,duration,quality,warrantyDays');
+
+      const result = await transferService.importCatalog(exported, { format: 'csv', dryRun: true });
+      expect(result.errors).toEqual([]);
+      expect(result.summary.unchanged).toBe(6);
+    });
+
+    test('menolak format yang tidak didukung', async () => {
+      await expect(transferService.exportCatalog('xlsx')).rejects.toMatchObject({ code: 'UNSUPPORTED_FORMAT' });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CatalogService = require('../src/services/CatalogService');
+const OrderService = require('../src/services/OrderService');
+const WarrantyService = require('../src/services/WarrantyService');
+const CredentialVaultService = require('../src/services/CredentialVaultService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('CredentialVaultService', () => {
+  let tempDir;
+  let catalogService;
+  let orderService;
+  let vaultService;
+  const number = '6281234567890';
+
+  const createPaidOrder = async (items) => {
+    const draft = await orderService.createDraft(number, items);
+    await orderService.transition(draft.id, 'awaiting_payment');
+    return orderService.transition(draft.id, 'paid');
+  };
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-'));
+    fs.writeFileSync(path.join(tempDir, 'catalog.json'), JSON.stringify({
+      products: [
+        { id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, stock: 0 },
+        { id: 'disney-hotstar', name: 'Disney+ Hotstar', price: 30000, stock: 3 }
+      ]
+    }));
+    catalogService = new CatalogService({ catalogPath: path.join(tempDir, 'catalog.json') });
+    orderService = new OrderService({
+      ordersPath: path.join(tempDir, 'orders.json'),
+      catalogService,
+      warrantyService: new WarrantyService({ warrantyPath: path.join(tempDir, 'warranties.json'), catalogService })
+    });
+    vaultService = new CredentialVaultService({
+      vaultPath: path.join(tempDir, 'vault.json'),
+      catalogService,
+      orderService,
+      key: 'kunci-rahasia-test'
+    });
+    await catalogService.load();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('menyimpan kredensial terenkripsi dan menaikkan stok', async () => {
+    const result = await vaultService.addCredentials('netflix-1p2u', [
+      { email: 'nf1@example.com', password: 'pass-satu' },
+      { email: 'nf2@example.com', password: 'pass-dua' }
+    ], 'ops-rina');
+
+    expect(result).toMatchObject({ added: 2, stock: 2 });
+    const raw = fs.readFileSync(path.join(tempDir, 'vault.json'), 'utf8');
+    expect(raw).not.toContain('nf1@example.com');
+    expect(raw).not.toContain('pass-satu');
+    expect(await vaultService.listCredentials({ productId: 'netflix-1p2u' })).toEqual([
+      expect.not.objectContaining({ secret: expect.anything() }),
+      expect.not.objectContaining({ secret: expect.anything() })
+    ]);
+  });
+
+  test('mengirim kredensial ke pesanan lunas dan mencatat penerimanya', async () => {
+    await vaultService.addCredentials('netflix-1p2u', [
+      { email: 'nf1@example.com', password: 'pass-satu' },
+      { email: 'nf2@example.com', password: 'pass-dua' }
+    ]);
+    const order = await createPaidOrder([{ id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, quantity: 1 }]);
+
+    const delivery = await vaultService.deliverOrder(order.id);
+
+    expect(delivery.order.status).toBe('delivered');
+    expect(delivery.items).toEqual([{
+      productId: 'netflix-1p2u',
+      name: 'Netflix 1P2U',
+      credentials: [{ email: 'nf1@example.com', password: 'pass-satu' }]
+    }]);
+    expect(catalogService.getProduct('netflix-1p2u').stock).toBe(1);
+
+    const [entry] = await vaultService.getAuditLog({ orderId: order.id });
+    expect(entry).toMatchObject({ action: 'deliver', orderId: order.id, whatsapp_number: number });
+  });
+
+  test('menyerahkan kiriman ke balasan bot sampai ditandai terkirim', async () => {
+    await vaultService.addCredentials('netflix-1p2u', ['nf1@example.com:pass-satu']);
+    const order = await createPaidOrder([{ id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, quantity: 1 }]);
+
+    const deliveries = await vaultService.collectDeliveries(number);
+
+    expect(deliveries).toEqual([{
+      orderId: order.id,
+      credentialIds: [expect.stringMatching(/^cred_/)],
+      items: [{ productId: 'netflix-1p2u', name: 'Netflix 1P2U', credentials: ['nf1@example.com:pass-satu'] }]
+    }]);
+    expect((await orderService.getOrder(order.id)).status).toBe('delivered');
+
+    // Until the reply carrying them was sent, the credentials are attached again
+    expect(await vaultService.collectDeliveries(number)).toEqual(deliveries);
+
+    expect(await vaultService.markSent(deliveries[0].credentialIds)).toBe(1);
+    expect(await vaultService.markSent(deliveries[0].credentialIds)).toBe(0);
+    expect(await vaultService.collectDeliveries(number)).toEqual([]);
+    const [entry] = await vaultService.getAuditLog({ orderId: order.id });
+    expect(entry).toMatchObject({ action: 'send', actor: 'bot', whatsapp_number: number });
+  });
+
+  test('menyerahkan produk di luar vault untuk pengiriman manual', async () => {
+    const order = await createPaidOrder([{ id: 'disney-hotstar', name: 'Disney+ Hotstar', price: 30000, quantity: 1 }]);
+
+    expect(await vaultService.deliverOrder(order.id)).toBeNull();
+    expect((await orderService.getOrder(order.id)).status).toBe('paid');
+  });
+
+  test('menyamakan stok dengan kredensial tersisa dikurangi pesanan terbuka', async () => {
+    await vaultService.addCredentials('netflix-1p2u', ['a', 'b', 'c']);
+    const draft = await orderService.createDraft(number, [{ id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, quantity: 1 }]);
+    await orderService.transition(draft.id, 'awaiting_payment');
+    await catalogService.adjustStock('netflix-1p2u', { stock: 10 });
+
+    const changes = await vaultService.syncStock('ops-rina');
+
+    expect(changes).toEqual([{ productId: 'netflix-1p2u', from: 10, to: 2 }]);
+  });
+
+  test('akun pengganti diperiksa ulang saat ditulis', async () => {
+    await vaultService.addCredentials('netflix-1p2u', ['pengganti@example.com']);
+    const claim = { id: 'CLM-1', productId: 'netflix-1p2u', orderId: 'ORD-1', whatsapp_number: number };
+
+    const results = await Promise.allSettled([
+      vaultService.issueReplacement(claim),
+      vaultService.issueReplacement({ ...claim, id: 'CLM-2' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('CREDENTIALS_UNAVAILABLE');
+
+    // A claim gets one replacement, even with credentials left
+    await vaultService.addCredentials('netflix-1p2u', ['cadangan@example.com']);
+    const winner = results[0].status === 'fulfilled' ? claim : { ...claim, id: 'CLM-2' };
+    await expect(vaultService.issueReplacement(winner)).rejects.toMatchObject({ code: 'CLAIM_ALREADY_REPLACED' });
+  });
+
+  test('menolak kredensial kosong dan vault tanpa kunci', async () => {
+    await expect(vaultService.addCredentials('netflix-1p2u', [{}]))
+      .rejects.toMatchObject({ code: 'INVALID_CREDENTIAL' });
+
+    const withoutKey = new CredentialVaultService({
+      vaultPath: path.join(tempDir, 'vault.json'),
+      catalogService,
+      orderService
+    });
+    const previousKey = process.env.VAULT_KEY;
+    delete process.env.VAULT_KEY;
+    await expect(withoutKey.addCredentials('netflix-1p2u', ['x']))
+      .rejects.toMatchObject({ code: 'VAULT_NOT_CONFIGURED' });
+    if (previousKey !== undefined) process.env.VAULT_KEY = previousKey;
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CustomerProfileService = require('../src/services/CustomerProfileService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('CustomerProfileService', () => {
+  let tempDir;
+  let profileService;
+  const number = '6281234567890';
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    profileService = new CustomerProfileService({ profilesPath: path.join(tempDir, 'profiles.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test.each([
+    ['halo kak, nama saya budi', 'Budi'],
+    ['namaku Budi Santoso', 'Budi Santoso'],
+    ['panggil aja aku rina ya kak', 'Rina'],
+    ['nama saya budi mau beli netflix', 'Budi'],
+    ['saya mau beli netflix', null]
+  ])('extractName("%s") -> %s', (text, expected) => {
+    expect(profileService.extractName(text)).toBe(expected);
+  });
+
+  test.each([
+    ['kak netflix 1p2u ada gak ya, berapa harganya?', 'id'],
+    ['hi, how much is the netflix account?', 'en'],
+    ['netflix', null]
+  ])('detectLanguage("%s") -> %s', (text, expected) => {
+    expect(profileService.detectLanguage(text)).toBe(expected);
+  });
+
+  test('mengisi profil dari percakapan', async () => {
+    await profileService.recordMessage(number, { question: 'halo kak, nama saya budi' });
+    await profileService.recordMessage(number, {
+      question: 'kak netflix 1p2u ada gak ya?',
+      product: { id: 'netflix-1p2u', name: 'Netflix 1P2U' }
+    });
+    const profile = await profileService.recordMessage(number, {
+      question: 'netflix 1p2u berapa kak?',
+      product: { id: 'netflix-1p2u', name: 'Netflix 1P2U' }
+    });
+
+    expect(profile).toMatchObject({ name: 'Budi', language: 'id' });
+    expect(profile.interests).toEqual([
+      expect.objectContaining({ productId: 'netflix-1p2u', name: 'Netflix 1P2U', count: 2 })
+    ]);
+  });
+
+  test('mencatat pembelian dari pesanan yang sudah dibayar sekali saja', async () => {
+    const orders = [
+      {
+        id: 'ORD-20240102-B2C3D4',
+        status: 'delivered',
+        items: [{ id: 'netflix-1p2u', name: 'Netflix 1P2U', quantity: 2 }],
+        updatedAt: '2024-01-02T03:00:00.000Z'
+      },
+      {
+        id: 'ORD-20240103-C3D4E5',
+        status: 'draft',
+        items: [{ id: 'gmail-fresh', name: 'Akun Gmail Fresh', quantity: 1 }],
+        updatedAt: '2024-01-03T03:00:00.000Z'
+      }
+    ];
+
+    await profileService.recordPurchases(number, orders);
+    const profile = await profileService.recordPurchases(number, orders);
+
+    expect(profile.purchases).toEqual([{
+      orderId: 'ORD-20240102-B2C3D4',
+      productId: 'netflix-1p2u',
+      name: 'Netflix 1P2U',
+      quantity: 2,
+      at: '2024-01-02T03:00:00.000Z'
+    }]);
+  });
+
+  test('menghapus profil pelanggan', async () => {
+    await profileService.addNote(number, 'Minta dihubungi sore hari', 'admin');
+
+    expect((await profileService.getProfile(number)).notes[0]).toMatchObject({ text: 'Minta dihubungi sore hari', source: 'admin' });
+    expect(await profileService.deleteProfile(number)).toBe(true);
+    expect(await profileService.getProfile(number)).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryHistoryStore = require('../src/services/history/MemoryHistoryStore');
+const FileHistoryStore = require('../src/services/history/FileHistoryStore');
+const { createHistoryStore } = require('../src/services/history');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const stores = [
+  ['memory', () => new MemoryHistoryStore({ conversations: new Map(), ttlSeconds: 60 })],
+  ['file', dir => new FileHistoryStore({ historyPath: path.join(dir, 'history.json'), ttlSeconds: 60 })]
+];
+
+describe.each(stores)('%s history store', (name, createStore) => {
+  let tempDir;
+  let store;
+  const number = '6281234567890';
+
+  const turn = (i) => [
+    { role: 'user', content: `pertanyaan ${i}` },
+    { role: 'assistant', content: `jawaban ${i}` }
+  ];
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `history-${name}-`));
+    store = createStore(tempDir);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('menyimpan pesan dan mengambil giliran terakhir', async () => {
+    for (let i = 1; i <= 4; i++) {
+      await store.append(number, turn(i));
+    }
+
+    const recent = await store.getRecent(number, 2);
+    expect(recent.map(m => m.content)).toEqual(['pertanyaan 3', 'jawaban 3', 'pertanyaan 4', 'jawaban 4']);
+    expect(recent[0].at).toBeDefined();
+    expect(await store.getRecent('6289876543210', 3)).toEqual([]);
+  });
+
+  test('memotong riwayat menjadi 20 pesan terbaru', async () => {
+    for (let i = 1; i <= 12; i++) {
+      await store.append(number, turn(i));
+    }
+
+    const messages = await store.getMessages(number);
+    expect(messages).toHaveLength(20);
+    expect(messages[0].content).toBe('pertanyaan 3');
+  });
+
+  test('riwayat kedaluwarsa setelah TTL sejak pesan terakhir', async () => {
+    jest.useFakeTimers({ now: Date.now(), doNotFake: ['nextTick', 'setImmediate'] });
+    await store.append(number, turn(1));
+
+    jest.setSystemTime(Date.now() + 50 * 1000);
+    await store.append(number, turn(2));
+    jest.setSystemTime(Date.now() + 50 * 1000);
+    expect(await store.getMessages(number)).toHaveLength(4);
+
+    jest.setSystemTime(Date.now() + 11 * 1000);
+    expect(await store.getMessages(number)).toEqual([]);
+  });
+
+  test('menyimpan ringkasan di samping riwayat', async () => {
+    await store.append(number, turn(1));
+    await store.setSummary(number, { text: 'Pelanggan memilih Netflix 1P2U', coveredUntil: null });
+    await store.append(number, turn(2));
+
+    expect(await store.getSummary(number)).toMatchObject({ text: 'Pelanggan memilih Netflix 1P2U' });
+    expect(await store.getMessages(number)).toHaveLength(4);
+  });
+
+  test('menghapus riwayat dan ringkasan pelanggan', async () => {
+    await store.append(number, turn(1));
+    await store.setSummary(number, { text: 'ringkasan' });
+
+    expect(await store.clear(number)).toBe(true);
+    expect(await store.getMessages(number)).toEqual([]);
+    expect(await store.getSummary(number)).toBeNull();
+    expect(await store.clear(number)).toBe(false);
+  });
+});
+
+describe('createHistoryStore', () => {
+  test('memilih store dari nama dan menolak nama yang tidak dikenal', () => {
+    expect(createHistoryStore('memory')).toBeInstanceOf(MemoryHistoryStore);
+    expect(() => createHistoryStore('mongo')).toThrow('Unknown history store: mongo');
+  });
+});
@@ -0,0 +1,457 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../src/services/queue/JobQueue');
+const MemoryJobStore = require('../src/services/queue/MemoryJobStore');
+const FileJobStore = require('../src/services/queue/FileJobStore');
+const RedisJobStore = require('../src/services/queue/RedisJobStore');
+const { createJobStore, connectJobStore } = require('../src/services/queue');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const stores = [
+  ['memory', () => new MemoryJobStore()],
+  ['file', dir => new FileJobStore({ jobsPath: path.join(dir, 'jobs.json') })]
+];
+
+const record = (id, overrides = {}) => ({
+  id,
+  state: 'queued',
+  priority: 0,
+  attempts: 0,
+  maxAttempts: 3,
+  runAt: 1000,
+  lockedUntil: null,
+  createdAt: 1000,
+  finishedAt: null,
+  lastError: null,
+  payload: { question: id },
+  status: { stage: 'queued' },
+  ...overrides
+});
+
+describe.each(stores)('%s job store', (name, createStore) => {
+  let tempDir;
+  let store;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `jobs-${name}-`));
+    store = createStore(tempDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('mengambil job siap dengan prioritas tertinggi lalu yang paling lama', async () => {
+    await store.add(record('lama', { createdAt: 1000 }));
+    await store.add(record('baru', { createdAt: 2000 }));
+    await store.add(record('penting', { createdAt: 3000, priority: 5 }));
+    await store.add(record('tertunda', { priority: 10, runAt: 10000 }));
+
+    const order = [];
+    for (let job = await store.claim(5000, 100); job; job = await store.claim(5000, 100)) {
+      order.push(job.id);
+    }
+
+    expect(order).toEqual(['penting', 'lama', 'baru']);
+    expect(await store.get('penting')).toMatchObject({ state: 'running', attempts: 1, lockedUntil: 5100 });
+    expect((await store.claim(10000, 100)).id).toBe('tertunda');
+  });
+
+  test('mengubah job tanpa membocorkan objek yang tersimpan', async () => {
+    await store.add(record('a'));
+
+    const updated = await store.update('a', job => { job.status.stage = 'tagging'; });
+    updated.status.stage = 'diubah';
+
+    expect((await store.get('a')).status.stage).toBe('tagging');
+    expect(await store.update('tidak-ada', () => {})).toBeNull();
+  });
+
+  test('mendaftar job running yang lease-nya habis dan menghapus job lama yang sudah selesai', async () => {
+    await store.add(record('macet', { state: 'running', lockedUntil: 4000 }));
+    await store.add(record('jalan', { state: 'running', lockedUntil: 9000 }));
+    await store.add(record('selesai', { state: 'completed', finishedAt: 2000 }));
+    await store.add(record('baru-selesai', { state: 'failed', finishedAt: 8000 }));
+
+    expect((await store.listExpired(5000)).map(job => job.id)).toEqual(['macet']);
+    expect(await store.prune(5000)).toBe(1);
+    expect(await store.get('selesai')).toBeNull();
+    expect(await store.get('baru-selesai')).not.toBeNull();
+  });
+
+  test('job satu grup hanya diambil satu per satu sesuai urutan masuk', async () => {
+    await store.add(record('a1', { group: '628111', createdAt: 1000 }));
+    await store.add(record('b1', { group: '628222', createdAt: 1500 }));
+    await store.add(record('a2', { group: '628111', createdAt: 2000, priority: 5 }));
+
+    expect((await store.lastInGroup('628111')).id).toBe('a2');
+    expect((await store.claim(5000, 100)).id).toBe('a1');
+    expect((await store.claim(5000, 100)).id).toBe('b1');
+    // a2 waits for a1 even with a higher priority
+    expect(await store.claim(5000, 100)).toBeNull();
+
+    await store.update('a1', job => {
+      job.state = 'completed';
+      job.finishedAt = 5000;
+    });
+    expect((await store.claim(5000, 100)).id).toBe('a2');
+    expect(await store.lastInGroup('628333')).toBeNull();
+  });
+
+  test('memberikan key dedupe ke job yang sudah memegangnya sampai kedaluwarsa', async () => {
+    const keys = [{ key: 'idempotency:abc', ttlMs: 10000 }, { key: 'message:628:hash', ttlMs: 1000 }];
+
+    expect(await store.reserveKeys(keys, 'job-1', 1000)).toBe('job-1');
+    expect(await store.reserveKeys(keys.slice(1), 'job-2', 1500)).toBe('job-1');
+    // The message key expired, the idempotency key still points at job-1
+    expect(await store.reserveKeys([{ key: 'message:628:hash', ttlMs: 1000 }, keys[0]], 'job-3', 2500)).toBe('job-1');
+    expect(await store.reserveKeys(keys.slice(1), 'job-4', 2600)).toBe('job-1');
+    expect(await store.reserveKeys(keys, 'job-5', 20000)).toBe('job-5');
+
+    await store.releaseKeys(keys, 'job-lain');
+    expect(await store.reserveKeys(keys, 'job-6', 20001)).toBe('job-5');
+    await store.releaseKeys(keys, 'job-5');
+    expect(await store.reserveKeys(keys, 'job-7', 20002)).toBe('job-7');
+  });
+});
+
+describe('JobQueue', () => {
+  let store;
+  let queue;
+
+  const createQueue = (handler, options = {}) => {
+    queue = new JobQueue({
+      store,
+      handler,
+      concurrency: 1,
+      maxAttempts: 3,
+      backoffMs: 0,
+      timeoutMs: 1000,
+      pollIntervalMs: 10,
+      ...options
+    });
+    return queue;
+  };
+
+  const waitFor = async (id, predicate) => {
+    for (let i = 0; i < 200; i++) {
+      const job = await store.get(id);
+      if (job && predicate(job)) return job;
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(`Job ${id} did not settle: ${JSON.stringify(await store.get(id))}`);
+  };
+  const inState = state => job => job.state === state;
+
+  beforeEach(() => {
+    store = new MemoryJobStore();
+  });
+
+  afterEach(async () => {
+    if (queue) await queue.stop();
+    queue = null;
+  });
+
+  test('menjalankan job sesuai prioritas dengan batas concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const order = [];
+    createQueue(async job => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      order.push(job.id);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running -= 1;
+    });
+    // Queue everything before the workers start so priority decides the order
+    await store.add(record('biasa', { runAt: 0, createdAt: 1 }));
+    await store.add(record('penting', { runAt: 0, createdAt: 2, priority: 5 }));
+    await store.add(record('belakangan', { runAt: 0, createdAt: 3, priority: -1 }));
+    await queue.start();
+
+    await waitFor('belakangan', inState('completed'));
+    expect(order).toEqual(['penting', 'biasa', 'belakangan']);
+    expect(maxRunning).toBe(1);
+  });
+
+  test('menjalankan job satu grup berurutan walau ada worker kosong', async () => {
+    const running = new Set();
+    const order = [];
+    let overlap = false;
+    createQueue(async job => {
+      if (job.group && running.has(job.group)) overlap = true;
+      running.add(job.group);
+      order.push(job.id);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running.delete(job.group);
+    }, { concurrency: 3 });
+
+    await queue.add('halo', {}, { group: '628111' });
+    await queue.add('lain', {}, { group: '628222' });
+    await queue.add('mau-tanya', {}, { group: '628111' });
+    await queue.add('netflix', {}, { group: '628111', delayMs: 20 });
+
+    await waitFor('netflix', inState('completed'));
+    expect(overlap).toBe(false);
+    expect(order.filter(id => id !== 'lain')).toEqual(['halo', 'mau-tanya', 'netflix']);
+  });
+
+  test('membatalkan job yang sedang berjalan lewat signal tanpa mengulang', async () => {
+    let signal;
+    const handler = jest.fn((job, jobSignal) => {
+      signal = jobSignal;
+      return new Promise(() => {});
+    });
+    createQueue(handler);
+    const events = jest.fn();
+    ['completed', 'retrying', 'failed'].forEach(event => queue.on(event, events));
+
+    await queue.add('panjang', {});
+    await waitFor('panjang', inState('running'));
+    const cancelled = await queue.cancel('panjang', 'Cancelled by client');
+
+    expect(cancelled).toMatchObject({ state: 'cancelled', lastError: 'Cancelled by client' });
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.code).toBe('JOB_CANCELLED');
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(await store.get('panjang')).toMatchObject({ state: 'cancelled', attempts: 1 });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(events).not.toHaveBeenCalled();
+    expect(queue.active.size).toBe(0);
+  });
+
+  test('job yang dibatalkan sebelum berjalan tidak pernah diproses', async () => {
+    const handler = jest.fn().mockResolvedValue('ok');
+    createQueue(handler);
+
+    await queue.add('nanti', {}, { delayMs: 30 });
+    expect(await queue.cancel('nanti')).toMatchObject({ state: 'cancelled' });
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(await queue.cancel('nanti')).toBeNull();
+    expect(await queue.cancel('tidak-ada')).toBeNull();
+  });
+
+  test('error yang tidak bisa diulang langsung menggagalkan job', async () => {
+    const error = Object.assign(new Error('Stage processing_ai took longer than 10ms'), { code: 'AI_TIMEOUT', retryable: false });
+    const handler = jest.fn().mockRejectedValue(error);
+    createQueue(handler);
+
+    await queue.add('sekali', {});
+    expect(await waitFor('sekali', inState('failed'))).toMatchObject({ attempts: 1 });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('mengulang job yang gagal lalu menandainya failed setelah batas percobaan', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('Ollama down'));
+    createQueue(handler);
+    const retrying = jest.fn();
+    const failed = jest.fn();
+    queue.on('retrying', retrying);
+    queue.on('failed', failed);
+
+    await queue.add('gagal', { question: 'halo' });
+    const job = await waitFor('gagal', inState('failed'));
+
+    expect(job).toMatchObject({ attempts: 3, lastError: 'Ollama down' });
+    expect(job.finishedAt).toEqual(expect.any(Number));
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(retrying).toHaveBeenCalledTimes(2);
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({ id: 'gagal', state: 'failed' }), expect.any(Error));
+  });
+
+  test('menunda percobaan ulang dengan backoff eksponensial', async () => {
+    createQueue(jest.fn().mockRejectedValue(new Error('timeout')), { backoffMs: 60000 });
+    const before = Date.now();
+
+    await queue.add('tunda', {});
+    const job = await waitFor('tunda', current => current.attempts === 1 && current.state === 'queued');
+
+    expect(job.runAt).toBeGreaterThanOrEqual(before + 60000);
+  });
+
+  test('membatalkan percobaan yang melewati timeout', async () => {
+    let signal;
+    createQueue((job, jobSignal) => {
+      signal = jobSignal;
+      return new Promise(() => {});
+    }, { timeoutMs: 20, maxAttempts: 1 });
+
+    await queue.add('lambat', {});
+    const job = await waitFor('lambat', inState('failed'));
+
+    expect(job.lastError).toBe('Job timed out after 20ms');
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.code).toBe('JOB_TIMEOUT');
+  });
+
+  test('timeout setelah job mengubah pesanan tidak diulang', async () => {
+    const handler = jest.fn(job => {
+      queue.markSideEffects(job.id);
+      return new Promise(() => {});
+    });
+    createQueue(handler, { timeoutMs: 20 });
+
+    await queue.add('draft', {});
+    const job = await waitFor('draft', inState('failed'));
+
+    expect(job).toMatchObject({ attempts: 1, sideEffects: true, lastError: 'Job timed out after 20ms' });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('reaper tidak mengulang job yang sudah mengubah pesanan sebelum worker mati', async () => {
+    await store.add(record('setengah', { state: 'running', attempts: 1, lockedUntil: Date.now() - 1, sideEffects: true }));
+    const handler = jest.fn().mockResolvedValue('ok');
+    createQueue(handler);
+
+    await queue.start();
+    expect(await waitFor('setengah', inState('failed'))).toMatchObject({ lastError: expect.stringContaining('stalled') });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('reaper mengantrekan ulang job yang ditinggal worker saat restart', async () => {
+    await store.add(record('yatim', { state: 'running', attempts: 1, lockedUntil: Date.now() - 1 }));
+    const handler = jest.fn().mockResolvedValue('ok');
+    createQueue(handler);
+    const completed = jest.fn();
+    queue.on('completed', completed);
+
+    await queue.start();
+    const job = await waitFor('yatim', inState('completed'));
+
+    expect(job.attempts).toBe(2);
+    expect(job.lastError).toMatch('stalled');
+    expect(completed).toHaveBeenCalledWith(expect.objectContaining({ id: 'yatim' }), 'ok');
+  });
+
+  test('job yang tersimpan di file tetap diproses oleh proses berikutnya', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-restart-'));
+    const jobsPath = path.join(tempDir, 'jobs.json');
+    try {
+      // Queued by a previous server process
+      await new FileJobStore({ jobsPath }).add(record('tersimpan', { priority: 2, runAt: 0 }));
+
+      store = new FileJobStore({ jobsPath });
+      createQueue(jest.fn().mockResolvedValue('ok'));
+      await queue.start();
+
+      expect(await waitFor('tersimpan', inState('completed'))).toMatchObject({ priority: 2, payload: { question: 'tersimpan' } });
+      // The store only shows the change once it is in the file
+      expect(JSON.parse(fs.readFileSync(jobsPath, 'utf8')).jobs.tersimpan.state).toBe('completed');
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('perubahan yang gagal ditulis ke file tidak terlihat oleh store', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-write-'));
+    try {
+      const fileStore = new FileJobStore({ jobsPath: path.join(tempDir, 'jobs.json') });
+      await fileStore.add(record('gagal-tulis'));
+      jest.spyOn(fileStore.store, 'write').mockRejectedValueOnce(new Error('ENOSPC'));
+
+      await expect(fileStore.update('gagal-tulis', job => { job.state = 'completed'; })).rejects.toThrow('ENOSPC');
+      await expect(fileStore.update('gagal-tulis', () => { throw new Error('mutator gagal'); })).rejects.toThrow('mutator gagal');
+
+      expect((await fileStore.get('gagal-tulis')).state).toBe('queued');
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('memakai store file jika store yang dipilih tidak bisa dihubungi', async () => {
+    const unreachable = { name: 'redis', connect: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) };
+
+    expect((await connectJobStore(unreachable)).name).toBe('file');
+    expect(() => createJobStore('kafka')).toThrow('Unknown job store: kafka');
+  });
+});
+
+describe('RedisJobStore', () => {
+  // Job records, the compare-and-set of the save script and the running set; other index sets are left out
+  const createClient = () => {
+    const client = {
+      records: new Map(),
+      claimed: null,
+      get: jest.fn(async key => client.records.get(key) || null),
+      running: new Map(),
+      eval: jest.fn(async (script, { keys, arguments: args }) => {
+        if (keys.length === 5) {
+          if (client.claimed) client.running.set(client.claimed, Number(args[1]));
+          return client.claimed;
+        }
+        const [expected, json, id, index, , , lockedUntil] = args;
+        if (expected !== '' && client.records.get(keys[0]) !== expected) return 0;
+        client.records.set(keys[0], json);
+        client.running.delete(id);
+        if (index === 'running') client.running.set(id, Number(lockedUntil));
+        return 1;
+      }),
+      zRangeByScore: jest.fn(async (key, min, max) => [...client.running]
+        .filter(([, lease]) => lease <= max)
+        .map(([id]) => id)),
+      mGet: jest.fn(async keys => keys.map(key => client.records.get(key) || null))
+    };
+    return client;
+  };
+  let client;
+  let store;
+
+  beforeEach(() => {
+    client = createClient();
+    store = new RedisJobStore({ client });
+  });
+
+  test('update mengulang mutator jika record berubah setelah dibaca', async () => {
+    await store.add(record('a'));
+    let calls = 0;
+
+    const updated = await store.update('a', job => {
+      calls += 1;
+      // Another process cancels the job between this read and the write
+      if (calls === 1) client.records.set(store.key('a'), JSON.stringify(record('a', { state: 'cancelled', finishedAt: 2000 })));
+      if (job.state === 'queued') job.lastError = 'timpa';
+    });
+
+    expect(calls).toBe(2);
+    expect(updated).toMatchObject({ state: 'cancelled', lastError: null });
+    expect(JSON.parse(client.records.get(store.key('a')))).toMatchObject({ state: 'cancelled', lastError: null });
+  });
+
+  test('claim tidak mengambil job yang dibatalkan setelah dipilih', async () => {
+    await store.add(record('a', { state: 'cancelled', finishedAt: 2000 }));
+    client.claimed = 'a';
+
+    expect(await store.claim(3000, 1000)).toBeNull();
+    expect(JSON.parse(client.records.get(store.key('a')))).toMatchObject({ state: 'cancelled', attempts: 0 });
+
+    await store.add(record('b'));
+    client.claimed = 'b';
+    expect(await store.claim(3000, 1000)).toMatchObject({ id: 'b', state: 'running', attempts: 1, lockedUntil: 4000 });
+  });
+
+  test('job yang dipilih claim tapi tidak sempat ditandai running diantrekan ulang', async () => {
+    await store.add(record('a'));
+    client.claimed = 'a';
+    // The process dies after the claim script picked the job and before it was marked running
+    jest.spyOn(store, 'update').mockRejectedValueOnce(new Error('process mati'));
+    await expect(store.claim(3000, 1000)).rejects.toThrow('process mati');
+    expect(await store.listExpired(3500)).toEqual([]);
+
+    // Once the lease ran out it is not reported as a stalled attempt: it never started
+    expect(await store.listExpired(5000)).toEqual([]);
+    expect(await store.get('a')).toMatchObject({ state: 'queued', attempts: 0 });
+    expect(client.running.has('a')).toBe(false);
+
+    client.claimed = 'a';
+    expect(await store.claim(6000, 1000)).toMatchObject({ id: 'a', state: 'running', attempts: 1 });
+  });
+});
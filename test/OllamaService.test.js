@@ -0,0 +1,322 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/services/BrainService', () => {
+  return jest.fn().mockImplementation(() => ({
+    init: jest.fn().mockResolvedValue(true)
+  }));
+});
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+process.env.PAYMENT_WEBHOOK_SECRET = 'webhook-rahasia';
+
+const OllamaService = require('../src/services/OllamaService');
+const CatalogService = require('../src/services/CatalogService');
+
+describe('OllamaService', () => {
+  let tempDir;
+  let ollamaService;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ollama-service-'));
+    ollamaService = new OllamaService();
+    ollamaService.catalogService = new CatalogService({ catalogPath: path.join(tempDir, 'catalog.json') });
+    await ollamaService.catalogService.saveBundle('paket-nonton', {
+      name: 'Nonton Hemat',
+      price: 40000,
+      items: [
+        { productId: 'netflix-1p2u', quantity: 1 },
+        { productId: 'disney-hotstar', quantity: 1 }
+      ],
+      aliases: ['paket nonton']
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('checkProductAvailability', () => {
+    test('mengembalikan varian yang disebut beserta kandidat lain', () => {
+      const result = ollamaService.checkProductAvailability('netflix 1p2u masih ada?');
+
+      expect(result.exists).toBe(true);
+      expect(result.product).toMatchObject({ id: 'netflix-1p2u', type: 'product' });
+      expect(result.group).toBeNull();
+      expect(result.candidates[0]).toMatchObject({ id: 'netflix-1p2u', inStock: true });
+    });
+
+    test('mengelompokkan varian saat pelanggan menanyakan produk induk', () => {
+      const result = ollamaService.checkProductAvailability('netflix ada pilihan apa aja?');
+
+      expect(result.product).toBeNull();
+      expect(result.group.id).toBe('netflix');
+      expect(result.group.variants.map(v => v.id)).toEqual(['netflix-1p1u', 'netflix-1p2u', 'netflix-4k-uhd']);
+      expect(result.inStock).toBe(true);
+    });
+
+    test('mencocokkan paket bundling', () => {
+      const result = ollamaService.checkProductAvailability('paket nonton');
+
+      expect(result.product).toMatchObject({ id: 'paket-nonton', type: 'bundle', stock: 5 });
+    });
+
+    test('menandai produk yang tidak ada', () => {
+      const result = ollamaService.checkProductAvailability('spotify');
+
+      expect(result).toMatchObject({ exists: false, product: null, candidates: [] });
+    });
+  });
+
+  describe('buildProductString', () => {
+    test('mengelompokkan varian di bawah produk induk', () => {
+      const productString = ollamaService.buildProductString();
+
+      expect(productString).toContain('Netflix (3 pilihan):');
+      expect(productString).toContain('  - Netflix 1P2U (1 profile, 2 user, 1 bulan, HD): Harga Rp 13.000, Status: Tersedia, Stock: 5');
+      expect(productString).toContain('Disney+ Hotstar: Harga Rp 30.000');
+      expect(productString).toContain('Paket Nonton Hemat (isi: Netflix 1P2U + Disney+ Hotstar): Harga Rp 40.000, Status: Tersedia, Stock: 5');
+    });
+  });
+
+  describe('formatWarrantyContext', () => {
+    test('memakai lama garansi dari katalog dan garansi milik pelanggan', async () => {
+      await ollamaService.catalogService.load();
+      const context = ollamaService.formatWarrantyContext({
+        action: 'claim_rejected',
+        reason: 'WARRANTY_EXPIRED',
+        warranty: { productName: 'Akun Gmail Fresh', expiresAt: '2024-01-08T03:00:00.000Z' },
+        claim: null,
+        warranties: [{
+          productName: 'Akun Gmail Fresh',
+          orderId: 'ORD-20240101-A1B2C3',
+          warrantyDays: 7,
+          active: false,
+          deliveredAt: '2024-01-01T03:00:00.000Z',
+          expiresAt: '2024-01-08T03:00:00.000Z'
+        }]
+      });
+
+      expect(context).toContain('- Akun Gmail Fresh: garansi 7 hari');
+      expect(context).toContain('- Netflix 1P2U: tanpa garansi');
+      expect(context).toContain('Akun Gmail Fresh (pesanan ORD-20240101-A1B2C3, dikirim 1 Januari 2024): berakhir 8 Januari 2024');
+      expect(context).toContain('Instruksi: Masa garansi Akun Gmail Fresh sudah berakhir pada 8 Januari 2024');
+    });
+  });
+
+  describe('formatOrderStatusContext', () => {
+    test('menampilkan status setiap pesanan dan QRIS yang masih berlaku', async () => {
+      await ollamaService.catalogService.load();
+      const expiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      const context = ollamaService.formatOrderStatusContext({
+        orderId: null,
+        orders: [
+          {
+            id: 'ORD-20240102-B2C3D4',
+            status: 'awaiting_payment',
+            items: [{ name: 'Netflix 1P2U', quantity: 2 }],
+            total: 26000,
+            createdAt: '2024-01-02T03:00:00.000Z',
+            updatedAt: '2024-01-02T03:05:00.000Z',
+            payment: { reference: 'PAY-123', status: 'pending', amount: 26000, expiresAt }
+          },
+          {
+            id: 'ORD-20240101-A1B2C3',
+            status: 'delivered',
+            items: [{ name: 'Akun Gmail Fresh', quantity: 1 }],
+            total: 5000,
+            createdAt: '2024-01-01T03:00:00.000Z',
+            updatedAt: '2024-01-01T04:00:00.000Z',
+            payment: null
+          }
+        ]
+      });
+
+      expect(context).toContain('- ORD-20240102-B2C3D4 (dibuat 2 Januari');
+      expect(context).toContain('2x Netflix 1P2U, total Rp 26.000. Status: menunggu pembayaran QRIS');
+      expect(context).toContain('Pembayaran: QRIS PAY-123, bayar tepat Rp 26.000');
+      expect(context).toContain('- ORD-20240101-A1B2C3 (dibuat 1 Januari');
+      expect(context).toContain('Status: sudah dikirim');
+    });
+
+    test('memberi tahu jika nomor pesanan tidak terdaftar atas nomor pelanggan', () => {
+      const context = ollamaService.formatOrderStatusContext({ orderId: 'ORD-20240101-A1B2C3', orders: [] });
+
+      expect(context).toContain('Pesanan ORD-20240101-A1B2C3 tidak ditemukan untuk nomor WhatsApp ini.');
+    });
+  });
+
+  describe('connectHistoryStore', () => {
+    test('memakai riwayat in-memory jika Redis tidak bisa dihubungi', async () => {
+      ollamaService.historyStore = {
+        name: 'redis',
+        connect: jest.fn().mockRejectedValue(new Error('ECONNREFUSED'))
+      };
+
+      await ollamaService.connectHistoryStore();
+      await ollamaService.saveHistory('6281234567890', 'halo', 'halo kak');
+
+      expect(ollamaService.historyStore.name).toBe('memory');
+      expect((await ollamaService.loadHistory('6281234567890')).messages.map(m => m.role)).toEqual(['user', 'assistant']);
+      await ollamaService.historyStore.clear('6281234567890');
+    });
+  });
+
+  describe('formatProfileContext', () => {
+    test('menyebut nama, pembelian dan produk yang pernah ditanyakan', () => {
+      const context = ollamaService.formatProfileContext({
+        name: 'Budi',
+        language: 'id',
+        purchases: [
+          { orderId: 'ORD-20240102-B2C3D4', productId: 'netflix-1p2u', name: 'Netflix 1P2U', quantity: 1, at: '2024-01-02T03:00:00.000Z' },
+          { orderId: 'ORD-20231201-A1B2C3', productId: 'netflix-1p2u', name: 'Netflix 1P2U', quantity: 1, at: '2023-12-01T03:00:00.000Z' }
+        ],
+        interests: [
+          { productId: 'netflix-1p2u', name: 'Netflix 1P2U', count: 3 },
+          { productId: 'disney-hotstar', name: 'Disney+ Hotstar', count: 1 }
+        ],
+        notes: []
+      });
+
+      expect(context).toContain('Nama panggilan: Budi');
+      expect(context).toContain('Pernah membeli: Netflix 1P2U (2x, terakhir 2 Januari 2024)');
+      expect(context).toContain('Pernah menanyakan: Disney+ Hotstar');
+      expect(context).toContain('"kak Budi"');
+      expect(context).toContain('tawarkan perpanjangan');
+    });
+
+    test('tidak menambah blok profil untuk pelanggan yang belum dikenal', () => {
+      expect(ollamaService.formatProfileContext({ name: null, language: null, purchases: [], interests: [], notes: [] })).toBeNull();
+    });
+  });
+
+  describe('generateAnswer', () => {
+    const messages = [{ role: 'user', content: 'netflix masih ada?' }];
+
+    test('meneruskan potongan jawaban dan mengembalikan teks lengkap', async () => {
+      ollamaService.chatModel = {
+        stream: jest.fn().mockResolvedValue((async function* () {
+          yield { content: 'Masih ' };
+          yield { content: '' };
+          yield { content: 'ada kak' };
+        })())
+      };
+      const tokens = [];
+
+      const answer = await ollamaService.generateAnswer(messages, text => tokens.push(text));
+
+      expect(answer).toBe('Masih ada kak');
+      expect(tokens).toEqual(['Masih ', 'ada kak']);
+    });
+
+    test('memakai invoke jika tidak ada yang mendengarkan atau streaming dimatikan', async () => {
+      ollamaService.chatModel = {
+        invoke: jest.fn().mockResolvedValue({ content: 'Masih ada kak' }),
+        stream: jest.fn()
+      };
+
+      expect(await ollamaService.generateAnswer(messages)).toBe('Masih ada kak');
+      ollamaService.streaming = false;
+      expect(await ollamaService.generateAnswer(messages, jest.fn())).toBe('Masih ada kak');
+      expect(ollamaService.chatModel.stream).not.toHaveBeenCalled();
+    });
+
+    test('meneruskan AbortSignal ke panggilan model', async () => {
+      ollamaService.chatModel = {
+        invoke: jest.fn().mockResolvedValue({ content: 'Masih ada kak' }),
+        stream: jest.fn().mockResolvedValue((async function* () {
+          yield { content: 'Masih ada kak' };
+        })())
+      };
+      const { signal } = new AbortController();
+
+      await ollamaService.generateAnswer(messages, undefined, signal);
+      await ollamaService.generateAnswer(messages, jest.fn(), signal);
+
+      expect(ollamaService.chatModel.invoke).toHaveBeenCalledWith(messages, { signal });
+      expect(ollamaService.chatModel.stream).toHaveBeenCalledWith(messages, { signal });
+    });
+  });
+
+  describe('processWithAI', () => {
+    test('dry run menjawab tanpa mengubah pesanan, garansi, vault, profil atau riwayat', async () => {
+      const number = '6281234567890';
+      ollamaService.initialized = true;
+      ollamaService.initializeTemplates();
+      ollamaService.loadHistory = jest.fn().mockResolvedValue({ summary: null, messages: [] });
+      ollamaService.getQuestionTag = jest.fn().mockResolvedValue('order');
+      ollamaService.chatModel = { invoke: jest.fn().mockResolvedValue({ content: 'Siap kak' }) };
+      ollamaService.saveHistory = jest.fn();
+      ollamaService.refreshSummary = jest.fn();
+      const orderMessage = jest.spyOn(ollamaService.orderService, 'handleMessage');
+      const warrantyMessage = jest.spyOn(ollamaService.warrantyService, 'handleMessage');
+      const collectDeliveries = jest.spyOn(ollamaService.vaultService, 'collectDeliveries');
+      const recordMessage = jest.spyOn(ollamaService.profileService, 'recordMessage');
+      jest.spyOn(ollamaService.profileService, 'getProfile').mockResolvedValue(null);
+
+      const result = await ollamaService.processWithAI('mau netflix 1p2u 1', { relevantEntries: [] }, number, { dryRun: true });
+
+      expect(result).toMatchObject({ response: 'Siap kak', order: null, delivery: [] });
+      [orderMessage, warrantyMessage, collectDeliveries, recordMessage, ollamaService.saveHistory, ollamaService.refreshSummary]
+        .forEach(mock => expect(mock).not.toHaveBeenCalled());
+    });
+
+    test('kegagalan setelah pesanan berubah tidak diulang', async () => {
+      ollamaService.initialized = true;
+      ollamaService.initializeTemplates();
+      ollamaService.loadHistory = jest.fn().mockResolvedValue({ summary: null, messages: [] });
+      ollamaService.getQuestionTag = jest.fn().mockResolvedValue('order');
+      ollamaService.chatModel = { invoke: jest.fn().mockRejectedValue(new Error('Ollama down')) };
+      jest.spyOn(ollamaService.vaultService, 'collectDeliveries').mockResolvedValue([]);
+      ollamaService.updateCustomerProfile = jest.fn().mockResolvedValue(null);
+      const orderMessage = jest.spyOn(ollamaService.orderService, 'handleMessage').mockResolvedValue(null);
+
+      const onStateChange = jest.fn();
+      const ask = () => ollamaService.processWithAI('mau netflix', { relevantEntries: [] }, '6281234567890', { onStateChange });
+
+      const untouched = await ask().catch(error => error);
+      expect(untouched.message).toBe('Ollama down');
+      expect(untouched.retryable).toBeUndefined();
+      expect(onStateChange).not.toHaveBeenCalled();
+
+      orderMessage.mockImplementation(async ({ beforeChange }) => {
+        beforeChange();
+        return { action: 'draft_created', order: { id: 'ORD-1', items: [], total: 0 } };
+      });
+      await expect(ask()).rejects.toMatchObject({ message: 'Ollama down', retryable: false });
+      expect(onStateChange).toHaveBeenCalledTimes(1);
+    });
+
+    test('pesanan tidak diubah setelah job dibatalkan atau melewati batas waktu', async () => {
+      ollamaService.initialized = true;
+      ollamaService.initializeTemplates();
+      ollamaService.loadHistory = jest.fn().mockResolvedValue({ summary: null, messages: [] });
+      ollamaService.getQuestionTag = jest.fn().mockResolvedValue('order');
+      const createDraft = jest.spyOn(ollamaService.orderService, 'createDraft');
+      const controller = new AbortController();
+      const timeout = Object.assign(new Error('Job timed out after 120000ms'), { code: 'JOB_TIMEOUT' });
+      // The job times out while the order lookup is still running
+      jest.spyOn(ollamaService.orderService, 'getDraft').mockImplementation(async () => {
+        controller.abort(timeout);
+        return null;
+      });
+      const onStateChange = jest.fn();
+
+      await expect(ollamaService.processWithAI('mau netflix 1p2u', { relevantEntries: [] }, '6281234567890', {
+        signal: controller.signal,
+        onStateChange
+      })).rejects.toBe(timeout);
+
+      expect(createDraft).not.toHaveBeenCalled();
+      expect(onStateChange).not.toHaveBeenCalled();
+      expect(timeout.retryable).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CatalogService = require('../src/services/CatalogService');
+const OrderService = require('../src/services/OrderService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('OrderService', () => {
+  let tempDir;
+  let catalogService;
+  let orderService;
+  const number = '6281234567890';
+
+  const netflix = () => ({
+    exists: true,
+    product: { ...catalogService.getProduct('netflix-1p2u'), type: 'product' }
+  });
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-'));
+    catalogService = new CatalogService({ catalogPath: path.join(tempDir, 'catalog.json') });
+    orderService = new OrderService({ ordersPath: path.join(tempDir, 'orders.json'), catalogService });
+    await catalogService.load();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('transition', () => {
+    test('memesan stok saat dikonfirmasi dan mengembalikannya saat dibatalkan', async () => {
+      const draft = await orderService.createDraft(number, [
+        { id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, quantity: 2 }
+      ]);
+      expect(draft).toMatchObject({ status: 'draft', total: 26000 });
+
+      await orderService.transition(draft.id, 'awaiting_payment');
+      expect(catalogService.getProduct('netflix-1p2u').stock).toBe(3);
+
+      const cancelled = await orderService.transition(draft.id, 'cancelled');
+      expect(cancelled.history.map(h => h.status)).toEqual(['draft', 'awaiting_payment', 'cancelled']);
+      expect(catalogService.getProduct('netflix-1p2u').stock).toBe(5);
+    });
+
+    test('menolak perpindahan status yang tidak valid', async () => {
+      const draft = await orderService.createDraft(number, [
+        { id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, quantity: 1 }
+      ]);
+
+      await expect(orderService.transition(draft.id, 'delivered'))
+        .rejects.toMatchObject({ code: 'INVALID_ORDER_TRANSITION' });
+    });
+
+    test('tidak mengubah status jika stok tidak cukup', async () => {
+      const draft = await orderService.createDraft(number, [
+        { id: 'gmail-aged', name: 'Akun Gmail Aged', price: 15000, quantity: 2 }
+      ]);
+
+      await expect(orderService.transition(draft.id, 'awaiting_payment'))
+        .rejects.toMatchObject({ code: 'INSUFFICIENT_STOCK' });
+      expect((await orderService.getOrder(draft.id)).status).toBe('draft');
+      expect(catalogService.getProduct('gmail-aged').stock).toBe(1);
+    });
+  });
+
+  describe('handleMessage', () => {
+    test('membuat draft lalu mengonfirmasi pesanan dari percakapan', async () => {
+      const created = await orderService.handleMessage({
+        whatsappNumber: number,
+        question: 'mau order netflix 1p2u 2 akun',
+        tag: 'order',
+        productInfo: netflix()
+      });
+      expect(created.action).toBe('draft_created');
+      expect(created.order.items[0]).toMatchObject({ id: 'netflix-1p2u', quantity: 2, subtotal: 26000 });
+
+      const confirmed = await orderService.handleMessage({
+        whatsappNumber: number,
+        question: 'iya kak',
+        tag: 'unknown',
+        productInfo: { exists: false }
+      });
+      expect(confirmed.action).toBe('confirmed');
+      expect(confirmed.order.status).toBe('awaiting_payment');
+    });
+
+    test('memakai produk dari pesan sebelumnya jika pesan order tidak menyebut produk', async () => {
+      const result = await orderService.handleMessage({
+        whatsappNumber: number,
+        question: 'oke order 3 ya',
+        tag: 'order',
+        productInfo: { exists: false },
+        findProduct: text => (text.includes('netflix') ? netflix() : { exists: false }),
+        history: [
+          { role: 'user', content: 'netflix 1p2u berapa?' },
+          { role: 'assistant', content: 'Rp 13.000 kak' }
+        ]
+      });
+
+      expect(result.action).toBe('draft_created');
+      expect(result.order.items[0]).toMatchObject({ id: 'netflix-1p2u', quantity: 3 });
+    });
+
+    test('meminta pilihan varian saat hanya produk induk yang disebut', async () => {
+      const result = await orderService.handleMessage({
+        whatsappNumber: number,
+        question: 'mau order netflix',
+        tag: 'order',
+        productInfo: { exists: true, product: null, group: { id: 'netflix', name: 'Netflix', variants: [] } }
+      });
+
+      expect(result).toMatchObject({ action: 'choose_variant', order: null });
+    });
+
+    test('membatalkan draft atas permintaan pelanggan', async () => {
+      await orderService.handleMessage({
+        whatsappNumber: number,
+        question: 'order netflix 1p2u',
+        tag: 'order',
+        productInfo: netflix()
+      });
+
+      const result = await orderService.handleMessage({
+        whatsappNumber: number,
+        question: 'gak jadi deh kak',
+        tag: 'unknown',
+        productInfo: { exists: false }
+      });
+      expect(result.action).toBe('cancelled');
+      expect(await orderService.getDraft(number)).toBeNull();
+    });
+
+    test.each([
+      ['iya kak', 'confirmed'],
+      ['Oke lanjut!', 'confirmed'],
+      ['jadi kak', 'confirmed'],
+      ['batalkan pesanannya aja', 'cancelled'],
+      ['jadi gimana caranya?', 'awaiting_confirmation'],
+      ['ya tapi mahal', 'awaiting_confirmation'],
+      ['y udah deh nanti aja', 'awaiting_confirmation'],
+      ['kalau batal bisa refund?', 'awaiting_confirmation'],
+      ['benar ga sih ini akun resmi?', 'awaiting_confirmation']
+    ])('hanya balasan singkat yang mengonfirmasi atau membatalkan draft: "%s" -> %s', async (question, action) => {
+      await orderService.createDraft(number, [{ id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, quantity: 1 }]);
+
+      const result = await orderService.handleMessage({
+        whatsappNumber: number,
+        question,
+        tag: 'unknown',
+        productInfo: { exists: false }
+      });
+
+      expect(result.action).toBe(action);
+    });
+
+    test('mengabaikan pesan yang bukan tentang pesanan', async () => {
+      const result = await orderService.handleMessage({
+        whatsappNumber: number,
+        question: 'halo kak',
+        tag: 'greeting',
+        productInfo: { exists: false }
+      });
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('lookupOrders', () => {
+    test.each([
+      ['pesanan saya gimana?', true],
+      ['kak orderan ku udah diproses?', true],
+      ['udah bayar kok akunnya belum masuk', true],
+      ['status ORD-20240101-A1B2C3', true],
+      ['order netflix 2 ya', false],
+      ['harga netflix berapa', false]
+    ])('isStatusInquiry("%s") -> %s', (text, expected) => {
+      expect(orderService.isStatusInquiry(text)).toBe(expected);
+    });
+
+    test('mencari pesanan berdasarkan nomor WhatsApp, terbaru dulu', async () => {
+      const first = await orderService.createDraft(number, [
+        { id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, quantity: 1 }
+      ]);
+      await orderService.transition(first.id, 'awaiting_payment');
+      const second = await orderService.createDraft(number, [
+        { id: 'gmail-fresh', name: 'Akun Gmail Fresh', price: 5000, quantity: 1 }
+      ]);
+      await orderService.createDraft('6289876543210', [
+        { id: 'gmail-fresh', name: 'Akun Gmail Fresh', price: 5000, quantity: 1 }
+      ]);
+
+      const result = await orderService.lookupOrders(number, 'pesanan saya gimana?');
+
+      expect(result.orderId).toBeNull();
+      expect(result.orders.map(order => [order.id, order.status])).toEqual([
+        [second.id, 'draft'],
+        [first.id, 'awaiting_payment']
+      ]);
+    });
+
+    test('nomor pesanan di pesan hanya dicari di antara pesanan pelanggan sendiri', async () => {
+      const own = await orderService.createDraft(number, [
+        { id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, quantity: 1 }
+      ]);
+      const other = await orderService.createDraft('6289876543210', [
+        { id: 'gmail-fresh', name: 'Akun Gmail Fresh', price: 5000, quantity: 1 }
+      ]);
+
+      const found = await orderService.lookupOrders(number, `status ${own.id.toLowerCase()} kak`);
+      expect(found.orders.map(order => order.id)).toEqual([own.id]);
+
+      const foreign = await orderService.lookupOrders(number, `status ${other.id}`);
+      expect(foreign).toEqual({ orderId: other.id, orders: [] });
+    });
+  });
+
+  describe('extractQuantity', () => {
+    test.each([
+      ['netflix 1p2u 2 akun', 2],
+      ['beli 3 netflix 4k', 3],
+      ['ambil dua ya', 2],
+      ['order netflix 1p2u', 1]
+    ])('"%s" -> %i', (text, expected) => {
+      expect(orderService.extractQuantity(text)).toBe(expected);
+    });
+  });
+});
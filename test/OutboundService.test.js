@@ -0,0 +1,147 @@
+const OutboundService = require('../src/services/OutboundService');
+const RecordingSender = require('./helpers/RecordingSender');
+const { createSender } = require('../src/services/outbound');
+const logger = require('../src/utils/logger');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('OutboundService', () => {
+  const number = '6281234567890';
+  let sender;
+  let outboundService;
+
+  beforeEach(() => {
+    sender = new RecordingSender();
+    outboundService = new OutboundService({ sender, maxAttempts: 3, retryDelayMs: 0 });
+  });
+
+  test('mengirim jawaban, detail akun dan QRIS secara berurutan', async () => {
+    const result = {
+      response: 'Pesanan sudah dibuat kak',
+      delivery: [{
+        orderId: 'ORD-1',
+        items: [{ name: 'Netflix 1P2U', credentials: ['user1@mail.com:pass1'] }]
+      }],
+      order: {
+        action: 'confirmed',
+        id: 'ORD-2',
+        payment: {
+          status: 'pending',
+          amount: 25123,
+          qrImageUrl: 'https://qris.example/ORD-2.png',
+          expiresAt: '2024-01-01T03:15:00.000Z'
+        }
+      }
+    };
+
+    const delivery = await outboundService.deliver({ questionId: 'q-1', to: number, result });
+
+    expect(delivery).toMatchObject({ status: 'sent', sender: 'console', attempts: 3, messageIds: ['console-1', 'console-2', 'console-3'] });
+    expect(sender.sent.map(message => message.text)).toEqual([
+      'Pesanan sudah dibuat kak',
+      'Detail akun pesanan ORD-1:\n\n*Netflix 1P2U*\n1. user1@mail.com:pass1',
+      'Scan QRIS berikut untuk membayar pesanan ORD-2 sebesar Rp 25.123 sebelum pukul 10.15 WIB.'
+    ]);
+    expect(sender.sent[2].imageUrl).toBe('https://qris.example/ORD-2.png');
+    expect(sender.sent.every(message => message.to === number && message.questionId === 'q-1')).toBe(true);
+  });
+
+  test('menampilkan akun berbentuk objek per field tanpa mencatatnya di log', async () => {
+    const result = {
+      response: 'Pembayaran diterima kak',
+      delivery: [{
+        orderId: 'ORD-4',
+        items: [{
+          name: 'Netflix 1P2U',
+          credentials: [
+            { email: 'nf1@example.com', password: 'pass-satu', profile: '2', pin: '1234' },
+            { email: 'nf2@example.com', password: 'pass-dua', pin: null }
+          ]
+        }]
+      }]
+    };
+
+    await outboundService.deliver({ questionId: 'q-4', to: number, result });
+
+    expect(sender.sent[1].text).toBe([
+      'Detail akun pesanan ORD-4:',
+      '',
+      '*Netflix 1P2U*',
+      '1. Email: nf1@example.com',
+      '   Password: pass-satu',
+      '   Profil: 2',
+      '   PIN: 1234',
+      '2. Email: nf2@example.com',
+      '   Password: pass-dua'
+    ].join('\n'));
+    expect(sender.sent[1].text).not.toContain('[object Object]');
+    const logged = logger.info.mock.calls.map(([line]) => line).join('\n');
+    expect(logged).toContain('Pembayaran diterima kak');
+    expect(logged).not.toContain('pass-satu');
+  });
+
+  test('sender console tidak menyimpan pesan yang sudah dikirim', async () => {
+    const consoleSender = createSender('console');
+
+    await consoleSender.send({ to: number, text: 'Email: nf1@example.com\nPassword: pass-satu', sensitive: true });
+    const second = await consoleSender.send({ to: number, text: 'Terima kasih kak' });
+
+    expect(second.messageId).toBe('console-2');
+    expect(JSON.stringify(consoleSender)).not.toContain('pass-satu');
+    expect(consoleSender.sent).toBeUndefined();
+  });
+
+  test('menyertakan kode QRIS di teks bila tidak ada gambar', () => {
+    const [, qris] = outboundService.buildMessages({
+      response: 'ok',
+      order: { action: 'confirmed', id: 'ORD-3', payment: { status: 'pending', amount: 1000, qrString: '000201', expiresAt: new Date().toISOString() } }
+    });
+
+    expect(qris.imageUrl).toBeUndefined();
+    expect(qris.text).toContain('Kode QRIS:\n000201');
+  });
+
+  test('mengulang pengiriman yang gagal lalu mencatat statusnya', async () => {
+    const send = sender.send.bind(sender);
+    sender.send = jest.fn()
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockImplementation(send);
+    const updates = [];
+
+    const delivery = await outboundService.deliver({ questionId: 'q-2', to: number, result: { response: 'halo' } }, update => updates.push(update));
+
+    expect(delivery).toMatchObject({ status: 'sent', attempts: 2, lastError: 'timeout' });
+    expect(delivery.sentAt).toBeTruthy();
+    expect(updates.map(update => update.status)).toEqual(['sending', 'sending', 'sent']);
+  });
+
+  test('gagal setelah batas percobaan dan berhenti di pesan yang gagal', async () => {
+    sender.send = jest.fn().mockRejectedValue(new Error('401 Unauthorized'));
+
+    const delivery = await outboundService.deliver({
+      questionId: 'q-3',
+      to: number,
+      result: { response: 'halo', delivery: [{ orderId: 'ORD-1', items: [{ name: 'Netflix', credentials: ['a:b'] }] }] }
+    });
+
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 3, messageIds: [], lastError: '401 Unauthorized' });
+    expect(sender.send).toHaveBeenCalledTimes(3);
+  });
+
+  test('melewati pengiriman tanpa nomor tujuan', async () => {
+    const delivery = await outboundService.deliver({ questionId: 'q-4', to: null, result: { response: 'halo' } });
+
+    expect(delivery.status).toBe('skipped');
+    expect(sender.sent).toHaveLength(0);
+  });
+
+  test('menolak sender yang tidak dikenal dan sender tanpa konfigurasi', () => {
+    expect(() => createSender('pigeon')).toThrow();
+    expect(() => createSender('whatsapp', { phoneNumberId: '', accessToken: '' })).toThrow('WHATSAPP_PHONE_NUMBER_ID');
+  });
+});
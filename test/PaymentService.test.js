@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CatalogService = require('../src/services/CatalogService');
+const OrderService = require('../src/services/OrderService');
+const WarrantyService = require('../src/services/WarrantyService');
+const PaymentService = require('../src/services/PaymentService');
+const CredentialVaultService = require('../src/services/CredentialVaultService');
+const SimulatorGateway = require('../src/services/payment/SimulatorGateway');
+const { parseQrisString, crc16 } = require('../src/services/payment/qris');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('PaymentService', () => {
+  let tempDir;
+  let catalogService;
+  let orderService;
+  let paymentService;
+  let gateway;
+  let vaultService;
+
+  const createConfirmedOrder = async () => {
+    const draft = await orderService.createDraft('6281234567890', [
+      { id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, quantity: 2 }
+    ]);
+    return orderService.transition(draft.id, 'awaiting_payment');
+  };
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-'));
+    catalogService = new CatalogService({ catalogPath: path.join(tempDir, 'catalog.json') });
+    orderService = new OrderService({
+      ordersPath: path.join(tempDir, 'orders.json'),
+      catalogService,
+      warrantyService: new WarrantyService({ warrantyPath: path.join(tempDir, 'warranties.json'), catalogService })
+    });
+    gateway = new SimulatorGateway({ secret: 'test-secret', merchantName: 'TOKO TEST', merchantCity: 'BANDUNG' });
+    vaultService = new CredentialVaultService({
+      vaultPath: path.join(tempDir, 'vault.json'),
+      catalogService,
+      orderService,
+      key: 'kunci-test'
+    });
+    paymentService = new PaymentService({
+      paymentsPath: path.join(tempDir, 'payments.json'),
+      orderService,
+      vaultService,
+      gateway
+    });
+    await catalogService.load();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('createPayment', () => {
+    test('membuat QRIS dinamis dengan nominal pesanan', async () => {
+      const order = await createConfirmedOrder();
+      const payment = await paymentService.createPayment(order.id);
+
+      expect(payment).toMatchObject({ orderId: order.id, amount: 26000, status: 'pending', gateway: 'simulator' });
+      const fields = parseQrisString(payment.qrString);
+      expect(fields).toMatchObject({ '00': '01', '01': '12', '53': '360', '54': '26000', '58': 'ID', '59': 'TOKO TEST', '60': 'BANDUNG' });
+      expect(fields['63']).toBe(crc16(payment.qrString.slice(0, -4)));
+    });
+
+    test('memakai ulang pembayaran yang masih berlaku', async () => {
+      const order = await createConfirmedOrder();
+      const first = await paymentService.createPayment(order.id);
+      const second = await paymentService.createPayment(order.id);
+
+      expect(second.reference).toBe(first.reference);
+    });
+
+    test('menolak pesanan yang belum dikonfirmasi', async () => {
+      const draft = await orderService.createDraft('6281234567890', [
+        { id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, quantity: 1 }
+      ]);
+
+      await expect(paymentService.createPayment(draft.id)).rejects.toMatchObject({ code: 'ORDER_NOT_PAYABLE' });
+    });
+  });
+
+  describe('SimulatorGateway', () => {
+    test('tanpa PAYMENT_WEBHOOK_SECRET hanya pembayaran yang ditolak', async () => {
+      const previous = process.env.PAYMENT_WEBHOOK_SECRET;
+      delete process.env.PAYMENT_WEBHOOK_SECRET;
+      try {
+        expect(() => new SimulatorGateway()).toThrow('PAYMENT_WEBHOOK_SECRET is required');
+
+        // The server still boots; payments answer 503 until the secret is set
+        const unconfigured = new PaymentService({
+          paymentsPath: path.join(tempDir, 'payments.json'),
+          orderService,
+          vaultService
+        });
+        const order = await createConfirmedOrder();
+        await expect(unconfigured.createPayment(order.id))
+          .rejects.toMatchObject({ name: 'ConfigurationError', code: 'PAYMENT_NOT_CONFIGURED' });
+        await expect(unconfigured.handleWebhook('simulator', { headers: {}, body: {}, rawBody: '{}' }))
+          .rejects.toMatchObject({ code: 'PAYMENT_NOT_CONFIGURED' });
+      } finally {
+        if (previous !== undefined) process.env.PAYMENT_WEBHOOK_SECRET = previous;
+      }
+    });
+  });
+
+  describe('handleWebhook', () => {
+    test('menandai pesanan lunas dan mengabaikan callback ganda', async () => {
+      const order = await createConfirmedOrder();
+      const payment = await paymentService.createPayment(order.id);
+      const webhook = gateway.buildWebhook(payment);
+
+      const result = await paymentService.handleWebhook('simulator', webhook);
+      expect(result.payment).toMatchObject({ status: 'paid' });
+      expect(result.order).toMatchObject({ status: 'paid', paymentReference: payment.reference });
+
+      const repeated = await paymentService.handleWebhook('simulator', webhook);
+      expect(repeated.duplicate).toBe(true);
+      expect((await orderService.getOrder(order.id)).history.filter(h => h.status === 'paid')).toHaveLength(1);
+    });
+
+    test('callback ganda yang datang bersamaan hanya diproses sekali', async () => {
+      const order = await createConfirmedOrder();
+      const payment = await paymentService.createPayment(order.id);
+      const webhook = gateway.buildWebhook(payment);
+
+      const results = await Promise.all([
+        paymentService.handleWebhook('simulator', webhook),
+        paymentService.handleWebhook('simulator', webhook)
+      ]);
+
+      expect(results.map(result => result.duplicate).sort()).toEqual([false, true]);
+      const stored = await paymentService.getPayment(payment.reference);
+      expect(stored).toMatchObject({ status: 'paid' });
+      expect(stored.needsReview).toBeUndefined();
+      expect((await orderService.getOrder(order.id)).history.filter(h => h.status === 'paid')).toHaveLength(1);
+    });
+
+    test('langsung mengirim akun dari vault setelah lunas', async () => {
+      await vaultService.addCredentials('netflix-1p2u', ['akun-1', 'akun-2']);
+      const order = await createConfirmedOrder();
+      const payment = await paymentService.createPayment(order.id);
+
+      const result = await paymentService.handleWebhook('simulator', gateway.buildWebhook(payment));
+
+      expect(result.order.status).toBe('delivered');
+      expect(result.delivery.items[0].credentials).toEqual(['akun-1', 'akun-2']);
+    });
+
+    test('membatalkan pesanan dan mengembalikan stok saat QRIS kedaluwarsa', async () => {
+      const order = await createConfirmedOrder();
+      const payment = await paymentService.createPayment(order.id);
+
+      const result = await paymentService.handleWebhook('simulator', gateway.buildWebhook(payment, { status: 'expired' }));
+
+      expect(result.order.status).toBe('cancelled');
+      expect(catalogService.getProduct('netflix-1p2u').stock).toBe(5);
+    });
+
+    test('menolak callback dengan signature atau nominal yang salah', async () => {
+      const order = await createConfirmedOrder();
+      const payment = await paymentService.createPayment(order.id);
+      const webhook = gateway.buildWebhook(payment);
+
+      await expect(paymentService.handleWebhook('simulator', { ...webhook, headers: { 'x-simulator-signature': 'palsu' } }))
+        .rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+      await expect(paymentService.handleWebhook('simulator', gateway.buildWebhook(payment, { amount: 1000 })))
+        .rejects.toMatchObject({ code: 'AMOUNT_MISMATCH' });
+      await expect(paymentService.handleWebhook('midtrans', webhook))
+        .rejects.toMatchObject({ code: 'UNKNOWN_GATEWAY' });
+      expect((await paymentService.getPayment(payment.reference)).status).toBe('pending');
+    });
+  });
+});
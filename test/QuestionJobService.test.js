@@ -0,0 +1,382 @@
+jest.mock('../src/services/BrainService', () => jest.fn());
+jest.mock('../src/services/QuestionProcessor', () => jest.fn());
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const QuestionJobService = require('../src/services/QuestionJobService');
+const OutboundService = require('../src/services/OutboundService');
+const RecordingSender = require('./helpers/RecordingSender');
+const MemoryJobStore = require('../src/services/queue/MemoryJobStore');
+
+describe('QuestionJobService', () => {
+  const number = '6281234567890';
+  let sender;
+  let jobStore;
+  let jobService;
+
+  beforeEach(() => {
+    sender = new RecordingSender();
+    jobStore = new MemoryJobStore();
+    jobService = new QuestionJobService({
+      brainService: {
+        processContext: jest.fn().mockResolvedValue({ relevantEntries: [] }),
+        tagQuestion: jest.fn().mockResolvedValue('availability')
+      },
+      questionProcessor: {
+        processQuestion: jest.fn().mockResolvedValue({ response: 'Masih ada kak' })
+      },
+      outboundService: new OutboundService({ sender, maxAttempts: 2, retryDelayMs: 0 }),
+      vaultService: { markSent: jest.fn().mockResolvedValue(1) },
+      callbackService: {
+        deliver: jest.fn().mockImplementation(async ({ target }) => ({ url: target.url, status: 'sent', attempts: 1 }))
+      },
+      jobStore,
+      queueOptions: { maxAttempts: 2, backoffMs: 0, pollIntervalMs: 10 }
+    });
+  });
+
+  afterEach(async () => {
+    await jobService.stop();
+  });
+
+  const waitFor = async (questionId, predicate) => {
+    for (let i = 0; i < 200; i++) {
+      const job = await jobService.getStatus(questionId);
+      if (job && predicate(job)) return job;
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(`Job ${questionId} did not settle: ${JSON.stringify(await jobService.getStatus(questionId))}`);
+  };
+  const delivered = job => Boolean(job.delivery) && job.delivery.status !== 'sending';
+  const calledBack = job => Boolean(job.callback) && job.callback.status === 'sent';
+
+  test('mengirim jawaban ke nomor pelanggan dan mencatat status pengiriman', async () => {
+    const questionId = await jobService.submit('netflix masih ada?', number);
+
+    const job = await waitFor(questionId, delivered);
+    expect(job.stage).toBe('completed');
+    expect(job.delivery).toMatchObject({ status: 'sent', sender: 'console', attempts: 1 });
+    expect(sender.sent).toEqual([expect.objectContaining({ to: number, text: 'Masih ada kak', questionId })]);
+    expect(await jobStore.get(questionId)).toMatchObject({ state: 'completed', attempts: 1 });
+  });
+
+  test('jawaban tetap tersedia di status walau pengiriman gagal', async () => {
+    sender.send = jest.fn().mockRejectedValue(new Error('network down'));
+
+    const questionId = await jobService.submit('netflix masih ada?', number);
+    const job = await waitFor(questionId, delivered);
+
+    expect(job.stage).toBe('completed');
+    expect(job.response.response).toBe('Masih ada kak');
+    expect(job.delivery).toMatchObject({ status: 'failed', attempts: 2, lastError: 'network down' });
+  });
+
+  test('akun pesanan dikirim ke pelanggan tanpa tersimpan di status', async () => {
+    jobService.questionProcessor.processQuestion.mockResolvedValue({
+      response: 'Pesanan sudah lunas kak',
+      delivery: [{
+        orderId: 'ORD-1',
+        credentialIds: ['cred_1'],
+        items: [{ productId: 'netflix-1p2u', name: 'Netflix 1P2U', credentials: ['a@mail.com / sandi-rahasia'] }]
+      }]
+    });
+    const stages = [];
+    const questionId = await jobService.submit('sudah bayar kak', number);
+    jobService.subscribe(questionId, (type, data) => stages.push(data));
+
+    const job = await waitFor(questionId, delivered);
+
+    expect(job.response.delivery).toEqual([
+      { orderId: 'ORD-1', items: [{ productId: 'netflix-1p2u', name: 'Netflix 1P2U', quantity: 1 }] }
+    ]);
+    expect(JSON.stringify(await jobStore.get(questionId))).not.toContain('sandi-rahasia');
+    expect(JSON.stringify(stages)).not.toContain('sandi-rahasia');
+    expect(sender.sent.map(message => message.text).join('\n')).toContain('sandi-rahasia');
+    expect(jobService.vaultService.markSent).toHaveBeenCalledWith(['cred_1'], 'bot');
+  });
+
+  test('akun tidak ditandai terkirim jika pengiriman gagal', async () => {
+    sender.send = jest.fn().mockRejectedValue(new Error('network down'));
+    jobService.questionProcessor.processQuestion.mockResolvedValue({
+      response: 'Pesanan sudah lunas kak',
+      delivery: [{
+        orderId: 'ORD-1',
+        credentialIds: ['cred_1'],
+        items: [{ productId: 'netflix-1p2u', name: 'Netflix 1P2U', credentials: ['a@mail.com / sandi-rahasia'] }]
+      }]
+    });
+
+    const questionId = await jobService.submit('sudah bayar kak', number);
+    const job = await waitFor(questionId, delivered);
+
+    expect(job.delivery).toMatchObject({ status: 'failed' });
+    expect(jobService.vaultService.markSent).not.toHaveBeenCalled();
+  });
+
+  test('tidak mengirim bila deliver dimatikan', async () => {
+    const questionId = await jobService.submit('netflix masih ada?', number, { deliver: false, source: 'api' });
+    expect(await jobService.getStatus(questionId)).toMatchObject({ status: 'processing', stage: 'queued', source: 'api' });
+
+    const job = await waitFor(questionId, current => current.stage === 'completed');
+    expect(job.delivery).toBeUndefined();
+    expect(job.deliver).toBeUndefined();
+    expect(sender.sent).toHaveLength(0);
+  });
+
+  test('mengulang job yang gagal dengan percobaan berikutnya', async () => {
+    jobService.questionProcessor.processQuestion
+      .mockRejectedValueOnce(new Error('Ollama down'))
+      .mockResolvedValue({ response: 'Masih ada kak' });
+
+    const questionId = await jobService.submit('netflix masih ada?', number, { deliver: false });
+    const job = await waitFor(questionId, current => current.stage === 'completed');
+
+    expect(job.attempts).toBe(2);
+    expect(jobService.questionProcessor.processQuestion).toHaveBeenCalledTimes(2);
+    expect(await jobStore.get(questionId)).toMatchObject({ state: 'completed', attempts: 2, lastError: 'Ollama down' });
+  });
+
+  test('mengirim status akhir ke callback tanpa menampilkan secret di status', async () => {
+    const target = { url: 'https://client.example/hook', secret: 'rahasia' };
+
+    const questionId = await jobService.submit('netflix masih ada?', number, { deliver: false, callback: target });
+    expect((await jobService.getStatus(questionId)).callback).toEqual({ url: target.url, status: 'pending' });
+    const job = await waitFor(questionId, calledBack);
+
+    expect(job.callback).toEqual({ url: target.url, status: 'sent', attempts: 1 });
+    expect(JSON.stringify(job)).not.toContain('rahasia');
+    let stored = await jobService.queue.get(questionId);
+    for (let i = 0; i < 200 && stored.payload.callback.secret; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      stored = await jobService.queue.get(questionId);
+    }
+    expect(stored.payload.callback).toEqual({ url: target.url });
+    expect(jobService.callbackService.deliver).toHaveBeenCalledWith({
+      questionId,
+      target,
+      payload: expect.objectContaining({
+        questionId,
+        stage: 'completed',
+        response: 'Masih ada kak',
+        tags: 'availability',
+        processingTime: expect.any(Number)
+      })
+    }, expect.any(Function));
+  });
+
+  test('mengirim callback setelah semua percobaan gagal', async () => {
+    jobService.questionProcessor.processQuestion.mockRejectedValue(new Error('Ollama down'));
+
+    const questionId = await jobService.submit('netflix masih ada?', number, { callback: { url: 'https://client.example/hook' } });
+    const job = await waitFor(questionId, calledBack);
+
+    expect(job).toMatchObject({ stage: 'error', message: 'Ollama down', attempts: 2 });
+    expect(jobService.callbackService.deliver).toHaveBeenCalledTimes(1);
+    expect(jobService.callbackService.deliver).toHaveBeenCalledWith(expect.objectContaining({
+      payload: expect.objectContaining({ stage: 'error', message: 'Ollama down', response: null })
+    }), expect.any(Function));
+  });
+
+  test('meneruskan potongan jawaban model sebagai event token', async () => {
+    jobService.questionProcessor.processQuestion.mockImplementation(async (question, whatsappNumber, { onToken }) => {
+      onToken('Masih ');
+      onToken('ada kak');
+      return { response: 'Masih ada kak' };
+    });
+    const events = [];
+
+    const questionId = await jobService.submit('netflix masih ada?', number, { deliver: false });
+    jobService.subscribe(questionId, (type, data) => events.push({ type, data }));
+    await waitFor(questionId, current => current.stage === 'completed');
+
+    expect(events.filter(event => event.type === 'token').map(event => event.data.text)).toEqual(['Masih ', 'ada kak']);
+    expect(events[events.length - 1]).toMatchObject({ type: 'stage', data: { stage: 'completed' } });
+  });
+
+  describe('duplikat', () => {
+    test('idempotency key yang sama mengembalikan job yang sudah ada', async () => {
+      const first = await jobService.submit('netflix masih ada?', number, { idempotencyKey: 'message:wamid.1' });
+      await waitFor(first, delivered);
+      const again = await jobService.submit('netflix masih ada?', number, { idempotencyKey: 'message:wamid.1' });
+
+      expect(again).toBe(first);
+      expect(await jobService.getStatus(first)).toMatchObject({ idempotencyKey: 'message:wamid.1', duplicates: 1 });
+      expect(jobService.questionProcessor.processQuestion).toHaveBeenCalledTimes(1);
+      expect(sender.sent).toHaveLength(1);
+    });
+
+    test('menggabungkan pesan yang hampir sama dari nomor yang sama', async () => {
+      const first = await jobService.submit('Netflix masih ada?', number);
+      const merged = await jobService.submit('netflix  masih ada', number);
+      const otherNumber = await jobService.submit('netflix masih ada?', '6289999999999');
+      const otherQuestion = await jobService.submit('spotify masih ada?', number);
+
+      expect(merged).toBe(first);
+      expect(new Set([first, otherNumber, otherQuestion]).size).toBe(3);
+    });
+
+    test('pesan yang sama setelah jendela duplikat diproses lagi', async () => {
+      jobService.duplicateWindowMs = 20;
+      const first = await jobService.submit('netflix masih ada?', number, { deliver: false });
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      expect(await jobService.submit('netflix masih ada?', number, { deliver: false })).not.toBe(first);
+      expect(await jobService.submit('netflix masih ada?', number, { deliver: false, mergeDuplicates: false }))
+        .not.toBe(first);
+    });
+
+    test('idempotency key dilepas jika job gagal diantrekan', async () => {
+      const add = jest.spyOn(jobService.queue, 'add').mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(jobService.submit('netflix masih ada?', number, { idempotencyKey: 'key:1' })).rejects.toThrow('disk full');
+      const questionId = await jobService.submit('netflix masih ada?', number, { idempotencyKey: 'key:1' });
+
+      expect(add).toHaveBeenCalledTimes(2);
+      expect(await jobService.getStatus(questionId)).not.toBeNull();
+    });
+  });
+
+  describe('pesan beruntun', () => {
+    test('memproses pesan dari satu nomor satu per satu sesuai urutan', async () => {
+      const asked = [];
+      let active = 0;
+      let maxActive = 0;
+      jobService.questionProcessor.processQuestion.mockImplementation(async question => {
+        active += 1;
+        maxActive = Math.max(maxActive, active);
+        asked.push(question);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        active -= 1;
+        return { response: 'Siap kak' };
+      });
+
+      const ids = [];
+      for (const question of ['halo', 'mau tanya', 'netflix ada?']) {
+        ids.push(await jobService.submit(question, number, { deliver: false }));
+      }
+      await waitFor(ids[2], current => current.stage === 'completed');
+
+      expect(new Set(ids).size).toBe(3);
+      expect(asked).toEqual(['halo', 'mau tanya', 'netflix ada?']);
+      expect(maxActive).toBe(1);
+    });
+
+    test('menggabungkan pesan dalam jendela debounce menjadi satu pertanyaan', async () => {
+      jobService.debounceMs = 50;
+
+      const first = await jobService.submit('halo', number);
+      const second = await jobService.submit('mau tanya', number);
+      const third = await jobService.submit('netflix ada?', number);
+      const otherNumber = await jobService.submit('halo', '6289999999999');
+      const job = await waitFor(first, delivered);
+
+      expect([second, third]).toEqual([first, first]);
+      expect(otherNumber).not.toBe(first);
+      expect(job).toMatchObject({ question: 'halo\nmau tanya\nnetflix ada?', mergedMessages: 3 });
+      expect(jobService.questionProcessor.processQuestion)
+        .toHaveBeenCalledWith('halo\nmau tanya\nnetflix ada?', number, expect.any(Object));
+      expect(sender.sent.filter(message => message.to === number)).toHaveLength(1);
+    });
+
+    test('pesan setelah pertanyaan mulai diproses menjadi pertanyaan baru', async () => {
+      jobService.debounceMs = 10;
+
+      const first = await jobService.submit('halo', number, { deliver: false });
+      await waitFor(first, current => current.stage !== 'queued');
+      const next = await jobService.submit('netflix ada?', number, { deliver: false });
+
+      expect(next).not.toBe(first);
+      expect((await waitFor(next, current => current.stage === 'completed')).question).toBe('netflix ada?');
+    });
+  });
+
+  describe('pembatalan dan batas waktu', () => {
+    // processQuestion that only ends when its signal aborts
+    const hangUntilAborted = () => jobService.questionProcessor.processQuestion
+      .mockImplementation((question, whatsappNumber, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+
+    test('membatalkan pertanyaan yang sedang diproses beserta panggilan model', async () => {
+      hangUntilAborted();
+      const questionId = await jobService.submit('netflix masih ada?', number, { callback: { url: 'https://client.example/hook' } });
+      await waitFor(questionId, current => current.stage === 'processing_ai');
+      const { signal } = jobService.questionProcessor.processQuestion.mock.calls[0][2];
+
+      const status = await jobService.cancel(questionId);
+
+      expect(status).toMatchObject({ stage: 'cancelled', errorCode: 'JOB_CANCELLED', message: 'Cancelled by client' });
+      expect(signal.aborted).toBe(true);
+      const job = await waitFor(questionId, calledBack);
+      expect(job.stage).toBe('cancelled');
+      expect(sender.sent).toHaveLength(0);
+      expect(jobService.questionProcessor.processQuestion).toHaveBeenCalledTimes(1);
+      expect(await jobStore.get(questionId)).toMatchObject({ state: 'cancelled' });
+    });
+
+    test('menolak membatalkan pertanyaan yang tidak ada atau sudah selesai', async () => {
+      await expect(jobService.cancel('tidak-ada')).rejects.toMatchObject({ name: 'NotFoundError', code: 'QUESTION_NOT_FOUND' });
+
+      const questionId = await jobService.submit('netflix masih ada?', number, { deliver: false });
+      await waitFor(questionId, current => current.stage === 'completed');
+      await expect(jobService.cancel(questionId)).rejects.toMatchObject({ name: 'ConflictError', code: 'QUESTION_FINISHED' });
+    });
+
+    test('menandai timeout dengan kode error stage yang melewati batas waktu', async () => {
+      hangUntilAborted();
+      jobService.stageTimeouts.processing_ai = 20;
+
+      const questionId = await jobService.submit('netflix masih ada?', number);
+      const job = await waitFor(questionId, current => jobService.isFinished(current));
+
+      expect(job).toMatchObject({ stage: 'timeout', errorCode: 'AI_TIMEOUT', attempts: 1 });
+      expect(job.message).toContain('processing_ai');
+      expect(jobService.questionProcessor.processQuestion.mock.calls[0][2].signal.reason.code).toBe('AI_TIMEOUT');
+      expect(jobService.questionProcessor.processQuestion).toHaveBeenCalledTimes(1);
+      expect(sender.sent).toHaveLength(0);
+    });
+
+    test('timeout job yang datang sebelum batas waktu stage berakhir di stage timeout tanpa diulang', async () => {
+      await jobService.stop();
+      jobService = new QuestionJobService({
+        brainService: {
+          processContext: jest.fn().mockResolvedValue({ relevantEntries: [] }),
+          tagQuestion: jest.fn().mockResolvedValue('availability')
+        },
+        questionProcessor: { processQuestion: jest.fn(() => new Promise(() => {})) },
+        jobStore: new MemoryJobStore(),
+        queueOptions: { maxAttempts: 2, backoffMs: 0, pollIntervalMs: 10, timeoutMs: 30 }
+      });
+      const retrying = jest.fn();
+      jobService.queue.on('retrying', retrying);
+
+      const questionId = await jobService.submit('netflix masih ada?', number, { deliver: false });
+      const job = await waitFor(questionId, current => jobService.isFinished(current));
+
+      expect(job).toMatchObject({ stage: 'timeout', errorCode: 'JOB_TIMEOUT', attempts: 1 });
+      expect(retrying).not.toHaveBeenCalled();
+      expect(jobService.questionProcessor.processQuestion).toHaveBeenCalledTimes(1);
+    });
+
+    test('batas waktu job bawaan lebih panjang dari jumlah batas waktu stage', () => {
+      const service = new QuestionJobService({ jobStore: new MemoryJobStore(), stageTimeouts: { processing_ai: 60000 } });
+
+      expect(service.queue.timeoutMs).toBe(15000 + 15000 + 60000 + 10000);
+    });
+
+    test('stage tanpa dukungan signal tetap dihentikan oleh batas waktunya', async () => {
+      jobService.brainService.processContext.mockImplementation(() => new Promise(() => {}));
+      jobService.stageTimeouts.getting_context = 20;
+
+      const questionId = await jobService.submit('netflix masih ada?', number, { deliver: false });
+      const job = await waitFor(questionId, current => jobService.isFinished(current));
+
+      expect(job).toMatchObject({ stage: 'timeout', errorCode: 'CONTEXT_TIMEOUT' });
+      expect(jobService.questionProcessor.processQuestion).not.toHaveBeenCalled();
+    });
+  });
+});
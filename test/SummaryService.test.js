@@ -0,0 +1,77 @@
+const SummaryService = require('../src/services/SummaryService');
+const MemoryHistoryStore = require('../src/services/history/MemoryHistoryStore');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('SummaryService', () => {
+  let store;
+  let chatModel;
+  let summaryService;
+  const number = '6281234567890';
+
+  const appendTurn = (i) => store.append(number, [
+    { role: 'user', content: `pertanyaan ${i}`, at: `2024-01-01T03:${String(i).padStart(2, '0')}:00.000Z` },
+    { role: 'assistant', content: `jawaban ${i}`, at: `2024-01-01T03:${String(i).padStart(2, '0')}:05.000Z` }
+  ]);
+
+  beforeEach(() => {
+    store = new MemoryHistoryStore({ conversations: new Map() });
+    chatModel = { invoke: jest.fn().mockResolvedValue({ content: '- Pelanggan memilih Netflix 1P2U, 2 akun.' }) };
+    summaryService = new SummaryService({ keepMessages: 6, batchMessages: 4, summaryTokens: 50, historyTokens: 30 });
+  });
+
+  test('belum merangkum selama pesan lama belum cukup satu batch', async () => {
+    for (let i = 1; i <= 4; i++) await appendTurn(i);
+
+    const summary = await summaryService.refresh(store, number, chatModel);
+
+    expect(summary).toBeNull();
+    expect(chatModel.invoke).not.toHaveBeenCalled();
+  });
+
+  test('merangkum pesan di luar jendela riwayat dan melanjutkan ringkasan sebelumnya', async () => {
+    for (let i = 1; i <= 5; i++) await appendTurn(i);
+
+    const first = await summaryService.refresh(store, number, chatModel);
+    expect(first).toMatchObject({
+      text: '- Pelanggan memilih Netflix 1P2U, 2 akun.',
+      coveredUntil: '2024-01-01T03:02:05.000Z',
+      messageCount: 4
+    });
+    expect(chatModel.invoke.mock.calls[0][0][1].content).toContain('Pelanggan: pertanyaan 1');
+    expect(chatModel.invoke.mock.calls[0][0][1].content).not.toContain('pertanyaan 3');
+
+    await appendTurn(6);
+    expect(await summaryService.refresh(store, number, chatModel)).toBe(first);
+
+    await appendTurn(7);
+    chatModel.invoke.mockResolvedValueOnce({ content: '- Netflix 1P2U, 2 akun, minta QRIS.' });
+    const second = await summaryService.refresh(store, number, chatModel);
+
+    const prompt = chatModel.invoke.mock.calls[1][0][1].content;
+    expect(prompt).toContain('Ringkasan sebelumnya:\n- Pelanggan memilih Netflix 1P2U, 2 akun.');
+    expect(prompt).toContain('pertanyaan 3');
+    expect(prompt).not.toContain('pertanyaan 2');
+    expect(second).toMatchObject({ coveredUntil: '2024-01-01T03:04:05.000Z', messageCount: 8 });
+    expect(await store.getSummary(number)).toEqual(second);
+  });
+
+  test('memotong ringkasan dan riwayat sesuai budget token', () => {
+    const result = summaryService.fitToBudget(
+      { text: 'Pelanggan memilih Netflix. '.repeat(3) },
+      [
+        { role: 'user', content: 'pesan lama yang cukup panjang sekali' },
+        { role: 'assistant', content: 'jawaban singkat' },
+        { role: 'user', content: 'oke' }
+      ]
+    );
+
+    expect(summaryService.estimateTokens(result.summary)).toBeLessThanOrEqual(50);
+    expect(result.messages.map(m => m.content)).toEqual(['jawaban singkat', 'oke']);
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CatalogService = require('../src/services/CatalogService');
+const OrderService = require('../src/services/OrderService');
+const WarrantyService = require('../src/services/WarrantyService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('WarrantyService', () => {
+  let tempDir;
+  let catalogService;
+  let orderService;
+  let warrantyService;
+  const number = '6281234567890';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const deliverOrder = async (items) => {
+    const draft = await orderService.createDraft(number, items);
+    await orderService.transition(draft.id, 'awaiting_payment');
+    await orderService.transition(draft.id, 'paid');
+    return orderService.transition(draft.id, 'delivered');
+  };
+
+  const gmailFresh = { id: 'gmail-fresh', name: 'Akun Gmail Fresh', price: 5000, quantity: 1 };
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'warranty-'));
+    catalogService = new CatalogService({ catalogPath: path.join(tempDir, 'catalog.json') });
+    warrantyService = new WarrantyService({ warrantyPath: path.join(tempDir, 'warranties.json'), catalogService });
+    orderService = new OrderService({ ordersPath: path.join(tempDir, 'orders.json'), catalogService, warrantyService });
+    await catalogService.load();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('mencatat masa garansi setiap produk saat pesanan dikirim', async () => {
+    const order = await deliverOrder([
+      gmailFresh,
+      { id: 'netflix-1p2u', name: 'Netflix 1P2U', price: 13000, quantity: 1 }
+    ]);
+
+    const warranties = await warrantyService.getWarranties({ whatsappNumber: number });
+    const byProduct = Object.fromEntries(warranties.map(w => [w.productId, w]));
+
+    expect(byProduct['gmail-fresh']).toMatchObject({ orderId: order.id, warrantyDays: 7, active: true, daysLeft: 7 });
+    expect(new Date(byProduct['gmail-fresh'].expiresAt) - new Date(byProduct['gmail-fresh'].deliveredAt)).toBe(7 * DAY_MS);
+    expect(byProduct['netflix-1p2u']).toMatchObject({ warrantyDays: 0, active: false });
+  });
+
+  test('membuat klaim dari chat dan menolak klaim ganda', async () => {
+    const order = await deliverOrder([gmailFresh]);
+
+    const filed = await warrantyService.handleMessage({
+      whatsappNumber: number,
+      question: 'kak gmail nya gak bisa login',
+      tag: 'warranty_refund',
+      productInfo: { exists: false }
+    });
+    expect(filed).toMatchObject({ action: 'claim_filed', claim: { orderId: order.id, productId: 'gmail-fresh', status: 'open' } });
+
+    const again = await warrantyService.handleMessage({
+      whatsappNumber: number,
+      question: 'akun rusak kak',
+      tag: 'warranty_refund',
+      productInfo: { exists: false }
+    });
+    expect(again).toMatchObject({ action: 'claim_rejected', reason: 'CLAIM_ALREADY_OPEN', claim: { id: filed.claim.id } });
+  });
+
+  test('menolak klaim setelah masa garansi berakhir', async () => {
+    await deliverOrder([gmailFresh]);
+    jest.useFakeTimers({ now: Date.now() + 8 * DAY_MS, doNotFake: ['nextTick', 'setImmediate'] });
+
+    const result = await warrantyService.fileClaim({ whatsappNumber: number, description: 'tidak bisa login' });
+
+    expect(result).toMatchObject({ eligible: false, reason: 'WARRANTY_EXPIRED', claim: null });
+  });
+
+  test('pertanyaan kebijakan tidak membuat klaim', async () => {
+    await deliverOrder([gmailFresh]);
+
+    const result = await warrantyService.handleMessage({
+      whatsappNumber: number,
+      question: 'garansinya berapa lama kak?',
+      tag: 'refund_policy',
+      productInfo: { exists: false }
+    });
+
+    expect(result.action).toBe('policy');
+    expect(result.warranties).toHaveLength(1);
+    expect(await warrantyService.listClaims()).toEqual([]);
+  });
+
+  test('admin memperbarui status klaim sesuai alur', async () => {
+    await deliverOrder([gmailFresh]);
+    const { claim } = await warrantyService.fileClaim({ whatsappNumber: number, description: 'error' });
+
+    const reviewed = await warrantyService.updateClaim(claim.id, { status: 'in_review', note: 'cek akun' }, 'ops-rina');
+    expect(reviewed.history.map(h => h.status)).toEqual(['open', 'in_review']);
+
+    const refunded = await warrantyService.updateClaim(claim.id, { status: 'refunded' }, 'ops-rina');
+    expect(refunded.status).toBe('refunded');
+
+    await expect(warrantyService.updateClaim(claim.id, { status: 'replaced' }, 'ops-rina'))
+      .rejects.toMatchObject({ code: 'INVALID_CLAIM_TRANSITION' });
+  });
+});
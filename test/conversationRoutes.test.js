@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Fastify = require('fastify');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-routes-'));
+process.env.HISTORY_STORE = 'file';
+process.env.HISTORY_PATH = path.join(tempDir, 'history.json');
+process.env.PROFILES_PATH = path.join(tempDir, 'profiles.json');
+process.env.ADMIN_API_KEY = 'rahasia';
+
+const conversationRoutes = require('../src/routes/conversationRoutes');
+const FileHistoryStore = require('../src/services/history/FileHistoryStore');
+const CustomerProfileService = require('../src/services/CustomerProfileService');
+
+describe('Conversation Routes', () => {
+  let app;
+  const headers = { 'x-api-key': 'rahasia', 'x-admin-user': 'ops-rina' };
+  const number = '6281234567890';
+
+  beforeAll(async () => {
+    app = Fastify();
+    await app.register(conversationRoutes, { prefix: '/api/conversations' });
+    await app.ready();
+  });
+
+  beforeEach(async () => {
+    const store = new FileHistoryStore();
+    await store.clear(number);
+    await store.append(number, [
+      { role: 'user', content: 'netflix 1p2u ada?', at: '2024-01-01T03:00:00.000Z' },
+      { role: 'assistant', content: 'Ada kak, Rp 13.000 🙏', at: '2024-01-01T03:00:05.000Z' }
+    ]);
+  });
+
+  afterAll(async () => {
+    await app.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('hanya bisa diakses admin', async () => {
+    const response = await app.inject({ method: 'GET', url: `/api/conversations/${number}` });
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  test('menampilkan riwayat chat pelanggan', async () => {
+    const response = await app.inject({ method: 'GET', url: `/api/conversations/${number}`, headers });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({ whatsappNumber: number, count: 2 });
+    expect(response.json().messages[0]).toEqual({ role: 'user', content: 'netflix 1p2u ada?', at: '2024-01-01T03:00:00.000Z' });
+  });
+
+  test('mengekspor riwayat sebagai teks', async () => {
+    const response = await app.inject({ method: 'GET', url: `/api/conversations/${number}/export?format=text`, headers });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['content-type']).toContain('text/plain');
+    expect(response.headers['content-disposition']).toBe(`attachment; filename="conversation-${number}.txt"`);
+    expect(response.body).toContain('[2024-01-01T03:00:00.000Z] Pelanggan: netflix 1p2u ada?');
+    expect(response.body).toContain('CustoAI: Ada kak, Rp 13.000 🙏');
+
+    const unsupported = await app.inject({ method: 'GET', url: `/api/conversations/${number}/export?format=pdf`, headers });
+    expect(unsupported.statusCode).toBe(400);
+  });
+
+  test('menghapus riwayat dan profil atas permintaan pelanggan', async () => {
+    await new CustomerProfileService().setName(number, 'Budi');
+
+    const response = await app.inject({ method: 'DELETE', url: `/api/conversations/${number}`, headers });
+    expect(response.json()).toMatchObject({ success: true, deleted: true, profileDeleted: true });
+
+    const after = await app.inject({ method: 'GET', url: `/api/conversations/${number}`, headers });
+    expect(after.json()).toMatchObject({ count: 0, profile: null, messages: [] });
+  });
+
+  test('menolak nomor WhatsApp yang tidak valid', async () => {
+    const response = await app.inject({ method: 'DELETE', url: '/api/conversations/bukan-nomor', headers });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().code).toBe('INVALID_WHATSAPP_NUMBER');
+  });
+});
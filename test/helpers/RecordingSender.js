@@ -0,0 +1,20 @@
+const ConsoleSender = require('../../src/services/outbound/ConsoleSender');
+
+/**
+ * ConsoleSender that also keeps every message in `sent`, so tests can check
+ * what would have been delivered
+ */
+class RecordingSender extends ConsoleSender {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  async send(message) {
+    const result = await super.send(message);
+    this.sent.push({ ...message, messageId: result.messageId });
+    return result;
+  }
+}
+
+module.exports = RecordingSender;
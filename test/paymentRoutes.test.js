@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Fastify = require('fastify');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payment-routes-'));
+process.env.CATALOG_PATH = path.join(tempDir, 'catalog.json');
+process.env.ORDERS_PATH = path.join(tempDir, 'orders.json');
+process.env.PAYMENTS_PATH = path.join(tempDir, 'payments.json');
+process.env.VAULT_PATH = path.join(tempDir, 'vault.json');
+process.env.WARRANTY_PATH = path.join(tempDir, 'warranties.json');
+process.env.PAYMENT_GATEWAY = 'simulator';
+process.env.PAYMENT_WEBHOOK_SECRET = 'webhook-rahasia';
+process.env.PAYMENT_SIMULATOR_ENABLED = 'true';
+process.env.ADMIN_API_KEY = 'rahasia';
+
+const paymentRoutes = require('../src/routes/paymentRoutes');
+const OrderService = require('../src/services/OrderService');
+const SimulatorGateway = require('../src/services/payment/SimulatorGateway');
+
+describe('Payment Routes', () => {
+  let app;
+  let order;
+  const headers = { 'x-api-key': 'rahasia' };
+
+  beforeAll(async () => {
+    app = Fastify();
+    await app.register(paymentRoutes, { prefix: '/api/payments' });
+    await app.ready();
+
+    const orderService = new OrderService();
+    const draft = await orderService.createDraft('6281234567890', [
+      { id: 'gmail-fresh', name: 'Akun Gmail Fresh', price: 5000, quantity: 1 }
+    ]);
+    order = await orderService.transition(draft.id, 'awaiting_payment');
+  });
+
+  afterAll(async () => {
+    await app.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('membuat QRIS untuk pesanan lewat API admin', async () => {
+    const unauthorized = await app.inject({ method: 'POST', url: `/api/payments/orders/${order.id}` });
+    expect(unauthorized.statusCode).toBe(401);
+
+    const response = await app.inject({ method: 'POST', url: `/api/payments/orders/${order.id}`, headers });
+    expect(response.statusCode).toBe(201);
+    expect(response.json().payment).toMatchObject({ amount: 5000, status: 'pending' });
+    expect(response.json().payment.qrString).toMatch(/^000201010212/);
+  });
+
+  test('memverifikasi signature webhook terhadap body mentah', async () => {
+    const { payment } = (await app.inject({ method: 'POST', url: `/api/payments/orders/${order.id}`, headers })).json();
+    const webhook = new SimulatorGateway({ secret: 'webhook-rahasia' }).buildWebhook(payment);
+
+    const forged = await app.inject({
+      method: 'POST',
+      url: '/api/payments/webhook/simulator',
+      headers: { ...webhook.headers, 'content-type': 'application/json' },
+      payload: JSON.stringify({ ...webhook.body, amount: 1 })
+    });
+    expect(forged.statusCode).toBe(401);
+
+    const response = await app.inject({
+      method: 'POST',
+      url: '/api/payments/webhook/simulator',
+      headers: { ...webhook.headers, 'content-type': 'application/json' },
+      payload: webhook.rawBody
+    });
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({ status: 'paid', orderStatus: 'paid', duplicate: false });
+  });
+
+  test('simulator menyelesaikan pembayaran tanpa gateway asli', async () => {
+    const orderService = new OrderService();
+    const draft = await orderService.createDraft('6289876543210', [
+      { id: 'gmail-fresh', name: 'Akun Gmail Fresh', price: 5000, quantity: 1 }
+    ]);
+    await orderService.transition(draft.id, 'awaiting_payment');
+    const { payment } = (await app.inject({ method: 'POST', url: `/api/payments/orders/${draft.id}`, headers })).json();
+
+    const unauthorized = await app.inject({
+      method: 'POST',
+      url: `/api/payments/simulator/${payment.reference}`,
+      payload: { status: 'paid' }
+    });
+    expect(unauthorized.statusCode).toBe(401);
+
+    const response = await app.inject({
+      method: 'POST',
+      url: `/api/payments/simulator/${payment.reference}`,
+      headers,
+      payload: { status: 'paid' }
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({ reference: payment.reference, status: 'paid', orderStatus: 'paid' });
+  });
+
+  test('route simulator tidak ada tanpa PAYMENT_SIMULATOR_ENABLED', async () => {
+    process.env.PAYMENT_SIMULATOR_ENABLED = 'false';
+    const disabledApp = Fastify();
+    try {
+      await disabledApp.register(paymentRoutes, { prefix: '/api/payments' });
+      await disabledApp.ready();
+
+      const response = await disabledApp.inject({ method: 'POST', url: '/api/payments/simulator/ref-1', headers, payload: {} });
+      expect(response.statusCode).toBe(404);
+    } finally {
+      process.env.PAYMENT_SIMULATOR_ENABLED = 'true';
+      await disabledApp.close();
+    }
+  });
+});
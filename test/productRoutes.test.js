@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Fastify = require('fastify');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'product-routes-'));
+process.env.CATALOG_PATH = path.join(tempDir, 'catalog.json');
+process.env.ADMIN_API_KEY = 'rahasia';
+
+const productRoutes = require('../src/routes/productRoutes');
+const CatalogService = require('../src/services/CatalogService');
+
+describe('Admin Product Routes', () => {
+  let app;
+  const headers = { 'x-api-key': 'rahasia', 'x-admin-user': 'ops-rina' };
+
+  beforeAll(async () => {
+    app = Fastify();
+    await app.register(productRoutes, { prefix: '/api/admin/products' });
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('menolak request tanpa API key', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/admin/products' });
+
+    expect(response.statusCode).toBe(401);
+    expect(response.json().code).toBe('UNAUTHORIZED');
+  });
+
+  test('menampilkan daftar produk', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/admin/products', headers });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().products.length).toBeGreaterThan(0);
+  });
+
+  test('menambah, mengubah dan menghapus produk', async () => {
+    const created = await app.inject({
+      method: 'POST',
+      url: '/api/admin/products',
+      headers,
+      payload: { name: 'Spotify Premium', price: 20000, stock: 4, desc: 'Spotify 1 bulan' }
+    });
+    expect(created.statusCode).toBe(201);
+    expect(created.json().product.id).toBe('spotify-premium');
+
+    const duplicate = await app.inject({
+      method: 'POST',
+      url: '/api/admin/products',
+      headers,
+      payload: { name: 'Spotify Premium', price: 20000, stock: 4 }
+    });
+    expect(duplicate.statusCode).toBe(409);
+
+    const updated = await app.inject({
+      method: 'PATCH',
+      url: '/api/admin/products/spotify-premium',
+      headers,
+      payload: { price: 22000 }
+    });
+    expect(updated.json().product.price).toBe(22000);
+
+    const deleted = await app.inject({
+      method: 'DELETE',
+      url: '/api/admin/products/spotify-premium',
+      headers
+    });
+    expect(deleted.statusCode).toBe(200);
+
+    const missing = await app.inject({
+      method: 'GET',
+      url: '/api/admin/products/spotify-premium',
+      headers
+    });
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('menolak produk dengan harga tidak valid', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/api/admin/products',
+      headers,
+      payload: { name: 'Canva Pro', price: 'Rp 10.000', stock: 1 }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().code).toBe('INVALID_PRODUCT');
+  });
+
+  test('mengubah stok dan mencatat pelakunya', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/api/admin/products/netflix-1p2u/stock',
+      headers,
+      payload: { delta: -5, reason: 'habis terjual' }
+    });
+    expect(response.statusCode).toBe(200);
+    expect(response.json().product.stock).toBe(0);
+
+    const tooMuch = await app.inject({
+      method: 'POST',
+      url: '/api/admin/products/netflix-1p2u/stock',
+      headers,
+      payload: { delta: -1 }
+    });
+    expect(tooMuch.json().code).toBe('INSUFFICIENT_STOCK');
+
+    const audit = await app.inject({
+      method: 'GET',
+      url: '/api/admin/products/audit?productId=netflix-1p2u',
+      headers
+    });
+    expect(audit.json().entries[0]).toMatchObject({
+      actor: 'ops-rina',
+      action: 'stock_adjust',
+      reason: 'habis terjual',
+      changes: { stock: { from: 5, to: 0 } }
+    });
+  });
+
+  test('menerima import CSV dengan dry run dan export CSV', async () => {
+    const imported = await app.inject({
+      method: 'POST',
+      url: '/api/admin/products/import?dryRun=true',
+      headers: { ...headers, 'content-type': 'text/csv' },
+      payload: 'id,name,price,stock\ngmail-fresh,Akun Gmail Fresh,6000,2\n'
+    });
+    expect(imported.statusCode).toBe(200);
+    expect(imported.json().summary.update).toBe(1);
+
+    const exported = await app.inject({
+      method: 'GET',
+      url: '/api/admin/products/export?format=csv',
+      headers
+    });
+    expect(exported.headers['content-type']).toContain('text/csv');
+    expect(exported.body).toContain('gmail-fresh,Akun Gmail Fresh,5000');
+  });
+
+  test('perubahan langsung terlihat oleh instance katalog lain', async () => {
+    await app.inject({
+      method: 'POST',
+      url: '/api/admin/products/disney-hotstar/stock',
+      headers,
+      payload: { stock: 12 }
+    });
+
+    const otherInstance = new CatalogService();
+    await otherInstance.load();
+    expect(otherInstance.getProduct('disney-hotstar').stock).toBe(12);
+  });
+});
@@ -0,0 +1,360 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Fastify = require('fastify');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+// The real services load Brain.js and Ollama; the job service gets fakes below
+jest.mock('../src/services/BrainService', () => jest.fn());
+jest.mock('../src/services/QuestionProcessor', () => jest.fn());
+jest.mock('../src/services/OllamaService', () => jest.fn());
+
+process.env.ADMIN_API_KEY = 'rahasia';
+
+const questionRoutes = require('../src/routes/questionRoutes');
+const QuestionJobService = require('../src/services/QuestionJobService');
+const OutboundService = require('../src/services/OutboundService');
+const ConsoleSender = require('../src/services/outbound/ConsoleSender');
+const MemoryJobStore = require('../src/services/queue/MemoryJobStore');
+const BatchService = require('../src/services/BatchService');
+
+const parseEvents = body => body.split('\n\n')
+  .filter(block => block.startsWith('event: '))
+  .map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { type: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+
+describe('Question Routes', () => {
+  let app;
+  let jobService;
+  let batchService;
+  let releaseAnswer;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'question-routes-'));
+    const answered = new Promise(resolve => { releaseAnswer = resolve; });
+    jobService = new QuestionJobService({
+      brainService: {
+        processContext: jest.fn().mockResolvedValue({ relevantEntries: [] }),
+        tagQuestion: jest.fn().mockResolvedValue('availability')
+      },
+      questionProcessor: {
+        processQuestion: jest.fn().mockImplementation(async () => {
+          await answered;
+          return { response: 'Masih ada kak' };
+        })
+      },
+      outboundService: new OutboundService({ sender: new ConsoleSender(), retryDelayMs: 0 }),
+      jobStore: new MemoryJobStore(),
+      queueOptions: { pollIntervalMs: 10 }
+    });
+
+    batchService = new BatchService({ jobService, batchesPath: path.join(tempDir, 'batches.json') });
+
+    app = Fastify();
+    await app.register(questionRoutes, { prefix: '/api', jobService, batchService });
+    await app.ready();
+  });
+
+  afterEach(async () => {
+    releaseAnswer();
+    await Promise.allSettled([...batchService.running.values()]);
+    await app.close();
+    await jobService.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const waitForSubscriber = async (questionId) => {
+    while (jobService.events.listenerCount(questionId) === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+
+  describe('GET /api/stream/:questionId', () => {
+    test('mengirim setiap perpindahan stage lalu menutup stream', async () => {
+      const questionId = await jobService.submit('netflix masih ada?', null);
+
+      const response = app.inject({ method: 'GET', url: `/api/stream/${questionId}` });
+      await waitForSubscriber(questionId);
+      jobService.emit(questionId, 'token', { text: 'Masih ' });
+      releaseAnswer();
+      const res = await response;
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('text/event-stream');
+      const events = parseEvents(res.body);
+      const [token, completed] = events.slice(-2);
+      expect(events.map(event => event.type === 'stage' ? event.data.stage : event.type)).toContain('processing_ai');
+      expect(token).toEqual({ type: 'token', data: { text: 'Masih ' } });
+      expect(completed.data).toMatchObject({ stage: 'completed', response: { response: 'Masih ada kak' } });
+      expect(jobService.events.listenerCount(questionId)).toBe(0);
+    });
+
+    test('job yang sudah selesai langsung dikirim statusnya', async () => {
+      releaseAnswer();
+      const questionId = await jobService.submit('netflix masih ada?', null);
+      while (!jobService.isFinished(await jobService.getStatus(questionId))) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      const res = await app.inject({ method: 'GET', url: `/api/stream/${questionId}` });
+
+      const events = parseEvents(res.body);
+      expect(events).toHaveLength(1);
+      expect(events[0].data.stage).toBe('completed');
+    });
+
+    test('questionId tidak dikenal mengembalikan 404', async () => {
+      const res = await app.inject({ method: 'GET', url: '/api/stream/tidak-ada' });
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('POST /api/ask', () => {
+    test('mengantrekan pertanyaan yang bisa dicek di /status', async () => {
+      const res = await app.inject({
+        method: 'POST',
+        url: '/api/ask',
+        payload: { question: 'netflix masih ada?', whatsapp_number: '6281234567890', deliver: false, priority: 5 }
+      });
+
+      expect(res.statusCode).toBe(200);
+      const { questionId } = res.json();
+      // Without the admin key the priority is ignored
+      expect((await jobService.queue.get(questionId)).priority).toBe(0);
+
+      const status = await app.inject({ method: 'GET', url: `/api/status/${questionId}` });
+      expect(status.statusCode).toBe(200);
+      expect(status.json()).toMatchObject({ success: true, status: 'processing', question: 'netflix masih ada?' });
+    });
+
+    test('menolak callback_url yang tidak valid', async () => {
+      const res = await app.inject({
+        method: 'POST',
+        url: '/api/ask',
+        payload: { question: 'halo', callback_url: 'bukan-url' }
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.json().code).toBe('INVALID_CALLBACK_URL');
+    });
+
+    test('priority hanya dipakai untuk request dengan API key admin', async () => {
+      const ask = headers => app.inject({
+        method: 'POST',
+        url: '/api/ask',
+        headers,
+        payload: { question: 'netflix masih ada?', deliver: false, priority: 5 }
+      });
+
+      const admin = (await ask({ 'x-api-key': 'rahasia' })).json();
+      const wrongKey = (await ask({ 'x-api-key': 'salah' })).json();
+
+      expect((await jobService.queue.get(admin.questionId)).priority).toBe(5);
+      expect((await jobService.queue.get(wrongKey.questionId)).priority).toBe(0);
+    });
+
+    test('menolak priority di luar rentang', async () => {
+      const res = await app.inject({
+        method: 'POST',
+        url: '/api/ask',
+        payload: { question: 'halo', priority: 50 }
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.json().code).toBe('INVALID_PRIORITY');
+    });
+
+    test('mode sinkron mengembalikan jawaban langsung jika selesai sebelum batas waktu', async () => {
+      releaseAnswer();
+
+      const res = await app.inject({
+        method: 'POST',
+        url: '/api/ask?wait=2000',
+        payload: { question: 'netflix masih ada?', deliver: false }
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.json()).toMatchObject({
+        success: true,
+        questionId: expect.any(String),
+        stage: 'completed',
+        response: { response: 'Masih ada kak' }
+      });
+    });
+
+    test('mode sinkron lewat body kembali ke statusUrl jika belum selesai', async () => {
+      const res = await app.inject({
+        method: 'POST',
+        url: '/api/ask',
+        payload: { question: 'netflix masih ada?', deliver: false, wait: 50 }
+      });
+
+      expect(res.statusCode).toBe(202);
+      const body = res.json();
+      expect(body).toMatchObject({ success: true, message: 'Question received and being processed' });
+      expect(body.statusUrl).toBe(`/api/status/${body.questionId}`);
+      expect(body.cancelToken).toMatch(/^[0-9a-f]{48}$/);
+      expect(jobService.events.listenerCount(body.questionId)).toBe(0);
+    });
+
+    test('Idempotency-Key yang diulang mengembalikan questionId yang sama', async () => {
+      const ask = (headers, payload) => app.inject({ method: 'POST', url: '/api/ask', headers, payload });
+      const payload = { question: 'netflix masih ada?', deliver: false };
+
+      const first = (await ask({ 'idempotency-key': 'req-1' }, payload)).json();
+      const repeat = (await ask({ 'idempotency-key': 'req-1' }, { ...payload, question: 'spotify berapa?' })).json();
+      const byMessageId = (await ask({}, { ...payload, message_id: 'wamid.1' })).json();
+      const repeatByMessageId = (await ask({}, { ...payload, message_id: 'wamid.1' })).json();
+
+      expect(repeat.questionId).toBe(first.questionId);
+      expect(repeatByMessageId.questionId).toBe(byMessageId.questionId);
+      expect(byMessageId.questionId).not.toBe(first.questionId);
+    });
+
+    test('menolak Idempotency-Key yang terlalu panjang', async () => {
+      const res = await app.inject({
+        method: 'POST',
+        url: '/api/ask',
+        headers: { 'idempotency-key': 'x'.repeat(300) },
+        payload: { question: 'halo' }
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.json().code).toBe('INVALID_IDEMPOTENCY_KEY');
+    });
+
+    test('menolak wait yang bukan angka', async () => {
+      const res = await app.inject({
+        method: 'POST',
+        url: '/api/ask?wait=sebentar',
+        payload: { question: 'halo' }
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.json().code).toBe('INVALID_WAIT');
+    });
+  });
+
+  describe('DELETE /api/status/:questionId', () => {
+    const ask = async () => (await app.inject({
+      method: 'POST',
+      url: '/api/ask',
+      payload: { question: 'netflix masih ada?', deliver: false }
+    })).json();
+
+    test('membatalkan pertanyaan dengan cancelToken lalu menolak pembatalan kedua', async () => {
+      const { questionId, cancelToken } = await ask();
+      const headers = { 'x-cancel-token': cancelToken };
+
+      const res = await app.inject({ method: 'DELETE', url: `/api/status/${questionId}`, headers });
+      expect(res.statusCode).toBe(200);
+      expect(res.json()).toMatchObject({ success: true, stage: 'cancelled', errorCode: 'JOB_CANCELLED', message: 'Cancelled by client' });
+
+      const status = await app.inject({ method: 'GET', url: `/api/status/${questionId}` });
+      expect(status.json().stage).toBe('cancelled');
+
+      const again = await app.inject({ method: 'DELETE', url: `/api/status/${questionId}`, headers });
+      expect(again.statusCode).toBe(409);
+      expect(again.json().code).toBe('QUESTION_FINISHED');
+    });
+
+    test('admin bisa membatalkan pertanyaan apa pun dengan API key', async () => {
+      const questionId = await jobService.submit('netflix masih ada?', '6281234567890', { source: 'whatsapp' });
+
+      const res = await app.inject({
+        method: 'DELETE',
+        url: `/api/status/${questionId}`,
+        headers: { 'x-api-key': 'rahasia', 'x-admin-user': 'ops-rina' }
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.json()).toMatchObject({ stage: 'cancelled', message: 'Cancelled by ops-rina' });
+    });
+
+    test('menolak pembatalan tanpa token atau dengan token pertanyaan lain', async () => {
+      const { questionId } = await ask();
+      const other = await ask();
+
+      const missing = await app.inject({ method: 'DELETE', url: `/api/status/${questionId}` });
+      const wrong = await app.inject({
+        method: 'DELETE',
+        url: `/api/status/${questionId}`,
+        headers: { 'x-cancel-token': other.cancelToken }
+      });
+
+      expect(missing.statusCode).toBe(401);
+      expect(wrong.statusCode).toBe(401);
+      expect(wrong.json().code).toBe('INVALID_CANCEL_TOKEN');
+      expect((await jobService.getStatus(questionId)).stage).not.toBe('cancelled');
+    });
+
+    test('questionId tidak dikenal mengembalikan 404', async () => {
+      const res = await app.inject({
+        method: 'DELETE',
+        url: '/api/status/tidak-ada',
+        headers: { 'x-cancel-token': 'abc' }
+      });
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('POST /api/ask/batch', () => {
+    const headers = { 'x-api-key': 'rahasia', 'x-admin-user': 'ops-rina' };
+    const items = [
+      { question: 'netflix masih ada?', whatsapp_number: '6281234567890' },
+      { question: 'spotify berapa?', whatsapp_number: '6281234567891' }
+    ];
+
+    test('hanya bisa diakses admin', async () => {
+      const res = await app.inject({ method: 'POST', url: '/api/ask/batch', payload: { items } });
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    test('mengembalikan batchId lalu progres dan hasilnya bisa diunduh', async () => {
+      releaseAnswer();
+
+      const res = await app.inject({ method: 'POST', url: '/api/ask/batch', headers, payload: { items, concurrency: 1 } });
+      expect(res.statusCode).toBe(202);
+      const body = res.json();
+      expect(body).toMatchObject({ success: true, total: 2, concurrency: 1, status: 'running', createdBy: 'ops-rina' });
+      expect(body.statusUrl).toBe(`/api/ask/batch/${body.batchId}`);
+
+      await batchService.running.get(body.batchId);
+      const progress = await app.inject({ method: 'GET', url: body.statusUrl, headers });
+      expect(progress.json()).toMatchObject({ success: true, status: 'completed', progress: 100, counts: { completed: 2 } });
+
+      const csv = await app.inject({ method: 'GET', url: `${body.resultsUrl}?format=csv`, headers });
+      expect(csv.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(csv.headers['content-disposition']).toBe(`attachment; filename="batch-${body.batchId}.csv"`);
+      expect(csv.body.trim().split('\n')).toHaveLength(3);
+
+      const json = await app.inject({ method: 'GET', url: body.resultsUrl, headers });
+      expect(json.json().results.map(result => result.answer)).toEqual(['Masih ada kak', 'Masih ada kak']);
+    });
+
+    test('menolak item yang tidak valid', async () => {
+      const res = await app.inject({ method: 'POST', url: '/api/ask/batch', headers, payload: { items: [{ question: '' }] } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.json().code).toBe('INVALID_BATCH_ITEM');
+    });
+
+    test('batchId tidak dikenal mengembalikan 404', async () => {
+      const res = await app.inject({ method: 'GET', url: '/api/ask/batch/tidak-ada', headers });
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});
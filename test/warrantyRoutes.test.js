@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Fastify = require('fastify');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'warranty-routes-'));
+process.env.CATALOG_PATH = path.join(tempDir, 'catalog.json');
+process.env.ORDERS_PATH = path.join(tempDir, 'orders.json');
+process.env.VAULT_PATH = path.join(tempDir, 'vault.json');
+process.env.WARRANTY_PATH = path.join(tempDir, 'warranties.json');
+process.env.VAULT_KEY = 'kunci-test';
+process.env.ADMIN_API_KEY = 'rahasia';
+
+const warrantyRoutes = require('../src/routes/warrantyRoutes');
+const OrderService = require('../src/services/OrderService');
+const WarrantyService = require('../src/services/WarrantyService');
+const CredentialVaultService = require('../src/services/CredentialVaultService');
+
+describe('Warranty Routes', () => {
+  let app;
+  let claim;
+  const headers = { 'x-api-key': 'rahasia', 'x-admin-user': 'ops-rina' };
+  const number = '6281234567890';
+
+  beforeAll(async () => {
+    app = Fastify();
+    await app.register(warrantyRoutes, { prefix: '/api/admin/warranty' });
+    await app.ready();
+
+    const vaultService = new CredentialVaultService();
+    await vaultService.addCredentials('gmail-fresh', ['lama@example.com', 'baru@example.com']);
+
+    const orderService = new OrderService();
+    const draft = await orderService.createDraft(number, [
+      { id: 'gmail-fresh', name: 'Akun Gmail Fresh', price: 5000, quantity: 1 }
+    ]);
+    await orderService.transition(draft.id, 'awaiting_payment');
+    await orderService.transition(draft.id, 'paid');
+    await vaultService.deliverOrder(draft.id);
+    const [delivery] = await vaultService.collectDeliveries(number);
+    await vaultService.markSent(delivery.credentialIds);
+
+    ({ claim } = await new WarrantyService().fileClaim({ whatsappNumber: number, description: 'tidak bisa login' }));
+  });
+
+  afterAll(async () => {
+    await app.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('menampilkan klaim terbuka', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/admin/warranty/claims?status=open', headers });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().claims.map(c => c.id)).toEqual([claim.id]);
+  });
+
+  test('mengganti akun dari vault dan menutup klaim, sekali walau diminta bersamaan', async () => {
+    const replace = () => app.inject({ method: 'POST', url: `/api/admin/warranty/claims/${claim.id}/replace`, headers });
+    const responses = await Promise.all([replace(), replace()]);
+
+    expect(responses.map(response => response.statusCode).sort()).toEqual([200, 409]);
+    const response = responses.find(current => current.statusCode === 200);
+    expect(response.json().claim).toMatchObject({ status: 'replaced', resolution: { type: 'replacement' } });
+
+    const deliveries = await new CredentialVaultService().collectDeliveries(number);
+    expect(deliveries[0].items[0].credentials).toEqual(['baru@example.com']);
+
+    const again = await replace();
+    expect(again.statusCode).toBe(409);
+  });
+
+  test('klaim kembali terbuka jika vault tidak punya akun pengganti', async () => {
+    const { claim: second } = await new WarrantyService().fileClaim({ whatsappNumber: number, description: 'akun pengganti juga error' });
+
+    const response = await app.inject({ method: 'POST', url: `/api/admin/warranty/claims/${second.id}/replace`, headers });
+
+    expect(response.statusCode).toBe(409);
+    expect(response.json().code).toBe('CREDENTIALS_UNAVAILABLE');
+    const stored = await new WarrantyService().getClaim(second.id);
+    expect(stored.status).toBe('open');
+    expect(stored.history.map(entry => entry.status)).toEqual(['open', 'replacing', 'open']);
+  });
+
+  test('menolak status klaim yang tidak dikenal', async () => {
+    const response = await app.inject({
+      method: 'PATCH',
+      url: `/api/admin/warranty/claims/${claim.id}`,
+      headers,
+      payload: { status: 'selesai' }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().code).toBe('INVALID_CLAIM_STATUS');
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Fastify = require('fastify');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+// The real job service loads BrainService; these tests only check what gets queued
+jest.mock('../src/services/QuestionJobService', () => jest.fn());
+
+const whatsappRoutes = require('../src/routes/whatsappRoutes');
+const WhatsAppWebhookService = require('../src/services/WhatsAppWebhookService');
+const CustomerProfileService = require('../src/services/CustomerProfileService');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'whatsapp', `${name}.json`), 'utf8');
+
+describe('WhatsApp Routes', () => {
+  let app;
+  let tempDir;
+  let jobService;
+  let profileService;
+  const webhookService = new WhatsAppWebhookService({ verifyToken: 'token-verifikasi', appSecret: 'app-rahasia' });
+
+  const postWebhook = (rawBody, signature = webhookService.sign(rawBody)) => app.inject({
+    method: 'POST',
+    url: '/api/whatsapp/webhook',
+    headers: { 'content-type': 'application/json', 'x-hub-signature-256': signature },
+    payload: rawBody
+  });
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-routes-'));
+    profileService = new CustomerProfileService({ profilesPath: path.join(tempDir, 'profiles.json') });
+    jobService = { submit: jest.fn().mockReturnValue('question-1') };
+
+    app = Fastify();
+    await app.register(whatsappRoutes, { prefix: '/api/whatsapp', jobService, webhookService, profileService });
+    await app.ready();
+  });
+
+  afterEach(async () => {
+    await app.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('menjawab hub challenge dengan verify token yang benar', async () => {
+    const response = await app.inject({
+      method: 'GET',
+      url: '/api/whatsapp/webhook?hub.mode=subscribe&hub.verify_token=token-verifikasi&hub.challenge=1158201444'
+    });
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toBe('1158201444');
+
+    const wrong = await app.inject({
+      method: 'GET',
+      url: '/api/whatsapp/webhook?hub.mode=subscribe&hub.verify_token=salah&hub.challenge=1158201444'
+    });
+    expect(wrong.statusCode).toBe(403);
+  });
+
+  test('meneruskan pesan teks ke pipeline dengan nomor pengirim', async () => {
+    const response = await postWebhook(fixture('text-message'));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toEqual({ success: true, received: 1, questionIds: ['question-1'] });
+    expect(jobService.submit).toHaveBeenCalledWith('kak netflix 1p2u masih ada?', '6281234567890', {
+      source: 'whatsapp',
+      messageId: 'wamid.HBgNNjI4MTIzNDU2Nzg5MBUCABIYFjNFQjBDMjM0NTY3ODlBQkNERUYwMQA=',
+      idempotencyKey: 'message:wamid.HBgNNjI4MTIzNDU2Nzg5MBUCABIYFjNFQjBDMjM0NTY3ODlBQkNERUYwMQA='
+    });
+    expect((await profileService.getProfile('6281234567890')).name).toBe('Budi Santoso');
+  });
+
+  test('menolak payload dengan signature yang tidak cocok', async () => {
+    const rawBody = fixture('text-message');
+    const response = await postWebhook(rawBody.replace('masih ada?', 'gratis ya?'), webhookService.sign(rawBody));
+
+    expect(response.statusCode).toBe(401);
+    expect(response.json().code).toBe('INVALID_SIGNATURE');
+    expect(jobService.submit).not.toHaveBeenCalled();
+  });
+
+  test.each(['image-message', 'status-update'])('mengakui %s tanpa memproses pertanyaan', async (name) => {
+    const response = await postWebhook(fixture(name));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().questionIds).toEqual([]);
+    expect(jobService.submit).not.toHaveBeenCalled();
+  });
+});